@@ -9,6 +9,141 @@ module.exports = {
     // Maximum session duration in minutes
     MAX_SESSION_DURATION: 180,
 
+    // Sign-in tokens. Access tokens are short-lived JWTs; each signed-in device
+    // also holds a refresh token that is replaced on every use (AuthSession)
+    AUTH: {
+        ACCESS_TOKEN_EXPIRE: process.env.JWT_EXPIRE || '15m',
+        REFRESH_TOKEN_DAYS: parseInt(process.env.REFRESH_TOKEN_DAYS || '30', 10),
+        // A replaced refresh token used again after this long signs the device
+        // out (it was copied); sooner than that it's two tabs refreshing at once
+        REUSE_GRACE_SECONDS: 30,
+        // Replaced refresh tokens remembered per device for reuse detection
+        MAX_ROTATED_TOKENS: 20,
+        // Oldest devices are signed out past this many
+        MAX_DEVICES: 20
+    },
+
+    // Why a signed-in device was signed out
+    AUTH_REVOKE_REASON: {
+        LOGOUT: 'logout',                   // signed out on the device itself
+        SIGNED_OUT: 'signed_out',           // signed out from the device list
+        PASSWORD_CHANGE: 'password_change',
+        TOKEN_REUSE: 'token_reuse',         // an old refresh token came back
+        DEVICE_LIMIT: 'device_limit',
+        PASSWORD_RESET: 'password_reset'
+    },
+
+    // Opt-in TOTP two-factor authentication (RFC 6238, see TwoFactorService)
+    TWO_FACTOR: {
+        ISSUER: 'SkillVault',
+        DIGITS: 6,
+        PERIOD_SECONDS: 30,
+        // Codes from this many periods either side of now are accepted (clock drift)
+        WINDOW_STEPS: 1,
+        RECOVERY_CODES: 10,
+        // Time to enter the code after the password at login
+        LOGIN_CHALLENGE_EXPIRE: '5m',
+        LOGIN_CHALLENGE_PURPOSE: 'two_factor_login'
+    },
+
+    // Sensitive actions (password change, credit transfers, 2FA changes) need
+    // the password, or a 2FA code when 2FA is on, this recently on the device
+    STEP_UP_MINUTES: 10,
+
+    // Sign-in with Google, GitHub or any OpenID Connect provider (see
+    // OAuthService). A provider is offered once its client ID is set.
+    OAUTH: {
+        PROVIDERS: {
+            google: {
+                name: 'Google',
+                kind: 'oidc',
+                issuer: process.env.GOOGLE_ISSUER || 'https://accounts.google.com',
+                clientId: process.env.GOOGLE_CLIENT_ID,
+                clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+                scope: 'openid email profile'
+            },
+            // GitHub speaks plain OAuth 2.0; the profile comes from its API
+            github: {
+                name: 'GitHub',
+                kind: 'github',
+                authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+                tokenEndpoint: 'https://github.com/login/oauth/access_token',
+                apiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
+                clientId: process.env.GITHUB_CLIENT_ID,
+                clientSecret: process.env.GITHUB_CLIENT_SECRET,
+                scope: 'read:user user:email'
+            },
+            // Any other OpenID Connect provider, e.g. a company IdP or a local
+            // mock provider for development
+            oidc: {
+                name: process.env.OIDC_NAME || 'Single sign-on',
+                kind: 'oidc',
+                issuer: process.env.OIDC_ISSUER,
+                clientId: process.env.OIDC_CLIENT_ID,
+                clientSecret: process.env.OIDC_CLIENT_SECRET,
+                scope: 'openid email profile'
+            }
+        },
+        // Time to finish signing in at the provider
+        FLOW_EXPIRE: '10m',
+        FLOW_PURPOSE: 'oauth_flow',
+        MODE: {
+            LOGIN: 'login',
+            LINK: 'link'
+        },
+        // Discovery documents and signing keys are fetched again after this
+        METADATA_CACHE_MINUTES: 60
+    },
+
+    // Account roles, lowest first. Each role can do everything the ones
+    // before it can (see requireRole). ADMIN_EMAILS also grants admin to those
+    // verified addresses, so the first admin can be set up without touching the database.
+    ROLES: {
+        USER: 'user',
+        MODERATOR: 'moderator',
+        ADMIN: 'admin'
+    },
+
+    // Operational work through /api/admin; every action is written to the
+    // audit log (AdminAuditLog)
+    ADMIN: {
+        // Sessions cancelled per bulk request; run it again for the rest
+        MAX_BULK_SESSIONS: 200,
+        PAGE_SIZE: 50
+    },
+
+    // What an audit log entry records
+    ADMIN_ACTION: {
+        SET_ROLE: 'set_role',
+        CANCEL_SESSIONS: 'cancel_sessions',
+        CLEAR_SESSION_LOCKS: 'clear_session_locks',
+        REVERSE_TRANSACTION: 'reverse_transaction',
+        CREATE_PROMO_CODE: 'create_promo_code',
+        UPDATE_PROMO_CODE: 'update_promo_code',
+        DELETE_PROMO_CODE: 'delete_promo_code',
+        RESOLVE_DISPUTE: 'resolve_dispute'
+    },
+
+    // Signed links sent by email (see AccountService)
+    ACCOUNT_TOKEN: {
+        PURPOSE: {
+            VERIFY_EMAIL: 'verify_email',
+            RESET_PASSWORD: 'reset_password'
+        },
+        VERIFY_EMAIL_EXPIRE: '48h',
+        RESET_PASSWORD_EXPIRE: '1h',
+        // Unverified accounts can still sign in, but can't book sessions
+        REQUIRE_VERIFIED_TO_BOOK: process.env.REQUIRE_VERIFIED_EMAIL === 'true'
+    },
+
+    // Outgoing email (see MailService). 'console' logs messages, 'file'
+    // writes .eml files to OUTBOX_DIR, 'smtp' sends them
+    MAIL: {
+        TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+        FROM: process.env.MAIL_FROM || 'SkillVault <no-reply@skillvault.local>',
+        OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || 'mail-outbox'
+    },
+
     // Session statuses
     SESSION_STATUS: {
         PENDING: 'pending',
@@ -16,7 +151,23 @@ module.exports = {
         IN_PROGRESS: 'in_progress',
         COMPLETED: 'completed',
         CANCELLED: 'cancelled',
-        DISPUTED: 'disputed'
+        DISPUTED: 'disputed',
+        NO_SHOW: 'no_show'
+    },
+
+    // Who made a status change: a user action or a background job
+    STATUS_ACTOR: {
+        USER: 'user',
+        SYSTEM: 'system',
+        ADMIN: 'admin' // staff, through /api/admin
+    },
+
+    // Background session lifecycle job
+    SESSION_SCHEDULER: {
+        // How often overdue sessions are scanned
+        INTERVAL_MS: 60 * 1000,
+        // Minutes after a session's end before it is settled automatically
+        COMPLETION_GRACE_MINUTES: 15
     },
 
     // Transaction types
@@ -25,7 +176,9 @@ module.exports = {
         DEBIT: 'debit',
         INITIAL: 'initial',
         REFUND: 'refund',
-        BONUS: 'bonus'
+        BONUS: 'bonus',
+        HOLD: 'hold',
+        RELEASE: 'release'
     },
 
     // Transaction statuses
@@ -36,6 +189,217 @@ module.exports = {
         REVERSED: 'reversed'
     },
 
+    // Escrow states for credits reserved against a session
+    ESCROW_STATUS: {
+        NONE: 'none',
+        HELD: 'held',
+        RELEASED: 'released',
+        CAPTURED: 'captured'
+    },
+
+    // Cancellation policy applied by SessionService.cancelSession
+    CANCELLATION_POLICY: {
+        // Cancelling earlier than this refunds the student in full
+        FULL_REFUND_WINDOW_HOURS: 24,
+        // Share of the cost refunded when the student cancels inside the window
+        // (the rest goes to the tutor as a late-cancellation fee)
+        LATE_CANCEL_REFUND_PERCENT: 50,
+        // Minutes after the start time before a missing tutor counts as a no-show
+        NO_SHOW_GRACE_MINUTES: 15,
+        // Bonus credits paid to the student when the tutor doesn't show up
+        TUTOR_NO_SHOW_BONUS: 1
+    },
+
+    // Outcomes recorded on a cancelled session
+    CANCELLATION_OUTCOME: {
+        FULL_REFUND: 'full_refund',
+        PARTIAL_REFUND: 'partial_refund',
+        TUTOR_NO_SHOW: 'tutor_no_show'
+    },
+
+    // Hours after completion during which either party can open a dispute
+    DISPUTE_WINDOW_HOURS: 72,
+
+    // Ways an admin can resolve a dispute
+    DISPUTE_RESOLUTION: {
+        UPHOLD: 'uphold',   // tutor keeps the payment
+        REFUND: 'refund',   // student gets the full payment back
+        SPLIT: 'split'      // payment is divided between both parties
+    },
+
+    // Limits on peer-to-peer credit transfers from the wallet
+    PEER_TRANSFER: {
+        // Credits a user can send in one UTC day
+        DAILY_AMOUNT_LIMIT: 20,
+        // Transfers a user can make in one UTC day
+        DAILY_COUNT_LIMIT: 10,
+        MEMO_MAX_LENGTH: 140
+    },
+
+    // Tags stored in Transaction.metadata.kind to tell entries of the same type apart
+    LEDGER_KIND: {
+        PEER_TRANSFER: 'peer_transfer',     // wallet gift between users
+        REVERSAL: 'reversal',               // compensating transfer written by an admin reversal
+        CREDIT_EXPIRY: 'credit_expiry',     // promotional credits removed when they expire (no counterparty)
+        PROMO_CODE: 'promo_code',           // bonus from redeeming a promo code
+        REFERRAL: 'referral',               // bonus for a referral after the referee's first session
+        SESSION_PACKAGE: 'session_package'  // hold or refund for a prepaid session package
+    },
+
+    // Bonus credits paid once a referred user completes their first session
+    REFERRAL_BONUS: {
+        REFERRER: 2,
+        REFEREE: 2
+    },
+
+    // Expiry for promotional (initial and bonus) credits. Each grant is tracked
+    // separately and spending uses the oldest grants first. 0 disables expiry.
+    CREDIT_EXPIRY: {
+        INITIAL_DAYS: parseInt(process.env.INITIAL_CREDIT_EXPIRY_DAYS || '180', 10),
+        BONUS_DAYS: parseInt(process.env.BONUS_CREDIT_EXPIRY_DAYS || '90', 10),
+        // Grants expiring within this many days are shown as warnings
+        WARNING_DAYS: 14,
+        // How often the expiry job runs
+        INTERVAL_MS: 60 * 60 * 1000
+    },
+
+    // Session pricing rules, applied by PricingService
+    PRICING: {
+        // Hourly rate a tutor may charge, by proficiency level
+        RATE_RANGES: {
+            Beginner: { MIN: 0.5, MAX: 2 },
+            Intermediate: { MIN: 1, MAX: 3 },
+            Advanced: { MIN: 1, MAX: 5 },
+            Expert: { MIN: 2, MAX: 8 }
+        },
+        // Widest bounds across all levels, for schema and request validation
+        MIN_HOURLY_RATE: 0.5,
+        MAX_HOURLY_RATE: 8,
+        // Highest first-session or off-peak discount a tutor can set (percent)
+        MAX_DISCOUNT_PERCENT: 50,
+        // Discounts combined never take more than this off the base price (percent)
+        MAX_TOTAL_DISCOUNT_PERCENT: 50,
+        // No session is priced below this (matches Session.creditCost)
+        MIN_SESSION_PRICE: 0.5,
+        // Prepaid package offers per skill, and sessions per package
+        MAX_PACKAGE_OFFERS: 3,
+        PACKAGE_MIN_SESSIONS: 2,
+        PACKAGE_MAX_SESSIONS: 20
+    },
+
+    // Prepaid session packages bought by students
+    PACKAGE_STATUS: {
+        ACTIVE: 'active',         // sessions left to book
+        EXHAUSTED: 'exhausted',   // every session has been booked
+        CANCELLED: 'cancelled'    // unused sessions refunded to the student
+    },
+
+    // Recurring session series booked in one go
+    RECURRENCE: {
+        FREQUENCY: {
+            WEEKLY: 'weekly',
+            BIWEEKLY: 'biweekly'
+        },
+        // Days between occurrences for each frequency
+        INTERVAL_DAYS: {
+            weekly: 7,
+            biweekly: 14
+        },
+        MIN_OCCURRENCES: 2,
+        MAX_OCCURRENCES: 26
+    },
+
+    // Waitlist for tutors with no open time at the slot a student wants
+    WAITLIST: {
+        // How long a freed slot is held for the next student in line
+        HOLD_MINUTES: 60,
+        // Open entries (waiting or holding a slot) a student can have at once
+        MAX_ACTIVE_PER_STUDENT: 10,
+        // How often lapsed holds are passed on
+        INTERVAL_MS: 60 * 1000
+    },
+
+    WAITLIST_STATUS: {
+        WAITING: 'waiting',       // in line for a slot or for any opening
+        OFFERED: 'offered',       // holding a freed slot until hold.expiresAt
+        BOOKED: 'booked',         // the held slot was booked
+        EXPIRED: 'expired',       // the hold lapsed, or the wanted slot passed
+        CANCELLED: 'cancelled'    // the student left the waitlist
+    },
+
+    // Small-group sessions a tutor opens for several students (Session.capacity > 1)
+    GROUP_SESSION: {
+        MIN_CAPACITY: 2,
+        // The call is a full mesh (every participant connects to every other),
+        // so a group is capped at this many students plus the tutor
+        MAX_CAPACITY: 5,
+        // Default seat price as a percent of the tutor's private-session price
+        DEFAULT_SEAT_PERCENT: 60
+    },
+
+    // A student's seat in a group session
+    ENROLLMENT_STATUS: {
+        ENROLLED: 'enrolled',
+        WITHDRAWN: 'withdrawn'
+    },
+
+    // How a seat's escrow was settled
+    SEAT_OUTCOME: {
+        ATTENDED: 'attended',     // joined the call (or no attendance data); paid to the tutor
+        ABSENT: 'absent',         // never joined; paid to the tutor, as for a private no-show
+        REFUNDED: 'refunded',     // tutor cancelled or didn't show; returned to the student
+        WITHDRAWN: 'withdrawn'    // student left; refunded under the cancellation policy
+    },
+
+    // Tutor weekly availability (User.availability.weeklySchedule)
+    AVAILABILITY: {
+        // weeklySchedule keys, in Date#getDay() order
+        WEEKDAYS: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+        // Bookable slots start on this grid within each window
+        SLOT_STEP_MINUTES: 30,
+        // Longest range GET /api/users/:id/slots returns at once
+        MAX_SLOT_RANGE_DAYS: 31,
+        MAX_WINDOWS_PER_DAY: 6,
+        // One-off changes to a single date: extra hours, or hours (or the whole day) blocked
+        EXCEPTION_KIND: {
+            EXTRA: 'extra',
+            BLOCKED: 'blocked'
+        },
+        MAX_EXCEPTIONS: 100,
+        MAX_VACATIONS: 20,
+        MAX_NOTICE_HOURS: 14 * 24,
+        MAX_BUFFER_MINUTES: 120
+    },
+
+    // iCalendar feed and session invites
+    CALENDAR: {
+        PRODID: '-//SkillVault//Sessions//EN',
+        // Event UIDs are session-<id>@UID_DOMAIN, so every update replaces the same event
+        UID_DOMAIN: 'skillvault',
+        // The feed keeps recent past sessions so cancellations still reach subscribers
+        FEED_PAST_DAYS: 30,
+        FEED_MAX_EVENTS: 500
+    },
+
+    // Daily balance history for the wallet chart
+    BALANCE_HISTORY: {
+        // Longest range a single request may ask for
+        MAX_RANGE_DAYS: 366,
+        // How often completed days are written to BalanceSnapshot
+        SNAPSHOT_INTERVAL_MS: 60 * 60 * 1000,
+        // Days materialized per job run, so a first backfill is spread out
+        SNAPSHOT_MAX_DAYS_PER_RUN: 31
+    },
+
+    // Kinds of ledger breaks reported by ReconciliationService
+    RECONCILIATION_ISSUE: {
+        BALANCE_MISMATCH: 'balance_mismatch',   // replayed history != stored creditBalance
+        HELD_MISMATCH: 'held_mismatch',         // open holds != stored heldBalance
+        CHAIN_BREAK: 'chain_break',             // balanceBefore doesn't follow the previous balanceAfter
+        UNPAIRED_DEBIT: 'unpaired_debit',       // debit with no matching credit
+        PAIR_MISMATCH: 'pair_mismatch'          // paired transactions disagree (amount, parties, back-link)
+    },
+
     // Skill categories
     SKILL_CATEGORIES: [
         'Programming',
@@ -0,0 +1,404 @@
+const { PromoCode } = require('../models');
+const { ReconciliationService, TransactionService, AdminService } = require('../services');
+const { ADMIN_ACTION } = require('../config/constants');
+
+// Record the staff action this request took in the audit log
+const audit = (req, entry) => AdminService.audit(req.user, { ...entry, ip: req.ip });
+
+// Fields an admin can set on a promo code
+const PROMO_CODE_FIELDS = ['code', 'description', 'amount', 'maxRedemptions', 'expiresAt', 'isActive'];
+
+const pickPromoFields = (body) => {
+    const fields = {};
+    PROMO_CODE_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    });
+    return fields;
+};
+
+/**
+ * Admin Controller
+ * Handles operator-only tooling
+ */
+const adminController = {
+    /**
+     * Reconcile the credit ledger and return the report
+     * GET /api/admin/reconciliation
+     */
+    getReconciliationReport: async (req, res, next) => {
+        try {
+            const report = await ReconciliationService.reconcile({
+                userId: req.query.userId
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    report
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Reverse a completed transfer
+     * POST /api/admin/transactions/:id/reverse
+     */
+    reverseTransaction: async (req, res, next) => {
+        try {
+            const result = await TransactionService.reverseTransfer(
+                req.params.id,
+                req.user._id,
+                req.body.reason
+            );
+
+            await audit(req, {
+                action: ADMIN_ACTION.REVERSE_TRANSACTION,
+                targetType: 'transaction',
+                targetIds: result.reversedTransactions,
+                reason: req.body.reason,
+                result: {
+                    debitTransaction: result.debitTransaction._id,
+                    creditTransaction: result.creditTransaction._id
+                }
+            });
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (error.message.includes('reason') ||
+                error.message.includes('can be reversed') ||
+                error.message.includes('cannot itself') ||
+                error.message.includes('already reversed') ||
+                error.message.includes('negative')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * List promo codes
+     * GET /api/admin/promo-codes
+     */
+    listPromoCodes: async (req, res, next) => {
+        try {
+            const promoCodes = await PromoCode.find()
+                .sort({ createdAt: -1 });
+
+            res.json({
+                success: true,
+                data: {
+                    promoCodes
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Create a promo code
+     * POST /api/admin/promo-codes
+     */
+    createPromoCode: async (req, res, next) => {
+        try {
+            const promoCode = await PromoCode.create({
+                ...pickPromoFields(req.body),
+                createdBy: req.user._id
+            });
+
+            await audit(req, {
+                action: ADMIN_ACTION.CREATE_PROMO_CODE,
+                targetType: 'promo_code',
+                targetIds: [promoCode._id],
+                params: pickPromoFields(req.body)
+            });
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    promoCode
+                }
+            });
+
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'A promo code with this code already exists'
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Update a promo code
+     * PUT /api/admin/promo-codes/:id
+     */
+    updatePromoCode: async (req, res, next) => {
+        try {
+            const promoCode = await PromoCode.findByIdAndUpdate(
+                req.params.id,
+                { $set: pickPromoFields(req.body) },
+                { new: true, runValidators: true }
+            );
+
+            if (!promoCode) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Promo code not found'
+                });
+            }
+
+            await audit(req, {
+                action: ADMIN_ACTION.UPDATE_PROMO_CODE,
+                targetType: 'promo_code',
+                targetIds: [promoCode._id],
+                params: pickPromoFields(req.body)
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    promoCode
+                }
+            });
+
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'A promo code with this code already exists'
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Delete a promo code. Codes that were redeemed are referenced from the
+     * ledger, so they are deactivated instead of removed.
+     * DELETE /api/admin/promo-codes/:id
+     */
+    deletePromoCode: async (req, res, next) => {
+        try {
+            const promoCode = await PromoCode.findById(req.params.id);
+
+            if (!promoCode) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Promo code not found'
+                });
+            }
+
+            if (promoCode.redemptionCount > 0) {
+                promoCode.isActive = false;
+                await promoCode.save();
+            } else {
+                await promoCode.deleteOne();
+            }
+
+            await audit(req, {
+                action: ADMIN_ACTION.DELETE_PROMO_CODE,
+                targetType: 'promo_code',
+                targetIds: [promoCode._id],
+                params: { code: promoCode.code },
+                result: { deleted: promoCode.redemptionCount === 0 }
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    deleted: promoCode.redemptionCount === 0,
+                    deactivated: promoCode.redemptionCount > 0
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Find users to manage
+     * GET /api/admin/users
+     */
+    listUsers: async (req, res, next) => {
+        try {
+            const result = await AdminService.listUsers({
+                search: req.query.search,
+                role: req.query.role,
+                page: parseInt(req.query.page || '1', 10)
+            });
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Change a user's role
+     * PUT /api/admin/users/:id/role
+     */
+    setUserRole: async (req, res, next) => {
+        try {
+            const { role, reason } = req.body;
+            const { user, previousRole } = await AdminService.setRole(req.user._id, req.params.id, role);
+
+            await audit(req, {
+                action: ADMIN_ACTION.SET_ROLE,
+                targetType: 'user',
+                targetIds: [user._id],
+                reason,
+                params: { role },
+                result: { previousRole }
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    user: {
+                        id: user._id,
+                        email: user.email,
+                        fullName: user.fullName,
+                        role: user.role,
+                        effectiveRole: user.getEffectiveRole()
+                    },
+                    previousRole
+                }
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (error.message.includes('Invalid role') || error.message.includes('your own role')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Cancel active sessions in bulk with full refunds
+     * POST /api/admin/sessions/cancel
+     */
+    cancelSessions: async (req, res, next) => {
+        try {
+            const { sessionIds, userId, statuses, all, reason, dryRun } = req.body;
+            const filter = { sessionIds, userId, statuses, all };
+
+            const result = await AdminService.cancelSessions(req.user._id, filter, { reason, dryRun });
+
+            // A dry run changes nothing, so there is nothing to audit
+            if (!dryRun) {
+                await audit(req, {
+                    action: ADMIN_ACTION.CANCEL_SESSIONS,
+                    targetType: 'session',
+                    targetIds: result.cancelled.map(s => s.id),
+                    reason,
+                    params: filter,
+                    result: { matched: result.matched, failed: result.failed, remaining: result.remaining }
+                });
+            }
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('Choose sessions')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Release stuck session locks
+     * POST /api/admin/sessions/clear-locks
+     */
+    clearSessionLocks: async (req, res, next) => {
+        try {
+            const { sessionIds, force, reason } = req.body;
+            const result = await AdminService.clearSessionLocks({ sessionIds, force });
+
+            await audit(req, {
+                action: ADMIN_ACTION.CLEAR_SESSION_LOCKS,
+                targetType: 'session',
+                targetIds: result.sessions.map(s => s.id),
+                reason,
+                params: { sessionIds, force: Boolean(force) },
+                result: { cleared: result.cleared }
+            });
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Staff actions, newest first
+     * GET /api/admin/audit-log
+     */
+    getAuditLog: async (req, res, next) => {
+        try {
+            const result = await AdminService.listAuditLog({
+                action: req.query.action,
+                actorId: req.query.actor,
+                targetId: req.query.target,
+                page: parseInt(req.query.page || '1', 10)
+            });
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+};
+
+module.exports = adminController;
@@ -1,6 +1,65 @@
 const { User } = require('../models');
-const { TransactionService } = require('../services');
-const { TRANSACTION_TYPE, INITIAL_CREDITS } = require('../config/constants');
+const { AvailabilityService, AuthService, AccountService, TwoFactorService, OAuthService } = require('../services');
+const { AUTH_REVOKE_REASON, OAUTH } = require('../config/constants');
+
+// Shown in the signed-in devices list
+const deviceInfo = (req) => ({ userAgent: req.get('User-Agent'), ip: req.ip });
+
+// Last step of login (after the password, and the 2FA code if it's on):
+// sign in on this device and send the tokens and profile
+const completeLogin = async (req, res, user) => {
+    const { token, refreshToken } = await AuthService.signIn(user, deviceInfo(req));
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    res.json({
+        success: true,
+        data: {
+            user: {
+                id: user._id,
+                email: user.email,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                fullName: user.fullName,
+                creditBalance: user.creditBalance,
+                avatar: user.avatar,
+                isVerified: user.isVerified,
+                role: user.getEffectiveRole(),
+                bio: user.bio,
+                teachingSkills: user.teachingSkills || [],
+                learningInterests: user.learningInterests || [],
+                stats: user.stats || {
+                    totalSessionsTaught: 0,
+                    totalSessionsLearned: 0,
+                    totalHoursTaught: 0,
+                    totalHoursLearned: 0,
+                    averageRating: 0,
+                    totalRatings: 0
+                }
+            },
+            token,
+            refreshToken
+        }
+    });
+};
+
+// Once the user has proven who they are (password or sign-in provider):
+// with 2FA on, that only earns a challenge for the second step
+const finishFirstFactor = async (req, res, user) => {
+    if (user.twoFactor?.enabled) {
+        return res.json({
+            success: true,
+            data: {
+                twoFactorRequired: true,
+                challengeToken: TwoFactorService.createLoginChallenge(user)
+            }
+        });
+    }
+
+    await completeLogin(req, res, user);
+};
 
 /**
  * Auth Controller
@@ -13,7 +72,7 @@ const authController = {
      */
     register: async (req, res, next) => {
         try {
-            const { email, password, firstName, lastName } = req.body;
+            const { email, password, firstName, lastName, referralCode, timezone } = req.body;
 
             // Check if user already exists
             const existingUser = await User.findOne({ email: email.toLowerCase() });
@@ -24,26 +83,44 @@ const authController = {
                 });
             }
 
+            // Resolve the referral link, if the user signed up through one
+            let referrer = null;
+            if (referralCode) {
+                referrer = await User.findOne({
+                    referralCode: referralCode.toUpperCase(),
+                    isActive: true
+                }).select('_id');
+
+                if (!referrer) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid referral code'
+                    });
+                }
+            }
+
             // Create new user
             const user = new User({
                 email: email.toLowerCase(),
                 password,
                 firstName,
-                lastName
+                lastName,
+                referredBy: referrer ? referrer._id : null,
+                // The browser's zone, so times show in local time before any hours are set
+                ...(timezone && AvailabilityService.isValidTimeZone(timezone) && { availability: { timezone } })
             });
 
             await user.save();
 
             // Create initial credit transaction (welcome bonus)
-            await TransactionService.credit(
-                user._id,
-                INITIAL_CREDITS,
-                TRANSACTION_TYPE.INITIAL,
-                'Welcome bonus credits'
-            );
+            await AccountService.grantWelcomeCredits(user._id);
+
+            // Sign in on this device
+            const { token, refreshToken } = await AuthService.signIn(user, deviceInfo(req));
 
-            // Generate token
-            const token = user.generateAuthToken();
+            // The account works without it; booking may need a verified address
+            AccountService.sendVerificationEmail(user)
+                .catch(error => console.error('Failed to send verification email:', error));
 
             // Update last login and refresh user to get updated creditBalance
             user.lastLogin = new Date();
@@ -62,9 +139,11 @@ const authController = {
                         lastName: updatedUser.lastName,
                         fullName: updatedUser.fullName,
                         creditBalance: updatedUser.creditBalance,
-                        avatar: updatedUser.avatar
+                        avatar: updatedUser.avatar,
+                        isVerified: updatedUser.isVerified
                     },
-                    token
+                    token,
+                    refreshToken
                 }
             });
 
@@ -108,41 +187,353 @@ const authController = {
                 });
             }
 
-            // Generate token
-            const token = user.generateAuthToken();
+            await finishFirstFactor(req, res, user);
 
-            // Update last login
-            user.lastLogin = new Date();
-            await user.save();
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Second login step for accounts with 2FA
+     * POST /api/auth/login/2fa
+     */
+    loginTwoFactor: async (req, res, next) => {
+        try {
+            const { challengeToken, code } = req.body;
+
+            const userId = TwoFactorService.readLoginChallenge(challengeToken);
+            const user = await User.findById(userId);
+
+            if (!user || !user.isActive) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Account is deactivated'
+                });
+            }
+
+            if (!(await TwoFactorService.verify(user._id, code))) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid authentication code'
+                });
+            }
+
+            await completeLogin(req, res, user);
+
+        } catch (error) {
+            if (error.message.includes('Sign-in attempt expired')) {
+                return res.status(401).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Re-authenticate this device before a sensitive action
+     * POST /api/auth/step-up
+     */
+    stepUp: async (req, res, next) => {
+        try {
+            await TwoFactorService.stepUp(req.user, req.authSessionId, req.body);
 
             res.json({
                 success: true,
-                data: {
-                    user: {
-                        id: user._id,
-                        email: user.email,
-                        firstName: user.firstName,
-                        lastName: user.lastName,
-                        fullName: user.fullName,
-                        creditBalance: user.creditBalance,
-                        avatar: user.avatar,
-                        bio: user.bio,
-                        teachingSkills: user.teachingSkills || [],
-                        learningInterests: user.learningInterests || [],
-                        stats: user.stats || {
-                            totalSessionsTaught: 0,
-                            totalSessionsLearned: 0,
-                            totalHoursTaught: 0,
-                            totalHoursLearned: 0,
-                            averageRating: 0,
-                            totalRatings: 0
-                        }
-                    },
-                    token
-                }
+                message: 'Confirmed'
+            });
+
+        } catch (error) {
+            if (error.message.includes('incorrect') || error.message.includes('Invalid authentication code')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Two-factor status
+     * GET /api/auth/2fa
+     */
+    getTwoFactor: async (req, res, next) => {
+        try {
+            const twoFactor = await TwoFactorService.getStatus(req.user._id);
+
+            res.json({
+                success: true,
+                data: { twoFactor }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Start 2FA setup: a secret and its QR code
+     * POST /api/auth/2fa/setup
+     */
+    setupTwoFactor: async (req, res, next) => {
+        try {
+            const setup = await TwoFactorService.beginSetup(req.user);
+
+            res.json({
+                success: true,
+                data: setup
+            });
+
+        } catch (error) {
+            if (error.message.includes('already on')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Turn 2FA on with a code from the new secret
+     * POST /api/auth/2fa/enable
+     */
+    enableTwoFactor: async (req, res, next) => {
+        try {
+            const recoveryCodes = await TwoFactorService.enable(req.user._id, req.body.code);
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication is on',
+                data: { recoveryCodes }
+            });
+
+        } catch (error) {
+            if (error.message.includes('already on') ||
+                error.message.includes('setup first') ||
+                error.message.includes('Invalid authentication code')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Turn 2FA off
+     * POST /api/auth/2fa/disable
+     */
+    disableTwoFactor: async (req, res, next) => {
+        try {
+            await TwoFactorService.disable(req.user._id);
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication is off'
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Replace the recovery codes
+     * POST /api/auth/2fa/recovery-codes
+     */
+    regenerateRecoveryCodes: async (req, res, next) => {
+        try {
+            const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user._id);
+
+            res.json({
+                success: true,
+                data: { recoveryCodes }
+            });
+
+        } catch (error) {
+            if (error.message.includes('not on')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Sign-in providers that are set up
+     * GET /api/auth/oauth/providers
+     */
+    getOAuthProviders: async (req, res, next) => {
+        try {
+            res.json({
+                success: true,
+                data: { providers: OAuthService.listProviders() }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Start signing in with a provider
+     * POST /api/auth/oauth/:provider/start
+     */
+    startOAuth: async (req, res, next) => {
+        try {
+            const flow = await OAuthService.startFlow(req.params.provider);
+
+            res.json({
+                success: true,
+                data: flow
+            });
+
+        } catch (error) {
+            if (error.message.includes('Unknown sign-in provider')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Start linking a provider to the current account
+     * POST /api/auth/oauth/:provider/link
+     */
+    startOAuthLink: async (req, res, next) => {
+        try {
+            const flow = await OAuthService.startFlow(req.params.provider, {
+                mode: OAUTH.MODE.LINK,
+                userId: req.user._id
+            });
+
+            res.json({
+                success: true,
+                data: flow
+            });
+
+        } catch (error) {
+            if (error.message.includes('Unknown sign-in provider')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Finish a provider sign-in or link with the code it redirected back with
+     * POST /api/auth/oauth/callback
+     */
+    oauthCallback: async (req, res, next) => {
+        try {
+            const flow = OAuthService.readFlow(req.body);
+
+            // Only the account that started linking can finish it. Checked
+            // before the code is used, so the request can be retried.
+            if (flow.mode === OAUTH.MODE.LINK && !(req.user && req.user._id.equals(flow.userId))) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Sign in to link this account'
+                });
+            }
+
+            const profile = await OAuthService.fetchProfile(flow, req.body.code);
+
+            if (flow.mode === OAUTH.MODE.LINK) {
+                await OAuthService.link(req.user._id, flow.provider, profile);
+
+                return res.json({
+                    success: true,
+                    message: `${OAUTH.PROVIDERS[flow.provider].name} account linked`,
+                    data: await OAuthService.listAccounts(req.user._id)
+                });
+            }
+
+            const { user } = await OAuthService.signIn(flow.provider, profile);
+            await finishFirstFactor(req, res, user);
+
+        } catch (error) {
+            if (error.message.includes('Account is deactivated') || error.message.includes('Sign-in attempt expired')) {
+                return res.status(401).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (
+                error.message.includes('Sign-in provider') ||
+                error.message.includes('Unknown sign-in provider') ||
+                error.message.includes('no verified email') ||
+                error.message.includes('already exists') ||
+                error.message.includes('already linked') ||
+                error.message.includes('linked to a different') ||
+                error.message.includes('Unlink your current')
+            ) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Providers linked to the current account
+     * GET /api/auth/oauth/accounts
+     */
+    getOAuthAccounts: async (req, res, next) => {
+        try {
+            res.json({
+                success: true,
+                data: await OAuthService.listAccounts(req.user._id)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Unlink a provider from the current account
+     * DELETE /api/auth/oauth/:provider
+     */
+    unlinkOAuth: async (req, res, next) => {
+        try {
+            await OAuthService.unlink(req.user._id, req.params.provider);
+
+            res.json({
+                success: true,
+                message: 'Sign-in provider unlinked',
+                data: await OAuthService.listAccounts(req.user._id)
             });
 
         } catch (error) {
+            if (error.message.includes('not linked')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (error.message.includes('Set a password first')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
             next(error);
         }
     },
@@ -165,7 +556,11 @@ const authController = {
                         lastName: user.lastName,
                         fullName: user.fullName,
                         creditBalance: user.creditBalance,
+                        heldBalance: user.heldBalance || 0,
+                        referralCode: user.referralCode,
                         avatar: user.avatar,
+                        isVerified: user.isVerified,
+                        role: user.getEffectiveRole(),
                         bio: user.bio,
                         teachingSkills: user.teachingSkills || [],
                         learningInterests: user.learningInterests || [],
@@ -177,7 +572,7 @@ const authController = {
                             averageRating: 0,
                             totalRatings: 0
                         },
-                        availability: user.availability,
+                        availability: AvailabilityService.toJSON(user.availability),
                         createdAt: user.createdAt
                     }
                 }
@@ -203,6 +598,29 @@ const authController = {
                 }
             });
 
+            // Bookings are checked against the schedule in the tutor's timezone
+            if (updates.availability) {
+                const {
+                    timezone,
+                    weeklySchedule,
+                    exceptions = [],
+                    vacations = [],
+                    minNoticeHours = 0,
+                    bufferMinutes = 0
+                } = updates.availability;
+                const availability = { timezone, weeklySchedule, exceptions, vacations, minNoticeHours, bufferMinutes };
+
+                try {
+                    AvailabilityService.validateAvailability(availability);
+                } catch (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+                updates.availability = availability;
+            }
+
             const user = await User.findByIdAndUpdate(
                 req.user._id,
                 { $set: updates },
@@ -220,7 +638,7 @@ const authController = {
                         fullName: user.fullName,
                         bio: user.bio,
                         avatar: user.avatar,
-                        availability: user.availability
+                        availability: AvailabilityService.toJSON(user.availability)
                     }
                 }
             });
@@ -251,9 +669,215 @@ const authController = {
             user.password = newPassword;
             await user.save();
 
+            // Tokens issued before the change stop working everywhere; this
+            // device gets a fresh pair so it stays signed in
+            await AuthService.signOutAll(user._id, AUTH_REVOKE_REASON.PASSWORD_CHANGE);
+            const { token, refreshToken } = await AuthService.signIn(user, deviceInfo(req));
+
+            res.json({
+                success: true,
+                message: 'Password updated successfully. Other devices have been signed out.',
+                data: { token, refreshToken }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Confirm an email address from the emailed link
+     * POST /api/auth/verify-email
+     */
+    verifyEmail: async (req, res, next) => {
+        try {
+            await AccountService.verifyEmail(req.body.token);
+
+            res.json({
+                success: true,
+                message: 'Email address verified'
+            });
+
+        } catch (error) {
+            if (error.message.includes('link')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Send the verification email again
+     * POST /api/auth/verify-email/resend
+     */
+    resendVerification: async (req, res, next) => {
+        try {
+            await AccountService.sendVerificationEmail(req.user);
+
+            res.json({
+                success: true,
+                message: `Verification email sent to ${req.user.email}`
+            });
+
+        } catch (error) {
+            if (error.message.includes('already verified')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Email a password reset link
+     * POST /api/auth/forgot-password
+     */
+    forgotPassword: async (req, res, next) => {
+        try {
+            await AccountService.requestPasswordReset(req.body.email);
+
+            // Same answer whether or not the address has an account
+            res.json({
+                success: true,
+                message: 'If that address has an account, a reset link is on its way'
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Set a new password from a reset link
+     * POST /api/auth/reset-password
+     */
+    resetPassword: async (req, res, next) => {
+        try {
+            await AccountService.resetPassword(req.body.token, req.body.password);
+
+            res.json({
+                success: true,
+                message: 'Password updated. Sign in with your new password.'
+            });
+
+        } catch (error) {
+            if (error.message.includes('link')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Swap a refresh token for a new access and refresh token
+     * POST /api/auth/refresh
+     */
+    refresh: async (req, res, next) => {
+        try {
+            const { token, refreshToken } = await AuthService.refresh(req.body.refreshToken, deviceInfo(req));
+
+            res.json({
+                success: true,
+                data: { token, refreshToken }
+            });
+
+        } catch (error) {
+            if (error.message.includes('refresh token') ||
+                error.message.includes('Refresh token') ||
+                error.message.includes('deactivated')) {
+                return res.status(401).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Sign out this device
+     * POST /api/auth/logout
+     */
+    logout: async (req, res, next) => {
+        try {
+            await AuthService.signOutDevice(req.user._id, req.authSessionId, AUTH_REVOKE_REASON.LOGOUT);
+
+            res.json({
+                success: true,
+                message: 'Signed out'
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * List signed-in devices
+     * GET /api/auth/devices
+     */
+    getDevices: async (req, res, next) => {
+        try {
+            const devices = await AuthService.listDevices(req.user._id, req.authSessionId);
+
+            res.json({
+                success: true,
+                data: { devices }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Sign out one device
+     * DELETE /api/auth/devices/:id
+     */
+    signOutDevice: async (req, res, next) => {
+        try {
+            await AuthService.signOutDevice(req.user._id, req.params.id);
+
+            res.json({
+                success: true,
+                message: 'Device signed out'
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Sign out every device except this one
+     * DELETE /api/auth/devices
+     */
+    signOutOtherDevices: async (req, res, next) => {
+        try {
+            const count = await AuthService.signOutAll(
+                req.user._id,
+                AUTH_REVOKE_REASON.SIGNED_OUT,
+                { except: req.authSessionId }
+            );
+
             res.json({
                 success: true,
-                message: 'Password updated successfully'
+                message: `${count} other device${count === 1 ? '' : 's'} signed out`,
+                data: { count }
             });
 
         } catch (error) {
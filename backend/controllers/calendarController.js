@@ -0,0 +1,79 @@
+const { CalendarService } = require('../services');
+
+// Feed URLs point back at this router, e.g. https://api.example.com/api/calendar/<token>.ics
+const buildFeedUrls = (req, token) => {
+    const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}.ics`;
+    return {
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:')
+    };
+};
+
+/**
+ * Calendar Controller
+ * Handles the iCalendar session feed
+ */
+const calendarController = {
+    /**
+     * Get the current user's feed URL, creating it on first use
+     * GET /api/calendar/feed
+     */
+    getFeedUrl: async (req, res, next) => {
+        try {
+            const token = await CalendarService.getFeedToken(req.user._id);
+
+            res.json({
+                success: true,
+                data: buildFeedUrls(req, token)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Replace the feed URL so the old one stops working
+     * POST /api/calendar/feed/reset
+     */
+    resetFeedUrl: async (req, res, next) => {
+        try {
+            const token = await CalendarService.resetFeedToken(req.user._id);
+
+            res.json({
+                success: true,
+                message: 'Calendar feed URL reset. Subscribe again with the new URL.',
+                data: buildFeedUrls(req, token)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Serve the feed itself to calendar clients
+     * GET /api/calendar/:token.ics
+     */
+    getFeed: async (req, res, next) => {
+        try {
+            const calendar = await CalendarService.getFeed(req.params.token);
+
+            res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+            res.setHeader('Content-Disposition', 'inline; filename="skillvault.ics"');
+            res.setHeader('Cache-Control', 'private, max-age=300');
+            res.send(calendar);
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    }
+};
+
+module.exports = calendarController;
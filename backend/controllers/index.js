@@ -2,10 +2,14 @@ const authController = require('./authController');
 const userController = require('./userController');
 const sessionController = require('./sessionController');
 const walletController = require('./walletController');
+const adminController = require('./adminController');
+const calendarController = require('./calendarController');
 
 module.exports = {
     authController,
     userController,
     sessionController,
-    walletController
+    walletController,
+    adminController,
+    calendarController
 };
@@ -1,4 +1,30 @@
-const { SessionService } = require('../services');
+const {
+    SessionService,
+    PricingService,
+    PackageService,
+    SeriesService,
+    CalendarService,
+    WaitlistService,
+    GroupSessionService,
+    AdminService
+} = require('../services');
+const { ADMIN_ACTION } = require('../config/constants');
+
+// Reschedule failures the client can act on (bad time, conflict, stale proposal)
+const isRescheduleError = (error) => [
+    'not found',
+    'Not authorized',
+    'conflicting',
+    'reschedule',
+    'proposal',
+    'future',
+    'started',
+    'passed',
+    'already scheduled',
+    'not available',
+    'Group sessions',
+    'try again'
+].some(text => error.message.includes(text));
 
 /**
  * Session Controller
@@ -6,25 +32,600 @@ const { SessionService } = require('../services');
  */
 const sessionController = {
     /**
-     * Book a new session
-     * POST /api/sessions
+     * Book a new session
+     * POST /api/sessions
+     */
+    bookSession: async (req, res, next) => {
+        try {
+            const { tutorId, skillName, skillCategory, scheduledAt, duration, notes, meetingType, packageId } = req.body;
+
+            const result = await SessionService.bookSession(
+                req.user._id,
+                tutorId,
+                {
+                    skillName,
+                    skillCategory,
+                    scheduledAt,
+                    duration,
+                    notes,
+                    meetingType,
+                    packageId
+                },
+                { timeZone: req.timeZone }
+            );
+
+            res.status(201).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('Insufficient credits') ||
+                error.message.includes('Cannot book') ||
+                error.message.includes('conflicting') ||
+                error.message.includes('not available') ||
+                error.message.includes('not offer') ||
+                error.message.includes('Package')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Get an itemized price for a booking without booking it
+     * POST /api/sessions/quote
+     */
+    getQuote: async (req, res, next) => {
+        try {
+            const { tutorId, skillName, skillCategory, scheduledAt, duration, packageId, recurrence } = req.body;
+            const data = { skillName, skillCategory, scheduledAt, duration, packageId };
+
+            // With a recurrence, quote every occurrence of the series
+            const quote = recurrence
+                ? await SeriesService.quoteSeries(req.user._id, tutorId, { ...data, recurrence })
+                : await PricingService.quoteSession(req.user._id, tutorId, data);
+
+            res.json({
+                success: true,
+                data: {
+                    quote
+                }
+            });
+
+        } catch (error) {
+            if (error.message === 'Tutor not found') {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (error.message.includes('Cannot book') ||
+                error.message.includes('not offer') ||
+                error.message.includes('Package') ||
+                error.message.includes('Repeat') ||
+                error.message.includes('series')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Book a recurring series of sessions
+     * POST /api/sessions/series
+     */
+    bookSeries: async (req, res, next) => {
+        try {
+            const { tutorId, skillName, skillCategory, scheduledAt, duration, notes, meetingType, packageId, recurrence } = req.body;
+
+            const result = await SeriesService.bookSeries(
+                req.user._id,
+                tutorId,
+                {
+                    skillName,
+                    skillCategory,
+                    scheduledAt,
+                    duration,
+                    notes,
+                    meetingType,
+                    packageId,
+                    recurrence
+                },
+                { timeZone: req.timeZone }
+            );
+
+            res.status(201).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message === 'Tutor not found') {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (error.message.includes('Insufficient credits') ||
+                error.message.includes('Cannot book') ||
+                error.message.includes('conflicting') ||
+                error.message.includes('not available') ||
+                error.message.includes('not offer') ||
+                error.message.includes('future') ||
+                error.message.includes('Package') ||
+                error.message.includes('Repeat') ||
+                error.message.includes('series')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Get a series with all of its sessions
+     * GET /api/sessions/series/:id
+     */
+    getSeries: async (req, res, next) => {
+        try {
+            const result = await SeriesService.getSeries(req.params.id, req.user._id);
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message === 'Series not found') {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (error.message.includes('Not authorized')) {
+                return res.status(403).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Confirm every pending session in a series (tutor)
+     * PUT /api/sessions/series/:id/confirm
+     */
+    confirmSeries: async (req, res, next) => {
+        try {
+            const result = await SeriesService.confirmSeries(req.params.id, req.user._id);
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found') ||
+                error.message.includes('Not authorized') ||
+                error.message.includes('Only the tutor')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Cancel every upcoming session in a series
+     * PUT /api/sessions/series/:id/cancel
+     */
+    cancelSeries: async (req, res, next) => {
+        try {
+            const { reason } = req.body;
+
+            const result = await SeriesService.cancelSeries(req.params.id, req.user._id, reason);
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found') ||
+                error.message.includes('Not authorized')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Propose a new time for every upcoming session in a series
+     * PUT /api/sessions/series/:id/reschedule
+     */
+    proposeSeriesReschedule: async (req, res, next) => {
+        try {
+            const { scheduledAt, note } = req.body;
+
+            const result = await SeriesService.proposeSeriesReschedule(
+                req.params.id,
+                req.user._id,
+                { scheduledAt, note },
+                { timeZone: req.timeZone }
+            );
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (isRescheduleError(error)) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Accept the other participant's proposed series move
+     * PUT /api/sessions/series/:id/reschedule/accept
+     */
+    acceptSeriesReschedule: async (req, res, next) => {
+        try {
+            const result = await SeriesService.acceptSeriesReschedule(req.params.id, req.user._id, { timeZone: req.timeZone });
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (isRescheduleError(error)) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Decline (or withdraw) a proposed series move
+     * PUT /api/sessions/series/:id/reschedule/decline
+     */
+    declineSeriesReschedule: async (req, res, next) => {
+        try {
+            const result = await SeriesService.declineSeriesReschedule(req.params.id, req.user._id);
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (isRescheduleError(error)) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Buy a tutor's prepaid session package
+     * POST /api/sessions/packages
+     */
+    purchasePackage: async (req, res, next) => {
+        try {
+            const { tutorId, skillName, skillCategory, offerId } = req.body;
+
+            const result = await PackageService.purchasePackage(req.user._id, tutorId, {
+                skillName,
+                skillCategory,
+                offerId
+            });
+
+            res.status(201).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message === 'Tutor not found') {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (error.message.includes('Insufficient') ||
+                error.message.includes('Cannot buy') ||
+                error.message.includes('not offer') ||
+                error.message.includes('Package')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Get the packages the user has bought
+     * GET /api/sessions/packages?tutorId=&status=
+     */
+    getMyPackages: async (req, res, next) => {
+        try {
+            const { tutorId, status } = req.query;
+
+            const packages = await PackageService.getPackages(req.user._id, { tutorId, status });
+
+            res.json({
+                success: true,
+                data: {
+                    packages
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Cancel a package and refund its unbooked sessions
+     * POST /api/sessions/packages/:id/cancel
+     */
+    cancelPackage: async (req, res, next) => {
+        try {
+            const result = await PackageService.cancelPackage(req.params.id, req.user._id);
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('Package not found')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Get the student's waitlist entries and any slots held for them
+     * GET /api/sessions/waitlist
+     */
+    getMyWaitlist: async (req, res, next) => {
+        try {
+            const entries = await WaitlistService.getStudentEntries(req.user._id);
+
+            res.json({
+                success: true,
+                data: {
+                    entries
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Join a tutor's waitlist for one slot or for any opening
+     * POST /api/sessions/waitlist
+     */
+    joinWaitlist: async (req, res, next) => {
+        try {
+            const { tutorId, skillName, skillCategory, duration, scheduledAt } = req.body;
+
+            const entry = await WaitlistService.join(req.user._id, tutorId, {
+                skillName,
+                skillCategory,
+                duration,
+                scheduledAt
+            });
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    entry
+                }
+            });
+
+        } catch (error) {
+            if (error.message.includes('Tutor not found')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (error.message.includes('Cannot join') ||
+                error.message.includes('not offer') ||
+                error.message.includes('future') ||
+                error.message.includes('open') ||
+                error.message.includes('already') ||
+                error.message.includes('at most')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Book the slot a waitlist hold is keeping for the student
+     * POST /api/sessions/waitlist/:id/book
+     */
+    bookWaitlistHold: async (req, res, next) => {
+        try {
+            const { notes, meetingType, packageId } = req.body;
+
+            const entry = await WaitlistService.getHeldEntry(req.params.id, req.user._id);
+            const result = await SessionService.bookSession(
+                req.user._id,
+                entry.tutor,
+                {
+                    skillName: entry.skill.name,
+                    skillCategory: entry.skill.category,
+                    scheduledAt: entry.hold.scheduledAt,
+                    duration: entry.duration,
+                    notes,
+                    meetingType,
+                    packageId
+                },
+                { timeZone: req.timeZone }
+            );
+
+            res.status(201).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('hold not found')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (error.message.includes('Insufficient credits') ||
+                error.message.includes('conflicting') ||
+                error.message.includes('not available') ||
+                error.message.includes('not offer') ||
+                error.message.includes('future') ||
+                error.message.includes('Package')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Leave a waitlist (a held slot goes to the next student)
+     * DELETE /api/sessions/waitlist/:id
+     */
+    leaveWaitlist: async (req, res, next) => {
+        try {
+            await WaitlistService.leave(req.params.id, req.user._id);
+
+            res.json({
+                success: true,
+                message: 'Removed from the waitlist'
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Open a group session (tutor)
+     * POST /api/sessions/group
      */
-    bookSession: async (req, res, next) => {
+    createGroupSession: async (req, res, next) => {
         try {
-            const { tutorId, skillName, skillCategory, scheduledAt, duration, notes, meetingType } = req.body;
+            const { skillName, skillCategory, scheduledAt, duration, capacity, seatPrice, notes } = req.body;
 
-            const result = await SessionService.bookSession(
-                req.user._id,
-                tutorId,
-                {
-                    skillName,
-                    skillCategory,
-                    scheduledAt,
-                    duration,
-                    notes,
-                    meetingType
+            const result = await GroupSessionService.createGroupSession(req.user._id, {
+                skillName,
+                skillCategory,
+                scheduledAt,
+                duration,
+                capacity,
+                seatPrice,
+                notes
+            }, { timeZone: req.timeZone });
+
+            res.status(201).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('seats') ||
+                error.message.includes('Seat price') ||
+                error.message.includes('future') ||
+                error.message.includes('conflicting') ||
+                error.message.includes('not available') ||
+                error.message.includes('not offer')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Upcoming group sessions with free seats, optionally for one tutor
+     * GET /api/sessions/group
+     */
+    getOpenGroupSessions: async (req, res, next) => {
+        try {
+            const sessions = await GroupSessionService.listOpen({
+                tutorId: req.query.tutorId || null,
+                viewerId: req.user._id
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    sessions
                 }
-            );
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Take a seat in a group session
+     * POST /api/sessions/:id/enroll
+     */
+    enrollInGroupSession: async (req, res, next) => {
+        try {
+            const result = await GroupSessionService.enroll(req.params.id, req.user._id, { timeZone: req.timeZone });
 
             res.status(201).json({
                 success: true,
@@ -32,10 +633,51 @@ const sessionController = {
             });
 
         } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
             if (error.message.includes('Insufficient credits') ||
                 error.message.includes('Cannot book') ||
                 error.message.includes('conflicting') ||
-                error.message.includes('not offer')) {
+                error.message.includes('no longer open') ||
+                error.message.includes('already') ||
+                error.message.includes('full') ||
+                error.message.includes('try again')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Give up a seat in a group session
+     * DELETE /api/sessions/:id/enroll
+     */
+    withdrawFromGroupSession: async (req, res, next) => {
+        try {
+            const result = await GroupSessionService.withdraw(req.params.id, req.user._id);
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (error.message.includes('do not have a seat') ||
+                error.message.includes('started') ||
+                error.message.includes('try again')) {
                 return res.status(400).json({
                     success: false,
                     error: error.message
@@ -55,7 +697,8 @@ const sessionController = {
 
             const session = await Session.findById(req.params.id)
                 .populate('tutor', 'firstName lastName avatar email stats.averageRating')
-                .populate('student', 'firstName lastName avatar email');
+                .populate('student', 'firstName lastName avatar email')
+                .populate('enrollments.student', 'firstName lastName avatar');
 
             if (!session) {
                 return res.status(404).json({
@@ -65,7 +708,7 @@ const sessionController = {
             }
 
             // Check if user is part of this session
-            if (!session.tutor._id.equals(req.user._id) && !session.student._id.equals(req.user._id)) {
+            if (!session.isParticipant(req.user._id)) {
                 return res.status(403).json({
                     success: false,
                     error: 'Not authorized to view this session'
@@ -84,6 +727,35 @@ const sessionController = {
         }
     },
 
+    /**
+     * Download a session as an iCalendar invite
+     * GET /api/sessions/:id/ics
+     */
+    getSessionInvite: async (req, res, next) => {
+        try {
+            const { filename, calendar } = await CalendarService.getSessionInvite(req.params.id, req.user._id);
+
+            res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            res.send(calendar);
+
+        } catch (error) {
+            if (error.message.includes('not found') || error.message.includes('Not authorized')) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+            if (error.message.includes('Only upcoming')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
     /**
      * Get user's sessions
      * GET /api/sessions
@@ -159,6 +831,7 @@ const sessionController = {
             if (error.message.includes('not found') ||
                 error.message.includes('already') ||
                 error.message.includes('Not authorized') ||
+                error.message.includes('after it ends') ||
                 error.message.includes('Insufficient')) {
                 return res.status(400).json({
                     success: false,
@@ -169,6 +842,35 @@ const sessionController = {
         }
     },
 
+    /**
+     * Preview the cancellation policy outcome
+     * GET /api/sessions/:id/cancel-preview
+     */
+    previewCancellation: async (req, res, next) => {
+        try {
+            const result = await SessionService.previewCancellation(
+                req.params.id,
+                req.user._id
+            );
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found') ||
+                error.message.includes('cannot be cancelled') ||
+                error.message.includes('Not authorized')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
     /**
      * Cancel a session
      * PUT /api/sessions/:id/cancel
@@ -201,6 +903,166 @@ const sessionController = {
         }
     },
 
+    /**
+     * Propose a new time for a session (or counter the other side's proposal)
+     * PUT /api/sessions/:id/reschedule
+     */
+    proposeReschedule: async (req, res, next) => {
+        try {
+            const { scheduledAt, note } = req.body;
+
+            const result = await SessionService.proposeReschedule(
+                req.params.id,
+                req.user._id,
+                { scheduledAt, note },
+                { timeZone: req.timeZone }
+            );
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (isRescheduleError(error)) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Accept the other participant's proposed time
+     * PUT /api/sessions/:id/reschedule/accept
+     */
+    acceptReschedule: async (req, res, next) => {
+        try {
+            const result = await SessionService.acceptReschedule(req.params.id, req.user._id, { timeZone: req.timeZone });
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (isRescheduleError(error)) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Decline (or withdraw) a proposed time
+     * PUT /api/sessions/:id/reschedule/decline
+     */
+    declineReschedule: async (req, res, next) => {
+        try {
+            const result = await SessionService.declineReschedule(req.params.id, req.user._id);
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (isRescheduleError(error)) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Open a dispute on a completed session, or on a no-show or late-cancellation charge
+     * POST /api/sessions/:id/dispute
+     */
+    openDispute: async (req, res, next) => {
+        try {
+            const { reason, evidence } = req.body;
+
+            const result = await SessionService.openDispute(
+                req.params.id,
+                req.user._id,
+                { reason, evidence }
+            );
+
+            res.status(201).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found') ||
+                error.message.includes('Not authorized') ||
+                error.message.includes('Only completed') ||
+                error.message.includes('private sessions') ||
+                error.message.includes('already has') ||
+                error.message.includes('window has closed')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Resolve a dispute (admin)
+     * PUT /api/sessions/:id/dispute/resolve
+     */
+    resolveDispute: async (req, res, next) => {
+        try {
+            const { outcome, tutorSharePercent, note } = req.body;
+
+            const result = await SessionService.resolveDispute(
+                req.params.id,
+                req.user._id,
+                {
+                    outcome,
+                    tutorSharePercent: tutorSharePercent !== undefined ? Number(tutorSharePercent) : undefined,
+                    note
+                }
+            );
+
+            await AdminService.audit(req.user, {
+                action: ADMIN_ACTION.RESOLVE_DISPUTE,
+                targetType: 'session',
+                targetIds: [req.params.id],
+                reason: note,
+                params: { outcome, tutorSharePercent },
+                ip: req.ip
+            });
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found') ||
+                error.message.includes('Invalid dispute') ||
+                error.message.includes('requires a tutor share') ||
+                error.message.includes('Insufficient')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
     /**
      * Add a review to a completed session
      * POST /api/sessions/:id/review
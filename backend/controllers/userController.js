@@ -1,5 +1,6 @@
 const { User } = require('../models');
-const { SKILL_CATEGORIES, PROFICIENCY_LEVELS } = require('../config/constants');
+const { PricingService, AvailabilityService } = require('../services');
+const { SKILL_CATEGORIES, PROFICIENCY_LEVELS, PRICING, AVAILABILITY } = require('../config/constants');
 
 /**
  * User Controller
@@ -33,6 +34,52 @@ const userController = {
         }
     },
 
+    /**
+     * Get bookable start times for a tutor, inside their weekly availability
+     * and clear of existing sessions
+     * GET /api/users/:id/slots?from=&to=&duration=
+     */
+    getSlots: async (req, res, next) => {
+        try {
+            // Defaults to the coming week
+            const from = req.query.from ? new Date(req.query.from) : new Date();
+            const to = req.query.to
+                ? new Date(req.query.to)
+                : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+            const duration = req.query.duration ? parseInt(req.query.duration) : 60;
+
+            const result = await AvailabilityService.getSlots(req.params.id, {
+                from,
+                to,
+                duration,
+                viewerId: req.user ? req.user._id : null
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    ...result,
+                    stepMinutes: AVAILABILITY.SLOT_STEP_MINUTES
+                }
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (error.message.includes('Start date') || error.message.includes('Date range')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
     /**
      * Search for tutors
      * GET /api/users/search
@@ -133,7 +180,7 @@ const userController = {
      */
     addTeachingSkill: async (req, res, next) => {
         try {
-            const { name, category, proficiency, description, hourlyRate } = req.body;
+            const { name, category, proficiency, description, hourlyRate, pricing } = req.body;
 
             // Validate category and proficiency
             if (!SKILL_CATEGORIES.includes(category)) {
@@ -150,6 +197,17 @@ const userController = {
                 });
             }
 
+            // Rates start at the bottom of the proficiency's range
+            const rate = hourlyRate || PricingService.getRateRange(proficiency).MIN;
+            try {
+                PricingService.validateSkillPricing(proficiency, rate, pricing);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
             const user = await User.findById(req.user._id);
 
             // Check if skill already exists
@@ -170,7 +228,8 @@ const userController = {
                 category,
                 proficiency,
                 description: description || '',
-                hourlyRate: hourlyRate || 1
+                hourlyRate: rate,
+                pricing: pricing || {}
             });
 
             await user.save();
@@ -208,13 +267,25 @@ const userController = {
             }
 
             // Update allowed fields
-            const allowedUpdates = ['proficiency', 'description', 'hourlyRate'];
+            const allowedUpdates = ['proficiency', 'description', 'hourlyRate', 'pricing'];
             allowedUpdates.forEach(field => {
                 if (updates[field] !== undefined) {
                     skill[field] = updates[field];
                 }
             });
 
+            // Re-check the rate against the (possibly new) proficiency
+            if (updates.proficiency !== undefined || updates.hourlyRate !== undefined || updates.pricing !== undefined) {
+                try {
+                    PricingService.validateSkillPricing(skill.proficiency, skill.hourlyRate, skill.pricing);
+                } catch (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+            }
+
             await user.save();
 
             res.json({
@@ -351,7 +422,8 @@ const userController = {
                 success: true,
                 data: {
                     categories: SKILL_CATEGORIES,
-                    proficiencyLevels: PROFICIENCY_LEVELS
+                    proficiencyLevels: PROFICIENCY_LEVELS,
+                    rateRanges: PRICING.RATE_RANGES
                 }
             });
         } catch (error) {
@@ -1,4 +1,4 @@
-const { TransactionService } = require('../services');
+const { TransactionService, StatementService, RewardService, BalanceHistoryService } = require('../services');
 
 /**
  * Wallet Controller
@@ -11,12 +11,16 @@ const walletController = {
      */
     getWallet: async (req, res, next) => {
         try {
-            const summary = await TransactionService.getBalanceSummary(req.user._id);
+            const [summary, transferLimits] = await Promise.all([
+                TransactionService.getBalanceSummary(req.user._id),
+                TransactionService.getTransferAllowance(req.user._id)
+            ]);
 
             res.json({
                 success: true,
                 data: {
-                    wallet: summary
+                    wallet: summary,
+                    transferLimits
                 }
             });
 
@@ -25,6 +29,47 @@ const walletController = {
         }
     },
 
+    /**
+     * Send credits to another user
+     * POST /api/wallet/transfer
+     */
+    transferCredits: async (req, res, next) => {
+        try {
+            const { recipient, amount, memo } = req.body;
+
+            const result = await TransactionService.sendCredits(
+                req.user._id,
+                recipient,
+                Number(amount),
+                memo,
+                req.get('Idempotency-Key')
+            );
+
+            res.status(result.duplicate ? 200 : 201).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            if (error.message.includes('Insufficient') ||
+                error.message.includes('Daily transfer limit') ||
+                error.message.includes('yourself') ||
+                error.message.includes('positive number')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
     /**
      * Get transaction history
      * GET /api/wallet/transactions
@@ -51,6 +96,129 @@ const walletController = {
         }
     },
 
+    /**
+     * Redeem a promo code
+     * POST /api/wallet/redeem
+     */
+    redeemPromoCode: async (req, res, next) => {
+        try {
+            const result = await RewardService.redeemPromoCode(req.user._id, req.body.code);
+
+            res.status(201).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.message.includes('Promo code') ||
+                error.message.includes('already redeemed')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Get the user's referral code and referral stats
+     * GET /api/wallet/referrals
+     */
+    getReferrals: async (req, res, next) => {
+        try {
+            const referrals = await RewardService.getReferralSummary(req.user._id);
+
+            res.json({
+                success: true,
+                data: {
+                    referrals
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get daily balances and earned/spent breakdowns for a date range
+     * GET /api/wallet/history?from=&to=
+     */
+    getBalanceHistory: async (req, res, next) => {
+        try {
+            // Defaults to the last 30 days, both ends inclusive
+            const to = req.query.to ? new Date(req.query.to) : new Date();
+            const from = req.query.from
+                ? new Date(req.query.from)
+                : new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+            const history = await BalanceHistoryService.getHistory(req.user._id, from, to);
+
+            res.json({
+                success: true,
+                data: {
+                    history
+                }
+            });
+
+        } catch (error) {
+            if (error.message.includes('Start date') || error.message.includes('Date range')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Download a statement for a date range
+     * GET /api/wallet/statement?from=&to=&format=csv|pdf
+     */
+    getStatement: async (req, res, next) => {
+        try {
+            const { from, to, format = 'csv' } = req.query;
+
+            // Dates are inclusive; a bare YYYY-MM-DD "to" covers that whole day
+            const start = from ? new Date(from) : new Date(0);
+            const end = to ? new Date(to) : new Date();
+            if (to && to.length === 10) {
+                end.setUTCDate(end.getUTCDate() + 1);
+            }
+
+            if (start >= end) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Start date must be before end date'
+                });
+            }
+
+            const filename = `skillvault-statement-${start.toISOString().slice(0, 10)}-to-${new Date(end.getTime() - 1).toISOString().slice(0, 10)}.${format}`;
+
+            // Only once the data has loaded, so an error still goes out as JSON
+            const onStart = () => {
+                res.setHeader('Content-Type', format === 'pdf' ? 'application/pdf' : 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            };
+
+            if (format === 'pdf') {
+                await StatementService.writePdf(req.user._id, start, end, res, { onStart });
+            } else {
+                await StatementService.writeCsv(req.user._id, start, end, res, { onStart });
+            }
+
+        } catch (error) {
+            // Once the download has started the status can't change; cut it short instead
+            if (res.headersSent) {
+                console.error('Statement export failed:', error);
+                return res.end();
+            }
+            next(error);
+        }
+    },
+
     /**
      * Get a single transaction
      * GET /api/wallet/transactions/:id
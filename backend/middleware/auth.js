@@ -1,9 +1,17 @@
-const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const AvailabilityService = require('../services/AvailabilityService');
+const AuthService = require('../services/AuthService');
+const TwoFactorService = require('../services/TwoFactorService');
+const { ACCOUNT_TOKEN } = require('../config/constants');
+
+// Zone the user's times are shown in (error messages and the like): their
+// profile timezone, or the one their browser sends in X-Timezone
+const resolveTimeZone = (req, user) => AvailabilityService.getTimeZone(user, req.get('X-Timezone'));
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Verifies the access token, checks its device is still signed in,
+ * and attaches the user (and the device's AuthSession id) to the request
  */
 const auth = async (req, res, next) => {
     try {
@@ -18,9 +26,14 @@ const auth = async (req, res, next) => {
         }
 
         const token = authHeader.split(' ')[1];
+        const decoded = AuthService.verifyAccessToken(token);
 
-        // Verify token with explicit algorithm to prevent algorithm confusion attacks
-        const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+        if (!(await AuthService.isSessionActive(decoded.sid))) {
+            return res.status(401).json({
+                success: false,
+                error: 'Session has been signed out'
+            });
+        }
 
         // Get user from database
         const user = await User.findById(decoded.id).select('-password');
@@ -41,6 +54,8 @@ const auth = async (req, res, next) => {
 
         // Attach user to request
         req.user = user;
+        req.authSessionId = decoded.sid;
+        req.timeZone = resolveTimeZone(req, user);
         next();
 
     } catch (error) {
@@ -78,11 +93,17 @@ const optionalAuth = async (req, res, next) => {
         }
 
         const token = authHeader.split(' ')[1];
-        const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+        const decoded = AuthService.verifyAccessToken(token);
+        if (!(await AuthService.isSessionActive(decoded.sid))) {
+            return next();
+        }
+
         const user = await User.findById(decoded.id).select('-password');
 
         if (user && user.isActive) {
             req.user = user;
+            req.authSessionId = decoded.sid;
+            req.timeZone = resolveTimeZone(req, user);
         }
 
         next();
@@ -92,4 +113,58 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
-module.exports = { auth, optionalAuth };
+/**
+ * Role guard - must run after auth
+ * Lets through users with the role or a higher one (ROLES is ordered), e.g.
+ * requireRole(ROLES.MODERATOR) admits moderators and admins
+ */
+const requireRole = (role) => (req, res, next) => {
+    if (!req.user || !req.user.hasRole(role)) {
+        return res.status(403).json({
+            success: false,
+            error: `${role.charAt(0).toUpperCase()}${role.slice(1)} access required`
+        });
+    }
+
+    next();
+};
+
+/**
+ * Booking guard - must run after auth
+ * Only applies when REQUIRE_VERIFIED_EMAIL is set
+ */
+const requireVerifiedEmail = (req, res, next) => {
+    if (ACCOUNT_TOKEN.REQUIRE_VERIFIED_TO_BOOK && !req.user.isVerified) {
+        return res.status(403).json({
+            success: false,
+            error: 'Please verify your email address before booking sessions'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Step-up guard for sensitive actions - must run after auth
+ * The device must have re-authenticated (POST /api/auth/step-up) or signed
+ * in within STEP_UP_MINUTES. The response says which proof to ask for;
+ * 'sign_in' means signing in again is the only way.
+ */
+const requireStepUp = async (req, res, next) => {
+    try {
+        if (await TwoFactorService.hasRecentStepUp(req.authSessionId)) {
+            return next();
+        }
+
+        return res.status(403).json({
+            success: false,
+            error: 'Please confirm it\'s you to continue',
+            code: 'STEP_UP_REQUIRED',
+            method: await TwoFactorService.stepUpMethod(req.user)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { auth, optionalAuth, requireRole, requireVerifiedEmail, requireStepUp };
@@ -1,10 +1,13 @@
-const { auth, optionalAuth } = require('./auth');
+const { auth, optionalAuth, requireRole, requireVerifiedEmail, requireStepUp } = require('./auth');
 const validate = require('./validate');
 const { errorHandler, notFound } = require('./errorHandler');
 
 module.exports = {
     auth,
     optionalAuth,
+    requireRole,
+    requireVerifiedEmail,
+    requireStepUp,
     validate,
     errorHandler,
     notFound
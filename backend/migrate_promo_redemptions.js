@@ -0,0 +1,58 @@
+// Move promo code redemptions out of the old embedded PromoCode.redemptions
+// array into the PromoRedemption collection, then drop the array.
+// Safe to run more than once: redemptions already copied are skipped.
+//
+// Usage: node migrate_promo_redemptions.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/database');
+const { PromoRedemption } = require('./models');
+
+async function migratePromoRedemptions() {
+    await connectDB();
+    await PromoRedemption.init();
+
+    const promoCodes = mongoose.connection.collection('promocodes');
+    const cursor = promoCodes.find(
+        { redemptions: { $exists: true } },
+        { projection: { code: 1, redemptions: 1 } }
+    );
+
+    let codes = 0;
+    let copied = 0;
+
+    for await (const promo of cursor) {
+        const docs = (promo.redemptions || []).map(redemption => ({
+            promoCode: promo._id,
+            user: redemption.user,
+            redeemedAt: redemption.redeemedAt || promo._id.getTimestamp()
+        }));
+
+        if (docs.length > 0) {
+            try {
+                const inserted = await PromoRedemption.insertMany(docs, { ordered: false });
+                copied += inserted.length;
+            } catch (error) {
+                // Duplicates are redemptions an earlier run already copied
+                if (!error.writeErrors?.every(e => e.code === 11000)) {
+                    throw error;
+                }
+                copied += error.insertedDocs?.length || 0;
+            }
+        }
+
+        await promoCodes.updateOne({ _id: promo._id }, { $unset: { redemptions: '' } });
+        codes++;
+        console.log(`  ${promo.code}: ${docs.length} redemption(s)`);
+    }
+
+    console.log(`Migrated ${codes} promo code(s), copied ${copied} redemption(s).`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+}
+
+migratePromoRedemptions().catch(error => {
+    console.error('Error migrating promo redemptions:', error);
+    process.exit(1);
+});
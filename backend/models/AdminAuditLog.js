@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { ADMIN_ACTION, ROLES } = require('../config/constants');
+
+// One staff action through /api/admin (or dispute resolution): who did it,
+// with which role, to what, why, and what came of it. Entries are only ever
+// added.
+const adminAuditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Effective role at the time (ADMIN_EMAILS counts)
+    actorRole: {
+        type: String,
+        enum: Object.values(ROLES),
+        required: true
+    },
+
+    action: {
+        type: String,
+        enum: Object.values(ADMIN_ACTION),
+        required: true
+    },
+
+    // Records the action touched: users, sessions, transactions or promo codes
+    targetType: {
+        type: String,
+        enum: ['user', 'session', 'transaction', 'promo_code'],
+        required: true
+    },
+    targetIds: [{
+        type: mongoose.Schema.Types.ObjectId
+    }],
+
+    reason: {
+        type: String,
+        maxlength: 500,
+        default: ''
+    },
+
+    // Request input and outcome, e.g. the filters of a bulk cancel and the
+    // sessions it cancelled or failed on
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    ip: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ actor: 1, createdAt: -1 });
+adminAuditLogSchema.index({ action: 1, createdAt: -1 });
+adminAuditLogSchema.index({ targetIds: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdminAuditLog', adminAuditLogSchema);
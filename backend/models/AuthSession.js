@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { AUTH_REVOKE_REASON } = require('../config/constants');
+
+// One signed-in device. Access tokens carry its id (the `sid` claim) and stop
+// working once it is revoked. The refresh token is replaced on every use; the
+// ones it replaced are kept so a stolen copy showing up again can be caught.
+// Only SHA-256 hashes of refresh tokens are stored.
+const authSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    tokenHash: {
+        type: String,
+        required: true
+    },
+
+    rotatedTokens: [{
+        _id: false,
+        hash: String,
+        rotatedAt: Date
+    }],
+
+    // What the device looked like when it signed in, for the device list
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // When the user last proved who they are on this device (signing in, or
+    // re-entering a password or 2FA code); sensitive actions check it
+    stepUpAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Pushed forward on every refresh; the record is deleted once it passes
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: [...Object.values(AUTH_REVOKE_REASON), null],
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+authSessionSchema.index({ tokenHash: 1 }, { unique: true });
+authSessionSchema.index({ 'rotatedTokens.hash': 1 });
+authSessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authSessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One row per user per UTC day with ledger activity. Days without a row
+// carry the previous day's closing balance forward.
+const balanceSnapshotSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Start of the UTC day
+    date: {
+        type: Date,
+        required: true
+    },
+
+    openingBalance: {
+        type: Number,
+        required: true
+    },
+
+    closingBalance: {
+        type: Number,
+        required: true
+    },
+
+    // Sum of positive balance changes during the day
+    credited: {
+        type: Number,
+        default: 0
+    },
+
+    // Sum of negative balance changes during the day (stored positive)
+    debited: {
+        type: Number,
+        default: 0
+    },
+
+    transactionCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+balanceSnapshotSchema.index({ user: 1, date: 1 }, { unique: true });
+balanceSnapshotSchema.index({ date: -1 });
+
+module.exports = mongoose.model('BalanceSnapshot', balanceSnapshotSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+    // Code users type in (stored uppercase)
+    code: {
+        type: String,
+        required: [true, 'Code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9_-]{3,32}$/, 'Code must be 3-32 letters, digits, dashes or underscores']
+    },
+
+    description: {
+        type: String,
+        maxlength: 200,
+        default: ''
+    },
+
+    // Bonus credits granted per redemption
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0.5, 'Amount must be at least 0.5 credits'],
+        max: [100, 'Amount cannot exceed 100 credits']
+    },
+
+    // Total redemptions allowed across all users (null = unlimited)
+    maxRedemptions: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+
+    // Who redeemed the code lives in PromoRedemption
+    redemptionCount: {
+        type: Number,
+        default: 0
+    },
+
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
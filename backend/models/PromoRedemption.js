@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One user's redemption of one promo code. Kept out of PromoCode so popular
+// codes don't grow an unbounded array; the unique index is what enforces
+// "once per account".
+const promoRedemptionSchema = new mongoose.Schema({
+    promoCode: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode',
+        required: true
+    },
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    redeemedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+promoRedemptionSchema.index({ promoCode: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -1,5 +1,68 @@
 const mongoose = require('mongoose');
-const { SESSION_STATUS, MIN_SESSION_DURATION, MAX_SESSION_DURATION } = require('../config/constants');
+const {
+    SESSION_STATUS,
+    STATUS_ACTOR,
+    ESCROW_STATUS,
+    CANCELLATION_OUTCOME,
+    DISPUTE_RESOLUTION,
+    GROUP_SESSION,
+    ENROLLMENT_STATUS,
+    SEAT_OUTCOME,
+    MIN_SESSION_DURATION,
+    MAX_SESSION_DURATION
+} = require('../config/constants');
+
+// One student's seat in a group session. Each seat has its own escrow,
+// attendance and settlement, so students are charged and refunded separately.
+const enrollmentSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: Object.values(ENROLLMENT_STATUS),
+        default: ENROLLMENT_STATUS.ENROLLED
+    },
+
+    enrolledAt: {
+        type: Date,
+        default: Date.now
+    },
+    withdrawnAt: Date,
+
+    escrow: {
+        status: {
+            type: String,
+            enum: Object.values(ESCROW_STATUS),
+            default: ESCROW_STATUS.NONE
+        },
+        amount: {
+            type: Number,
+            default: 0
+        },
+        heldAt: Date,
+        settledAt: Date
+    },
+
+    // Video call attendance, recorded by VideoRoomService
+    attendance: {
+        firstJoinedAt: Date,
+        lastLeftAt: Date
+    },
+
+    settlement: {
+        outcome: {
+            type: String,
+            enum: Object.values(SEAT_OUTCOME)
+        },
+        paidToTutor: Number,
+        refundAmount: Number,
+        bonusAmount: Number
+    }
+});
 
 const sessionSchema = new mongoose.Schema({
     // Tutor (the one teaching)
@@ -10,14 +73,27 @@ const sessionSchema = new mongoose.Schema({
         index: true
     },
 
-    // Student (the one learning)
+    // Student (the one learning); group sessions use enrollments instead
     student: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
+        required: function () {
+            return !this.isGroup();
+        },
         index: true
     },
 
+    // Seats: 1 for a private session, more for a group session
+    capacity: {
+        type: Number,
+        default: 1,
+        min: 1,
+        max: [GROUP_SESSION.MAX_CAPACITY, `A group session has at most ${GROUP_SESSION.MAX_CAPACITY} seats`]
+    },
+
+    // Students in a group session (withdrawn seats are kept for the record)
+    enrollments: [enrollmentSchema],
+
     // Skill being taught
     skill: {
         name: {
@@ -44,13 +120,88 @@ const sessionSchema = new mongoose.Schema({
         max: [MAX_SESSION_DURATION, `Maximum session duration is ${MAX_SESSION_DURATION} minutes`]
     },
 
-    // Credit cost (calculated based on duration and tutor's hourly rate)
+    // Credit cost (calculated based on duration and tutor's hourly rate);
+    // the price of one seat for a group session
     creditCost: {
         type: Number,
         required: true,
         min: [0.5, 'Minimum credit cost is 0.5']
     },
 
+    // How creditCost was worked out, as shown in the booking quote
+    pricing: {
+        hourlyRate: Number,
+        baseCost: Number,
+        lineItems: [{
+            _id: false,
+            kind: String,     // base, first_session, off_peak, minimum, package or group_seat
+            label: String,
+            amount: Number    // discounts are negative
+        }],
+        // Prepaid package this session was drawn from
+        package: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'SessionPackage'
+        }
+    },
+
+    // Recurring series this session belongs to, and its position in it (1-based)
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SessionSeries',
+        index: true
+    },
+    seriesIndex: Number,
+
+    // A new time one participant has proposed, waiting for the other to accept
+    rescheduleProposal: {
+        proposedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        scheduledAt: Date,
+        note: {
+            type: String,
+            maxlength: 500
+        },
+        proposedAt: Date
+    },
+
+    // Times the session was moved (price stays as booked)
+    reschedules: [{
+        _id: false,
+        from: Date,
+        to: Date,
+        // Who proposed the new time and who accepted it
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        acceptedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // Escrow of the student's credits (held at booking, captured or released later)
+    escrow: {
+        status: {
+            type: String,
+            enum: Object.values(ESCROW_STATUS),
+            default: ESCROW_STATUS.NONE
+        },
+        amount: {
+            type: Number,
+            default: 0
+        },
+        heldAt: Date,
+        settledAt: Date
+    },
+
     // Session status with version for optimistic locking
     status: {
         type: String,
@@ -79,9 +230,40 @@ const sessionSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
         },
+        // 'system' for changes made by background jobs (changedBy is then
+        // empty), 'admin' for staff acting through /api/admin
+        actor: {
+            type: String,
+            enum: Object.values(STATUS_ACTOR),
+            default: STATUS_ACTOR.USER
+        },
         reason: String
     }],
 
+    // Video call attendance, recorded by VideoRoomService
+    attendance: {
+        tutor: {
+            firstJoinedAt: Date,
+            lastLeftAt: Date
+        },
+        student: {
+            firstJoinedAt: Date,
+            lastLeftAt: Date
+        }
+    },
+
+    // No-show detected by the session scheduler
+    noShow: {
+        party: {
+            type: String,
+            enum: ['tutor', 'student']
+        },
+        detectedAt: Date,
+        refundAmount: Number,
+        bonusAmount: Number,
+        paidToTutor: Number
+    },
+
     // Session notes
     notes: {
         type: String,
@@ -124,6 +306,62 @@ const sessionSchema = new mongoose.Schema({
         refunded: {
             type: Boolean,
             default: false
+        },
+        // Result of the cancellation policy
+        policyOutcome: {
+            type: String,
+            enum: Object.values(CANCELLATION_OUTCOME)
+        },
+        refundAmount: {
+            type: Number,
+            default: 0
+        },
+        penaltyAmount: {
+            type: Number,
+            default: 0
+        },
+        bonusAmount: {
+            type: Number,
+            default: 0
+        }
+    },
+
+    // Dispute raised after completion, or over a no-show or late-cancellation charge
+    dispute: {
+        openedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Status the session goes back to unless the dispute is refunded
+        previousStatus: {
+            type: String,
+            enum: [SESSION_STATUS.COMPLETED, SESSION_STATUS.NO_SHOW, SESSION_STATUS.CANCELLED]
+        },
+        reason: {
+            type: String,
+            maxlength: 500
+        },
+        evidence: {
+            type: String,
+            maxlength: 5000
+        },
+        openedAt: Date,
+        resolution: {
+            outcome: {
+                type: String,
+                enum: Object.values(DISPUTE_RESOLUTION)
+            },
+            tutorAmount: Number,
+            studentAmount: Number,
+            note: {
+                type: String,
+                maxlength: 1000
+            },
+            resolvedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            resolvedAt: Date
         }
     },
 
@@ -148,15 +386,40 @@ sessionSchema.index({ student: 1, scheduledAt: 1 });
 sessionSchema.index({ status: 1, scheduledAt: 1 });
 sessionSchema.index({ tutor: 1, status: 1 });
 sessionSchema.index({ student: 1, status: 1 });
+sessionSchema.index({ 'enrollments.student': 1, scheduledAt: 1 });
 
 // Prevent booking with self
 sessionSchema.pre('save', function (next) {
-    if (this.tutor.equals(this.student)) {
+    if (this.student && this.tutor.equals(this.student)) {
         return next(new Error('Cannot book a session with yourself'));
     }
     next();
 });
 
+// Whether this is a group session (several students, one tutor)
+sessionSchema.methods.isGroup = function () {
+    return this.capacity > 1;
+};
+
+// A student's current seat in a group session
+sessionSchema.methods.getEnrollment = function (userId) {
+    return (this.enrollments || []).find(e =>
+        e.status === ENROLLMENT_STATUS.ENROLLED && (e.student._id || e.student).equals(userId)
+    );
+};
+
+// Seats currently taken in a group session
+sessionSchema.methods.getEnrolledCount = function () {
+    return (this.enrollments || []).filter(e => e.status === ENROLLMENT_STATUS.ENROLLED).length;
+};
+
+// Whether a user is the tutor, the student or an enrolled group student
+sessionSchema.methods.isParticipant = function (userId) {
+    if ((this.tutor._id || this.tutor).equals(userId)) return true;
+    if (this.student && (this.student._id || this.student).equals(userId)) return true;
+    return !!this.getEnrollment(userId);
+};
+
 // Method to check if session can be cancelled
 sessionSchema.methods.canBeCancelled = function () {
     const cancellableStatuses = [SESSION_STATUS.PENDING, SESSION_STATUS.CONFIRMED];
@@ -168,15 +431,56 @@ sessionSchema.methods.canBeCompleted = function () {
     return this.status === SESSION_STATUS.CONFIRMED || this.status === SESSION_STATUS.IN_PROGRESS;
 };
 
+// Time the session was marked completed (from its status history)
+sessionSchema.methods.getCompletedAt = function () {
+    const entry = [...this.statusHistory].reverse().find(h => h.status === SESSION_STATUS.COMPLETED);
+    return entry ? entry.changedAt : null;
+};
+
+// Credits the student paid the tutor that a dispute can claw back: the price of
+// a completed session, a student no-show charge or a late-cancellation fee
+sessionSchema.methods.getDisputableCharge = function (status = this.status) {
+    switch (status) {
+        case SESSION_STATUS.COMPLETED:
+            return this.escrow?.status === ESCROW_STATUS.CAPTURED ? this.escrow.amount : this.creditCost;
+        case SESSION_STATUS.NO_SHOW:
+            return this.noShow?.party === 'student' ? this.noShow.paidToTutor || 0 : 0;
+        case SESSION_STATUS.CANCELLED:
+            return this.cancellation?.penaltyAmount || 0;
+        default:
+            return 0;
+    }
+};
+
+// When the charge a dispute can be raised over was made
+sessionSchema.methods.getChargedAt = function () {
+    switch (this.status) {
+        case SESSION_STATUS.NO_SHOW:
+            return this.noShow?.detectedAt || this.updatedAt;
+        case SESSION_STATUS.CANCELLED:
+            return this.cancellation?.cancelledAt || this.updatedAt;
+        default:
+            return this.getCompletedAt() || this.updatedAt;
+    }
+};
+
+// Query filter for sessions a user takes part in, including group seats
+sessionSchema.statics.participantFilter = function (userId) {
+    return {
+        $or: [
+            { tutor: userId },
+            { student: userId },
+            { enrollments: { $elemMatch: { student: userId, status: ENROLLMENT_STATUS.ENROLLED } } }
+        ]
+    };
+};
+
 // Static method to find overlapping sessions
 sessionSchema.statics.findOverlapping = async function (userId, scheduledAt, duration, excludeSessionId = null) {
     const sessionEnd = new Date(scheduledAt.getTime() + duration * 60000);
 
     const query = {
-        $or: [
-            { tutor: userId },
-            { student: userId }
-        ],
+        ...this.participantFilter(userId),
         status: { $in: [SESSION_STATUS.PENDING, SESSION_STATUS.CONFIRMED, SESSION_STATUS.IN_PROGRESS] },
         $and: [
             { scheduledAt: { $lt: sessionEnd } },
@@ -191,7 +495,10 @@ sessionSchema.statics.findOverlapping = async function (userId, scheduledAt, dur
         ]
     };
 
-    if (excludeSessionId) {
+    // One session id, or a list (e.g. a series being moved as a whole)
+    if (Array.isArray(excludeSessionId)) {
+        query._id = { $nin: excludeSessionId };
+    } else if (excludeSessionId) {
         query._id = { $ne: excludeSessionId };
     }
 
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { PACKAGE_STATUS } = require('../config/constants');
+
+// A prepaid bundle of sessions. The full price is held in the student's
+// escrow at purchase and moved onto each session as it is booked.
+const sessionPackageSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    tutor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    skill: {
+        name: {
+            type: String,
+            required: true
+        },
+        category: {
+            type: String,
+            required: true
+        }
+    },
+
+    // The tutor's package offer this was bought from
+    offer: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+
+    // Length of each session (minutes)
+    duration: {
+        type: Number,
+        required: true
+    },
+
+    sessionsTotal: {
+        type: Number,
+        required: true
+    },
+
+    sessionsRemaining: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    pricePaid: {
+        type: Number,
+        required: true
+    },
+
+    // Credits drawn per booked session (the last one takes whatever is left)
+    unitPrice: {
+        type: Number,
+        required: true
+    },
+
+    // Credits still held for sessions not yet booked
+    heldAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    status: {
+        type: String,
+        enum: Object.values(PACKAGE_STATUS),
+        default: PACKAGE_STATUS.ACTIVE
+    },
+
+    sessions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session'
+    }],
+
+    cancelledAt: Date
+}, {
+    timestamps: true
+});
+
+sessionPackageSchema.index({ student: 1, tutor: 1, status: 1 });
+
+module.exports = mongoose.model('SessionPackage', sessionPackageSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { RECURRENCE } = require('../config/constants');
+
+// A recurring booking. Each occurrence is its own Session (linked back
+// through Session.series) with its own escrow, so occurrences settle,
+// cancel and get disputed exactly like one-off sessions.
+const sessionSeriesSchema = new mongoose.Schema({
+    tutor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    skill: {
+        name: {
+            type: String,
+            required: true
+        },
+        category: {
+            type: String,
+            required: true
+        }
+    },
+
+    frequency: {
+        type: String,
+        enum: Object.values(RECURRENCE.FREQUENCY),
+        required: true
+    },
+
+    // Number of sessions booked
+    occurrences: {
+        type: Number,
+        required: true,
+        min: RECURRENCE.MIN_OCCURRENCES,
+        max: RECURRENCE.MAX_OCCURRENCES
+    },
+
+    // Last date requested, when the series was booked "until" a date
+    until: Date,
+
+    // Length of each session (minutes)
+    duration: {
+        type: Number,
+        required: true
+    },
+
+    // Prepaid package the occurrences were drawn from
+    package: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SessionPackage'
+    },
+
+    // Proposed move of every upcoming occurrence: `session` (the next one)
+    // moves to scheduledAt and the rest shift by the same amount
+    rescheduleProposal: {
+        proposedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        session: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Session'
+        },
+        scheduledAt: Date,
+        note: {
+            type: String,
+            maxlength: 500
+        },
+        proposedAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+sessionSeriesSchema.index({ student: 1, createdAt: -1 });
+sessionSeriesSchema.index({ tutor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SessionSeries', sessionSeriesSchema);
@@ -96,6 +96,42 @@ const transactionSchema = new mongoose.Schema({
     // Idempotency key for preventing duplicate operations
     idempotencyKey: {
         type: String
+    },
+
+    // Promotional grants (initial/bonus): when the unspent part expires
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+
+    // Promotional grants: part of the grant not yet spent or expired
+    remainingAmount: {
+        type: Number,
+        min: 0
+    },
+
+    // Set on compensating entries: the original transaction they undo
+    reversalOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+        default: null
+    },
+
+    // Set on originals once reversed
+    reversal: {
+        transaction: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Transaction'
+        },
+        reason: {
+            type: String,
+            maxlength: 500
+        },
+        reversedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reversedAt: Date
     }
 }, {
     timestamps: true
@@ -105,15 +141,24 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ user: 1, createdAt: -1 });
 transactionSchema.index({ session: 1 });
 transactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+// Open promotional grants: FIFO spending per user, and the expiry job
+transactionSchema.index(
+    { user: 1, createdAt: 1 },
+    { partialFilterExpression: { remainingAmount: { $gt: 0 } } }
+);
+transactionSchema.index(
+    { expiresAt: 1 },
+    { partialFilterExpression: { remainingAmount: { $gt: 0 } } }
+);
 
 // Pre-save validation
 transactionSchema.pre('save', function (next) {
     // Validate balance consistency
-    if (this.type === TRANSACTION_TYPE.CREDIT || this.type === TRANSACTION_TYPE.INITIAL || this.type === TRANSACTION_TYPE.REFUND || this.type === TRANSACTION_TYPE.BONUS) {
+    if (this.type === TRANSACTION_TYPE.CREDIT || this.type === TRANSACTION_TYPE.INITIAL || this.type === TRANSACTION_TYPE.REFUND || this.type === TRANSACTION_TYPE.BONUS || this.type === TRANSACTION_TYPE.RELEASE) {
         if (this.balanceAfter !== this.balanceBefore + this.amount) {
             return next(new Error('Balance calculation mismatch for credit transaction'));
         }
-    } else if (this.type === TRANSACTION_TYPE.DEBIT) {
+    } else if (this.type === TRANSACTION_TYPE.DEBIT || this.type === TRANSACTION_TYPE.HOLD) {
         if (this.balanceAfter !== this.balanceBefore - this.amount) {
             return next(new Error('Balance calculation mismatch for debit transaction'));
         }
@@ -1,7 +1,20 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { INITIAL_CREDITS, SKILL_CATEGORIES, PROFICIENCY_LEVELS } = require('../config/constants');
+const crypto = require('crypto');
+const {
+    INITIAL_CREDITS,
+    SKILL_CATEGORIES,
+    PROFICIENCY_LEVELS,
+    PRICING,
+    MIN_SESSION_DURATION,
+    MAX_SESSION_DURATION,
+    AUTH,
+    ROLES
+} = require('../config/constants');
+
+// Lowest first
+const ROLE_ORDER = Object.values(ROLES);
 
 const userSchema = new mongoose.Schema({
     email: {
@@ -14,7 +27,8 @@ const userSchema = new mongoose.Schema({
     },
     password: {
         type: String,
-        required: [true, 'Password is required'],
+        // Accounts created through a sign-in provider start without one
+        required: [function () { return !this.oauthAccounts || this.oauthAccounts.length === 0; }, 'Password is required'],
         minlength: [8, 'Password must be at least 8 characters'],
         select: false // Don't return password by default
     },
@@ -47,6 +61,13 @@ const userSchema = new mongoose.Schema({
         min: [0, 'Credit balance cannot be negative']
     },
 
+    // Credits reserved in escrow for booked sessions (not spendable)
+    heldBalance: {
+        type: Number,
+        default: 0,
+        min: [0, 'Held balance cannot be negative']
+    },
+
     // Version field for optimistic locking on credit operations
     creditVersion: {
         type: Number,
@@ -77,8 +98,52 @@ const userSchema = new mongoose.Schema({
         hourlyRate: {
             type: Number,
             default: 1, // 1 credit per hour
-            min: 1,
-            max: 5
+            // Per-proficiency range is checked by PricingService
+            min: PRICING.MIN_HOURLY_RATE,
+            max: PRICING.MAX_HOURLY_RATE
+        },
+        // Optional discounts and prepaid packages, applied by PricingService
+        pricing: {
+            // Percent off a student's first session with this tutor
+            firstSessionDiscount: {
+                type: Number,
+                min: 0,
+                max: PRICING.MAX_DISCOUNT_PERCENT,
+                default: 0
+            },
+            // Percent off sessions starting in the off-peak window.
+            // Hours are UTC; a window like 22-6 wraps past midnight.
+            offPeak: {
+                discount: {
+                    type: Number,
+                    min: 0,
+                    max: PRICING.MAX_DISCOUNT_PERCENT,
+                    default: 0
+                },
+                startHour: { type: Number, min: 0, max: 23, default: 22 },
+                endHour: { type: Number, min: 0, max: 23, default: 6 }
+            },
+            // Bundles such as 5 sessions for the price of 4
+            packages: [{
+                sessions: {
+                    type: Number,
+                    required: true,
+                    min: PRICING.PACKAGE_MIN_SESSIONS,
+                    max: PRICING.PACKAGE_MAX_SESSIONS
+                },
+                paidSessions: {
+                    type: Number,
+                    required: true,
+                    min: 1
+                },
+                // Length of each session in the package (minutes)
+                duration: {
+                    type: Number,
+                    required: true,
+                    min: MIN_SESSION_DURATION,
+                    max: MAX_SESSION_DURATION
+                }
+            }]
         }
     }],
 
@@ -115,8 +180,55 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Staff roles unlock /api/admin and dispute resolution (see requireRole)
+    role: {
+        type: String,
+        enum: ROLE_ORDER,
+        default: ROLES.USER
+    },
 
-    // Availability schedule (simplified)
+    // TOTP two-factor authentication; secrets and recovery codes are never
+    // returned unless selected
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        enabledAt: Date,
+        // Base32 secret the authenticator app holds
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret shown during setup, kept until a code from it is confirmed
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // SHA-256 hashes of unused one-time recovery codes
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Time step of the last accepted code, so a code can't be replayed
+        lastUsedStep: {
+            type: Number,
+            default: 0,
+            select: false
+        }
+    },
+
+    // Sign-in identities from OAuth/OIDC providers, at most one per provider
+    oauthAccounts: [{
+        _id: false,
+        provider: String, // key of OAUTH.PROVIDERS
+        subject: String,  // the provider's stable user ID
+        email: String,
+        linkedAt: Date
+    }],
+
+    // Weekly availability, checked when sessions are booked.
+    // Keys are lowercase weekdays; an empty schedule means bookable any time.
     availability: {
         timezone: {
             type: String,
@@ -125,16 +237,74 @@ const userSchema = new mongoose.Schema({
         weeklySchedule: {
             type: Map,
             of: [{
-                start: String, // "09:00"
-                end: String    // "17:00"
+                _id: false,
+                start: String, // "09:00", in the timezone above
+                end: String    // "17:00" ("24:00" for midnight)
             }],
             default: {}
+        },
+        // One-off changes to a single local date (see AVAILABILITY.EXCEPTION_KIND).
+        // A blocked exception without windows blocks the whole day.
+        exceptions: [{
+            _id: false,
+            date: String, // "2026-12-24"
+            kind: String,
+            windows: [{
+                _id: false,
+                start: String,
+                end: String
+            }]
+        }],
+        // Whole days off, both dates inclusive
+        vacations: [{
+            _id: false,
+            start: String,
+            end: String,
+            note: String
+        }],
+        // Earliest a session can be booked, in hours from now
+        minNoticeHours: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Gap kept free before and after each of the tutor's sessions
+        bufferMinutes: {
+            type: Number,
+            default: 0,
+            min: 0
         }
     },
 
     lastLogin: {
         type: Date,
         default: null
+    },
+
+    // Secret for the personal iCalendar feed URL; reset to revoke old links
+    calendarToken: {
+        type: String,
+        unique: true,
+        sparse: true,
+        select: false
+    },
+
+    // Referrals: this user's shareable code, who referred them, and when
+    // the referral bonus was paid (after their first completed session)
+    referralCode: {
+        type: String,
+        unique: true,
+        sparse: true,
+        uppercase: true
+    },
+    referredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    referralRewardedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true,
@@ -147,12 +317,27 @@ userSchema.index({ 'teachingSkills.name': 'text' });
 userSchema.index({ 'teachingSkills.category': 1 });
 userSchema.index({ creditBalance: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ referredBy: 1 });
+// One SkillVault account per provider identity
+userSchema.index(
+    { 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 },
+    { unique: true, partialFilterExpression: { 'oauthAccounts.subject': { $exists: true } } }
+);
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function () {
     return `${this.firstName} ${this.lastName}`;
 });
 
+// Give every account a referral code
+userSchema.pre('save', function (next) {
+    if (!this.referralCode) {
+        this.referralCode = crypto.randomBytes(5).toString('hex').toUpperCase();
+    }
+    next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) {
@@ -166,18 +351,37 @@ userSchema.pre('save', async function (next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
+    // No password yet (signed up through a provider)
+    if (!this.password || !candidatePassword) return false;
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function () {
+// Role in effect: the stored one, or admin for an address in ADMIN_EMAILS.
+// Only once the address is verified, so whoever registers it first can't claim it.
+userSchema.methods.getEffectiveRole = function () {
+    const adminEmails = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+
+    return this.isVerified && adminEmails.includes(this.email) ? ROLES.ADMIN : (this.role || ROLES.USER);
+};
+
+// Whether the user has this role or a higher one
+userSchema.methods.hasRole = function (role) {
+    return ROLE_ORDER.indexOf(this.getEffectiveRole()) >= ROLE_ORDER.indexOf(role);
+};
+
+// Generate a short-lived access token for a signed-in device (see AuthService)
+userSchema.methods.generateAuthToken = function (sessionId) {
     return jwt.sign(
         {
             id: this._id,
-            email: this.email
+            email: this.email,
+            sid: sessionId
         },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '7d' }
+        { expiresIn: AUTH.ACCESS_TOKEN_EXPIRE }
     );
 };
 
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { WAITLIST_STATUS, MIN_SESSION_DURATION, MAX_SESSION_DURATION } = require('../config/constants');
+
+// A student waiting for a fully-booked tutor, either for one slot
+// (scheduledAt) or for any opening. When a tutor's session is cancelled the
+// first matching entry is offered the freed time as a hold that only that
+// student can book until it expires.
+const waitlistEntrySchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    tutor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    skill: {
+        name: {
+            type: String,
+            required: true
+        },
+        category: {
+            type: String,
+            required: true
+        }
+    },
+
+    // Length of the session wanted (minutes)
+    duration: {
+        type: Number,
+        required: true,
+        min: MIN_SESSION_DURATION,
+        max: MAX_SESSION_DURATION
+    },
+
+    // The slot wanted; unset means any opening with this tutor
+    scheduledAt: Date,
+
+    status: {
+        type: String,
+        enum: Object.values(WAITLIST_STATUS),
+        default: WAITLIST_STATUS.WAITING
+    },
+
+    // Freed time offered to this student
+    hold: {
+        scheduledAt: Date,
+        expiresAt: Date,
+        offeredAt: Date,
+        // The cancelled session and the time it freed, passed on to the
+        // next student if this hold lapses
+        source: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Session'
+        },
+        freedAt: Date,
+        freedDuration: Number
+    },
+
+    // Session booked from the hold
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session'
+    },
+
+    closedAt: Date
+}, {
+    timestamps: true
+});
+
+waitlistEntrySchema.index({ tutor: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ student: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'hold.expiresAt': 1 });
+
+// Holds on a tutor's time that overlap [scheduledAt, scheduledAt + duration),
+// optionally ignoring one student's own holds
+waitlistEntrySchema.statics.findActiveHolds = async function (tutorId, scheduledAt, duration, exceptStudentId = null) {
+    const end = new Date(scheduledAt.getTime() + duration * 60000);
+
+    const query = {
+        tutor: tutorId,
+        status: WAITLIST_STATUS.OFFERED,
+        'hold.expiresAt': { $gt: new Date() },
+        'hold.scheduledAt': { $lt: end },
+        $expr: {
+            $gt: [
+                { $add: ['$hold.scheduledAt', { $multiply: ['$duration', 60000] }] },
+                scheduledAt
+            ]
+        }
+    };
+
+    if (exceptStudentId) {
+        query.student = { $ne: exceptStudentId };
+    }
+
+    return this.find(query);
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -1,9 +1,25 @@
 const User = require('./User');
 const Transaction = require('./Transaction');
 const Session = require('./Session');
+const PromoCode = require('./PromoCode');
+const PromoRedemption = require('./PromoRedemption');
+const BalanceSnapshot = require('./BalanceSnapshot');
+const SessionPackage = require('./SessionPackage');
+const SessionSeries = require('./SessionSeries');
+const WaitlistEntry = require('./WaitlistEntry');
+const AuthSession = require('./AuthSession');
+const AdminAuditLog = require('./AdminAuditLog');
 
 module.exports = {
     User,
     Transaction,
-    Session
+    Session,
+    PromoCode,
+    PromoRedemption,
+    BalanceSnapshot,
+    SessionPackage,
+    SessionSeries,
+    WaitlistEntry,
+    AuthSession,
+    AdminAuditLog
 };
@@ -0,0 +1,45 @@
+// Audit the credit ledger: replay every user's transactions against their
+// stored balances and check that every debit has a matching paired credit.
+//
+// Usage: node reconcile_ledger.js [--user <userId>] [--json]
+// Exits with code 1 when any break is found.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/database');
+const { ReconciliationService } = require('./services');
+
+const args = process.argv.slice(2);
+const userFlag = args.indexOf('--user');
+const userId = userFlag !== -1 ? args[userFlag + 1] : undefined;
+const asJson = args.includes('--json');
+
+async function reconcileLedger() {
+    await connectDB();
+
+    const report = await ReconciliationService.reconcile({ userId });
+
+    if (asJson) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`Checked ${report.usersChecked} users, ${report.transactionsChecked} transactions`);
+
+        for (const [type, count] of Object.entries(report.summary)) {
+            console.log(`  ${type}: ${count}`);
+        }
+
+        for (const issue of report.issues) {
+            const where = issue.transactionId ? ` tx ${issue.transactionId}` : '';
+            console.log(`  [${issue.type}] user ${issue.userId}${where}: ${issue.message}`);
+        }
+
+        console.log(report.ok ? 'Ledger is consistent.' : `Found ${report.issues.length} issue(s).`);
+    }
+
+    await mongoose.disconnect();
+    process.exit(report.ok ? 0 : 1);
+}
+
+reconcileLedger().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+});
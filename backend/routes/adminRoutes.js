@@ -0,0 +1,274 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { adminController } = require('../controllers');
+const { auth, requireRole, requireStepUp, validate } = require('../middleware');
+const { ROLES, ADMIN_ACTION, SESSION_STATUS } = require('../config/constants');
+
+const router = express.Router();
+
+const promoCodeValidators = (isUpdate) => {
+    const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+    return [
+        required(body('code'))
+            .trim()
+            .matches(/^[A-Za-z0-9_-]{3,32}$/)
+            .withMessage('Code must be 3-32 letters, digits, dashes or underscores'),
+        body('description')
+            .optional()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Description cannot exceed 200 characters'),
+        required(body('amount'))
+            .isFloat({ min: 0.5, max: 100 })
+            .withMessage('Amount must be between 0.5 and 100 credits'),
+        body('maxRedemptions')
+            .optional({ nullable: true })
+            .isInt({ min: 1 })
+            .withMessage('Max redemptions must be a positive integer'),
+        required(body('expiresAt'))
+            .isISO8601()
+            .withMessage('Invalid expiry date format'),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be a boolean')
+    ];
+};
+
+const reasonValidator = (isRequired) => {
+    const chain = body('reason').trim();
+    return (isRequired ? chain.notEmpty().withMessage('Reason is required') : chain.optional())
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters');
+};
+
+const sessionIdsValidators = [
+    body('sessionIds')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('sessionIds must be a list of at most 500 IDs'),
+    body('sessionIds.*')
+        .isMongoId()
+        .withMessage('Invalid session ID')
+];
+
+// All admin routes require an authenticated admin
+router.use(auth, requireRole(ROLES.ADMIN));
+
+/**
+ * @route   GET /api/admin/reconciliation
+ * @desc    Replay the credit ledger and report balance and pairing breaks
+ * @access  Private (admin)
+ */
+router.get(
+    '/reconciliation',
+    [
+        query('userId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid user ID')
+    ],
+    validate,
+    adminController.getReconciliationReport
+);
+
+/**
+ * @route   POST /api/admin/transactions/:id/reverse
+ * @desc    Reverse a completed transfer with compensating entries
+ * @access  Private (admin)
+ */
+router.post(
+    '/transactions/:id/reverse',
+    [
+        param('id')
+            .isMongoId()
+            .withMessage('Invalid transaction ID'),
+        body('reason')
+            .trim()
+            .notEmpty()
+            .withMessage('Reason is required')
+            .isLength({ max: 500 })
+            .withMessage('Reason cannot exceed 500 characters')
+    ],
+    validate,
+    adminController.reverseTransaction
+);
+
+/**
+ * @route   GET /api/admin/promo-codes
+ * @desc    List promo codes
+ * @access  Private (admin)
+ */
+router.get('/promo-codes', adminController.listPromoCodes);
+
+/**
+ * @route   POST /api/admin/promo-codes
+ * @desc    Create a promo code
+ * @access  Private (admin)
+ */
+router.post('/promo-codes', promoCodeValidators(false), validate, adminController.createPromoCode);
+
+/**
+ * @route   PUT /api/admin/promo-codes/:id
+ * @desc    Update a promo code
+ * @access  Private (admin)
+ */
+router.put(
+    '/promo-codes/:id',
+    [
+        param('id').isMongoId().withMessage('Invalid promo code ID'),
+        ...promoCodeValidators(true)
+    ],
+    validate,
+    adminController.updatePromoCode
+);
+
+/**
+ * @route   DELETE /api/admin/promo-codes/:id
+ * @desc    Delete a promo code (deactivates it if it was ever redeemed)
+ * @access  Private (admin)
+ */
+router.delete(
+    '/promo-codes/:id',
+    [
+        param('id').isMongoId().withMessage('Invalid promo code ID')
+    ],
+    validate,
+    adminController.deletePromoCode
+);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Find users by name or email, optionally by role
+ * @access  Private (admin)
+ */
+router.get(
+    '/users',
+    [
+        query('search')
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Search cannot exceed 100 characters'),
+        query('role')
+            .optional()
+            .isIn(Object.values(ROLES))
+            .withMessage(`Role must be one of: ${Object.values(ROLES).join(', ')}`),
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer')
+    ],
+    validate,
+    adminController.listUsers
+);
+
+/**
+ * @route   PUT /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (admin, recent step-up)
+ */
+router.put(
+    '/users/:id/role',
+    requireStepUp,
+    [
+        param('id')
+            .isMongoId()
+            .withMessage('Invalid user ID'),
+        body('role')
+            .isIn(Object.values(ROLES))
+            .withMessage(`Role must be one of: ${Object.values(ROLES).join(', ')}`),
+        reasonValidator(false)
+    ],
+    validate,
+    adminController.setUserRole
+);
+
+/**
+ * @route   POST /api/admin/sessions/cancel
+ * @desc    Cancel active sessions (by ID, by user, or all) with full refunds
+ * @access  Private (admin)
+ */
+router.post(
+    '/sessions/cancel',
+    [
+        ...sessionIdsValidators,
+        body('userId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid user ID'),
+        body('statuses')
+            .optional()
+            .isArray()
+            .withMessage('statuses must be a list'),
+        body('statuses.*')
+            .isIn([SESSION_STATUS.PENDING, SESSION_STATUS.CONFIRMED, SESSION_STATUS.IN_PROGRESS])
+            .withMessage('Only pending, confirmed or in-progress sessions can be cancelled'),
+        body('all')
+            .optional()
+            .isBoolean()
+            .withMessage('all must be a boolean')
+            .toBoolean(true),
+        body('dryRun')
+            .optional()
+            .isBoolean()
+            .withMessage('dryRun must be a boolean')
+            .toBoolean(true),
+        reasonValidator(true)
+    ],
+    validate,
+    adminController.cancelSessions
+);
+
+/**
+ * @route   POST /api/admin/sessions/clear-locks
+ * @desc    Release expired session locks left by an interrupted operation
+ *          (force: true also releases live ones)
+ * @access  Private (admin)
+ */
+router.post(
+    '/sessions/clear-locks',
+    [
+        ...sessionIdsValidators,
+        body('force')
+            .optional()
+            .isBoolean()
+            .withMessage('force must be a boolean')
+            .toBoolean(true),
+        reasonValidator(false)
+    ],
+    validate,
+    adminController.clearSessionLocks
+);
+
+/**
+ * @route   GET /api/admin/audit-log
+ * @desc    Staff actions, newest first
+ * @access  Private (admin)
+ */
+router.get(
+    '/audit-log',
+    [
+        query('action')
+            .optional()
+            .isIn(Object.values(ADMIN_ACTION))
+            .withMessage('Unknown action'),
+        query('actor')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid actor ID'),
+        query('target')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid target ID'),
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer')
+    ],
+    validate,
+    adminController.getAuditLog
+);
+
+module.exports = router;
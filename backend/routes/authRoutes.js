@@ -1,7 +1,8 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const { authController } = require('../controllers');
-const { auth, validate } = require('../middleware');
+const { auth, optionalAuth, requireStepUp, validate } = require('../middleware');
+const { AVAILABILITY } = require('../config/constants');
 
 const router = express.Router();
 
@@ -33,7 +34,18 @@ router.post(
             .notEmpty()
             .withMessage('Last name is required')
             .isLength({ max: 50 })
-            .withMessage('Last name cannot exceed 50 characters')
+            .withMessage('Last name cannot exceed 50 characters'),
+        body('referralCode')
+            .optional()
+            .trim()
+            .isAlphanumeric()
+            .withMessage('Invalid referral code')
+            .isLength({ max: 20 })
+            .withMessage('Invalid referral code'),
+        body('timezone')
+            .optional()
+            .isString()
+            .withMessage('Timezone must be an IANA zone name')
     ],
     validate,
     authController.register
@@ -59,6 +71,275 @@ router.post(
     authController.login
 );
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step: the challenge from /login plus an authenticator or recovery code
+ * @access  Public
+ */
+router.post(
+    '/login/2fa',
+    [
+        body('challengeToken')
+            .isString()
+            .notEmpty()
+            .withMessage('Sign-in challenge is required'),
+        body('code')
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Authentication code is required')
+    ],
+    validate,
+    authController.loginTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/step-up
+ * @desc    Re-authenticate this device (2FA code, or password without 2FA) before a sensitive action
+ * @access  Private
+ */
+router.post(
+    '/step-up',
+    auth,
+    [
+        body('password')
+            .optional()
+            .isString(),
+        body('code')
+            .optional()
+            .isString()
+            .trim()
+    ],
+    validate,
+    authController.stepUp
+);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status and recovery codes left
+ * @access  Private
+ */
+router.get('/2fa', auth, authController.getTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA setup (returns the secret and a QR code)
+ * @access  Private (recent step-up)
+ */
+router.post('/2fa/setup', auth, requireStepUp, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Turn 2FA on with a code from the authenticator app (returns recovery codes)
+ * @access  Private
+ */
+router.post(
+    '/2fa/enable',
+    auth,
+    [
+        body('code')
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Authentication code is required')
+    ],
+    validate,
+    authController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn 2FA off
+ * @access  Private (recent step-up)
+ */
+router.post('/2fa/disable', auth, requireStepUp, authController.disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Private (recent step-up)
+ */
+router.post('/2fa/recovery-codes', auth, requireStepUp, authController.regenerateRecoveryCodes);
+
+/**
+ * @route   GET /api/auth/oauth/providers
+ * @desc    Sign-in providers (Google, GitHub, OIDC) that are set up
+ * @access  Public
+ */
+router.get('/oauth/providers', authController.getOAuthProviders);
+
+/**
+ * @route   GET /api/auth/oauth/accounts
+ * @desc    Providers linked to the current account
+ * @access  Private
+ */
+router.get('/oauth/accounts', auth, authController.getOAuthAccounts);
+
+/**
+ * @route   POST /api/auth/oauth/callback
+ * @desc    Finish a provider sign-in (or link, when signed in) with the code it sent back
+ * @access  Public
+ */
+router.post(
+    '/oauth/callback',
+    optionalAuth,
+    [
+        body('flowToken')
+            .isString()
+            .notEmpty()
+            .withMessage('Sign-in flow token is required'),
+        body('state')
+            .isString()
+            .notEmpty()
+            .withMessage('State is required'),
+        body('code')
+            .isString()
+            .notEmpty()
+            .withMessage('Authorization code is required')
+    ],
+    validate,
+    authController.oauthCallback
+);
+
+/**
+ * @route   POST /api/auth/oauth/:provider/start
+ * @desc    Start signing in with a provider
+ * @access  Public
+ */
+router.post('/oauth/:provider/start', authController.startOAuth);
+
+/**
+ * @route   POST /api/auth/oauth/:provider/link
+ * @desc    Start linking a provider to the current account
+ * @access  Private
+ */
+router.post('/oauth/:provider/link', auth, authController.startOAuthLink);
+
+/**
+ * @route   DELETE /api/auth/oauth/:provider
+ * @desc    Unlink a provider from the current account
+ * @access  Private
+ */
+router.delete('/oauth/:provider', auth, authController.unlinkOAuth);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with the token from the emailed link
+ * @access  Public
+ */
+router.post(
+    '/verify-email',
+    [
+        body('token')
+            .isString()
+            .notEmpty()
+            .withMessage('Verification token is required')
+    ],
+    validate,
+    authController.verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send the verification email again
+ * @access  Private
+ */
+router.post('/verify-email/resend', auth, authController.resendVerification);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link (the response is the same for unknown addresses)
+ * @access  Public
+ */
+router.post(
+    '/forgot-password',
+    [
+        body('email')
+            .isEmail()
+            .withMessage('Please provide a valid email')
+            .normalizeEmail()
+    ],
+    validate,
+    authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from the emailed link; signs out every device
+ * @access  Public
+ */
+router.post(
+    '/reset-password',
+    [
+        body('token')
+            .isString()
+            .notEmpty()
+            .withMessage('Reset token is required'),
+        body('password')
+            .isLength({ min: 8 })
+            .withMessage('Password must be at least 8 characters')
+            .matches(/\d/)
+            .withMessage('Password must contain a number')
+    ],
+    validate,
+    authController.resetPassword
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Swap a refresh token for a new token pair (each refresh token works once)
+ * @access  Public
+ */
+router.post(
+    '/refresh',
+    [
+        body('refreshToken')
+            .isString()
+            .notEmpty()
+            .withMessage('Refresh token is required')
+    ],
+    validate,
+    authController.refresh
+);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Sign out this device
+ * @access  Private
+ */
+router.post('/logout', auth, authController.logout);
+
+/**
+ * @route   GET /api/auth/devices
+ * @desc    List signed-in devices
+ * @access  Private
+ */
+router.get('/devices', auth, authController.getDevices);
+
+/**
+ * @route   DELETE /api/auth/devices
+ * @desc    Sign out every other device
+ * @access  Private
+ */
+router.delete('/devices', auth, authController.signOutOtherDevices);
+
+/**
+ * @route   DELETE /api/auth/devices/:id
+ * @desc    Sign out one device
+ * @access  Private
+ */
+router.delete(
+    '/devices/:id',
+    auth,
+    [
+        param('id')
+            .isMongoId()
+            .withMessage('Invalid device ID')
+    ],
+    validate,
+    authController.signOutDevice
+);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
@@ -88,7 +369,33 @@ router.put(
         body('bio')
             .optional()
             .isLength({ max: 500 })
-            .withMessage('Bio cannot exceed 500 characters')
+            .withMessage('Bio cannot exceed 500 characters'),
+        body('availability')
+            .optional()
+            .isObject()
+            .withMessage('Availability must be an object'),
+        body('availability.timezone')
+            .if(body('availability').exists())
+            .isString()
+            .withMessage('Availability needs a timezone'),
+        body('availability.weeklySchedule')
+            .if(body('availability').exists())
+            .isObject()
+            .withMessage('Weekly schedule must map weekdays to lists of time windows'),
+        body(['availability.exceptions', 'availability.vacations'])
+            .optional()
+            .isArray()
+            .withMessage('Exceptions and vacations must be lists'),
+        body('availability.minNoticeHours')
+            .optional()
+            .isInt({ min: 0, max: AVAILABILITY.MAX_NOTICE_HOURS })
+            .withMessage(`Minimum notice must be between 0 and ${AVAILABILITY.MAX_NOTICE_HOURS} hours`)
+            .toInt(),
+        body('availability.bufferMinutes')
+            .optional()
+            .isInt({ min: 0, max: AVAILABILITY.MAX_BUFFER_MINUTES })
+            .withMessage(`Buffer time must be between 0 and ${AVAILABILITY.MAX_BUFFER_MINUTES} minutes`)
+            .toInt()
     ],
     validate,
     authController.updateMe
@@ -96,8 +403,8 @@ router.put(
 
 /**
  * @route   PUT /api/auth/password
- * @desc    Change password
- * @access  Private
+ * @desc    Change password and sign out every other device
+ * @access  Private (recent step-up)
  */
 router.put(
     '/password',
@@ -113,6 +420,7 @@ router.put(
             .withMessage('New password must contain a number')
     ],
     validate,
+    requireStepUp,
     authController.changePassword
 );
 
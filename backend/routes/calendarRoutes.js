@@ -0,0 +1,39 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { calendarController } = require('../controllers');
+const { auth, validate } = require('../middleware');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Get the current user's private calendar feed URL
+ * @access  Private
+ */
+router.get('/feed', auth, calendarController.getFeedUrl);
+
+/**
+ * @route   POST /api/calendar/feed/reset
+ * @desc    Replace the feed URL; the old one stops working
+ * @access  Private
+ */
+router.post('/feed/reset', auth, calendarController.resetFeedUrl);
+
+/**
+ * @route   GET /api/calendar/:token.ics
+ * @desc    iCalendar feed of the user's sessions (the token is the secret)
+ * @access  Public
+ */
+router.get(
+    '/:token.ics',
+    [
+        param('token')
+            .isHexadecimal()
+            .isLength({ min: 64, max: 64 })
+            .withMessage('Invalid calendar feed')
+    ],
+    validate,
+    calendarController.getFeed
+);
+
+module.exports = router;
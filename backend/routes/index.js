@@ -3,11 +3,15 @@ const userRoutes = require('./userRoutes');
 const sessionRoutes = require('./sessionRoutes');
 const walletRoutes = require('./walletRoutes');
 const transcriptionRoutes = require('./transcriptionRoutes');
+const adminRoutes = require('./adminRoutes');
+const calendarRoutes = require('./calendarRoutes');
 
 module.exports = {
     authRoutes,
     userRoutes,
     sessionRoutes,
     walletRoutes,
-    transcriptionRoutes
+    transcriptionRoutes,
+    adminRoutes,
+    calendarRoutes
 };
@@ -1,14 +1,99 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { sessionController } = require('../controllers');
-const { auth, validate } = require('../middleware');
-const { MIN_SESSION_DURATION, MAX_SESSION_DURATION } = require('../config/constants');
+const { auth, requireRole, requireVerifiedEmail, validate } = require('../middleware');
+const {
+    MIN_SESSION_DURATION,
+    MAX_SESSION_DURATION,
+    DISPUTE_RESOLUTION,
+    PACKAGE_STATUS,
+    RECURRENCE,
+    GROUP_SESSION,
+    PRICING,
+    ROLES
+} = require('../config/constants');
 
 const router = express.Router();
 
 // All session routes require authentication
 router.use(auth);
 
+// Shared by booking and quoting, so a quote is checked exactly like a booking
+const bookingValidators = [
+    body('tutorId')
+        .notEmpty()
+        .withMessage('Tutor ID is required')
+        .isMongoId()
+        .withMessage('Invalid tutor ID'),
+    body('skillName')
+        .trim()
+        .notEmpty()
+        .withMessage('Skill name is required'),
+    body('skillCategory')
+        .notEmpty()
+        .withMessage('Skill category is required'),
+    body('scheduledAt')
+        .notEmpty()
+        .withMessage('Scheduled date/time is required')
+        .isISO8601()
+        .withMessage('Invalid date format'),
+    body('duration')
+        .notEmpty()
+        .withMessage('Duration is required')
+        .isInt({ min: MIN_SESSION_DURATION, max: MAX_SESSION_DURATION })
+        .withMessage(`Duration must be between ${MIN_SESSION_DURATION} and ${MAX_SESSION_DURATION} minutes`)
+        .toInt(),
+    body('packageId')
+        .optional({ values: 'falsy' })
+        .isMongoId()
+        .withMessage('Invalid package ID')
+];
+
+// Notes and meeting type for a new booking
+const sessionDetailValidators = [
+    body('notes')
+        .optional()
+        .isLength({ max: 1000 })
+        .withMessage('Notes cannot exceed 1000 characters'),
+    body('meetingType')
+        .optional()
+        .isIn(['video', 'in-person', 'chat'])
+        .withMessage('Invalid meeting type')
+];
+
+// How a series repeats: a frequency plus either occurrences or an end date.
+// With optional set, the fields are only checked when recurrence is sent.
+const recurrenceValidators = ({ optional = false } = {}) => {
+    const field = (path) => (optional ? body(path).if(body('recurrence').exists()) : body(path));
+
+    return [
+        field('recurrence.frequency')
+            .isIn(Object.values(RECURRENCE.FREQUENCY))
+            .withMessage(`Repeat frequency must be one of: ${Object.values(RECURRENCE.FREQUENCY).join(', ')}`),
+        field('recurrence.occurrences')
+            .optional({ values: 'falsy' })
+            .isInt({ min: RECURRENCE.MIN_OCCURRENCES, max: RECURRENCE.MAX_OCCURRENCES })
+            .withMessage(`Occurrences must be between ${RECURRENCE.MIN_OCCURRENCES} and ${RECURRENCE.MAX_OCCURRENCES}`)
+            .toInt(),
+        field('recurrence.until')
+            .optional({ values: 'falsy' })
+            .isISO8601()
+            .withMessage('Invalid end date')
+    ];
+};
+
+const rescheduleValidators = [
+    body('scheduledAt')
+        .notEmpty()
+        .withMessage('New date/time is required')
+        .isISO8601()
+        .withMessage('Invalid date format'),
+    body('note')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Note cannot exceed 500 characters')
+];
+
 /**
  * @route   POST /api/sessions
  * @desc    Book a new session
@@ -16,12 +101,280 @@ router.use(auth);
  */
 router.post(
     '/',
+    requireVerifiedEmail,
+    [...bookingValidators, ...sessionDetailValidators],
+    validate,
+    sessionController.bookSession
+);
+
+/**
+ * @route   GET /api/sessions
+ * @desc    Get user's sessions
+ * @access  Private
+ */
+router.get(
+    '/',
+    [
+        query('role')
+            .optional()
+            .isIn(['tutor', 'student', 'all'])
+            .withMessage('Role must be tutor, student, or all'),
+        query('status')
+            .optional(),
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100')
+    ],
+    validate,
+    sessionController.getMySessions
+);
+
+/**
+ * @route   POST /api/sessions/quote
+ * @desc    Get an itemized price for a booking, or for each session of a series when recurrence is given
+ * @access  Private
+ */
+router.post(
+    '/quote',
+    [...bookingValidators, ...recurrenceValidators({ optional: true })],
+    validate,
+    sessionController.getQuote
+);
+
+/**
+ * @route   POST /api/sessions/series
+ * @desc    Book a weekly or biweekly series of sessions
+ * @access  Private
+ */
+router.post(
+    '/series',
+    requireVerifiedEmail,
+    [...bookingValidators, ...sessionDetailValidators, ...recurrenceValidators()],
+    validate,
+    sessionController.bookSeries
+);
+
+/**
+ * @route   GET /api/sessions/series/:id
+ * @desc    Get a series with all of its sessions
+ * @access  Private
+ */
+router.get('/series/:id', sessionController.getSeries);
+
+/**
+ * @route   PUT /api/sessions/series/:id/confirm
+ * @desc    Confirm every pending upcoming session in a series (tutor only)
+ * @access  Private
+ */
+router.put('/series/:id/confirm', sessionController.confirmSeries);
+
+/**
+ * @route   PUT /api/sessions/series/:id/cancel
+ * @desc    Cancel every upcoming session in a series
+ * @access  Private
+ */
+router.put(
+    '/series/:id/cancel',
+    [
+        body('reason')
+            .optional()
+            .isLength({ max: 500 })
+            .withMessage('Reason cannot exceed 500 characters')
+    ],
+    validate,
+    sessionController.cancelSeries
+);
+
+/**
+ * @route   PUT /api/sessions/series/:id/reschedule
+ * @desc    Propose moving every upcoming session in a series, keeping their spacing
+ * @access  Private
+ */
+router.put('/series/:id/reschedule', rescheduleValidators, validate, sessionController.proposeSeriesReschedule);
+
+/**
+ * @route   PUT /api/sessions/series/:id/reschedule/accept
+ * @desc    Accept the other participant's proposed series move
+ * @access  Private
+ */
+router.put('/series/:id/reschedule/accept', sessionController.acceptSeriesReschedule);
+
+/**
+ * @route   PUT /api/sessions/series/:id/reschedule/decline
+ * @desc    Decline the other participant's proposed series move, or withdraw your own
+ * @access  Private
+ */
+router.put('/series/:id/reschedule/decline', sessionController.declineSeriesReschedule);
+
+/**
+ * @route   GET /api/sessions/packages
+ * @desc    Get the user's prepaid session packages
+ * @access  Private
+ */
+router.get(
+    '/packages',
+    [
+        query('tutorId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid tutor ID'),
+        query('status')
+            .optional()
+            .isIn(Object.values(PACKAGE_STATUS))
+            .withMessage('Invalid package status')
+    ],
+    validate,
+    sessionController.getMyPackages
+);
+
+/**
+ * @route   POST /api/sessions/packages
+ * @desc    Buy a tutor's prepaid session package
+ * @access  Private
+ */
+router.post(
+    '/packages',
+    requireVerifiedEmail,
     [
         body('tutorId')
             .notEmpty()
             .withMessage('Tutor ID is required')
             .isMongoId()
             .withMessage('Invalid tutor ID'),
+        body('skillName')
+            .trim()
+            .notEmpty()
+            .withMessage('Skill name is required'),
+        body('skillCategory')
+            .notEmpty()
+            .withMessage('Skill category is required'),
+        body('offerId')
+            .notEmpty()
+            .withMessage('Package offer ID is required')
+            .isMongoId()
+            .withMessage('Invalid package offer ID')
+    ],
+    validate,
+    sessionController.purchasePackage
+);
+
+/**
+ * @route   POST /api/sessions/packages/:id/cancel
+ * @desc    Cancel a package and refund its unbooked sessions
+ * @access  Private
+ */
+router.post('/packages/:id/cancel', sessionController.cancelPackage);
+
+/**
+ * @route   GET /api/sessions/waitlist
+ * @desc    Get the student's open waitlist entries and held slots
+ * @access  Private
+ */
+router.get('/waitlist', sessionController.getMyWaitlist);
+
+/**
+ * @route   POST /api/sessions/waitlist
+ * @desc    Join a tutor's waitlist for one slot (scheduledAt) or any opening
+ * @access  Private
+ */
+router.post(
+    '/waitlist',
+    [
+        body('tutorId')
+            .notEmpty()
+            .withMessage('Tutor ID is required')
+            .isMongoId()
+            .withMessage('Invalid tutor ID'),
+        body('skillName')
+            .trim()
+            .notEmpty()
+            .withMessage('Skill name is required'),
+        body('skillCategory')
+            .notEmpty()
+            .withMessage('Skill category is required'),
+        body('duration')
+            .notEmpty()
+            .withMessage('Duration is required')
+            .isInt({ min: MIN_SESSION_DURATION, max: MAX_SESSION_DURATION })
+            .withMessage(`Duration must be between ${MIN_SESSION_DURATION} and ${MAX_SESSION_DURATION} minutes`)
+            .toInt(),
+        body('scheduledAt')
+            .optional({ values: 'falsy' })
+            .isISO8601()
+            .withMessage('Invalid date format')
+    ],
+    validate,
+    sessionController.joinWaitlist
+);
+
+/**
+ * @route   POST /api/sessions/waitlist/:id/book
+ * @desc    Book the slot held for the student by a waitlist entry
+ * @access  Private
+ */
+router.post(
+    '/waitlist/:id/book',
+    requireVerifiedEmail,
+    [
+        param('id')
+            .isMongoId()
+            .withMessage('Invalid waitlist entry ID'),
+        body('packageId')
+            .optional({ values: 'falsy' })
+            .isMongoId()
+            .withMessage('Invalid package ID'),
+        ...sessionDetailValidators
+    ],
+    validate,
+    sessionController.bookWaitlistHold
+);
+
+/**
+ * @route   DELETE /api/sessions/waitlist/:id
+ * @desc    Leave a waitlist, releasing any held slot to the next student
+ * @access  Private
+ */
+router.delete(
+    '/waitlist/:id',
+    [
+        param('id')
+            .isMongoId()
+            .withMessage('Invalid waitlist entry ID')
+    ],
+    validate,
+    sessionController.leaveWaitlist
+);
+
+/**
+ * @route   GET /api/sessions/group
+ * @desc    Upcoming group sessions with free seats (optionally ?tutorId=)
+ * @access  Private
+ */
+router.get(
+    '/group',
+    [
+        query('tutorId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid tutor ID')
+    ],
+    validate,
+    sessionController.getOpenGroupSessions
+);
+
+/**
+ * @route   POST /api/sessions/group
+ * @desc    Open a group session for several students (tutor)
+ * @access  Private
+ */
+router.post(
+    '/group',
+    [
         body('skillName')
             .trim()
             .notEmpty()
@@ -38,45 +391,59 @@ router.post(
             .notEmpty()
             .withMessage('Duration is required')
             .isInt({ min: MIN_SESSION_DURATION, max: MAX_SESSION_DURATION })
-            .withMessage(`Duration must be between ${MIN_SESSION_DURATION} and ${MAX_SESSION_DURATION} minutes`),
+            .withMessage(`Duration must be between ${MIN_SESSION_DURATION} and ${MAX_SESSION_DURATION} minutes`)
+            .toInt(),
+        body('capacity')
+            .notEmpty()
+            .withMessage('Capacity is required')
+            .isInt({ min: GROUP_SESSION.MIN_CAPACITY, max: GROUP_SESSION.MAX_CAPACITY })
+            .withMessage(`Capacity must be between ${GROUP_SESSION.MIN_CAPACITY} and ${GROUP_SESSION.MAX_CAPACITY} students`)
+            .toInt(),
+        body('seatPrice')
+            .optional({ values: 'null' })
+            .isFloat({ min: PRICING.MIN_SESSION_PRICE })
+            .withMessage(`Seat price must be at least ${PRICING.MIN_SESSION_PRICE} credits`)
+            .toFloat(),
         body('notes')
             .optional()
             .isLength({ max: 1000 })
-            .withMessage('Notes cannot exceed 1000 characters'),
-        body('meetingType')
-            .optional()
-            .isIn(['video', 'in-person', 'chat'])
-            .withMessage('Invalid meeting type')
+            .withMessage('Notes cannot exceed 1000 characters')
     ],
     validate,
-    sessionController.bookSession
+    sessionController.createGroupSession
 );
 
 /**
- * @route   GET /api/sessions
- * @desc    Get user's sessions
+ * @route   POST /api/sessions/:id/enroll
+ * @desc    Take a seat in a group session (its price is held in escrow)
  * @access  Private
  */
-router.get(
-    '/',
+router.post(
+    '/:id/enroll',
+    requireVerifiedEmail,
     [
-        query('role')
-            .optional()
-            .isIn(['tutor', 'student', 'all'])
-            .withMessage('Role must be tutor, student, or all'),
-        query('status')
-            .optional(),
-        query('page')
-            .optional()
-            .isInt({ min: 1 })
-            .withMessage('Page must be a positive integer'),
-        query('limit')
-            .optional()
-            .isInt({ min: 1, max: 100 })
-            .withMessage('Limit must be between 1 and 100')
+        param('id')
+            .isMongoId()
+            .withMessage('Invalid session ID')
     ],
     validate,
-    sessionController.getMySessions
+    sessionController.enrollInGroupSession
+);
+
+/**
+ * @route   DELETE /api/sessions/:id/enroll
+ * @desc    Give up a seat in a group session (refunded under the cancellation policy)
+ * @access  Private
+ */
+router.delete(
+    '/:id/enroll',
+    [
+        param('id')
+            .isMongoId()
+            .withMessage('Invalid session ID')
+    ],
+    validate,
+    sessionController.withdrawFromGroupSession
 );
 
 /**
@@ -86,6 +453,13 @@ router.get(
  */
 router.get('/:id', sessionController.getSession);
 
+/**
+ * @route   GET /api/sessions/:id/ics
+ * @desc    Download a session as an iCalendar (.ics) invite
+ * @access  Private
+ */
+router.get('/:id/ics', sessionController.getSessionInvite);
+
 /**
  * @route   PUT /api/sessions/:id/confirm
  * @desc    Confirm a pending session (tutor only)
@@ -100,6 +474,13 @@ router.put('/:id/confirm', sessionController.confirmSession);
  */
 router.put('/:id/complete', sessionController.completeSession);
 
+/**
+ * @route   GET /api/sessions/:id/cancel-preview
+ * @desc    Preview refund, fee and bonus the cancellation policy would apply
+ * @access  Private
+ */
+router.get('/:id/cancel-preview', sessionController.previewCancellation);
+
 /**
  * @route   PUT /api/sessions/:id/cancel
  * @desc    Cancel a session
@@ -117,6 +498,27 @@ router.put(
     sessionController.cancelSession
 );
 
+/**
+ * @route   PUT /api/sessions/:id/reschedule
+ * @desc    Propose a new time for a session, or counter the other participant's proposal
+ * @access  Private
+ */
+router.put('/:id/reschedule', rescheduleValidators, validate, sessionController.proposeReschedule);
+
+/**
+ * @route   PUT /api/sessions/:id/reschedule/accept
+ * @desc    Accept the other participant's proposed time
+ * @access  Private
+ */
+router.put('/:id/reschedule/accept', sessionController.acceptReschedule);
+
+/**
+ * @route   PUT /api/sessions/:id/reschedule/decline
+ * @desc    Decline the other participant's proposed time, or withdraw your own
+ * @access  Private
+ */
+router.put('/:id/reschedule/decline', sessionController.declineReschedule);
+
 /**
  * @route   POST /api/sessions/:id/review
  * @desc    Add a review to a completed session
@@ -139,4 +541,52 @@ router.post(
     sessionController.addReview
 );
 
+/**
+ * @route   POST /api/sessions/:id/dispute
+ * @desc    Open a dispute on a completed session, or on a no-show or late-cancellation charge
+ * @access  Private
+ */
+router.post(
+    '/:id/dispute',
+    [
+        body('reason')
+            .trim()
+            .notEmpty()
+            .withMessage('Reason is required')
+            .isLength({ max: 500 })
+            .withMessage('Reason cannot exceed 500 characters'),
+        body('evidence')
+            .optional()
+            .isLength({ max: 5000 })
+            .withMessage('Evidence cannot exceed 5000 characters')
+    ],
+    validate,
+    sessionController.openDispute
+);
+
+/**
+ * @route   PUT /api/sessions/:id/dispute/resolve
+ * @desc    Resolve a dispute by upholding, refunding or splitting the payment
+ * @access  Private (moderator)
+ */
+router.put(
+    '/:id/dispute/resolve',
+    requireRole(ROLES.MODERATOR),
+    [
+        body('outcome')
+            .isIn(Object.values(DISPUTE_RESOLUTION))
+            .withMessage(`Outcome must be one of: ${Object.values(DISPUTE_RESOLUTION).join(', ')}`),
+        body('tutorSharePercent')
+            .if(body('outcome').equals(DISPUTE_RESOLUTION.SPLIT))
+            .isFloat({ min: 0, max: 100 })
+            .withMessage('Tutor share must be between 0 and 100 percent'),
+        body('note')
+            .optional()
+            .isLength({ max: 1000 })
+            .withMessage('Note cannot exceed 1000 characters')
+    ],
+    validate,
+    sessionController.resolveDispute
+);
+
 module.exports = router;
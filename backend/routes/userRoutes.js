@@ -1,10 +1,40 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const { userController } = require('../controllers');
 const { auth, optionalAuth, validate } = require('../middleware');
+const { PRICING, MIN_SESSION_DURATION, MAX_SESSION_DURATION } = require('../config/constants');
 
 const router = express.Router();
 
+// Optional discounts and package offers on a teaching skill
+const pricingValidators = [
+    body('pricing.firstSessionDiscount')
+        .optional()
+        .isFloat({ min: 0, max: PRICING.MAX_DISCOUNT_PERCENT })
+        .withMessage(`First session discount must be between 0 and ${PRICING.MAX_DISCOUNT_PERCENT}%`),
+    body('pricing.offPeak.discount')
+        .optional()
+        .isFloat({ min: 0, max: PRICING.MAX_DISCOUNT_PERCENT })
+        .withMessage(`Off-peak discount must be between 0 and ${PRICING.MAX_DISCOUNT_PERCENT}%`),
+    body(['pricing.offPeak.startHour', 'pricing.offPeak.endHour'])
+        .optional()
+        .isInt({ min: 0, max: 23 })
+        .withMessage('Off-peak hours must be between 0 and 23 (UTC)'),
+    body('pricing.packages')
+        .optional()
+        .isArray({ max: PRICING.MAX_PACKAGE_OFFERS })
+        .withMessage(`You can offer at most ${PRICING.MAX_PACKAGE_OFFERS} packages per skill`),
+    body('pricing.packages.*.sessions')
+        .isInt({ min: PRICING.PACKAGE_MIN_SESSIONS, max: PRICING.PACKAGE_MAX_SESSIONS })
+        .withMessage(`Packages must include ${PRICING.PACKAGE_MIN_SESSIONS} to ${PRICING.PACKAGE_MAX_SESSIONS} sessions`),
+    body('pricing.packages.*.paidSessions')
+        .isInt({ min: 1 })
+        .withMessage('Paid sessions must be a positive whole number'),
+    body('pricing.packages.*.duration')
+        .isInt({ min: MIN_SESSION_DURATION, max: MAX_SESSION_DURATION })
+        .withMessage(`Package session length must be between ${MIN_SESSION_DURATION} and ${MAX_SESSION_DURATION} minutes`)
+];
+
 /**
  * @route   GET /api/users/skills/options
  * @desc    Get skill categories and proficiency levels
@@ -19,6 +49,35 @@ router.get('/skills/options', userController.getSkillOptions);
  */
 router.get('/search', optionalAuth, userController.searchTutors);
 
+/**
+ * @route   GET /api/users/:id/slots
+ * @desc    Get a tutor's bookable slots (weekly availability minus existing sessions)
+ * @access  Public (optional auth also subtracts the viewer's own sessions)
+ */
+router.get(
+    '/:id/slots',
+    optionalAuth,
+    [
+        param('id')
+            .isMongoId()
+            .withMessage('Invalid user ID'),
+        query('from')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid start date format'),
+        query('to')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid end date format'),
+        query('duration')
+            .optional()
+            .isInt({ min: MIN_SESSION_DURATION, max: MAX_SESSION_DURATION })
+            .withMessage(`Duration must be between ${MIN_SESSION_DURATION} and ${MAX_SESSION_DURATION} minutes`)
+    ],
+    validate,
+    userController.getSlots
+);
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user public profile
@@ -53,8 +112,9 @@ router.post(
             .withMessage('Description cannot exceed 300 characters'),
         body('hourlyRate')
             .optional()
-            .isFloat({ min: 1, max: 5 })
-            .withMessage('Hourly rate must be between 1 and 5 credits')
+            .isFloat({ min: PRICING.MIN_HOURLY_RATE, max: PRICING.MAX_HOURLY_RATE })
+            .withMessage(`Hourly rate must be between ${PRICING.MIN_HOURLY_RATE} and ${PRICING.MAX_HOURLY_RATE} credits`),
+        ...pricingValidators
     ],
     validate,
     userController.addTeachingSkill
@@ -77,8 +137,9 @@ router.put(
             .withMessage('Description cannot exceed 300 characters'),
         body('hourlyRate')
             .optional()
-            .isFloat({ min: 1, max: 5 })
-            .withMessage('Hourly rate must be between 1 and 5 credits')
+            .isFloat({ min: PRICING.MIN_HOURLY_RATE, max: PRICING.MAX_HOURLY_RATE })
+            .withMessage(`Hourly rate must be between ${PRICING.MIN_HOURLY_RATE} and ${PRICING.MAX_HOURLY_RATE} credits`),
+        ...pricingValidators
     ],
     validate,
     userController.updateTeachingSkill
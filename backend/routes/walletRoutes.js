@@ -1,7 +1,8 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { body, header, query } = require('express-validator');
 const { walletController } = require('../controllers');
-const { auth, validate } = require('../middleware');
+const { auth, requireStepUp, validate } = require('../middleware');
+const { TRANSACTION_TYPE, PEER_TRANSFER } = require('../config/constants');
 
 const router = express.Router();
 
@@ -15,6 +16,36 @@ router.use(auth);
  */
 router.get('/', walletController.getWallet);
 
+/**
+ * @route   POST /api/wallet/transfer
+ * @desc    Send credits to another user (requires an Idempotency-Key header and a recent step-up)
+ * @access  Private
+ */
+router.post(
+    '/transfer',
+    [
+        header('Idempotency-Key')
+            .trim()
+            .isLength({ min: 8, max: 128 })
+            .withMessage('Idempotency-Key header is required (8-128 characters)'),
+        body('recipient')
+            .trim()
+            .notEmpty()
+            .withMessage('Recipient email or user ID is required'),
+        body('amount')
+            .isFloat({ gt: 0, max: PEER_TRANSFER.DAILY_AMOUNT_LIMIT })
+            .withMessage(`Amount must be greater than 0 and at most ${PEER_TRANSFER.DAILY_AMOUNT_LIMIT}`),
+        body('memo')
+            .optional()
+            .trim()
+            .isLength({ max: PEER_TRANSFER.MEMO_MAX_LENGTH })
+            .withMessage(`Memo cannot exceed ${PEER_TRANSFER.MEMO_MAX_LENGTH} characters`)
+    ],
+    validate,
+    requireStepUp,
+    walletController.transferCredits
+);
+
 /**
  * @route   GET /api/wallet/transactions
  * @desc    Get transaction history
@@ -33,7 +64,7 @@ router.get(
             .withMessage('Limit must be between 1 and 100'),
         query('type')
             .optional()
-            .isIn(['credit', 'debit', 'initial', 'refund', 'bonus'])
+            .isIn(Object.values(TRANSACTION_TYPE))
             .withMessage('Invalid transaction type'),
         query('startDate')
             .optional()
@@ -48,6 +79,78 @@ router.get(
     walletController.getTransactions
 );
 
+/**
+ * @route   POST /api/wallet/redeem
+ * @desc    Redeem a promo code for bonus credits
+ * @access  Private
+ */
+router.post(
+    '/redeem',
+    [
+        body('code')
+            .trim()
+            .notEmpty()
+            .withMessage('Promo code is required')
+            .isLength({ max: 32 })
+            .withMessage('Invalid promo code')
+    ],
+    validate,
+    walletController.redeemPromoCode
+);
+
+/**
+ * @route   GET /api/wallet/referrals
+ * @desc    Get the user's referral code and referral stats
+ * @access  Private
+ */
+router.get('/referrals', walletController.getReferrals);
+
+/**
+ * @route   GET /api/wallet/history
+ * @desc    Get daily balances and earned/spent breakdowns for a date range
+ * @access  Private
+ */
+router.get(
+    '/history',
+    [
+        query('from')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid start date format'),
+        query('to')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid end date format')
+    ],
+    validate,
+    walletController.getBalanceHistory
+);
+
+/**
+ * @route   GET /api/wallet/statement
+ * @desc    Download a CSV or PDF statement for a date range
+ * @access  Private
+ */
+router.get(
+    '/statement',
+    [
+        query('from')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid start date format'),
+        query('to')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid end date format'),
+        query('format')
+            .optional()
+            .isIn(['csv', 'pdf'])
+            .withMessage('Format must be csv or pdf')
+    ],
+    validate,
+    walletController.getStatement
+);
+
 /**
  * @route   GET /api/wallet/transactions/:id
  * @desc    Get a single transaction
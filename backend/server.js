@@ -10,9 +10,11 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 
 const connectDB = require('./config/database');
-const { authRoutes, userRoutes, sessionRoutes, walletRoutes, transcriptionRoutes } = require('./routes');
+const { authRoutes, userRoutes, sessionRoutes, walletRoutes, transcriptionRoutes, adminRoutes, calendarRoutes } = require('./routes');
 const { errorHandler, notFound } = require('./middleware');
 const { initializeSocketHandlers } = require('./socketHandlers');
+const { SessionService, TransactionService, SchedulerService, BalanceHistoryService, WaitlistService } = require('./services');
+const { CREDIT_EXPIRY, BALANCE_HISTORY, WAITLIST } = require('./config/constants');
 
 // Initialize express app
 const app = express();
@@ -66,7 +68,7 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Timezone']
 }));
 
 // Rate limiting
@@ -84,7 +86,9 @@ const limiter = rateLimit({
 // Apply rate limiting to all routes
 app.use(limiter);
 
-// Stricter rate limit for auth routes
+// Stricter rate limit for the routes that check a password, code or reset
+// token. Token refresh and /me stay on the general limit: every open tab
+// refreshes when its access token expires.
 const authLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 20, // 20 attempts per 15 minutes
@@ -116,11 +120,17 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
-app.use('/api/auth', authLimiter, authRoutes);
+app.use(
+    ['/api/auth/register', '/api/auth/login', '/api/auth/step-up', '/api/auth/forgot-password', '/api/auth/reset-password'],
+    authLimiter
+);
+app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/sessions', sessionRoutes);
 app.use('/api/wallet', walletRoutes);
 app.use('/api/transcription', transcriptionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -132,6 +142,24 @@ app.get('/api', (req, res) => {
             auth: {
                 register: 'POST /api/auth/register',
                 login: 'POST /api/auth/login',
+                loginTwoFactor: 'POST /api/auth/login/2fa',
+                stepUp: 'POST /api/auth/step-up',
+                twoFactor: 'GET /api/auth/2fa',
+                twoFactorSetup: 'POST /api/auth/2fa/setup|enable|disable|recovery-codes',
+                oauthProviders: 'GET /api/auth/oauth/providers',
+                oauthStart: 'POST /api/auth/oauth/:provider/start',
+                oauthCallback: 'POST /api/auth/oauth/callback',
+                oauthAccounts: 'GET /api/auth/oauth/accounts',
+                oauthLink: 'POST /api/auth/oauth/:provider/link',
+                oauthUnlink: 'DELETE /api/auth/oauth/:provider',
+                verifyEmail: 'POST /api/auth/verify-email',
+                resendVerification: 'POST /api/auth/verify-email/resend',
+                forgotPassword: 'POST /api/auth/forgot-password',
+                resetPassword: 'POST /api/auth/reset-password',
+                refresh: 'POST /api/auth/refresh',
+                logout: 'POST /api/auth/logout',
+                devices: 'GET|DELETE /api/auth/devices',
+                signOutDevice: 'DELETE /api/auth/devices/:id',
                 me: 'GET /api/auth/me',
                 updateProfile: 'PUT /api/auth/me',
                 changePassword: 'PUT /api/auth/password'
@@ -139,6 +167,7 @@ app.get('/api', (req, res) => {
             users: {
                 search: 'GET /api/users/search',
                 profile: 'GET /api/users/:id',
+                slots: 'GET /api/users/:id/slots',
                 skillOptions: 'GET /api/users/skills/options',
                 addTeachingSkill: 'POST /api/users/skills/teaching',
                 updateTeachingSkill: 'PUT /api/users/skills/teaching/:skillId',
@@ -148,17 +177,58 @@ app.get('/api', (req, res) => {
             },
             sessions: {
                 book: 'POST /api/sessions',
+                quote: 'POST /api/sessions/quote',
+                packages: 'GET|POST /api/sessions/packages',
+                cancelPackage: 'POST /api/sessions/packages/:id/cancel',
+                waitlist: 'GET|POST /api/sessions/waitlist',
+                bookWaitlistHold: 'POST /api/sessions/waitlist/:id/book',
+                leaveWaitlist: 'DELETE /api/sessions/waitlist/:id',
+                groupSessions: 'GET|POST /api/sessions/group',
+                groupSeat: 'POST|DELETE /api/sessions/:id/enroll',
+                bookSeries: 'POST /api/sessions/series',
+                getSeries: 'GET /api/sessions/series/:id',
+                confirmSeries: 'PUT /api/sessions/series/:id/confirm',
+                cancelSeries: 'PUT /api/sessions/series/:id/cancel',
+                rescheduleSeries: 'PUT /api/sessions/series/:id/reschedule',
+                respondSeriesReschedule: 'PUT /api/sessions/series/:id/reschedule/accept|decline',
                 list: 'GET /api/sessions',
                 get: 'GET /api/sessions/:id',
+                calendarInvite: 'GET /api/sessions/:id/ics',
                 confirm: 'PUT /api/sessions/:id/confirm',
                 complete: 'PUT /api/sessions/:id/complete',
+                cancelPreview: 'GET /api/sessions/:id/cancel-preview',
                 cancel: 'PUT /api/sessions/:id/cancel',
-                review: 'POST /api/sessions/:id/review'
+                reschedule: 'PUT /api/sessions/:id/reschedule',
+                respondReschedule: 'PUT /api/sessions/:id/reschedule/accept|decline',
+                review: 'POST /api/sessions/:id/review',
+                dispute: 'POST /api/sessions/:id/dispute',
+                resolveDispute: 'PUT /api/sessions/:id/dispute/resolve'
             },
             wallet: {
                 summary: 'GET /api/wallet',
+                transfer: 'POST /api/wallet/transfer',
+                history: 'GET /api/wallet/history',
+                statement: 'GET /api/wallet/statement',
+                redeem: 'POST /api/wallet/redeem',
+                referrals: 'GET /api/wallet/referrals',
                 transactions: 'GET /api/wallet/transactions',
                 transaction: 'GET /api/wallet/transactions/:id'
+            },
+            calendar: {
+                feedUrl: 'GET /api/calendar/feed',
+                resetFeedUrl: 'POST /api/calendar/feed/reset',
+                feed: 'GET /api/calendar/:token.ics'
+            },
+            admin: {
+                reconciliation: 'GET /api/admin/reconciliation',
+                reverseTransaction: 'POST /api/admin/transactions/:id/reverse',
+                promoCodes: 'GET|POST /api/admin/promo-codes',
+                promoCode: 'PUT|DELETE /api/admin/promo-codes/:id',
+                users: 'GET /api/admin/users',
+                setUserRole: 'PUT /api/admin/users/:id/role',
+                cancelSessions: 'POST /api/admin/sessions/cancel',
+                clearSessionLocks: 'POST /api/admin/sessions/clear-locks',
+                auditLog: 'GET /api/admin/audit-log'
             }
         }
     });
@@ -214,6 +284,40 @@ server.listen(PORT, () => {
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
   `);
+
+    // Background jobs (set DISABLE_SCHEDULER=true when running several API instances)
+    if (process.env.DISABLE_SCHEDULER !== 'true') {
+        SchedulerService.register('settle-overdue-sessions', async () => {
+            const summary = await SessionService.processOverdueSessions();
+            const settled = summary.expired + summary.completed + summary.noShows;
+            if (settled > 0 || summary.failed > 0) {
+                console.log('[Scheduler] Overdue sessions settled:', summary);
+            }
+            return summary;
+        });
+        SchedulerService.register('expire-promotional-credits', async () => {
+            const summary = await TransactionService.expireCredits();
+            if (summary.expired > 0 || summary.failed > 0) {
+                console.log('[Scheduler] Promotional credits expired:', summary);
+            }
+            return summary;
+        }, CREDIT_EXPIRY.INTERVAL_MS);
+        SchedulerService.register('expire-waitlist-holds', async () => {
+            const summary = await WaitlistService.processExpired();
+            if (summary.expired > 0 || summary.stale > 0 || summary.failed > 0) {
+                console.log('[Scheduler] Waitlist holds expired:', summary);
+            }
+            return summary;
+        }, WAITLIST.INTERVAL_MS);
+        SchedulerService.register('snapshot-balances', async () => {
+            const summary = await BalanceHistoryService.materializeSnapshots();
+            if (summary.snapshots > 0) {
+                console.log('[Scheduler] Balance snapshots written:', summary);
+            }
+            return summary;
+        }, BALANCE_HISTORY.SNAPSHOT_INTERVAL_MS);
+        SchedulerService.start();
+    }
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { ACCOUNT_TOKEN, AUTH_REVOKE_REASON, INITIAL_CREDITS, TRANSACTION_TYPE } = require('../config/constants');
+const AuthService = require('./AuthService');
+const MailService = require('./MailService');
+const TransactionService = require('./TransactionService');
+
+const { PURPOSE } = ACCOUNT_TOKEN;
+
+// Changes whenever the password does, so a reset link works only until
+// the password is changed (by that link or any other way)
+const passwordFingerprint = (user) =>
+    crypto.createHash('sha256').update(user.password || '').digest('hex').slice(0, 16);
+
+/**
+ * AccountService handles the email links for verifying an address and
+ * resetting a password. Links carry a signed, expiring token; nothing is
+ * stored. A token names its purpose (so neither can stand in for the other,
+ * nor for an access token) and is bound to the current email address or
+ * password, so it stops working once that changes.
+ */
+class AccountService {
+    static createToken(user, purpose) {
+        const claims = purpose === PURPOSE.RESET_PASSWORD
+            ? { pwd: passwordFingerprint(user) }
+            : { email: user.email };
+
+        return jwt.sign(
+            { id: user._id, purpose, ...claims },
+            process.env.JWT_SECRET,
+            {
+                expiresIn: purpose === PURPOSE.RESET_PASSWORD
+                    ? ACCOUNT_TOKEN.RESET_PASSWORD_EXPIRE
+                    : ACCOUNT_TOKEN.VERIFY_EMAIL_EXPIRE
+            }
+        );
+    }
+
+    static decodeToken(token, purpose) {
+        let decoded = null;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+        } catch (error) {
+            // Expired or tampered with; reported the same way below
+        }
+
+        if (!decoded || decoded.purpose !== purpose) {
+            throw new Error('This link is invalid or has expired');
+        }
+        return decoded;
+    }
+
+    /**
+     * Credit the welcome bonus to a new account. Keyed per user, so it is
+     * paid once however the account was created or how often this runs.
+     */
+    static async grantWelcomeCredits(userId) {
+        try {
+            await TransactionService.credit(
+                userId,
+                INITIAL_CREDITS,
+                TRANSACTION_TYPE.INITIAL,
+                'Welcome bonus credits',
+                { idempotencyKey: `welcome-${userId}` }
+            );
+        } catch (error) {
+            // Already paid
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    /**
+     * Email a verification link, unless the address is already verified
+     */
+    static async sendVerificationEmail(user) {
+        if (user.isVerified) {
+            throw new Error('Email address is already verified');
+        }
+
+        await MailService.sendEmailVerification(user, this.createToken(user, PURPOSE.VERIFY_EMAIL));
+    }
+
+    /**
+     * Mark an email address verified from a link. Using a link twice is fine.
+     */
+    static async verifyEmail(token) {
+        const decoded = this.decodeToken(token, PURPOSE.VERIFY_EMAIL);
+
+        const user = await User.findById(decoded.id);
+        if (!user || user.email !== decoded.email) {
+            throw new Error('This link is invalid or has expired');
+        }
+
+        if (!user.isVerified) {
+            user.isVerified = true;
+            await user.save();
+        }
+
+        return user;
+    }
+
+    /**
+     * Email a reset link. Unknown or deactivated addresses are skipped
+     * silently, so the response doesn't reveal who has an account.
+     */
+    static async requestPasswordReset(email) {
+        const user = await User.findOne({ email: email.toLowerCase(), isActive: true }).select('+password');
+        if (!user) return;
+
+        await MailService.sendPasswordReset(user, this.createToken(user, PURPOSE.RESET_PASSWORD));
+    }
+
+    /**
+     * Set a new password from a reset link and sign out every device
+     */
+    static async resetPassword(token, newPassword) {
+        const decoded = this.decodeToken(token, PURPOSE.RESET_PASSWORD);
+
+        const user = await User.findById(decoded.id).select('+password');
+        if (!user || !user.isActive || passwordFingerprint(user) !== decoded.pwd) {
+            throw new Error('This link is invalid or has expired');
+        }
+
+        user.password = newPassword;
+        // The link arrived by email, which proves the address
+        user.isVerified = true;
+        await user.save();
+
+        await AuthService.signOutAll(user._id, AUTH_REVOKE_REASON.PASSWORD_RESET);
+
+        return user;
+    }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,221 @@
+const { User, Session, AdminAuditLog } = require('../models');
+const {
+    ROLES,
+    ADMIN,
+    SESSION_STATUS,
+    STATUS_ACTOR,
+    CANCELLATION_OUTCOME
+} = require('../config/constants');
+const SessionService = require('./SessionService');
+
+// Sessions a bulk cancel can still act on
+const ACTIVE_STATUSES = [SESSION_STATUS.PENDING, SESSION_STATUS.CONFIRMED, SESSION_STATUS.IN_PROGRESS];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * AdminService holds the operational work staff do through /api/admin:
+ * managing roles, cancelling sessions in bulk and clearing stuck session
+ * locks. Each of these used to be a one-off script run against the
+ * database; here they go through the normal services (so escrow is
+ * refunded) and every call is written to the audit log.
+ */
+class AdminService {
+    /**
+     * Write an audit log entry
+     * @param {User} actor - Staff member who acted
+     * @param {Object} entry - action, targetType, targetIds, reason, params, result, ip
+     */
+    static async audit(actor, { action, targetType, targetIds = [], reason = '', params = {}, result = {}, ip = '' }) {
+        return AdminAuditLog.create({
+            actor: actor._id,
+            actorRole: actor.getEffectiveRole(),
+            action,
+            targetType,
+            targetIds,
+            reason,
+            params,
+            result,
+            ip
+        });
+    }
+
+    /**
+     * Audit log entries, newest first
+     */
+    static async listAuditLog({ action, actorId, targetId, page = 1 } = {}) {
+        const query = {};
+        if (action) query.action = action;
+        if (actorId) query.actor = actorId;
+        if (targetId) query.targetIds = targetId;
+
+        const [entries, total] = await Promise.all([
+            AdminAuditLog.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * ADMIN.PAGE_SIZE)
+                .limit(ADMIN.PAGE_SIZE)
+                .populate('actor', 'firstName lastName email'),
+            AdminAuditLog.countDocuments(query)
+        ]);
+
+        return {
+            entries,
+            pagination: {
+                page,
+                limit: ADMIN.PAGE_SIZE,
+                total,
+                pages: Math.ceil(total / ADMIN.PAGE_SIZE)
+            }
+        };
+    }
+
+    /**
+     * Find users by name or email, optionally only those with a role
+     */
+    static async listUsers({ search, role, page = 1 } = {}) {
+        const query = {};
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), 'i');
+            query.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }];
+        }
+        if (role) query.role = role;
+
+        const [users, total] = await Promise.all([
+            User.find(query)
+                .select('email firstName lastName role isActive isVerified createdAt lastLogin')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * ADMIN.PAGE_SIZE)
+                .limit(ADMIN.PAGE_SIZE),
+            User.countDocuments(query)
+        ]);
+
+        return {
+            users: users.map(user => ({
+                id: user._id,
+                email: user.email,
+                fullName: user.fullName,
+                role: user.role,
+                effectiveRole: user.getEffectiveRole(),
+                isActive: user.isActive,
+                isVerified: user.isVerified,
+                createdAt: user.createdAt,
+                lastLogin: user.lastLogin
+            })),
+            pagination: {
+                page,
+                limit: ADMIN.PAGE_SIZE,
+                total,
+                pages: Math.ceil(total / ADMIN.PAGE_SIZE)
+            }
+        };
+    }
+
+    /**
+     * Give a user a role
+     * @returns {{ user: User, previousRole: string }}
+     */
+    static async setRole(actorId, userId, role) {
+        if (!Object.values(ROLES).includes(role)) {
+            throw new Error('Invalid role');
+        }
+        // So the last admin can't lock everyone out by accident
+        if (String(actorId) === String(userId)) {
+            throw new Error('You cannot change your own role');
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const previousRole = user.role;
+        user.role = role;
+        await user.save();
+
+        return { user, previousRole };
+    }
+
+    /**
+     * Cancel active sessions with a full refund, as staff. Replaces the
+     * cancel_sessions.js and fix_conflicts.js scripts.
+     *
+     * @param {Object} filter - Which sessions: sessionIds, those of userId,
+     *   or all: true for every active session; optionally narrowed by statuses
+     * @param {Object} options
+     * @param {boolean} options.dryRun - Only report what would be cancelled
+     * @returns {{ matched, cancelled, failed, remaining }}
+     */
+    static async cancelSessions(adminId, { sessionIds, userId, statuses, all = false }, { reason, dryRun = false }) {
+        if (!sessionIds?.length && !userId && !all) {
+            throw new Error('Choose sessions to cancel: sessionIds, userId or all');
+        }
+
+        const query = {
+            status: { $in: statuses?.length ? statuses.filter(s => ACTIVE_STATUSES.includes(s)) : ACTIVE_STATUSES }
+        };
+        if (sessionIds?.length) query._id = { $in: sessionIds };
+        // Group sessions they only hold a seat in are left for the other students
+        if (userId) query.$or = [{ tutor: userId }, { student: userId }];
+
+        const [sessions, matched] = await Promise.all([
+            Session.find(query)
+                .select('_id')
+                .sort({ scheduledAt: 1 })
+                .limit(ADMIN.MAX_BULK_SESSIONS),
+            Session.countDocuments(query)
+        ]);
+
+        if (dryRun) {
+            return { matched, cancelled: [], failed: [], remaining: matched, sessionIds: sessions.map(s => s._id) };
+        }
+
+        const cancelled = [];
+        const failed = [];
+
+        // One at a time: each cancellation settles its own escrow
+        for (const { _id: sessionId } of sessions) {
+            try {
+                const { policy } = await SessionService.cancelSession(sessionId, adminId, reason, {
+                    system: true,
+                    actor: STATUS_ACTOR.ADMIN,
+                    outcome: CANCELLATION_OUTCOME.FULL_REFUND
+                });
+                cancelled.push({ id: sessionId, refundAmount: policy.refundAmount });
+            } catch (error) {
+                failed.push({ id: sessionId, error: error.message });
+            }
+        }
+
+        return { matched, cancelled, failed, remaining: matched - cancelled.length };
+    }
+
+    /**
+     * Release session locks left behind by an interrupted operation.
+     * Replaces the clear_locks.js script.
+     * @param {string[]} sessionIds - Only these sessions; all locked ones otherwise
+     * @param {boolean} force - Also clear locks that haven't expired yet. A live
+     *   lock usually means a booking or settlement is running right now, and
+     *   releasing it lets a second one settle the same session.
+     */
+    static async clearSessionLocks({ sessionIds, force = false } = {}) {
+        const query = { lockedUntil: force ? { $ne: null } : { $ne: null, $lte: new Date() } };
+        if (sessionIds?.length) query._id = { $in: sessionIds };
+
+        const locked = await Session.find(query).select('_id lockedUntil');
+        if (locked.length === 0) {
+            return { cleared: 0, sessions: [] };
+        }
+
+        const result = await Session.updateMany(
+            { _id: { $in: locked.map(s => s._id) } },
+            { $set: { lockedUntil: null } }
+        );
+
+        return {
+            cleared: result.modifiedCount,
+            sessions: locked.map(s => ({ id: s._id, lockedUntil: s.lockedUntil }))
+        };
+    }
+}
+
+module.exports = AdminService;
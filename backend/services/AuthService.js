@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AuthSession, User } = require('../models');
+const { AUTH, AUTH_REVOKE_REASON } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + AUTH.REFRESH_TOKEN_DAYS * DAY_MS);
+
+// Order matters: Edge and Opera say Chrome too, and Chrome says Safari
+const BROWSERS = [
+    [/Edg\//, 'Edge'],
+    [/OPR\//, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari']
+];
+
+const PLATFORMS = [
+    [/iPhone|iPad/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+];
+
+const match = (list, userAgent) => (list.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+
+/**
+ * AuthService issues and checks sign-in tokens.
+ *
+ * Signing in creates an AuthSession for the device and returns a pair: a
+ * short-lived access token (a JWT naming the AuthSession in `sid`) and an
+ * opaque refresh token. Refreshing replaces the refresh token, so each one
+ * works once. An old refresh token coming back means it was copied, and the
+ * device is signed out. Revoking an AuthSession stops its access tokens at
+ * the next request or socket handshake, without waiting for them to expire.
+ */
+class AuthService {
+    /**
+     * Short label for a device, e.g. "Chrome on macOS"
+     */
+    static describeDevice(userAgent = '') {
+        const browser = match(BROWSERS, userAgent);
+        const platform = match(PLATFORMS, userAgent);
+
+        if (browser && platform) return `${browser} on ${platform}`;
+        return browser || platform || 'Unknown device';
+    }
+
+    /**
+     * Decode an access token. Throws jsonwebtoken's errors when it is
+     * invalid or expired, and for tokens issued before devices were tracked.
+     */
+    static verifyAccessToken(token) {
+        // Explicit algorithm to prevent algorithm confusion attacks
+        const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+
+        if (!decoded.sid) {
+            throw new jwt.JsonWebTokenError('Token has no session');
+        }
+
+        return decoded;
+    }
+
+    /**
+     * Whether the device an access token was issued to is still signed in
+     */
+    static async isSessionActive(sessionId) {
+        const session = await AuthSession.findById(sessionId).select('revokedAt expiresAt');
+        return Boolean(session && session.isActive());
+    }
+
+    /**
+     * Sign a user in on a new device
+     * @param {Object} device - { userAgent, ip } from the request
+     * @returns {{ token, refreshToken }}
+     */
+    static async signIn(user, device = {}) {
+        const refreshToken = newRefreshToken();
+
+        const session = await AuthSession.create({
+            user: user._id,
+            tokenHash: hashToken(refreshToken),
+            userAgent: (device.userAgent || '').slice(0, 500),
+            ip: device.ip || '',
+            expiresAt: refreshExpiry()
+        });
+
+        await this.enforceDeviceLimit(user._id);
+
+        return {
+            token: user.generateAuthToken(session._id),
+            refreshToken
+        };
+    }
+
+    /**
+     * Swap a refresh token for a new pair
+     * @returns {{ token, refreshToken }}
+     */
+    static async refresh(refreshToken, device = {}) {
+        const hash = hashToken(refreshToken);
+        const nextToken = newRefreshToken();
+        const now = new Date();
+
+        const session = await AuthSession.findOneAndUpdate(
+            { tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+            {
+                $set: {
+                    tokenHash: hashToken(nextToken),
+                    lastUsedAt: now,
+                    expiresAt: refreshExpiry(),
+                    ...(device.ip && { ip: device.ip })
+                },
+                $push: {
+                    rotatedTokens: {
+                        $each: [{ hash, rotatedAt: now }],
+                        $slice: -AUTH.MAX_ROTATED_TOKENS
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        if (!session) {
+            await this.handleStaleRefreshToken(hash);
+            throw new Error('Invalid refresh token');
+        }
+
+        const user = await User.findById(session.user).select('email isActive');
+        if (!user || !user.isActive) {
+            await this.revoke(session._id, AUTH_REVOKE_REASON.SIGNED_OUT);
+            throw new Error('Account is deactivated');
+        }
+
+        return {
+            token: user.generateAuthToken(session._id),
+            refreshToken: nextToken
+        };
+    }
+
+    /**
+     * A refresh token that didn't match a live device. If it is one the
+     * device already replaced, someone else has a copy: sign the device out.
+     * Inside the grace window it is more likely two tabs refreshing at once,
+     * so the request fails without signing out.
+     */
+    static async handleStaleRefreshToken(hash) {
+        const session = await AuthSession.findOne({ 'rotatedTokens.hash': hash });
+        if (!session || !session.isActive()) return;
+
+        const rotation = session.rotatedTokens.find(entry => entry.hash === hash);
+        if (Date.now() - rotation.rotatedAt.getTime() < AUTH.REUSE_GRACE_SECONDS * 1000) {
+            throw new Error('Refresh token already used');
+        }
+
+        await this.revoke(session._id, AUTH_REVOKE_REASON.TOKEN_REUSE);
+        console.warn(`[Auth] Refresh token reuse for user ${session.user}; signed out device ${session._id}`);
+        throw new Error('Refresh token reuse detected; this device has been signed out');
+    }
+
+    /**
+     * Signed-in devices, most recently used first
+     * @param {string} currentSessionId - marks the device making the request
+     */
+    static async listDevices(userId, currentSessionId) {
+        const sessions = await AuthSession.find({
+            user: userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        return sessions.map(session => ({
+            id: session._id,
+            device: this.describeDevice(session.userAgent),
+            userAgent: session.userAgent,
+            ip: session.ip,
+            signedInAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            current: String(session._id) === String(currentSessionId)
+        }));
+    }
+
+    /**
+     * Sign out one of the user's devices
+     */
+    static async signOutDevice(userId, sessionId, reason = AUTH_REVOKE_REASON.SIGNED_OUT) {
+        const result = await AuthSession.updateOne(
+            { _id: sessionId, user: userId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+
+        if (result.matchedCount === 0) {
+            throw new Error('Device not found or already signed out');
+        }
+    }
+
+    /**
+     * Sign out every device, optionally keeping one
+     * @returns {number} devices signed out
+     */
+    static async signOutAll(userId, reason, { except } = {}) {
+        const result = await AuthSession.updateMany(
+            { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+
+        return result.modifiedCount;
+    }
+
+    static async revoke(sessionId, reason) {
+        await AuthSession.updateOne(
+            { _id: sessionId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+    }
+
+    /**
+     * Sign out the least recently used devices beyond AUTH.MAX_DEVICES
+     */
+    static async enforceDeviceLimit(userId) {
+        const stale = await AuthSession.find({ user: userId, revokedAt: null })
+            .sort({ lastUsedAt: -1 })
+            .skip(AUTH.MAX_DEVICES)
+            .select('_id');
+
+        if (stale.length > 0) {
+            await AuthSession.updateMany(
+                { _id: { $in: stale.map(session => session._id) } },
+                { $set: { revokedAt: new Date(), revokedReason: AUTH_REVOKE_REASON.DEVICE_LIMIT } }
+            );
+        }
+    }
+}
+
+module.exports = AuthService;
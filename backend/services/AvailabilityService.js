@@ -0,0 +1,573 @@
+const { User, Session, WaitlistEntry } = require('../models');
+const { AVAILABILITY, SESSION_STATUS, WAITLIST_STATUS, ENROLLMENT_STATUS } = require('../config/constants');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const DAY_MINUTES = 24 * 60;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "HH:MM" to minutes after midnight ("24:00" ends a window at midnight)
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const isValidDate = (date) => {
+    if (!DATE_PATTERN.test(date || '')) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+};
+
+// Intervals are [start, end) minute pairs within one local day, sorted and non-overlapping
+const toIntervals = (windows = []) => windows
+    .map(window => [toMinutes(window.start), toMinutes(window.end)])
+    .sort((a, b) => a[0] - b[0]);
+
+const unionIntervals = (a, b) => [...a, ...b]
+    .sort((x, y) => x[0] - y[0])
+    .reduce((merged, [start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+        return merged;
+    }, []);
+
+const subtractIntervals = (from, remove) => remove.reduce(
+    (remaining, [cutStart, cutEnd]) => remaining.flatMap(([start, end]) => {
+        if (cutEnd <= start || cutStart >= end) return [[start, end]];
+        return [[start, cutStart], [cutEnd, end]].filter(([s, e]) => e > s);
+    }),
+    from
+);
+
+/**
+ * AvailabilityService works with a tutor's availability: weekly windows of
+ * "HH:MM" times per weekday, one-off date exceptions and vacations, all in
+ * the tutor's own timezone, plus a minimum booking notice and a buffer
+ * between sessions. Times are converted with Intl, so daylight-saving
+ * changes move the UTC window rather than the tutor's local hours.
+ *
+ * A tutor who hasn't set any weekly windows is treated as available all
+ * day, every day; blocked dates, vacations, notice and buffer still apply.
+ */
+class AvailabilityService {
+    static isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * The zone a user's times are shown in: their profile timezone, unless
+     * it is still the untouched UTC default (no hours set either), in which
+     * case the fallback is used, e.g. the zone their browser reported
+     *
+     * @param {Object} user - User with availability
+     * @param {string} fallback - Zone to use when the profile has none (optional)
+     */
+    static getTimeZone(user, fallback = null) {
+        const availability = user?.availability;
+        const schedule = availability?.weeklySchedule;
+        const hasSchedule = schedule instanceof Map ? schedule.size > 0 : Object.keys(schedule || {}).length > 0;
+
+        if (availability?.timezone && (availability.timezone !== 'UTC' || hasSchedule)) {
+            return availability.timezone;
+        }
+        return fallback && AvailabilityService.isValidTimeZone(fallback) ? fallback : 'UTC';
+    }
+
+    /**
+     * A date as wall-clock time in a zone, for messages shown to a user:
+     * "Tue, Oct 20, 2026, 2:30 PM GMT+2"
+     */
+    static formatInZone(date, timeZone = 'UTC') {
+        return new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            weekday: 'short',
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZoneName: 'short'
+        }).format(new Date(date));
+    }
+
+    /**
+     * An existing booking for a conflict message: its start in the
+     * requester's zone and its length
+     */
+    static describeBooking(session, timeZone = 'UTC') {
+        return `${AvailabilityService.formatInZone(session.scheduledAt, timeZone)} (${session.duration} min)`;
+    }
+
+    /**
+     * Check one day's time windows
+     *
+     * @param {Array} windows - [{ start: '09:00', end: '12:00' }]
+     * @param {string} label - Day or date, for error messages
+     */
+    static validateWindows(windows, label) {
+        if (!Array.isArray(windows) || windows.length > AVAILABILITY.MAX_WINDOWS_PER_DAY) {
+            throw new Error(`Each day can have up to ${AVAILABILITY.MAX_WINDOWS_PER_DAY} time windows`);
+        }
+
+        const sorted = windows
+            .map(window => {
+                if (!TIME_PATTERN.test(window?.start) || !TIME_PATTERN.test(window?.end)) {
+                    throw new Error(`Times on ${label} must be in HH:MM format`);
+                }
+                return { start: toMinutes(window.start), end: toMinutes(window.end) };
+            })
+            .sort((a, b) => a.start - b.start);
+
+        sorted.forEach((window, i) => {
+            if (window.start >= window.end) {
+                throw new Error(`Each window on ${label} must end after it starts`);
+            }
+            if (i > 0 && window.start < sorted[i - 1].end) {
+                throw new Error(`Time windows on ${label} overlap`);
+            }
+        });
+    }
+
+    /**
+     * Check a weeklySchedule before saving it
+     *
+     * @param {Object} schedule - { monday: [{ start: '09:00', end: '12:00' }], ... }
+     * @throws {Error} Describing the first problem found
+     */
+    static validateWeeklySchedule(schedule) {
+        if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+            throw new Error('Weekly schedule must map weekdays to lists of time windows');
+        }
+
+        Object.entries(schedule).forEach(([day, windows]) => {
+            if (!AVAILABILITY.WEEKDAYS.includes(day)) {
+                throw new Error(`Unknown weekday "${day}". Use: ${AVAILABILITY.WEEKDAYS.join(', ')}`);
+            }
+            AvailabilityService.validateWindows(windows, day);
+        });
+
+        return true;
+    }
+
+    /**
+     * Check a whole availability object (PUT /api/auth/me) before saving it
+     *
+     * @param {Object} availability - timezone, weeklySchedule, exceptions, vacations,
+     *                                minNoticeHours, bufferMinutes
+     * @throws {Error} Describing the first problem found
+     */
+    static validateAvailability(availability) {
+        const { timezone, weeklySchedule, exceptions = [], vacations = [], minNoticeHours = 0, bufferMinutes = 0 } = availability;
+
+        if (!AvailabilityService.isValidTimeZone(timezone)) {
+            throw new Error(`Unknown timezone "${timezone}"`);
+        }
+        AvailabilityService.validateWeeklySchedule(weeklySchedule);
+
+        if (!Array.isArray(exceptions) || exceptions.length > AVAILABILITY.MAX_EXCEPTIONS) {
+            throw new Error(`You can have up to ${AVAILABILITY.MAX_EXCEPTIONS} date exceptions`);
+        }
+        const seen = new Set();
+        exceptions.forEach(exception => {
+            if (!isValidDate(exception?.date)) {
+                throw new Error('Exception dates must be in YYYY-MM-DD format');
+            }
+            if (!Object.values(AVAILABILITY.EXCEPTION_KIND).includes(exception.kind)) {
+                throw new Error(`Exception kind must be one of: ${Object.values(AVAILABILITY.EXCEPTION_KIND).join(', ')}`);
+            }
+            const key = `${exception.date}-${exception.kind}`;
+            if (seen.has(key)) {
+                throw new Error(`Only one ${exception.kind} exception is allowed on ${exception.date}`);
+            }
+            seen.add(key);
+
+            const windows = exception.windows || [];
+            if (exception.kind === AVAILABILITY.EXCEPTION_KIND.EXTRA && windows.length === 0) {
+                throw new Error(`Extra hours on ${exception.date} need at least one time window`);
+            }
+            AvailabilityService.validateWindows(windows, exception.date);
+        });
+
+        if (!Array.isArray(vacations) || vacations.length > AVAILABILITY.MAX_VACATIONS) {
+            throw new Error(`You can have up to ${AVAILABILITY.MAX_VACATIONS} vacations`);
+        }
+        vacations.forEach(vacation => {
+            if (!isValidDate(vacation?.start) || !isValidDate(vacation?.end)) {
+                throw new Error('Vacation dates must be in YYYY-MM-DD format');
+            }
+            if (vacation.start > vacation.end) {
+                throw new Error('Vacation must end on or after the day it starts');
+            }
+            if (vacation.note && vacation.note.length > 200) {
+                throw new Error('Vacation note cannot exceed 200 characters');
+            }
+        });
+
+        if (!Number.isInteger(minNoticeHours) || minNoticeHours < 0 || minNoticeHours > AVAILABILITY.MAX_NOTICE_HOURS) {
+            throw new Error(`Minimum notice must be between 0 and ${AVAILABILITY.MAX_NOTICE_HOURS} hours`);
+        }
+        if (!Number.isInteger(bufferMinutes) || bufferMinutes < 0 || bufferMinutes > AVAILABILITY.MAX_BUFFER_MINUTES) {
+            throw new Error(`Buffer time must be between 0 and ${AVAILABILITY.MAX_BUFFER_MINUTES} minutes`);
+        }
+
+        return true;
+    }
+
+    /**
+     * Weekday windows as plain [day, windows] pairs (the schedule is a Map
+     * on documents and a plain object on lean reads)
+     */
+    static getScheduleEntries(availability) {
+        const schedule = availability?.weeklySchedule;
+        if (!schedule) return [];
+
+        const entries = schedule instanceof Map ? [...schedule.entries()] : Object.entries(schedule);
+        return entries.filter(([, windows]) => Array.isArray(windows) && windows.length > 0);
+    }
+
+    /**
+     * Availability as plain JSON (a Map serializes as {} otherwise)
+     */
+    static toJSON(availability) {
+        const plainWindows = (windows = []) => windows.map(({ start, end }) => ({ start, end }));
+
+        return {
+            timezone: availability?.timezone || 'UTC',
+            weeklySchedule: Object.fromEntries(
+                AvailabilityService.getScheduleEntries(availability)
+                    .map(([day, windows]) => [day, plainWindows(windows)])
+            ),
+            exceptions: (availability?.exceptions || []).map(({ date, kind, windows }) => ({
+                date,
+                kind,
+                windows: plainWindows(windows)
+            })),
+            vacations: (availability?.vacations || []).map(({ start, end, note }) => ({ start, end, note: note || '' })),
+            minNoticeHours: availability?.minNoticeHours || 0,
+            bufferMinutes: availability?.bufferMinutes || 0
+        };
+    }
+
+    static hasSchedule(availability) {
+        return AvailabilityService.getScheduleEntries(availability).length > 0;
+    }
+
+    /**
+     * Milliseconds the timezone is ahead of UTC at a given instant
+     */
+    static getOffset(date, timeZone) {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            })
+                .formatToParts(date)
+                .map(part => [part.type, part.value])
+        );
+
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUtc - (date.getTime() - date.getUTCMilliseconds());
+    }
+
+    /**
+     * The UTC instant of a wall-clock time in a timezone.
+     * Re-checks the offset at the result, so times next to a DST change land correctly.
+     */
+    static zonedTimeToUtc(year, month, day, minutes, timeZone) {
+        const wallClock = Date.UTC(year, month, day) + minutes * MINUTE_MS;
+        const guess = wallClock - AvailabilityService.getOffset(new Date(wallClock), timeZone);
+        return new Date(wallClock - AvailabilityService.getOffset(new Date(guess), timeZone));
+    }
+
+    /**
+     * Open minutes on one of the tutor's local dates: the weekday's windows
+     * (or the whole day without a schedule), minus blocked hours, plus extra
+     * hours. A vacation closes the day entirely.
+     *
+     * @param {Object} availability - User.availability
+     * @param {string} date - Local date, YYYY-MM-DD
+     * @param {string} weekday - AVAILABILITY.WEEKDAYS entry for that date
+     * @returns {Array} [start, end) minute pairs
+     */
+    static getDayIntervals(availability, date, weekday) {
+        const onVacation = (availability?.vacations || []).some(vacation => vacation.start <= date && vacation.end >= date);
+        if (onVacation) return [];
+
+        const weekly = new Map(AvailabilityService.getScheduleEntries(availability));
+        let intervals = AvailabilityService.hasSchedule(availability)
+            ? toIntervals(weekly.get(weekday))
+            : [[0, DAY_MINUTES]];
+
+        // Blocked hours come off first, so extra hours on the same date still count
+        const isBlocked = (exception) => (exception.kind === AVAILABILITY.EXCEPTION_KIND.BLOCKED ? 0 : 1);
+        (availability?.exceptions || [])
+            .filter(exception => exception.date === date)
+            .sort((a, b) => isBlocked(a) - isBlocked(b))
+            .forEach(exception => {
+                if (exception.kind === AVAILABILITY.EXCEPTION_KIND.BLOCKED) {
+                    intervals = exception.windows?.length
+                        ? subtractIntervals(intervals, toIntervals(exception.windows))
+                        : [];
+                } else {
+                    intervals = unionIntervals(intervals, toIntervals(exception.windows));
+                }
+            });
+
+        return intervals;
+    }
+
+    /**
+     * The tutor's open windows between two instants, in UTC, merged where
+     * they touch (e.g. a window ending at 24:00 and the next day's at 00:00)
+     *
+     * @param {Object} availability - User.availability
+     * @param {Date} from - Start of range
+     * @param {Date} to - End of range
+     * @returns {Array} { start, end } Date pairs, sorted
+     */
+    static getOpenWindows(availability, from, to) {
+        const timeZone = availability?.timezone || 'UTC';
+        const windows = [];
+
+        // Walk the tutor's local calendar days covering the range (a day either side for offsets)
+        const localFrom = new Date(from.getTime() + AvailabilityService.getOffset(from, timeZone));
+        const days = Math.ceil((to - from) / DAY_MS) + 2;
+
+        for (let i = -1; i <= days; i++) {
+            const local = new Date(Date.UTC(localFrom.getUTCFullYear(), localFrom.getUTCMonth(), localFrom.getUTCDate() + i));
+            const [year, month, day] = [local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()];
+            const date = `${year}-${pad(month + 1)}-${pad(day)}`;
+            const weekday = AVAILABILITY.WEEKDAYS[local.getUTCDay()];
+
+            AvailabilityService.getDayIntervals(availability, date, weekday).forEach(([startMinutes, endMinutes]) => {
+                const start = AvailabilityService.zonedTimeToUtc(year, month, day, startMinutes, timeZone);
+                const end = AvailabilityService.zonedTimeToUtc(year, month, day, endMinutes, timeZone);
+                if (end > from && start < to) {
+                    windows.push({ start, end });
+                }
+            });
+        }
+
+        windows.sort((a, b) => a.start - b.start);
+
+        return windows.reduce((merged, window) => {
+            const last = merged[merged.length - 1];
+            if (last && window.start <= last.end) {
+                if (window.end > last.end) last.end = window.end;
+            } else {
+                merged.push({ ...window });
+            }
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Earliest start the tutor's minimum notice allows
+     */
+    static getEarliestStart(availability, now = new Date()) {
+        return new Date(now.getTime() + (availability?.minNoticeHours || 0) * HOUR_MS);
+    }
+
+    /**
+     * Whether a session fits entirely inside one of the tutor's windows and
+     * respects their minimum notice
+     */
+    static isAvailable(availability, scheduledAt, duration) {
+        if (scheduledAt < AvailabilityService.getEarliestStart(availability)) {
+            return false;
+        }
+
+        const end = new Date(scheduledAt.getTime() + duration * MINUTE_MS);
+        return AvailabilityService.getOpenWindows(availability, scheduledAt, end)
+            .some(window => window.start <= scheduledAt && window.end >= end);
+    }
+
+    /**
+     * Tutor sessions that would sit closer than their buffer time to a new
+     * session (including ones that overlap it outright)
+     *
+     * @param {Object} tutor - User with _id and availability
+     * @param {Date} scheduledAt - New session start
+     * @param {number} duration - Minutes
+     * @param {string|string[]} excludeSessionIds - Sessions being moved
+     */
+    static async findBufferClashes(tutor, scheduledAt, duration, excludeSessionIds = null) {
+        const buffer = tutor.availability?.bufferMinutes || 0;
+
+        return Session.findOverlapping(
+            tutor._id,
+            new Date(scheduledAt.getTime() - buffer * MINUTE_MS),
+            duration + buffer * 2,
+            excludeSessionIds
+        );
+    }
+
+    /**
+     * Throw unless every start time falls inside the tutor's availability,
+     * gives enough notice and leaves the tutor's buffer around their other sessions
+     *
+     * @param {string} tutorId - Tutor being booked
+     * @param {Date[]} dates - Session start times
+     * @param {number} duration - Minutes
+     * @param {Object} options
+     * @param {ClientSession} options.mongoSession - Optional transaction to read in
+     * @param {string|string[]} options.excludeSessionIds - Sessions being moved
+     * @param {string} options.timeZone - Zone times in errors are shown in (the requester's)
+     */
+    static async assertTutorAvailable(tutorId, dates, duration, { mongoSession = null, excludeSessionIds = null, timeZone = 'UTC' } = {}) {
+        const tutor = await User.findById(tutorId).select('availability').session(mongoSession);
+        if (!tutor) throw new Error('Tutor not found');
+
+        const { minNoticeHours = 0, bufferMinutes = 0 } = tutor.availability || {};
+        const earliest = AvailabilityService.getEarliestStart(tutor.availability);
+
+        const tooSoon = dates.find(date => date < earliest);
+        if (tooSoon) {
+            throw new Error(
+                `Tutor is not available at ${AvailabilityService.formatInZone(tooSoon, timeZone)}: ` +
+                `bookings need at least ${minNoticeHours} hours' notice`
+            );
+        }
+
+        const unavailable = dates.filter(date => !AvailabilityService.isAvailable(tutor.availability, date, duration));
+        if (unavailable.length > 0) {
+            throw new Error(
+                `Tutor is not available at ${unavailable.map(date => AvailabilityService.formatInZone(date, timeZone)).join('; ')}. ` +
+                'Pick a time inside their availability.'
+            );
+        }
+
+        if (bufferMinutes > 0) {
+            for (const date of dates) {
+                const clashes = await AvailabilityService.findBufferClashes(tutor, date, duration, excludeSessionIds);
+                if (clashes.length > 0) {
+                    throw new Error(
+                        `Tutor is not available at ${AvailabilityService.formatInZone(date, timeZone)}: ` +
+                        `they need ${bufferMinutes} minutes between sessions`
+                    );
+                }
+            }
+        }
+    }
+
+    /**
+     * Bookable start times for a tutor: their open windows on a
+     * SLOT_STEP_MINUTES grid, after their minimum notice, minus anything
+     * within their buffer of the tutor's sessions, held for a waitlisted
+     * student, or overlapping the viewer's own sessions
+     *
+     * @param {string} tutorId - Tutor
+     * @param {Object} options
+     * @param {Date} options.from - Start of range
+     * @param {Date} options.to - End of range
+     * @param {number} options.duration - Session length in minutes
+     * @param {string} options.viewerId - Signed-in student, whose sessions are also subtracted (optional)
+     */
+    static async getSlots(tutorId, { from, to, duration, viewerId = null }) {
+        if (from >= to) {
+            throw new Error('Start date must be before end date');
+        }
+        if ((to - from) / DAY_MS > AVAILABILITY.MAX_SLOT_RANGE_DAYS) {
+            throw new Error(`Date range cannot exceed ${AVAILABILITY.MAX_SLOT_RANGE_DAYS} days`);
+        }
+
+        const tutor = await User.findById(tutorId).select('availability isActive');
+        if (!tutor || !tutor.isActive) {
+            throw new Error('Tutor not found');
+        }
+
+        const { minNoticeHours = 0, bufferMinutes = 0 } = tutor.availability || {};
+        const rangeStart = new Date(Math.max(from.getTime(), AvailabilityService.getEarliestStart(tutor.availability).getTime()));
+        const windows = rangeStart < to ? AvailabilityService.getOpenWindows(tutor.availability, rangeStart, to) : [];
+
+        const participants = [tutor._id, viewerId].filter(Boolean);
+        const busy = await Session.find({
+            $or: [
+                { tutor: { $in: participants } },
+                { student: { $in: participants } },
+                { enrollments: { $elemMatch: { student: { $in: participants }, status: ENROLLMENT_STATUS.ENROLLED } } }
+            ],
+            status: { $in: [SESSION_STATUS.PENDING, SESSION_STATUS.CONFIRMED, SESSION_STATUS.IN_PROGRESS] },
+            scheduledAt: { $lt: to, $gte: new Date(rangeStart.getTime() - DAY_MS) }
+        })
+            .select('tutor student scheduledAt duration')
+            .lean();
+
+        // The tutor's own sessions keep their buffer around them
+        const busyRanges = busy.map(session => {
+            const isTutors = session.tutor.equals(tutor._id) || !!session.student?.equals(tutor._id);
+            const padding = isTutors ? bufferMinutes * MINUTE_MS : 0;
+            return {
+                start: session.scheduledAt.getTime() - padding,
+                end: session.scheduledAt.getTime() + session.duration * MINUTE_MS + padding
+            };
+        });
+
+        // Freed time held for someone on the waitlist (the viewer's own holds stay bookable)
+        const holds = await WaitlistEntry.find({
+            tutor: tutor._id,
+            status: WAITLIST_STATUS.OFFERED,
+            'hold.expiresAt': { $gt: new Date() },
+            'hold.scheduledAt': { $lt: to, $gte: new Date(rangeStart.getTime() - DAY_MS) },
+            ...(viewerId ? { student: { $ne: viewerId } } : {})
+        })
+            .select('hold.scheduledAt duration')
+            .lean();
+
+        holds.forEach(entry => busyRanges.push({
+            start: entry.hold.scheduledAt.getTime(),
+            end: entry.hold.scheduledAt.getTime() + entry.duration * MINUTE_MS
+        }));
+
+        const step = AVAILABILITY.SLOT_STEP_MINUTES * MINUTE_MS;
+        const length = duration * MINUTE_MS;
+        const slots = [];
+
+        windows.forEach(window => {
+            const windowStart = window.start.getTime();
+            // Stay on the window's own grid, starting from the first allowed step
+            const firstStep = Math.max(0, Math.ceil((Math.max(rangeStart.getTime(), windowStart) - windowStart) / step));
+
+            for (let start = windowStart + firstStep * step; start + length <= window.end.getTime(); start += step) {
+                const end = start + length;
+                if (end > to.getTime()) break;
+
+                const clashes = busyRanges.some(range => range.start < end && range.end > start);
+                if (!clashes) {
+                    slots.push({ start: new Date(start), end: new Date(end) });
+                }
+            }
+        });
+
+        return {
+            timezone: tutor.availability?.timezone || 'UTC',
+            hasSchedule: AvailabilityService.hasSchedule(tutor.availability),
+            minNoticeHours,
+            bufferMinutes,
+            duration,
+            slots
+        };
+    }
+}
+
+module.exports = AvailabilityService;
@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const { Transaction, BalanceSnapshot } = require('../models');
+const { TRANSACTION_TYPE, TRANSACTION_STATUS, BALANCE_HISTORY } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Balances are stored as floats, so report them to the cent
+const round = (value) => Math.round(value * 100) / 100;
+
+const startOfUtcDay = (date) => {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * BalanceHistoryService turns the transaction ledger into a daily balance
+ * series for the wallet chart. Completed days are materialized into
+ * BalanceSnapshot by a background job; anything newer than the last
+ * snapshot is aggregated from Transaction on the fly, so the series is
+ * always complete even if the job is behind.
+ */
+class BalanceHistoryService {
+    /**
+     * Per-user, per-day balance movement for transactions in [from, to)
+     *
+     * @param {Object} match - Extra $match conditions (e.g. a single user)
+     * @param {Date} from - Start (inclusive)
+     * @param {Date} to - End (exclusive)
+     * @returns {Array} Rows with user, date, opening/closing balance and totals
+     */
+    static async aggregateDays(match, from, to) {
+        const rows = await Transaction.aggregate([
+            { $match: { ...match, createdAt: { $gte: from, $lt: to } } },
+            { $sort: { createdAt: 1, _id: 1 } },
+            {
+                $project: {
+                    user: 1,
+                    day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
+                    balanceBefore: 1,
+                    balanceAfter: 1,
+                    change: { $subtract: ['$balanceAfter', '$balanceBefore'] }
+                }
+            },
+            {
+                $group: {
+                    _id: { user: '$user', day: '$day' },
+                    openingBalance: { $first: '$balanceBefore' },
+                    closingBalance: { $last: '$balanceAfter' },
+                    credited: { $sum: { $cond: [{ $gt: ['$change', 0] }, '$change', 0] } },
+                    debited: { $sum: { $cond: [{ $lt: ['$change', 0] }, { $abs: '$change' }, 0] } },
+                    transactionCount: { $sum: 1 }
+                }
+            },
+            { $sort: { '_id.day': 1 } }
+        ]);
+
+        return rows.map(row => ({
+            user: row._id.user,
+            date: new Date(`${row._id.day}T00:00:00.000Z`),
+            openingBalance: round(row.openingBalance),
+            closingBalance: round(row.closingBalance),
+            credited: round(row.credited),
+            debited: round(row.debited),
+            transactionCount: row.transactionCount
+        }));
+    }
+
+    /**
+     * Last day covered by BalanceSnapshot, or null before the first run.
+     * Snapshots are written a whole window at a time in date order, so every
+     * day up to this one has been materialized (days without a row had no
+     * activity).
+     */
+    static async getMaterializedThrough() {
+        const latest = await BalanceSnapshot.findOne().sort({ date: -1 }).select('date').lean();
+        return latest ? latest.date : null;
+    }
+
+    /**
+     * Materialize completed days into BalanceSnapshot.
+     * Called by the scheduler; picks up after the last snapshot and stops at
+     * the start of today, at most SNAPSHOT_MAX_DAYS_PER_RUN days per call.
+     *
+     * @param {Date} now - Current time (injectable for tests)
+     * @returns {Object} The window processed and how many rows were written
+     */
+    static async materializeSnapshots(now = new Date()) {
+        const today = startOfUtcDay(now);
+        const materializedThrough = await BalanceHistoryService.getMaterializedThrough();
+
+        // Skip straight to the next day that has any activity
+        const next = await Transaction.findOne({
+            createdAt: { $gte: materializedThrough ? addDays(materializedThrough, 1) : new Date(0) }
+        })
+            .sort({ createdAt: 1 })
+            .select('createdAt')
+            .lean();
+
+        const from = next ? startOfUtcDay(next.createdAt) : today;
+        const to = new Date(Math.min(today.getTime(), addDays(from, BALANCE_HISTORY.SNAPSHOT_MAX_DAYS_PER_RUN).getTime()));
+
+        if (from >= to) {
+            return { from, to: from, days: 0, snapshots: 0 };
+        }
+
+        const rows = await BalanceHistoryService.aggregateDays({}, from, to);
+
+        // All-or-nothing, so the watermark never runs ahead of a missing row
+        const mongoSession = await mongoose.startSession();
+        try {
+            await mongoSession.withTransaction(async () => {
+                await BalanceSnapshot.bulkWrite(
+                    rows.map(row => ({
+                        updateOne: {
+                            filter: { user: row.user, date: row.date },
+                            update: { $set: row },
+                            upsert: true
+                        }
+                    })),
+                    { session: mongoSession }
+                );
+            });
+        } finally {
+            await mongoSession.endSession();
+        }
+
+        return {
+            from,
+            to,
+            days: Math.round((to - from) / DAY_MS),
+            snapshots: rows.length
+        };
+    }
+
+    /**
+     * Daily closing balances for a user, one point per UTC day
+     *
+     * @param {string} userId - Account holder
+     * @param {Date} from - First day (inclusive, start of a UTC day)
+     * @param {Date} to - End (exclusive, start of a UTC day)
+     * @returns {Object} Opening balance and the list of points
+     */
+    static async getDailyBalances(userId, from, to) {
+        const userObjectId = new mongoose.Types.ObjectId(userId);
+        const materializedThrough = await BalanceHistoryService.getMaterializedThrough();
+
+        // Snapshots cover [from, liveFrom); the rest comes from the ledger
+        const liveFrom = materializedThrough && materializedThrough >= from
+            ? new Date(Math.min(addDays(materializedThrough, 1).getTime(), to.getTime()))
+            : from;
+
+        const [before, snapshots, liveDays] = await Promise.all([
+            Transaction.findOne({ user: userObjectId, createdAt: { $lt: from } })
+                .sort({ createdAt: -1, _id: -1 })
+                .select('balanceAfter')
+                .lean(),
+            liveFrom > from
+                ? BalanceSnapshot.find({ user: userObjectId, date: { $gte: from, $lt: liveFrom } }).lean()
+                : [],
+            liveFrom < to
+                ? BalanceHistoryService.aggregateDays({ user: userObjectId }, liveFrom, to)
+                : []
+        ]);
+
+        const activity = new Map();
+        [...snapshots, ...liveDays].forEach(day => activity.set(dayKey(day.date), day));
+
+        const openingBalance = before ? round(before.balanceAfter) : 0;
+        const points = [];
+        let balance = openingBalance;
+
+        for (let day = from; day < to; day = addDays(day, 1)) {
+            const row = activity.get(dayKey(day));
+            if (row) {
+                balance = row.closingBalance;
+            }
+            points.push({
+                date: dayKey(day),
+                balance,
+                credited: row ? row.credited : 0,
+                debited: row ? row.debited : 0
+            });
+        }
+
+        return { openingBalance, closingBalance: balance, points };
+    }
+
+    /**
+     * Where a user's session credits came from and went to: credits earned
+     * per taught skill, and credits spent per tutor. Reversed entries are left
+     * out, since their reversal undid them.
+     *
+     * @param {string} userId - Account holder
+     * @param {Date} from - Start (inclusive)
+     * @param {Date} to - End (exclusive)
+     */
+    static async getBreakdown(userId, from, to) {
+        const userObjectId = new mongoose.Types.ObjectId(userId);
+        const sessionMatch = (type) => ({
+            user: userObjectId,
+            type,
+            status: TRANSACTION_STATUS.COMPLETED,
+            session: { $ne: null },
+            createdAt: { $gte: from, $lt: to }
+        });
+
+        const [earnedBySkill, spentByTutor] = await Promise.all([
+            Transaction.aggregate([
+                { $match: sessionMatch(TRANSACTION_TYPE.CREDIT) },
+                { $lookup: { from: 'sessions', localField: 'session', foreignField: '_id', as: 'session' } },
+                { $unwind: '$session' },
+                {
+                    $group: {
+                        _id: '$session.skill.name',
+                        category: { $first: '$session.skill.category' },
+                        amount: { $sum: '$amount' },
+                        sessions: { $sum: 1 }
+                    }
+                },
+                { $sort: { amount: -1 } }
+            ]),
+            Transaction.aggregate([
+                { $match: sessionMatch(TRANSACTION_TYPE.DEBIT) },
+                {
+                    $group: {
+                        _id: '$counterparty',
+                        amount: { $sum: '$amount' },
+                        sessions: { $sum: 1 }
+                    }
+                },
+                { $sort: { amount: -1 } },
+                { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'tutor' } },
+                { $unwind: '$tutor' },
+                {
+                    $project: {
+                        amount: 1,
+                        sessions: 1,
+                        'tutor._id': 1,
+                        'tutor.firstName': 1,
+                        'tutor.lastName': 1,
+                        'tutor.avatar': 1
+                    }
+                }
+            ])
+        ]);
+
+        return {
+            earnedBySkill: earnedBySkill.map(row => ({
+                skill: row._id,
+                category: row.category || null,
+                amount: round(row.amount),
+                sessions: row.sessions
+            })),
+            spentByTutor: spentByTutor.map(row => ({
+                tutor: {
+                    id: row.tutor._id,
+                    firstName: row.tutor.firstName,
+                    lastName: row.tutor.lastName,
+                    avatar: row.tutor.avatar || null
+                },
+                amount: round(row.amount),
+                sessions: row.sessions
+            }))
+        };
+    }
+
+    /**
+     * Balance series plus breakdowns for the wallet page
+     *
+     * @param {string} userId - Account holder
+     * @param {Date} from - First day (any time on it)
+     * @param {Date} to - Last day, inclusive (any time on it)
+     */
+    static async getHistory(userId, from, to) {
+        const start = startOfUtcDay(from);
+        const end = addDays(startOfUtcDay(to), 1);
+
+        if (start >= end) {
+            throw new Error('Start date must be before end date');
+        }
+        if ((end - start) / DAY_MS > BALANCE_HISTORY.MAX_RANGE_DAYS) {
+            throw new Error(`Date range cannot exceed ${BALANCE_HISTORY.MAX_RANGE_DAYS} days`);
+        }
+
+        const [balances, breakdown] = await Promise.all([
+            BalanceHistoryService.getDailyBalances(userId, start, end),
+            BalanceHistoryService.getBreakdown(userId, start, end)
+        ]);
+
+        return {
+            from: dayKey(start),
+            to: dayKey(addDays(end, -1)),
+            ...balances,
+            ...breakdown
+        };
+    }
+}
+
+module.exports = BalanceHistoryService;
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { User, Session } = require('../models');
+const { CALENDAR, SESSION_STATUS } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses a calendar shows as an event; cancelled ones are sent as CANCELLED
+const ACTIVE_STATUSES = [SESSION_STATUS.PENDING, SESSION_STATUS.CONFIRMED, SESSION_STATUS.IN_PROGRESS];
+
+const EVENT_STATUS = {
+    [SESSION_STATUS.PENDING]: 'TENTATIVE',
+    [SESSION_STATUS.CONFIRMED]: 'CONFIRMED',
+    [SESSION_STATUS.IN_PROGRESS]: 'CONFIRMED',
+    [SESSION_STATUS.CANCELLED]: 'CANCELLED'
+};
+
+// 20260115T140000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// TEXT values escape backslashes, semicolons, commas and newlines (RFC 5545 3.3.11)
+const escapeText = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+const fullName = (user) => (user && typeof user === 'object' ? `${user.firstName} ${user.lastName}` : '');
+
+/**
+ * CalendarService renders sessions as iCalendar (RFC 5545) so they show up
+ * in Google Calendar, Outlook and Apple Calendar, either as a subscribed
+ * feed or as a single downloaded invite. Every rendering of a session uses
+ * the same UID and a SEQUENCE that grows with each status change or
+ * reschedule, so calendar clients update the event rather than add another.
+ */
+class CalendarService {
+    /**
+     * Where participants join a session
+     */
+    static getJoinUrl(session) {
+        if (session.meetingDetails?.link) {
+            return session.meetingDetails.link;
+        }
+        const appUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        return `${appUrl}/sessions/call?sessionId=${session._id}`;
+    }
+
+    static getEventUid(session) {
+        return `session-${session._id}@${CALENDAR.UID_DOMAIN}`;
+    }
+
+    /**
+     * VEVENT lines for one session, as seen by one participant
+     *
+     * @param {Object} session - Session with tutor and student populated
+     * @param {string} viewerId - Participant the calendar belongs to
+     */
+    static buildEvent(session, viewerId) {
+        const isTutor = (session.tutor._id || session.tutor).toString() === viewerId.toString();
+        const other = isTutor ? session.student : session.tutor;
+        const joinUrl = CalendarService.getJoinUrl(session);
+        const start = new Date(session.scheduledAt);
+        const end = new Date(start.getTime() + session.duration * 60 * 1000);
+        const isCancelled = session.status === SESSION_STATUS.CANCELLED;
+        const isGroup = session.capacity > 1;
+
+        let summary;
+        if (isGroup) {
+            summary = isTutor
+                ? `Teaching ${session.skill.name} (group session)`
+                : `${session.skill.name} group session with ${fullName(other)}`;
+        } else {
+            summary = isTutor
+                ? `Teaching ${session.skill.name} to ${fullName(other)}`
+                : `${session.skill.name} with ${fullName(other)}`;
+        }
+
+        const description = [
+            isCancelled
+                ? 'This session was cancelled.'
+                : session.status === SESSION_STATUS.PENDING
+                    ? 'Waiting for the tutor to confirm.'
+                    : null,
+            `Join: ${joinUrl}`,
+            session.notes ? `Notes: ${session.notes}` : null
+        ].filter(Boolean).join('\n');
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${CalendarService.getEventUid(session)}`,
+            `DTSTAMP:${formatDateTime(new Date())}`,
+            `DTSTART:${formatDateTime(start)}`,
+            `DTEND:${formatDateTime(end)}`,
+            // Grows with every status change and reschedule
+            `SEQUENCE:${(session.statusHistory || []).length}`,
+            `STATUS:${EVENT_STATUS[session.status] || 'CONFIRMED'}`,
+            `SUMMARY:${escapeText(isCancelled ? `Cancelled: ${summary}` : summary)}`,
+            `DESCRIPTION:${escapeText(description)}`,
+            `URL:${joinUrl}`,
+            `LOCATION:${escapeText(session.meetingDetails?.location || 'SkillVault video call')}`
+        ];
+
+        if (session.updatedAt) {
+            lines.push(`LAST-MODIFIED:${formatDateTime(session.updatedAt)}`);
+        }
+        lines.push('END:VEVENT');
+
+        return lines;
+    }
+
+    /**
+     * A complete VCALENDAR document
+     *
+     * @param {Array} events - Line arrays from buildEvent
+     * @param {Object} options
+     * @param {string} options.method - PUBLISH (default) or CANCEL
+     * @param {string} options.name - Calendar name shown by clients (optional)
+     */
+    static buildCalendar(events, { method = 'PUBLISH', name = null } = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${CALENDAR.PRODID}`,
+            'CALSCALE:GREGORIAN',
+            `METHOD:${method}`
+        ];
+        if (name) {
+            lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+        }
+        events.forEach(event => lines.push(...event));
+        lines.push('END:VCALENDAR');
+
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * The user's feed token, created on first use
+     */
+    static async getFeedToken(userId) {
+        const user = await User.findById(userId).select('+calendarToken');
+        if (!user) throw new Error('User not found');
+        if (user.calendarToken) return user.calendarToken;
+
+        // Only set it if still unset, so two first requests agree on one token
+        const updated = await User.findOneAndUpdate(
+            { _id: userId, calendarToken: { $exists: false } },
+            { $set: { calendarToken: crypto.randomBytes(32).toString('hex') } },
+            { new: true, projection: { calendarToken: 1 } }
+        );
+        if (updated) return updated.calendarToken;
+
+        const current = await User.findById(userId).select('+calendarToken');
+        return current.calendarToken;
+    }
+
+    /**
+     * Replace the user's feed token; the old feed URL stops working
+     */
+    static async resetFeedToken(userId) {
+        const calendarToken = crypto.randomBytes(32).toString('hex');
+        const user = await User.findByIdAndUpdate(userId, { $set: { calendarToken } });
+        if (!user) throw new Error('User not found');
+
+        return calendarToken;
+    }
+
+    /**
+     * The whole feed for a feed token: upcoming and recent sessions, with
+     * cancelled ones kept (as CANCELLED) so subscribers drop them
+     *
+     * @param {string} token - User.calendarToken
+     * @returns {string} iCalendar text
+     */
+    static async getFeed(token) {
+        const user = await User.findOne({ calendarToken: token, isActive: true }).select('firstName');
+        if (!user) throw new Error('Calendar feed not found');
+
+        const sessions = await Session.find({
+            ...Session.participantFilter(user._id),
+            status: { $in: [...ACTIVE_STATUSES, SESSION_STATUS.CANCELLED] },
+            scheduledAt: { $gte: new Date(Date.now() - CALENDAR.FEED_PAST_DAYS * DAY_MS) }
+        })
+            .populate('tutor', 'firstName lastName')
+            .populate('student', 'firstName lastName')
+            .sort({ scheduledAt: 1 })
+            .limit(CALENDAR.FEED_MAX_EVENTS)
+            .lean();
+
+        return CalendarService.buildCalendar(
+            sessions.map(session => CalendarService.buildEvent(session, user._id)),
+            { name: 'SkillVault Sessions' }
+        );
+    }
+
+    /**
+     * A single-session invite to download. A cancelled session is sent as a
+     * CANCEL for the same event, so importing it removes the event.
+     *
+     * @param {string} sessionId - Session
+     * @param {string} userId - Must be a participant
+     */
+    static async getSessionInvite(sessionId, userId) {
+        const session = await Session.findById(sessionId)
+            .populate('tutor', 'firstName lastName')
+            .populate('student', 'firstName lastName');
+
+        if (!session) {
+            throw new Error('Session not found');
+        }
+        if (!session.isParticipant(userId)) {
+            throw new Error('Not authorized to view this session');
+        }
+
+        const isCancelled = session.status === SESSION_STATUS.CANCELLED;
+        if (!isCancelled && !ACTIVE_STATUSES.includes(session.status)) {
+            throw new Error('Only upcoming or cancelled sessions can be added to a calendar');
+        }
+
+        return {
+            filename: `skillvault-session-${session._id}.ics`,
+            calendar: CalendarService.buildCalendar(
+                [CalendarService.buildEvent(session, userId)],
+                { method: isCancelled ? 'CANCEL' : 'PUBLISH' }
+            )
+        };
+    }
+}
+
+module.exports = CalendarService;
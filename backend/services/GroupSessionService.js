@@ -0,0 +1,462 @@
+const mongoose = require('mongoose');
+const { Session, User } = require('../models');
+const TransactionService = require('./TransactionService');
+const PricingService = require('./PricingService');
+const AvailabilityService = require('./AvailabilityService');
+const WaitlistService = require('./WaitlistService');
+const {
+    SESSION_STATUS,
+    ESCROW_STATUS,
+    ENROLLMENT_STATUS,
+    SEAT_OUTCOME,
+    GROUP_SESSION,
+    CANCELLATION_POLICY,
+    TRANSACTION_TYPE
+} = require('../config/constants');
+
+const roundCredits = (value) => Math.round(value * 100) / 100;
+
+// Seats whose credits are still in escrow
+const heldSeats = (session) => session.enrollments.filter(e =>
+    e.status === ENROLLMENT_STATUS.ENROLLED && e.escrow?.status === ESCROW_STATUS.HELD
+);
+
+/**
+ * GroupSessionService runs small-group sessions: one tutor, up to
+ * GROUP_SESSION.MAX_CAPACITY students. The tutor opens a group session
+ * (confirmed straight away) and students take seats until it is full.
+ * Every seat holds its own escrow, so a student who leaves is refunded on
+ * their own, and on completion each seat is settled by that student's
+ * attendance. SessionService calls the settle helpers when a group session
+ * is completed, cancelled or marked a no-show.
+ */
+class GroupSessionService {
+    /**
+     * Open a group session (tutor)
+     *
+     * @param {string} tutorId - Tutor running it
+     * @param {Object} data
+     * @param {string} data.skillName - One of the tutor's teaching skills
+     * @param {string} data.skillCategory - Its category
+     * @param {Date} data.scheduledAt - Start
+     * @param {number} data.duration - Minutes
+     * @param {number} data.capacity - Seats (MIN_CAPACITY to MAX_CAPACITY)
+     * @param {number} data.seatPrice - Credits per seat (optional, see PricingService.priceSeat)
+     * @param {Object} options
+     * @param {string} options.timeZone - Zone times in errors are shown in (the tutor's)
+     */
+    static async createGroupSession(tutorId, { skillName, skillCategory, scheduledAt, duration, capacity, seatPrice, notes }, { timeZone = 'UTC' } = {}) {
+        if (capacity < GROUP_SESSION.MIN_CAPACITY || capacity > GROUP_SESSION.MAX_CAPACITY) {
+            throw new Error(`A group session has ${GROUP_SESSION.MIN_CAPACITY} to ${GROUP_SESSION.MAX_CAPACITY} seats`);
+        }
+
+        const scheduledDate = new Date(scheduledAt);
+        if (scheduledDate <= new Date()) {
+            throw new Error('Session must be scheduled in the future');
+        }
+
+        const tutor = await User.findById(tutorId).select('teachingSkills');
+        if (!tutor) throw new Error('Tutor not found');
+
+        const tutorSkill = PricingService.findTutorSkill(tutor, skillName, skillCategory);
+        const price = PricingService.priceSeat(tutorSkill, { duration, seatPrice });
+
+        const overlaps = await Session.findOverlapping(tutor._id, scheduledDate, duration);
+        if (overlaps.length > 0) {
+            throw new Error(`You have a conflicting session at this time: ${AvailabilityService.describeBooking(overlaps[0], timeZone)}`);
+        }
+
+        await WaitlistService.assertNotHeld(tutor._id, scheduledDate, duration, null, timeZone);
+        await AvailabilityService.assertTutorAvailable(tutor._id, [scheduledDate], duration, { timeZone });
+
+        const session = await Session.create({
+            tutor: tutor._id,
+            capacity,
+            skill: { name: tutorSkill.name, category: tutorSkill.category },
+            scheduledAt: scheduledDate,
+            duration,
+            creditCost: price.total,
+            pricing: {
+                hourlyRate: price.hourlyRate,
+                baseCost: price.baseCost,
+                lineItems: price.lineItems
+            },
+            // The tutor opened it, so there is nothing left to confirm
+            status: SESSION_STATUS.CONFIRMED,
+            notes: notes || '',
+            meetingDetails: { type: 'video' },
+            statusHistory: [{
+                status: SESSION_STATUS.CONFIRMED,
+                changedAt: new Date(),
+                changedBy: tutor._id,
+                reason: `Group session opened with ${capacity} seats`
+            }]
+        });
+
+        return {
+            success: true,
+            session: session.toObject()
+        };
+    }
+
+    /**
+     * Upcoming group sessions with free seats
+     *
+     * @param {Object} options
+     * @param {string} options.tutorId - Only this tutor's (optional)
+     * @param {string} options.viewerId - Excluded from their own sessions and seats
+     */
+    static async listOpen({ tutorId = null, viewerId = null, limit = 20 } = {}) {
+        const query = {
+            capacity: { $gt: 1 },
+            status: SESSION_STATUS.CONFIRMED,
+            scheduledAt: { $gt: new Date() },
+            $expr: {
+                $lt: [
+                    {
+                        $size: {
+                            $filter: {
+                                input: '$enrollments',
+                                cond: { $eq: ['$$this.status', ENROLLMENT_STATUS.ENROLLED] }
+                            }
+                        }
+                    },
+                    '$capacity'
+                ]
+            }
+        };
+
+        if (tutorId) query.tutor = tutorId;
+        if (viewerId) {
+            // Not the viewer's own sessions, nor ones they already have a seat in
+            query.$and = [{ tutor: { $ne: viewerId } }];
+            query.enrollments = { $not: { $elemMatch: { student: viewerId, status: ENROLLMENT_STATUS.ENROLLED } } };
+        }
+
+        const sessions = await Session.find(query)
+            .populate('tutor', 'firstName lastName avatar stats.averageRating')
+            .sort({ scheduledAt: 1 })
+            .limit(limit);
+
+        // Who else has a seat isn't shown to other students
+        return sessions.map(session => {
+            const data = session.toObject();
+            delete data.enrollments;
+            return {
+                ...data,
+                seatsLeft: session.capacity - session.getEnrolledCount()
+            };
+        });
+    }
+
+    /**
+     * Take a seat in a group session, holding its price in escrow
+     *
+     * @param {Object} options
+     * @param {string} options.timeZone - Zone times in errors are shown in (the student's)
+     */
+    static async enroll(sessionId, studentId, { timeZone = 'UTC' } = {}) {
+        const mongoSession = await mongoose.startSession();
+
+        try {
+            let result;
+
+            await mongoSession.withTransaction(async () => {
+                const session = await Session.findOneAndUpdate(
+                    {
+                        _id: sessionId,
+                        capacity: { $gt: 1 },
+                        $or: [
+                            { lockedUntil: null },
+                            { lockedUntil: { $lt: new Date() } },
+                            { lockedUntil: { $exists: false } }
+                        ]
+                    },
+                    {
+                        $set: { lockedUntil: new Date(Date.now() + 30000) }
+                    },
+                    { new: true, session: mongoSession }
+                );
+
+                if (!session) {
+                    throw new Error('Group session not found or is being processed. Please try again.');
+                }
+
+                if (session.tutor.equals(studentId)) {
+                    throw new Error('Cannot book a seat in your own group session');
+                }
+                if (session.status !== SESSION_STATUS.CONFIRMED || session.scheduledAt <= new Date()) {
+                    throw new Error('This group session is no longer open');
+                }
+                if (session.getEnrollment(studentId)) {
+                    throw new Error('You already have a seat in this group session');
+                }
+                if (session.getEnrolledCount() >= session.capacity) {
+                    throw new Error('This group session is full');
+                }
+
+                const overlaps = await Session.findOverlapping(studentId, session.scheduledAt, session.duration, session._id);
+                if (overlaps.length > 0) {
+                    throw new Error(`You have a conflicting session at this time: ${AvailabilityService.describeBooking(overlaps[0], timeZone)}`);
+                }
+
+                session.enrollments.push({ student: studentId });
+                const enrollment = session.enrollments[session.enrollments.length - 1];
+
+                await TransactionService.hold(
+                    studentId,
+                    session.creditCost,
+                    `Credits held for group session: ${session.skill.name}`,
+                    {
+                        sessionId: session._id,
+                        counterparty: session.tutor,
+                        idempotencyKey: `group-seat-hold-${enrollment._id}`,
+                        mongoSession
+                    }
+                );
+
+                enrollment.escrow = {
+                    status: ESCROW_STATUS.HELD,
+                    amount: session.creditCost,
+                    heldAt: new Date()
+                };
+                session.version += 1;
+                session.lockedUntil = null;
+
+                await session.save({ session: mongoSession });
+
+                result = {
+                    success: true,
+                    session: session.toObject(),
+                    creditCost: session.creditCost
+                };
+            });
+
+            return result;
+
+        } catch (error) {
+            console.error('Group session enrollment failed:', error);
+            throw error;
+        } finally {
+            await mongoSession.endSession();
+        }
+    }
+
+    /**
+     * What leaving a seat now would refund. Follows the cancellation policy
+     * for a student: in full more than FULL_REFUND_WINDOW_HOURS ahead,
+     * otherwise LATE_CANCEL_REFUND_PERCENT with the rest paid to the tutor.
+     */
+    static getWithdrawalAmounts(session, enrollment, now = new Date()) {
+        const amount = enrollment.escrow?.status === ESCROW_STATUS.HELD ? enrollment.escrow.amount : 0;
+        const hoursUntilStart = (new Date(session.scheduledAt).getTime() - now.getTime()) / 3600000;
+
+        if (hoursUntilStart > CANCELLATION_POLICY.FULL_REFUND_WINDOW_HOURS) {
+            return { refundAmount: amount, penaltyAmount: 0 };
+        }
+
+        const refundAmount = Math.round(amount * CANCELLATION_POLICY.LATE_CANCEL_REFUND_PERCENT) / 100;
+        return { refundAmount, penaltyAmount: roundCredits(amount - refundAmount) };
+    }
+
+    /**
+     * Give up a seat before the session starts; the seat opens up again
+     */
+    static async withdraw(sessionId, studentId) {
+        const mongoSession = await mongoose.startSession();
+
+        try {
+            let result;
+
+            await mongoSession.withTransaction(async () => {
+                const session = await Session.findOneAndUpdate(
+                    {
+                        _id: sessionId,
+                        capacity: { $gt: 1 },
+                        $or: [
+                            { lockedUntil: null },
+                            { lockedUntil: { $lt: new Date() } },
+                            { lockedUntil: { $exists: false } }
+                        ]
+                    },
+                    {
+                        $set: { lockedUntil: new Date(Date.now() + 30000) }
+                    },
+                    { new: true, session: mongoSession }
+                );
+
+                if (!session) {
+                    throw new Error('Group session not found or is being processed. Please try again.');
+                }
+
+                const enrollment = session.getEnrollment(studentId);
+                if (!enrollment) {
+                    throw new Error('You do not have a seat in this group session');
+                }
+                if (session.status !== SESSION_STATUS.CONFIRMED || session.scheduledAt <= new Date()) {
+                    throw new Error('Seats cannot be given up once the session has started');
+                }
+
+                const policy = GroupSessionService.getWithdrawalAmounts(session, enrollment);
+
+                if (enrollment.escrow?.status === ESCROW_STATUS.HELD) {
+                    if (policy.penaltyAmount > 0) {
+                        await TransactionService.captureHold(
+                            studentId,
+                            session.tutor,
+                            policy.penaltyAmount,
+                            `Late cancellation fee: ${session.skill.name}`,
+                            {
+                                sessionId: session._id,
+                                idempotencyKey: `group-seat-fee-${enrollment._id}`,
+                                mongoSession
+                            }
+                        );
+                    }
+
+                    if (policy.refundAmount > 0) {
+                        await TransactionService.release(
+                            studentId,
+                            policy.refundAmount,
+                            `Left group session: ${session.skill.name}`,
+                            {
+                                sessionId: session._id,
+                                counterparty: session.tutor,
+                                idempotencyKey: `group-seat-release-${enrollment._id}`,
+                                mongoSession
+                            }
+                        );
+                    }
+
+                    enrollment.escrow.status = policy.penaltyAmount > 0 ? ESCROW_STATUS.CAPTURED : ESCROW_STATUS.RELEASED;
+                    enrollment.escrow.settledAt = new Date();
+                }
+
+                enrollment.status = ENROLLMENT_STATUS.WITHDRAWN;
+                enrollment.withdrawnAt = new Date();
+                enrollment.settlement = {
+                    outcome: SEAT_OUTCOME.WITHDRAWN,
+                    refundAmount: policy.refundAmount,
+                    paidToTutor: policy.penaltyAmount
+                };
+                session.version += 1;
+                session.lockedUntil = null;
+
+                await session.save({ session: mongoSession });
+
+                result = {
+                    success: true,
+                    session: session.toObject(),
+                    ...policy
+                };
+            });
+
+            return result;
+
+        } catch (error) {
+            console.error('Group session withdrawal failed:', error);
+            throw error;
+        } finally {
+            await mongoSession.endSession();
+        }
+    }
+
+    /**
+     * Return every held seat to its student, with an optional bonus each
+     * (tutor cancelled or never showed). Runs inside the caller's
+     * transaction; the caller saves the session.
+     *
+     * @returns {Object} Totals: refundAmount and bonusAmount
+     */
+    static async refundSeats(session, { bonusPerSeat = 0, description }, mongoSession) {
+        const totals = { refundAmount: 0, bonusAmount: 0 };
+
+        for (const enrollment of heldSeats(session)) {
+            await TransactionService.release(
+                enrollment.student,
+                enrollment.escrow.amount,
+                `${description}: ${session.skill.name}`,
+                {
+                    sessionId: session._id,
+                    counterparty: session.tutor,
+                    idempotencyKey: `group-seat-release-${enrollment._id}`,
+                    mongoSession
+                }
+            );
+
+            if (bonusPerSeat > 0) {
+                await TransactionService.credit(
+                    enrollment.student,
+                    bonusPerSeat,
+                    TRANSACTION_TYPE.BONUS,
+                    `Tutor no-show compensation: ${session.skill.name}`,
+                    {
+                        sessionId: session._id,
+                        counterparty: session.tutor,
+                        idempotencyKey: `group-seat-no-show-bonus-${enrollment._id}`,
+                        mongoSession
+                    }
+                );
+            }
+
+            enrollment.escrow.status = ESCROW_STATUS.RELEASED;
+            enrollment.escrow.settledAt = new Date();
+            enrollment.settlement = {
+                outcome: SEAT_OUTCOME.REFUNDED,
+                refundAmount: enrollment.escrow.amount,
+                bonusAmount: bonusPerSeat,
+                paidToTutor: 0
+            };
+            totals.refundAmount = roundCredits(totals.refundAmount + enrollment.escrow.amount);
+            totals.bonusAmount = roundCredits(totals.bonusAmount + bonusPerSeat);
+        }
+
+        return totals;
+    }
+
+    /**
+     * Pay every held seat to the tutor, recording whether each student
+     * attended. A student who never joined pays in full, as a private
+     * session's student no-show does. Runs inside the caller's
+     * transaction; the caller saves the session.
+     *
+     * @param {Object} session - Group session
+     * @param {Array|null} attendedIds - Students who joined the call, or null
+     *   when there is no attendance data (everyone counts as attending)
+     * @returns {Object} paidToTutor and the attended student ids
+     */
+    static async captureSeats(session, attendedIds, mongoSession) {
+        const attended = [];
+        let paidToTutor = 0;
+
+        for (const enrollment of heldSeats(session)) {
+            const joined = !attendedIds || attendedIds.some(id => enrollment.student.equals(id));
+
+            await TransactionService.captureHold(
+                enrollment.student,
+                session.tutor,
+                enrollment.escrow.amount,
+                `${joined ? 'Group session' : 'Group session no-show'}: ${session.skill.name}`,
+                {
+                    sessionId: session._id,
+                    idempotencyKey: `group-seat-capture-${enrollment._id}`,
+                    mongoSession
+                }
+            );
+
+            enrollment.escrow.status = ESCROW_STATUS.CAPTURED;
+            enrollment.escrow.settledAt = new Date();
+            enrollment.settlement = {
+                outcome: joined ? SEAT_OUTCOME.ATTENDED : SEAT_OUTCOME.ABSENT,
+                paidToTutor: enrollment.escrow.amount,
+                refundAmount: 0
+            };
+            paidToTutor = roundCredits(paidToTutor + enrollment.escrow.amount);
+            if (joined) attended.push(enrollment.student);
+        }
+
+        return { paidToTutor, attended };
+    }
+}
+
+module.exports = GroupSessionService;
@@ -0,0 +1,143 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { MAIL } = require('../config/constants');
+
+/**
+ * Transports take { from, to, subject, text, html } and deliver it.
+ * Any object with an async send(message) method can be plugged in
+ * with MailService.setTransport.
+ */
+const transports = {
+    // Local development: print the message, links included
+    console: () => ({
+        async send(message) {
+            console.log(`[Mail] To: ${message.to}\n[Mail] Subject: ${message.subject}\n${message.text}`);
+        }
+    }),
+
+    // Local development: write each message as an .eml file that a mail
+    // client can open
+    file: () => {
+        const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        const dir = path.resolve(__dirname, '..', MAIL.OUTBOX_DIR);
+
+        return {
+            async send(message) {
+                const { message: raw } = await builder.sendMail(message);
+                await fs.mkdir(dir, { recursive: true });
+
+                const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`);
+                await fs.writeFile(file, raw);
+                console.log(`[Mail] Wrote ${file}`);
+            }
+        };
+    },
+
+    smtp: () => {
+        const client = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || '587', 10),
+            // true for port 465; other ports upgrade with STARTTLS
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+
+        return {
+            async send(message) {
+                await client.sendMail(message);
+            }
+        };
+    }
+};
+
+let transport = null;
+
+const appUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Plain text and HTML versions of a message with one call-to-action link
+const renderLinkEmail = ({ greeting, lines, action, url, footer }) => ({
+    text: [greeting, '', ...lines, '', `${action}: ${url}`, '', footer].join('\n'),
+    html: [
+        `<p>${escapeHtml(greeting)}</p>`,
+        ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+        `<p><a href="${escapeHtml(url)}">${escapeHtml(action)}</a></p>`,
+        `<p style="color:#6b7280;font-size:12px">${escapeHtml(footer)}</p>`
+    ].join('\n')
+});
+
+/**
+ * MailService sends account emails through the transport named by
+ * MAIL_TRANSPORT (console, file or smtp).
+ */
+class MailService {
+    static getTransport() {
+        if (!transport) {
+            const create = transports[MAIL.TRANSPORT];
+            if (!create) {
+                throw new Error(`Unknown mail transport "${MAIL.TRANSPORT}"`);
+            }
+            transport = create();
+        }
+        return transport;
+    }
+
+    /**
+     * Replace the transport, e.g. with another provider's API client
+     */
+    static setTransport(custom) {
+        transport = custom;
+    }
+
+    static async send({ to, subject, text, html }) {
+        await this.getTransport().send({ from: MAIL.FROM, to, subject, text, html });
+    }
+
+    /**
+     * @param {string} token - from AccountService.createToken
+     */
+    static async sendEmailVerification(user, token) {
+        const url = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+        await this.send({
+            to: user.email,
+            subject: 'Confirm your SkillVault email address',
+            ...renderLinkEmail({
+                greeting: `Hi ${user.firstName},`,
+                lines: ['Please confirm this is your email address so you can book sessions on SkillVault.'],
+                action: 'Confirm email address',
+                url,
+                footer: 'The link works for 48 hours. If you didn\'t create a SkillVault account, you can ignore this email.'
+            })
+        });
+    }
+
+    static async sendPasswordReset(user, token) {
+        const url = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+        await this.send({
+            to: user.email,
+            subject: 'Reset your SkillVault password',
+            ...renderLinkEmail({
+                greeting: `Hi ${user.firstName},`,
+                lines: [
+                    'We received a request to reset your password.',
+                    'Setting a new password signs you out on every device.'
+                ],
+                action: 'Choose a new password',
+                url,
+                footer: 'The link works for one hour, once. If you didn\'t ask for this, you can ignore this email; your password stays the same.'
+            })
+        });
+    }
+}
+
+module.exports = MailService;
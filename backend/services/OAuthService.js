@@ -0,0 +1,405 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { OAUTH } = require('../config/constants');
+const AccountService = require('./AccountService');
+
+const { PROVIDERS, MODE } = OAUTH;
+
+// id_token algorithms we accept; never 'none' or HMAC with a public key
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Discovery documents and JWKS by URL: { value, fetchedAt }
+const metadataCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+const randomToken = () => base64url(crypto.randomBytes(32));
+
+const redirectUri = () => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/oauth/callback`;
+
+const isEnabled = (config) => Boolean(config.clientId && (config.kind !== 'oidc' || config.issuer));
+
+const getProvider = (providerId) => {
+    const config = Object.prototype.hasOwnProperty.call(PROVIDERS, providerId) ? PROVIDERS[providerId] : null;
+    if (!config || !isEnabled(config)) {
+        throw new Error(`Unknown sign-in provider "${providerId}"`);
+    }
+    return config;
+};
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, {
+        ...options,
+        headers: { Accept: 'application/json', ...options.headers }
+    });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || !body) {
+        const reason = body?.error_description || body?.error || body?.message || response.statusText;
+        throw new Error(`Sign-in provider request failed: ${reason}`);
+    }
+    return body;
+};
+
+const fetchCached = async (url, { refresh = false } = {}) => {
+    const cached = metadataCache.get(url);
+    if (!refresh && cached && Date.now() - cached.fetchedAt < OAUTH.METADATA_CACHE_MINUTES * 60 * 1000) {
+        return cached.value;
+    }
+
+    const value = await fetchJson(url);
+    metadataCache.set(url, { value, fetchedAt: Date.now() });
+    return value;
+};
+
+const discover = async (config) => {
+    const issuer = config.issuer.replace(/\/$/, '');
+    const metadata = await fetchCached(`${issuer}/.well-known/openid-configuration`);
+
+    if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+        throw new Error('Sign-in provider issuer does not match its configuration');
+    }
+    return metadata;
+};
+
+// Public key for an id_token, fetching the key set again if the key is new
+// (providers rotate their keys)
+const signingKey = async (jwksUri, kid) => {
+    const findKey = (jwks) => (jwks.keys || []).find(key => !kid || key.kid === kid);
+
+    let jwk = findKey(await fetchCached(jwksUri));
+    if (!jwk) {
+        jwk = findKey(await fetchCached(jwksUri, { refresh: true }));
+    }
+    if (!jwk) {
+        throw new Error('Sign-in provider signing key not found');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const splitName = (fullName) => {
+    const parts = (fullName || '').trim().split(/\s+/).filter(Boolean);
+    return { first: parts.slice(0, -1).join(' ') || parts[0], last: parts.length > 1 ? parts[parts.length - 1] : null };
+};
+
+// Profile fields every provider is mapped to
+const toProfile = ({ subject, email, emailVerified, firstName, lastName, fullName, avatar }) => {
+    const split = splitName(fullName);
+    const localPart = email ? email.split('@')[0] : 'SkillVault';
+
+    return {
+        subject: String(subject),
+        email: email ? email.toLowerCase() : null,
+        emailVerified: Boolean(emailVerified),
+        firstName: (firstName || split.first || localPart).slice(0, 50),
+        // Required on accounts; the user can change it from their profile
+        lastName: (lastName || split.last || '-').slice(0, 50),
+        avatar: avatar || null
+    };
+};
+
+const profileFetchers = {
+    // OpenID Connect: the code buys an id_token, signed by the provider
+    oidc: async (config, { code, codeVerifier, nonce }) => {
+        const metadata = await discover(config);
+
+        const tokens = await fetchJson(metadata.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: redirectUri(),
+                client_id: config.clientId,
+                client_secret: config.clientSecret || '',
+                code_verifier: codeVerifier
+            })
+        });
+        if (!tokens.id_token) {
+            throw new Error('Sign-in provider did not return an ID token');
+        }
+
+        const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+        if (!header) {
+            throw new Error('Sign-in provider returned an invalid ID token');
+        }
+
+        const key = await signingKey(metadata.jwks_uri, header.kid);
+        let claims = null;
+        try {
+            claims = jwt.verify(tokens.id_token, key, {
+                algorithms: ID_TOKEN_ALGORITHMS,
+                issuer: metadata.issuer,
+                audience: config.clientId
+            });
+        } catch (error) {
+            // Bad signature, wrong audience or expired; reported below
+        }
+
+        if (!claims || claims.nonce !== nonce) {
+            throw new Error('Sign-in provider returned an invalid ID token');
+        }
+
+        return toProfile({
+            subject: claims.sub,
+            email: claims.email,
+            // Some providers send the string "true"
+            emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+            firstName: claims.given_name,
+            lastName: claims.family_name,
+            fullName: claims.name,
+            avatar: claims.picture
+        });
+    },
+
+    // GitHub: the code buys an API token; the verified primary email comes
+    // from a separate endpoint
+    github: async (config, { code, codeVerifier }) => {
+        const tokens = await fetchJson(config.tokenEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                code,
+                redirect_uri: redirectUri(),
+                client_id: config.clientId,
+                client_secret: config.clientSecret || '',
+                code_verifier: codeVerifier
+            })
+        });
+        if (!tokens.access_token) {
+            throw new Error(`Sign-in provider request failed: ${tokens.error_description || tokens.error || 'no access token'}`);
+        }
+
+        const headers = { Authorization: `Bearer ${tokens.access_token}`, 'User-Agent': 'SkillVault' };
+        const [account, emails] = await Promise.all([
+            fetchJson(`${config.apiUrl}/user`, { headers }),
+            fetchJson(`${config.apiUrl}/user/emails`, { headers })
+        ]);
+        const primary = emails.find(entry => entry.primary) || {};
+
+        return toProfile({
+            subject: account.id,
+            email: primary.email,
+            emailVerified: primary.verified,
+            fullName: account.name || account.login,
+            avatar: account.avatar_url
+        });
+    }
+};
+
+/**
+ * OAuthService signs people in with an existing identity from Google,
+ * GitHub or any OpenID Connect provider, using the authorization code flow
+ * with PKCE.
+ *
+ * Nothing is stored while the user is away at the provider: startFlow
+ * returns a signed flow token (state, nonce, PKCE verifier, and who is
+ * linking) that the browser keeps and sends back with the code.
+ *
+ * Accounts are matched by provider identity first, then by verified email.
+ * A new account gets the welcome credits through
+ * AccountService.grantWelcomeCredits, which pays them once per user.
+ */
+class OAuthService {
+    /**
+     * Providers with credentials configured
+     * @returns {{ id: string, name: string }[]}
+     */
+    static listProviders() {
+        return Object.entries(PROVIDERS)
+            .filter(([, config]) => isEnabled(config))
+            .map(([id, config]) => ({ id, name: config.name }));
+    }
+
+    /**
+     * Where to send the browser, and the flow token to send back with the code
+     * @param {string} mode - OAUTH.MODE.LOGIN, or LINK with the signed-in userId
+     */
+    static async startFlow(providerId, { mode = MODE.LOGIN, userId = null } = {}) {
+        const config = getProvider(providerId);
+
+        const state = randomToken();
+        const nonce = randomToken();
+        const codeVerifier = randomToken();
+        const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+        const authorizationEndpoint = config.kind === 'oidc'
+            ? (await discover(config)).authorization_endpoint
+            : config.authorizationEndpoint;
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: config.clientId,
+            redirect_uri: redirectUri(),
+            scope: config.scope,
+            state,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256',
+            ...(config.kind === 'oidc' && { nonce })
+        });
+        if (providerId === 'google') {
+            params.set('prompt', 'select_account');
+        }
+
+        const flowToken = jwt.sign(
+            { purpose: OAUTH.FLOW_PURPOSE, provider: providerId, mode, userId, state, nonce, codeVerifier },
+            process.env.JWT_SECRET,
+            { expiresIn: OAUTH.FLOW_EXPIRE }
+        );
+
+        return { authorizationUrl: `${authorizationEndpoint}?${params}`, flowToken };
+    }
+
+    /**
+     * Check the provider's redirect against the flow it belongs to
+     * @returns {Object} the flow: provider, mode, userId and PKCE values
+     */
+    static readFlow({ flowToken, state }) {
+        let flow = null;
+        try {
+            flow = jwt.verify(flowToken, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+        } catch (error) {
+            // Expired or tampered with; reported the same way below
+        }
+
+        if (!flow || flow.purpose !== OAUTH.FLOW_PURPOSE || flow.state !== state) {
+            throw new Error('Sign-in attempt expired or was not started here; please try again');
+        }
+        return flow;
+    }
+
+    /**
+     * Exchange the code from the provider for the user's profile. A code
+     * works once.
+     */
+    static async fetchProfile(flow, code) {
+        const config = getProvider(flow.provider);
+        return profileFetchers[config.kind](config, { ...flow, code });
+    }
+
+    /**
+     * The account to sign in with a provider identity, linking or creating
+     * one by verified email if the identity is new
+     * @returns {{ user: User, created: boolean }}
+     */
+    static async signIn(providerId, profile) {
+        const { name } = getProvider(providerId);
+
+        const linked = await User.findOne({
+            oauthAccounts: { $elemMatch: { provider: providerId, subject: profile.subject } }
+        });
+        if (linked) {
+            if (!linked.isActive) throw new Error('Account is deactivated');
+            return { user: linked, created: false };
+        }
+
+        if (!profile.email || !profile.emailVerified) {
+            throw new Error(`Your ${name} account has no verified email address`);
+        }
+
+        const identity = { provider: providerId, subject: profile.subject, email: profile.email, linkedAt: new Date() };
+
+        const existing = await User.findOne({ email: profile.email });
+        if (existing) {
+            if (!existing.isActive) throw new Error('Account is deactivated');
+
+            // Whoever registered an unverified address may not own it; they
+            // must not gain a way into the real owner's sign-ins
+            if (!existing.isVerified) {
+                throw new Error(`An account with this email already exists. Sign in with your password, then link ${name} from your profile.`);
+            }
+
+            const user = await User.findOneAndUpdate(
+                { _id: existing._id, 'oauthAccounts.provider': { $ne: providerId } },
+                { $push: { oauthAccounts: identity } },
+                { new: true }
+            );
+            if (!user) {
+                throw new Error(`This email's account is linked to a different ${name} account`);
+            }
+            return { user, created: false };
+        }
+
+        const user = await User.create({
+            email: profile.email,
+            firstName: profile.firstName,
+            lastName: profile.lastName,
+            avatar: profile.avatar,
+            // The provider vouched for the address
+            isVerified: true,
+            oauthAccounts: [identity]
+        });
+        await AccountService.grantWelcomeCredits(user._id);
+
+        return { user, created: true };
+    }
+
+    /**
+     * Add a provider identity to a signed-in user's account
+     */
+    static async link(userId, providerId, profile) {
+        const { name } = getProvider(providerId);
+
+        const owner = await User.findOne({
+            oauthAccounts: { $elemMatch: { provider: providerId, subject: profile.subject } }
+        }).select('_id');
+        if (owner) {
+            if (owner._id.equals(userId)) return;
+            throw new Error(`This ${name} account is already linked to another SkillVault account`);
+        }
+
+        const result = await User.updateOne(
+            { _id: userId, 'oauthAccounts.provider': { $ne: providerId } },
+            {
+                $push: {
+                    oauthAccounts: {
+                        provider: providerId,
+                        subject: profile.subject,
+                        email: profile.email,
+                        linkedAt: new Date()
+                    }
+                }
+            }
+        );
+        if (result.matchedCount === 0) {
+            throw new Error(`Unlink your current ${name} account first`);
+        }
+    }
+
+    /**
+     * Remove a provider from an account, as long as the user can still sign in
+     */
+    static async unlink(userId, providerId) {
+        const user = await User.findById(userId).select('+password');
+        const linked = (user.oauthAccounts || []).some(account => account.provider === providerId);
+
+        if (!linked) {
+            throw new Error('Sign-in provider not linked');
+        }
+        if (!user.password && user.oauthAccounts.length === 1) {
+            throw new Error('Set a password first (use "Forgot password") so you can still sign in');
+        }
+
+        await User.updateOne({ _id: userId }, { $pull: { oauthAccounts: { provider: providerId } } });
+    }
+
+    /**
+     * Linked providers, whether the account has a password, and what can be linked
+     */
+    static async listAccounts(userId) {
+        const user = await User.findById(userId).select('+password');
+
+        return {
+            accounts: (user.oauthAccounts || []).map(account => ({
+                provider: account.provider,
+                name: PROVIDERS[account.provider]?.name || account.provider,
+                email: account.email,
+                linkedAt: account.linkedAt
+            })),
+            hasPassword: Boolean(user.password),
+            providers: this.listProviders()
+        };
+    }
+}
+
+module.exports = OAuthService;
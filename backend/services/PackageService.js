@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const { User, SessionPackage } = require('../models');
+const TransactionService = require('./TransactionService');
+const PricingService = require('./PricingService');
+const { PACKAGE_STATUS, LEDGER_KIND } = require('../config/constants');
+
+const roundCredits = (value) => Math.round(value * 100) / 100;
+
+/**
+ * PackageService sells and draws down prepaid session packages.
+ * The package price is held in the student's escrow at purchase; each
+ * booking moves one session's share from the package onto the session's
+ * own escrow, which then settles like any other booking.
+ */
+class PackageService {
+    /**
+     * Buy one of a tutor's package offers
+     *
+     * @param {string} studentId - Buyer
+     * @param {string} tutorId - Tutor offering the package
+     * @param {Object} data - skillName, skillCategory, offerId
+     */
+    static async purchasePackage(studentId, tutorId, { skillName, skillCategory, offerId }) {
+        if (studentId.toString() === tutorId.toString()) {
+            throw new Error('Cannot buy a package from yourself');
+        }
+
+        const mongoSession = await mongoose.startSession();
+
+        try {
+            let result;
+
+            await mongoSession.withTransaction(async () => {
+                const tutor = await User.findById(tutorId).session(mongoSession);
+                if (!tutor) throw new Error('Tutor not found');
+
+                const tutorSkill = PricingService.findTutorSkill(tutor, skillName, skillCategory);
+                const offer = (tutorSkill.pricing?.packages || []).find(o => o._id.toString() === offerId.toString());
+                if (!offer) {
+                    throw new Error('Package offer not found');
+                }
+
+                const priced = PricingService.priceOffer(tutorSkill, offer);
+
+                const sessionPackage = new SessionPackage({
+                    student: studentId,
+                    tutor: tutorId,
+                    skill: { name: tutorSkill.name, category: tutorSkill.category },
+                    offer: offer._id,
+                    duration: offer.duration,
+                    sessionsTotal: offer.sessions,
+                    sessionsRemaining: offer.sessions,
+                    pricePaid: priced.price,
+                    unitPrice: priced.unitPrice,
+                    heldAmount: priced.price
+                });
+
+                // hold() rejects the purchase if the student can't cover it
+                const hold = await TransactionService.hold(
+                    studentId,
+                    priced.price,
+                    `Prepaid package: ${offer.sessions} × ${tutorSkill.name}`,
+                    {
+                        counterparty: tutorId,
+                        idempotencyKey: `package-hold-${sessionPackage._id}`,
+                        metadata: { kind: LEDGER_KIND.SESSION_PACKAGE, package: sessionPackage._id },
+                        mongoSession
+                    }
+                );
+
+                await sessionPackage.save({ session: mongoSession });
+
+                result = {
+                    success: true,
+                    package: sessionPackage.toObject(),
+                    newBalance: hold.newBalance
+                };
+            });
+
+            return result;
+
+        } finally {
+            await mongoSession.endSession();
+        }
+    }
+
+    /**
+     * Take one session out of a package for a new booking.
+     * Guarded on the remaining count from the quote, so two bookings racing
+     * for the last session can't both draw it.
+     *
+     * @param {Object} packageQuote - quote.package from PricingService.quoteSession
+     * @param {number} amount - Credits to draw (quote.total)
+     * @param {string} sessionId - Session being booked
+     * @param {ClientSession} mongoSession - Join the booking transaction
+     */
+    static async drawSession(packageQuote, amount, sessionId, mongoSession) {
+        const sessionsRemaining = packageQuote.sessionsRemaining - 1;
+
+        const sessionPackage = await SessionPackage.findOneAndUpdate(
+            {
+                _id: packageQuote.id,
+                status: PACKAGE_STATUS.ACTIVE,
+                sessionsRemaining: packageQuote.sessionsRemaining
+            },
+            {
+                $set: {
+                    sessionsRemaining,
+                    status: sessionsRemaining === 0 ? PACKAGE_STATUS.EXHAUSTED : PACKAGE_STATUS.ACTIVE
+                },
+                $inc: { heldAmount: -amount },
+                $push: { sessions: sessionId }
+            },
+            { new: true, session: mongoSession }
+        );
+
+        if (!sessionPackage) {
+            throw new Error('Package was just used for another booking. Please try again.');
+        }
+
+        // Keep float drift out of the remaining escrow
+        if (sessionPackage.heldAmount !== roundCredits(sessionPackage.heldAmount)) {
+            sessionPackage.heldAmount = roundCredits(sessionPackage.heldAmount);
+            await sessionPackage.save({ session: mongoSession });
+        }
+
+        return sessionPackage;
+    }
+
+    /**
+     * Cancel a package and refund the sessions not yet booked.
+     * Sessions already booked from it keep their own escrow.
+     *
+     * @param {string} packageId - Package to cancel
+     * @param {string} studentId - Must be the buyer
+     */
+    static async cancelPackage(packageId, studentId) {
+        const mongoSession = await mongoose.startSession();
+
+        try {
+            let result;
+
+            await mongoSession.withTransaction(async () => {
+                const sessionPackage = await SessionPackage.findOneAndUpdate(
+                    { _id: packageId, student: studentId, status: PACKAGE_STATUS.ACTIVE },
+                    { $set: { status: PACKAGE_STATUS.CANCELLED, cancelledAt: new Date() } },
+                    { new: false, session: mongoSession }
+                );
+
+                if (!sessionPackage) {
+                    throw new Error('Package not found or already used up');
+                }
+
+                const refund = sessionPackage.heldAmount;
+
+                if (refund > 0) {
+                    await TransactionService.release(
+                        studentId,
+                        refund,
+                        `Refund for unused package sessions: ${sessionPackage.skill.name}`,
+                        {
+                            counterparty: sessionPackage.tutor,
+                            idempotencyKey: `package-release-${sessionPackage._id}`,
+                            metadata: { kind: LEDGER_KIND.SESSION_PACKAGE, package: sessionPackage._id },
+                            mongoSession
+                        }
+                    );
+                }
+
+                await SessionPackage.updateOne(
+                    { _id: sessionPackage._id },
+                    { $set: { sessionsRemaining: 0, heldAmount: 0 } },
+                    { session: mongoSession }
+                );
+
+                result = {
+                    success: true,
+                    refundedSessions: sessionPackage.sessionsRemaining,
+                    refundAmount: refund
+                };
+            });
+
+            return result;
+
+        } finally {
+            await mongoSession.endSession();
+        }
+    }
+
+    /**
+     * Packages a student has bought
+     *
+     * @param {string} studentId - Buyer
+     * @param {Object} filters - tutorId, status
+     */
+    static async getPackages(studentId, { tutorId, status } = {}) {
+        const query = { student: studentId };
+        if (tutorId) query.tutor = tutorId;
+        if (status) query.status = status;
+
+        return SessionPackage.find(query)
+            .populate('tutor', 'firstName lastName avatar')
+            .sort({ createdAt: -1 })
+            .lean();
+    }
+}
+
+module.exports = PackageService;
@@ -0,0 +1,397 @@
+const { User, Session, SessionPackage } = require('../models');
+const { PRICING, SESSION_STATUS, PACKAGE_STATUS, GROUP_SESSION } = require('../config/constants');
+const AvailabilityService = require('./AvailabilityService');
+
+const roundCredits = (value) => Math.round(value * 100) / 100;
+
+/**
+ * PricingService works out what a session costs. A price starts from the
+ * skill's hourly rate, then the tutor's first-session and off-peak
+ * discounts are applied; a session drawn from a prepaid package costs its
+ * share of the package instead. Every quote is itemized so the student
+ * sees exactly what they pay before booking.
+ */
+class PricingService {
+    /**
+     * Hourly rate range allowed for a proficiency level
+     */
+    static getRateRange(proficiency) {
+        return PRICING.RATE_RANGES[proficiency] || null;
+    }
+
+    /**
+     * Check a skill's hourly rate and pricing rules before saving them
+     *
+     * @param {string} proficiency - Skill proficiency level
+     * @param {number} hourlyRate - Credits per hour
+     * @param {Object} pricing - teachingSkills[].pricing (optional)
+     * @throws {Error} Describing the first rule that is broken
+     */
+    static validateSkillPricing(proficiency, hourlyRate, pricing) {
+        const range = PricingService.getRateRange(proficiency);
+        if (range && (hourlyRate < range.MIN || hourlyRate > range.MAX)) {
+            throw new Error(`Hourly rate for ${proficiency} skills must be between ${range.MIN} and ${range.MAX} credits`);
+        }
+
+        const packages = pricing?.packages || [];
+        if (packages.length > PRICING.MAX_PACKAGE_OFFERS) {
+            throw new Error(`You can offer at most ${PRICING.MAX_PACKAGE_OFFERS} packages per skill`);
+        }
+
+        packages.forEach(offer => {
+            if (offer.paidSessions >= offer.sessions) {
+                throw new Error('Package must cost fewer sessions than it includes');
+            }
+            const unitPrice = (offer.paidSessions * (offer.duration / 60) * hourlyRate) / offer.sessions;
+            if (unitPrice < PRICING.MIN_SESSION_PRICE) {
+                throw new Error(`Package sessions must cost at least ${PRICING.MIN_SESSION_PRICE} credits each`);
+            }
+        });
+    }
+
+    /**
+     * Find the teaching skill a booking refers to
+     */
+    static findTutorSkill(tutor, skillName, skillCategory) {
+        const tutorSkill = tutor.teachingSkills.find(
+            s => s.name.toLowerCase() === skillName.toLowerCase() &&
+                s.category === skillCategory
+        );
+
+        if (!tutorSkill) {
+            throw new Error('Tutor does not offer this skill');
+        }
+
+        return tutorSkill;
+    }
+
+    /**
+     * Whether a session starting at `date` falls in the off-peak window.
+     * The window's hours are the tutor's local hours in `timeZone`.
+     */
+    static isOffPeak(offPeak, date, timeZone = 'UTC') {
+        if (!offPeak || !offPeak.discount || offPeak.startHour === offPeak.endHour) {
+            return false;
+        }
+
+        const start = new Date(date);
+        const hour = new Date(start.getTime() + AvailabilityService.getOffset(start, timeZone)).getUTCHours();
+        return offPeak.startHour < offPeak.endHour
+            ? hour >= offPeak.startHour && hour < offPeak.endHour
+            : hour >= offPeak.startHour || hour < offPeak.endHour;
+    }
+
+    /**
+     * Price a single pay-as-you-go session
+     *
+     * @param {Object} tutorSkill - teachingSkills entry
+     * @param {Object} options
+     * @param {Date} options.scheduledAt - Session start
+     * @param {number} options.duration - Minutes
+     * @param {boolean} options.isFirstSession - Student has never booked this tutor
+     * @param {string} options.timeZone - Tutor's timezone, for the off-peak hours
+     * @returns {Object} hourlyRate, baseCost, lineItems and total
+     */
+    static priceSession(tutorSkill, { scheduledAt, duration, isFirstSession, timeZone }) {
+        const hourlyRate = tutorSkill.hourlyRate;
+        const baseCost = roundCredits((duration / 60) * hourlyRate);
+        const pricing = tutorSkill.pricing || {};
+
+        const lineItems = [{
+            kind: 'base',
+            label: `${duration} min at ${hourlyRate} credits/hr`,
+            amount: baseCost
+        }];
+
+        const discounts = [];
+        if (isFirstSession && pricing.firstSessionDiscount > 0) {
+            discounts.push({ kind: 'first_session', label: 'First session discount', percent: pricing.firstSessionDiscount });
+        }
+        if (PricingService.isOffPeak(pricing.offPeak, scheduledAt, timeZone)) {
+            discounts.push({ kind: 'off_peak', label: 'Off-peak discount', percent: pricing.offPeak.discount });
+        }
+
+        // Apply discounts in order until the combined cap is used up
+        let percentLeft = PRICING.MAX_TOTAL_DISCOUNT_PERCENT;
+        discounts.forEach(discount => {
+            const percent = Math.min(discount.percent, percentLeft);
+            if (percent <= 0) return;
+            percentLeft -= percent;
+            lineItems.push({
+                kind: discount.kind,
+                label: `${discount.label} (${percent}%)`,
+                amount: -roundCredits(baseCost * percent / 100)
+            });
+        });
+
+        let total = roundCredits(lineItems.reduce((sum, item) => sum + item.amount, 0));
+
+        if (total < PRICING.MIN_SESSION_PRICE) {
+            lineItems.push({
+                kind: 'minimum',
+                label: 'Minimum session price',
+                amount: roundCredits(PRICING.MIN_SESSION_PRICE - total)
+            });
+            total = PRICING.MIN_SESSION_PRICE;
+        }
+
+        return { hourlyRate, baseCost, lineItems, total };
+    }
+
+    /**
+     * Price one seat in a group session. The tutor may set the seat price,
+     * anywhere from the minimum session price up to the private-session
+     * price; otherwise it defaults to DEFAULT_SEAT_PERCENT of that price.
+     *
+     * @param {Object} tutorSkill - teachingSkills entry
+     * @param {Object} options
+     * @param {number} options.duration - Minutes
+     * @param {number} options.seatPrice - Credits per seat (optional)
+     * @returns {Object} hourlyRate, baseCost, lineItems and total (per seat)
+     */
+    static priceSeat(tutorSkill, { duration, seatPrice }) {
+        const hourlyRate = tutorSkill.hourlyRate;
+        const baseCost = roundCredits((duration / 60) * hourlyRate);
+
+        let total;
+        if (seatPrice !== undefined && seatPrice !== null) {
+            if (seatPrice < PRICING.MIN_SESSION_PRICE || seatPrice > baseCost) {
+                throw new Error(`Seat price must be between ${PRICING.MIN_SESSION_PRICE} and ${baseCost} credits (the private-session price)`);
+            }
+            total = roundCredits(seatPrice);
+        } else {
+            total = Math.max(PRICING.MIN_SESSION_PRICE, roundCredits(baseCost * GROUP_SESSION.DEFAULT_SEAT_PERCENT / 100));
+        }
+
+        const lineItems = [{
+            kind: 'base',
+            label: `${duration} min at ${hourlyRate} credits/hr`,
+            amount: baseCost
+        }];
+        if (total !== baseCost) {
+            lineItems.push({
+                kind: 'group_seat',
+                label: 'Group session seat',
+                amount: roundCredits(total - baseCost)
+            });
+        }
+
+        return { hourlyRate, baseCost, lineItems, total };
+    }
+
+    /**
+     * Price a package offer
+     *
+     * @param {Object} tutorSkill - teachingSkills entry
+     * @param {Object} offer - teachingSkills[].pricing.packages entry
+     */
+    static priceOffer(tutorSkill, offer) {
+        const singlePrice = roundCredits((offer.duration / 60) * tutorSkill.hourlyRate);
+        const price = roundCredits(offer.paidSessions * singlePrice);
+
+        return {
+            offerId: offer._id,
+            sessions: offer.sessions,
+            paidSessions: offer.paidSessions,
+            duration: offer.duration,
+            price,
+            unitPrice: roundCredits(price / offer.sessions),
+            savings: roundCredits(offer.sessions * singlePrice - price)
+        };
+    }
+
+    /**
+     * Whether this would be the student's first session with the tutor
+     */
+    static async isFirstSession(studentId, tutorId, mongoSession = null) {
+        const previous = await Session.exists({
+            student: studentId,
+            tutor: tutorId,
+            status: { $ne: SESSION_STATUS.CANCELLED }
+        }).session(mongoSession);
+
+        return !previous;
+    }
+
+    /**
+     * Credits the next session booked from a package will draw.
+     * The last session takes whatever is left, so rounding never strands
+     * credits in escrow.
+     */
+    static getPackageDraw(sessionPackage) {
+        return sessionPackage.sessionsRemaining === 1
+            ? sessionPackage.heldAmount
+            : sessionPackage.unitPrice;
+    }
+
+    /**
+     * Itemized quote for a booking. bookSession charges exactly this.
+     *
+     * @param {string} studentId - Student booking
+     * @param {string} tutorId - Tutor being booked
+     * @param {Object} data - skillName, skillCategory, scheduledAt, duration, packageId
+     * @param {ClientSession} mongoSession - Optional transaction to read in
+     * @returns {Object} Quote with line items, total and what is charged now
+     */
+    static async quoteSession(studentId, tutorId, data, mongoSession = null) {
+        const { skillName, skillCategory, duration, packageId } = data;
+        const scheduledAt = new Date(data.scheduledAt);
+
+        if (studentId.toString() === tutorId.toString()) {
+            throw new Error('Cannot book a session with yourself');
+        }
+
+        const tutor = await User.findById(tutorId).session(mongoSession);
+        if (!tutor) throw new Error('Tutor not found');
+
+        const tutorSkill = PricingService.findTutorSkill(tutor, skillName, skillCategory);
+        const quote = {
+            tutorId: tutor._id,
+            skill: { name: tutorSkill.name, category: tutorSkill.category },
+            scheduledAt,
+            duration,
+            packageOffers: (tutorSkill.pricing?.packages || []).map(offer => PricingService.priceOffer(tutorSkill, offer))
+        };
+
+        if (packageId) {
+            const sessionPackage = await SessionPackage.findOne({
+                _id: packageId,
+                student: studentId,
+                tutor: tutorId,
+                status: PACKAGE_STATUS.ACTIVE
+            }).session(mongoSession);
+
+            if (!sessionPackage || sessionPackage.sessionsRemaining < 1) {
+                throw new Error('Package not found or has no sessions left');
+            }
+            if (sessionPackage.skill.name.toLowerCase() !== tutorSkill.name.toLowerCase() ||
+                sessionPackage.skill.category !== tutorSkill.category) {
+                throw new Error(`Package is for ${sessionPackage.skill.name} sessions`);
+            }
+            if (sessionPackage.duration !== duration) {
+                throw new Error(`Package covers ${sessionPackage.duration}-minute sessions`);
+            }
+
+            const draw = PricingService.getPackageDraw(sessionPackage);
+
+            return {
+                ...quote,
+                hourlyRate: tutorSkill.hourlyRate,
+                baseCost: roundCredits((duration / 60) * tutorSkill.hourlyRate),
+                lineItems: [{
+                    kind: 'package',
+                    label: `Prepaid package session (${sessionPackage.sessionsRemaining} of ${sessionPackage.sessionsTotal} left)`,
+                    amount: draw
+                }],
+                total: draw,
+                // Already held when the package was bought
+                chargedNow: 0,
+                package: {
+                    id: sessionPackage._id,
+                    sessionsTotal: sessionPackage.sessionsTotal,
+                    sessionsRemaining: sessionPackage.sessionsRemaining,
+                    duration: sessionPackage.duration,
+                    unitPrice: sessionPackage.unitPrice,
+                    heldAmount: sessionPackage.heldAmount
+                }
+            };
+        }
+
+        const isFirstSession = await PricingService.isFirstSession(studentId, tutorId, mongoSession);
+        const priced = PricingService.priceSession(tutorSkill, {
+            scheduledAt,
+            duration,
+            isFirstSession,
+            timeZone: tutor.availability?.timezone
+        });
+
+        return {
+            ...quote,
+            ...priced,
+            chargedNow: priced.total,
+            package: null
+        };
+    }
+
+    /**
+     * Itemized quote for every occurrence of a recurring series.
+     * The first occurrence is quoted like a one-off booking; later ones can
+     * never be a first session. From a package, each occurrence draws the
+     * package's next share in turn.
+     *
+     * @param {string} studentId - Student booking
+     * @param {string} tutorId - Tutor being booked
+     * @param {Object} data - skillName, skillCategory, duration, packageId
+     * @param {Date[]} dates - Start of each occurrence, in order
+     * @param {ClientSession} mongoSession - Optional transaction to read in
+     * @returns {Object} Per-occurrence quotes, the series total and what is charged now
+     */
+    static async quoteSeries(studentId, tutorId, data, dates, mongoSession = null) {
+        const first = await PricingService.quoteSession(
+            studentId,
+            tutorId,
+            { ...data, scheduledAt: dates[0] },
+            mongoSession
+        );
+
+        const occurrences = [];
+
+        if (first.package) {
+            if (first.package.sessionsRemaining < dates.length) {
+                throw new Error(`Package only has ${first.package.sessionsRemaining} sessions left for ${dates.length} occurrences`);
+            }
+
+            let heldAmount = first.package.heldAmount;
+            dates.forEach((scheduledAt, i) => {
+                const sessionsRemaining = first.package.sessionsRemaining - i;
+                const draw = PricingService.getPackageDraw({
+                    sessionsRemaining,
+                    heldAmount,
+                    unitPrice: first.package.unitPrice
+                });
+                heldAmount = roundCredits(heldAmount - draw);
+
+                occurrences.push({
+                    scheduledAt,
+                    baseCost: roundCredits((data.duration / 60) * first.hourlyRate),
+                    lineItems: [{
+                        kind: 'package',
+                        label: `Prepaid package session (${sessionsRemaining} of ${first.package.sessionsTotal} left)`,
+                        amount: draw
+                    }],
+                    total: draw
+                });
+            });
+        } else {
+            const tutor = await User.findById(tutorId).session(mongoSession);
+            const tutorSkill = PricingService.findTutorSkill(tutor, data.skillName, data.skillCategory);
+
+            occurrences.push({ scheduledAt: dates[0], baseCost: first.baseCost, lineItems: first.lineItems, total: first.total });
+            dates.slice(1).forEach(scheduledAt => {
+                const priced = PricingService.priceSession(tutorSkill, {
+                    scheduledAt,
+                    duration: data.duration,
+                    isFirstSession: false,
+                    timeZone: tutor.availability?.timezone
+                });
+                occurrences.push({ scheduledAt, baseCost: priced.baseCost, lineItems: priced.lineItems, total: priced.total });
+            });
+        }
+
+        const total = roundCredits(occurrences.reduce((sum, occurrence) => sum + occurrence.total, 0));
+
+        return {
+            tutorId: first.tutorId,
+            skill: first.skill,
+            duration: first.duration,
+            packageOffers: first.packageOffers,
+            hourlyRate: first.hourlyRate,
+            occurrences,
+            total,
+            chargedNow: first.package ? 0 : total,
+            package: first.package
+        };
+    }
+}
+
+module.exports = PricingService;
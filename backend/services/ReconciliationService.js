@@ -0,0 +1,195 @@
+const { User, Transaction } = require('../models');
+const { TRANSACTION_TYPE, TRANSACTION_STATUS, RECONCILIATION_ISSUE, LEDGER_KIND } = require('../config/constants');
+
+// Transaction types that add to / take from creditBalance
+const INCOMING_TYPES = [
+    TRANSACTION_TYPE.CREDIT,
+    TRANSACTION_TYPE.INITIAL,
+    TRANSACTION_TYPE.REFUND,
+    TRANSACTION_TYPE.BONUS,
+    TRANSACTION_TYPE.RELEASE
+];
+const OUTGOING_TYPES = [TRANSACTION_TYPE.DEBIT, TRANSACTION_TYPE.HOLD];
+
+// Types a transfer can record on the receiving side
+const PAIRED_CREDIT_TYPES = [TRANSACTION_TYPE.CREDIT, TRANSACTION_TYPE.REFUND];
+
+// Balances are stored as floats, so compare to the cent
+const round = (value) => Math.round(value * 100) / 100;
+const differs = (a, b) => round(a) !== round(b);
+
+const signedAmount = (transaction) => {
+    if (INCOMING_TYPES.includes(transaction.type)) return transaction.amount;
+    if (OUTGOING_TYPES.includes(transaction.type)) return -transaction.amount;
+    return 0;
+};
+
+/**
+ * ReconciliationService audits the credit ledger.
+ * It replays every user's settled transactions and checks the result
+ * against the stored balances, and checks that every debit has a matching
+ * paired credit. It only reads - fixing a break is a manual decision.
+ */
+class ReconciliationService {
+    /**
+     * Reconcile the ledger and build a report
+     *
+     * @param {Object} options
+     * @param {string} options.userId - Only check this user
+     * @returns {Object} Report with a summary and the list of issues
+     */
+    static async reconcile(options = {}) {
+        const startedAt = new Date();
+        const issues = [];
+        let usersChecked = 0;
+        let transactionsChecked = 0;
+
+        const userQuery = options.userId ? { _id: options.userId } : {};
+        const cursor = User.find(userQuery)
+            .select('email creditBalance heldBalance')
+            .lean()
+            .cursor();
+
+        for await (const user of cursor) {
+            const result = await ReconciliationService.reconcileUser(user);
+            usersChecked += 1;
+            transactionsChecked += result.transactionsChecked;
+            issues.push(...result.issues);
+        }
+
+        const summary = {};
+        Object.values(RECONCILIATION_ISSUE).forEach((type) => {
+            summary[type] = 0;
+        });
+        issues.forEach((issue) => {
+            summary[issue.type] += 1;
+        });
+
+        return {
+            ok: issues.length === 0,
+            startedAt,
+            finishedAt: new Date(),
+            usersChecked,
+            transactionsChecked,
+            summary,
+            issues
+        };
+    }
+
+    /**
+     * Replay one user's history and check their debits are paired
+     *
+     * @param {Object} user - Lean user with creditBalance and heldBalance
+     */
+    static async reconcileUser(user) {
+        const issues = [];
+        const userId = user._id.toString();
+
+        // Reversed transactions still moved credits; their compensating
+        // entries are separate completed transactions
+        const transactions = await Transaction.find({
+            user: user._id,
+            status: { $in: [TRANSACTION_STATUS.COMPLETED, TRANSACTION_STATUS.REVERSED] }
+        })
+            .sort({ createdAt: 1, _id: 1 })
+            .lean();
+
+        // 1. Replay the history. The chain check compares against the previous
+        // recorded balanceAfter so a single break is reported once, not on every
+        // later transaction.
+        let balance = 0;
+        let held = 0;
+        let previousAfter = 0;
+
+        for (const transaction of transactions) {
+            if (differs(transaction.balanceBefore, previousAfter)) {
+                issues.push({
+                    type: RECONCILIATION_ISSUE.CHAIN_BREAK,
+                    userId,
+                    transactionId: transaction._id.toString(),
+                    expected: round(previousAfter),
+                    actual: transaction.balanceBefore,
+                    message: `balanceBefore is ${transaction.balanceBefore}, previous balanceAfter was ${round(previousAfter)}`
+                });
+            }
+
+            balance += signedAmount(transaction);
+            previousAfter = transaction.balanceAfter;
+
+            if (transaction.type === TRANSACTION_TYPE.HOLD) held += transaction.amount;
+            if (transaction.type === TRANSACTION_TYPE.RELEASE) held -= transaction.amount;
+        }
+
+        if (differs(balance, user.creditBalance)) {
+            issues.push({
+                type: RECONCILIATION_ISSUE.BALANCE_MISMATCH,
+                userId,
+                expected: round(balance),
+                actual: user.creditBalance,
+                message: `Stored creditBalance is ${user.creditBalance}, transaction history adds up to ${round(balance)}`
+            });
+        }
+
+        if (differs(held, user.heldBalance || 0)) {
+            issues.push({
+                type: RECONCILIATION_ISSUE.HELD_MISMATCH,
+                userId,
+                expected: round(held),
+                actual: user.heldBalance || 0,
+                message: `Stored heldBalance is ${user.heldBalance || 0}, open holds add up to ${round(held)}`
+            });
+        }
+
+        // 2. Every debit must point at the credit it paid for, and back.
+        // Expired promotional credits leave the system, so they have no pair.
+        const debits = transactions.filter((t) =>
+            t.type === TRANSACTION_TYPE.DEBIT && t.metadata?.kind !== LEDGER_KIND.CREDIT_EXPIRY
+        );
+        const pairIds = debits.map((t) => t.pairedTransaction).filter(Boolean);
+        const pairs = pairIds.length > 0
+            ? await Transaction.find({ _id: { $in: pairIds } }).lean()
+            : [];
+        const pairsById = new Map(pairs.map((p) => [p._id.toString(), p]));
+
+        for (const debit of debits) {
+            const transactionId = debit._id.toString();
+            const pair = debit.pairedTransaction && pairsById.get(debit.pairedTransaction.toString());
+
+            if (!pair) {
+                issues.push({
+                    type: RECONCILIATION_ISSUE.UNPAIRED_DEBIT,
+                    userId,
+                    transactionId,
+                    message: debit.pairedTransaction
+                        ? `Paired transaction ${debit.pairedTransaction} does not exist`
+                        : 'Debit has no paired credit'
+                });
+                continue;
+            }
+
+            const problems = [];
+            if (!PAIRED_CREDIT_TYPES.includes(pair.type)) problems.push(`pair has type ${pair.type}`);
+            if (differs(pair.amount, debit.amount)) problems.push(`amounts differ (${debit.amount} vs ${pair.amount})`);
+            if (!pair.pairedTransaction || !pair.pairedTransaction.equals(debit._id)) problems.push('pair does not link back');
+            if (!debit.counterparty || !pair.user.equals(debit.counterparty)) problems.push('pair belongs to a different user than the counterparty');
+            if (pair.status !== debit.status) problems.push(`debit is ${debit.status} but pair is ${pair.status}`);
+
+            if (problems.length > 0) {
+                issues.push({
+                    type: RECONCILIATION_ISSUE.PAIR_MISMATCH,
+                    userId,
+                    transactionId,
+                    pairedTransactionId: pair._id.toString(),
+                    message: problems.join('; ')
+                });
+            }
+        }
+
+        return {
+            transactionsChecked: transactions.length,
+            issues
+        };
+    }
+}
+
+module.exports = ReconciliationService;
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const { User, PromoCode, PromoRedemption } = require('../models');
+const TransactionService = require('./TransactionService');
+const { TRANSACTION_TYPE, LEDGER_KIND, REFERRAL_BONUS } = require('../config/constants');
+
+/**
+ * RewardService issues bonus credits: promo code redemptions and referral
+ * bonuses. Every payout goes through TransactionService.credit with an
+ * idempotency key, so a retried request can never pay twice.
+ */
+class RewardService {
+    /**
+     * Redeem a promo code for bonus credits
+     *
+     * @param {string} userId - User redeeming the code
+     * @param {string} code - Promo code (case-insensitive)
+     */
+    static async redeemPromoCode(userId, code) {
+        const normalizedCode = code.trim().toUpperCase();
+        const mongoSession = await mongoose.startSession();
+
+        try {
+            let result;
+
+            await mongoSession.withTransaction(async () => {
+                const now = new Date();
+
+                // Claim a slot atomically: active, unexpired and under the
+                // redemption cap
+                const promo = await PromoCode.findOneAndUpdate(
+                    {
+                        code: normalizedCode,
+                        isActive: true,
+                        expiresAt: { $gt: now },
+                        $or: [
+                            { maxRedemptions: null },
+                            { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+                        ]
+                    },
+                    { $inc: { redemptionCount: 1 } },
+                    { new: true, session: mongoSession }
+                );
+
+                if (!promo) {
+                    throw new Error(await RewardService.explainRedemptionFailure(normalizedCode, userId));
+                }
+
+                // The unique { promoCode, user } index rejects a second
+                // redemption, which aborts the transaction and the slot above
+                try {
+                    await PromoRedemption.create(
+                        [{ promoCode: promo._id, user: userId, redeemedAt: now }],
+                        { session: mongoSession }
+                    );
+                } catch (error) {
+                    if (error.code === 11000) {
+                        throw new Error('You have already redeemed this promo code');
+                    }
+                    throw error;
+                }
+
+                const credit = await TransactionService.credit(
+                    userId,
+                    promo.amount,
+                    TRANSACTION_TYPE.BONUS,
+                    `Promo code ${promo.code}`,
+                    {
+                        idempotencyKey: `promo-${promo._id}-${userId}`,
+                        metadata: { kind: LEDGER_KIND.PROMO_CODE, code: promo.code },
+                        mongoSession
+                    }
+                );
+
+                result = {
+                    success: true,
+                    code: promo.code,
+                    amount: promo.amount,
+                    transaction: credit.transaction,
+                    newBalance: credit.newBalance
+                };
+            });
+
+            return result;
+
+        } finally {
+            await mongoSession.endSession();
+        }
+    }
+
+    /**
+     * Work out why a code couldn't be claimed, for the error message
+     */
+    static async explainRedemptionFailure(code, userId) {
+        const promo = await PromoCode.findOne({ code });
+
+        if (!promo || !promo.isActive) {
+            return 'Promo code not found';
+        }
+        if (promo.expiresAt <= new Date()) {
+            return 'Promo code has expired';
+        }
+
+        const alreadyRedeemed = await PromoRedemption.exists({ promoCode: promo._id, user: userId });
+        if (alreadyRedeemed) {
+            return 'You have already redeemed this promo code';
+        }
+
+        return 'Promo code has reached its redemption limit';
+    }
+
+    /**
+     * Pay the referral bonus to a referred user and their referrer.
+     * Called when a session completes; only the first completed session of a
+     * referred user pays out (referralRewardedAt is claimed atomically).
+     *
+     * @param {string} userId - Participant of the completed session
+     * @param {ClientSession} mongoSession - Join the session completion transaction
+     * @returns {Object|null} Payout, or null when nothing was due
+     */
+    static async rewardReferral(userId, mongoSession) {
+        const referee = await User.findOneAndUpdate(
+            {
+                _id: userId,
+                referredBy: { $ne: null },
+                referralRewardedAt: null
+            },
+            { $set: { referralRewardedAt: new Date() } },
+            { new: true, session: mongoSession }
+        );
+
+        if (!referee) {
+            return null;
+        }
+
+        const refereeCredit = await TransactionService.credit(
+            referee._id,
+            REFERRAL_BONUS.REFEREE,
+            TRANSACTION_TYPE.BONUS,
+            'Referral bonus: first session completed',
+            {
+                counterparty: referee.referredBy,
+                idempotencyKey: `referral-referee-${referee._id}`,
+                metadata: { kind: LEDGER_KIND.REFERRAL },
+                mongoSession
+            }
+        );
+
+        // A closed referrer account simply forfeits its half
+        const referrer = await User.findOne({ _id: referee.referredBy, isActive: true })
+            .select('_id')
+            .session(mongoSession);
+
+        const referrerCredit = referrer
+            ? await TransactionService.credit(
+                referrer._id,
+                REFERRAL_BONUS.REFERRER,
+                TRANSACTION_TYPE.BONUS,
+                `Referral bonus: ${referee.firstName} completed their first session`,
+                {
+                    counterparty: referee._id,
+                    idempotencyKey: `referral-referrer-${referee._id}`,
+                    metadata: { kind: LEDGER_KIND.REFERRAL },
+                    mongoSession
+                }
+            )
+            : null;
+
+        return {
+            referee: refereeCredit.transaction,
+            referrer: referrerCredit ? referrerCredit.transaction : null
+        };
+    }
+
+    /**
+     * A user's referral code and how their referrals are doing
+     */
+    static async getReferralSummary(userId) {
+        const user = await User.findById(userId).select('referralCode');
+
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        // Accounts created before referrals existed get a code on first save
+        if (!user.referralCode) {
+            await user.save();
+        }
+
+        const [referredCount, rewardedCount] = await Promise.all([
+            User.countDocuments({ referredBy: userId }),
+            User.countDocuments({ referredBy: userId, referralRewardedAt: { $ne: null } })
+        ]);
+
+        return {
+            referralCode: user.referralCode,
+            referredCount,
+            rewardedCount,
+            referrerBonus: REFERRAL_BONUS.REFERRER,
+            refereeBonus: REFERRAL_BONUS.REFEREE
+        };
+    }
+}
+
+module.exports = RewardService;
@@ -0,0 +1,82 @@
+const { SESSION_SCHEDULER } = require('../config/constants');
+
+/**
+ * SchedulerService runs recurring background jobs in-process.
+ * Each job runs on its own interval and never overlaps with itself:
+ * a tick is skipped while the previous run is still in flight.
+ */
+class SchedulerService {
+    constructor() {
+        // Map of registered jobs: name -> { handler, intervalMs, timer, running }
+        this.jobs = new Map();
+        this.started = false;
+    }
+
+    /**
+     * Register a job. Jobs registered after start() are scheduled immediately.
+     */
+    register(name, handler, intervalMs = SESSION_SCHEDULER.INTERVAL_MS) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job "${name}" is already registered`);
+        }
+
+        const job = { handler, intervalMs, timer: null, running: false };
+        this.jobs.set(name, job);
+
+        if (this.started) {
+            this.schedule(name, job);
+        }
+    }
+
+    /**
+     * Start every registered job
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        for (const [name, job] of this.jobs) {
+            this.schedule(name, job);
+        }
+    }
+
+    /**
+     * Stop every job (in-flight runs finish on their own)
+     */
+    stop() {
+        for (const job of this.jobs.values()) {
+            clearInterval(job.timer);
+            job.timer = null;
+        }
+        this.started = false;
+    }
+
+    /**
+     * Run a job once, unless it is already running
+     */
+    async runJob(name) {
+        const job = this.jobs.get(name);
+        if (!job || job.running) return null;
+
+        job.running = true;
+        try {
+            return await job.handler();
+        } catch (error) {
+            console.error(`[Scheduler] Job "${name}" failed:`, error.message);
+            return null;
+        } finally {
+            job.running = false;
+        }
+    }
+
+    schedule(name, job) {
+        job.timer = setInterval(() => this.runJob(name), job.intervalMs);
+        // Don't keep the process alive just for background jobs
+        job.timer.unref();
+    }
+}
+
+// Singleton instance
+const schedulerService = new SchedulerService();
+
+module.exports = schedulerService;
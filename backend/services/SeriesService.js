@@ -0,0 +1,545 @@
+const mongoose = require('mongoose');
+const { Session, SessionSeries, User, WaitlistEntry } = require('../models');
+const SessionService = require('./SessionService');
+const PricingService = require('./PricingService');
+const AvailabilityService = require('./AvailabilityService');
+const { SESSION_STATUS, RECURRENCE } = require('../config/constants');
+
+// "2026-12-24" with no time of day
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SeriesService books and manages recurring sessions. A series is a set of
+ * ordinary Session documents linked through Session.series; series-wide
+ * actions apply the single-session action to each upcoming occurrence.
+ */
+class SeriesService {
+    /**
+     * Start time of every occurrence in a series
+     *
+     * @param {Date} start - First occurrence
+     * @param {Object} recurrence
+     * @param {string} recurrence.frequency - RECURRENCE.FREQUENCY value
+     * @param {number} recurrence.occurrences - Number of sessions (or use until)
+     * @param {Date|string} recurrence.until - Last day to book on, inclusive (or use occurrences).
+     *                                         A bare date ends at midnight UTC; a full time (the end of
+     *                                         that day in the student's zone) is used as given.
+     * @returns {Date[]} Occurrence start times, at the same UTC time each week
+     */
+    static getSeriesDates(start, { frequency, occurrences, until }) {
+        const intervalDays = RECURRENCE.INTERVAL_DAYS[frequency];
+        if (!intervalDays) {
+            throw new Error(`Repeat frequency must be one of: ${Object.values(RECURRENCE.FREQUENCY).join(', ')}`);
+        }
+        if ((occurrences && until) || (!occurrences && !until)) {
+            throw new Error('Repeat needs either a number of occurrences or an end date');
+        }
+
+        let count = occurrences;
+        if (until) {
+            const lastDay = new Date(until);
+            if (typeof until === 'string' && DATE_ONLY.test(until)) {
+                lastDay.setUTCHours(23, 59, 59, 999);
+            }
+            count = Math.floor((lastDay - start) / (intervalDays * DAY_MS)) + 1;
+        }
+
+        if (!(count >= RECURRENCE.MIN_OCCURRENCES && count <= RECURRENCE.MAX_OCCURRENCES)) {
+            throw new Error(`A series must have between ${RECURRENCE.MIN_OCCURRENCES} and ${RECURRENCE.MAX_OCCURRENCES} sessions`);
+        }
+
+        return Array.from({ length: count }, (_, i) => new Date(start.getTime() + i * intervalDays * DAY_MS));
+    }
+
+    /**
+     * Every occurrence that falls outside the tutor's availability or
+     * overlaps an existing booking of either participant (or the tutor's
+     * buffer time around one, or a waitlist hold)
+     *
+     * @param {string} studentId - Student
+     * @param {string} tutorId - Tutor
+     * @param {Date[]} dates - Occurrence start times
+     * @param {number} duration - Minutes
+     * @param {string[]} excludeSessionIds - Sessions to ignore (a series being moved)
+     * @returns {Array} scheduledAt, party ('student' or 'tutor'), reason ('unavailable', 'booked' or 'held')
+     *                  and, when booked, the conflicting session's time
+     */
+    static async findConflicts(studentId, tutorId, dates, duration, excludeSessionIds = null) {
+        const tutor = await User.findById(tutorId).select('availability');
+        const conflicts = [];
+
+        for (const scheduledAt of dates) {
+            if (tutor && !AvailabilityService.isAvailable(tutor.availability, scheduledAt, duration)) {
+                conflicts.push({ scheduledAt, party: 'tutor', reason: 'unavailable' });
+            }
+
+            for (const [party, userId] of [['student', studentId], ['tutor', tutorId]]) {
+                // The tutor's sessions also keep their buffer time around them
+                const overlaps = party === 'tutor' && tutor
+                    ? await AvailabilityService.findBufferClashes(tutor, scheduledAt, duration, excludeSessionIds)
+                    : await Session.findOverlapping(userId, scheduledAt, duration, excludeSessionIds);
+                if (overlaps.length > 0) {
+                    conflicts.push({
+                        scheduledAt,
+                        party,
+                        reason: 'booked',
+                        conflictingAt: overlaps[0].scheduledAt,
+                        conflictingDuration: overlaps[0].duration
+                    });
+                }
+            }
+
+            const holds = await WaitlistEntry.findActiveHolds(tutorId, scheduledAt, duration, studentId);
+            if (holds.length > 0) {
+                conflicts.push({ scheduledAt, party: 'tutor', reason: 'held' });
+            }
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * One error listing every conflicting occurrence, so the user can fix
+     * the whole series at once
+     */
+    static describeConflicts(conflicts, total, timeZone = 'UTC') {
+        const dates = [...new Set(conflicts.map(c => c.scheduledAt.getTime()))];
+        const details = conflicts
+            .map(c => {
+                const what = c.reason === 'unavailable'
+                    ? 'tutor not available'
+                    : c.reason === 'held' ? 'held for the waitlist' : c.party === 'tutor' ? 'tutor' : 'you';
+                return `${AvailabilityService.formatInZone(c.scheduledAt, timeZone)} (${what})`;
+            })
+            .join('; ');
+
+        return `${dates.length} of the ${total} sessions have a conflicting booking or fall outside the tutor's availability: ${details}`;
+    }
+
+    /**
+     * Itemized quote for a series, with any conflicts it would hit
+     *
+     * @param {string} studentId - Student booking
+     * @param {string} tutorId - Tutor being booked
+     * @param {Object} data - skillName, skillCategory, scheduledAt, duration, packageId, recurrence
+     */
+    static async quoteSeries(studentId, tutorId, data) {
+        const dates = SeriesService.getSeriesDates(new Date(data.scheduledAt), data.recurrence);
+        const quote = await PricingService.quoteSeries(studentId, tutorId, data, dates);
+        const conflicts = await SeriesService.findConflicts(studentId, tutorId, dates, data.duration);
+
+        return {
+            ...quote,
+            frequency: data.recurrence.frequency,
+            conflicts
+        };
+    }
+
+    /**
+     * Book every occurrence of a recurring series.
+     * All occurrences are checked for conflicts before any is created, and
+     * the whole series is booked in one transaction, so it is booked in
+     * full or not at all.
+     *
+     * @param {string} studentId - Student booking
+     * @param {string} tutorId - Tutor being booked
+     * @param {Object} data - Booking fields as for bookSession, plus recurrence
+     * @param {Object} options
+     * @param {string} options.timeZone - Zone times in errors are shown in (the student's)
+     */
+    static async bookSeries(studentId, tutorId, data, { timeZone = 'UTC' } = {}) {
+        const { skillName, skillCategory, duration, notes, meetingType, packageId, recurrence } = data;
+
+        if (studentId.toString() === tutorId.toString()) {
+            throw new Error('Cannot book a session with yourself');
+        }
+
+        const start = new Date(data.scheduledAt);
+        if (start <= new Date()) {
+            throw new Error('Session must be scheduled in the future');
+        }
+
+        const dates = SeriesService.getSeriesDates(start, recurrence);
+        const mongoSession = await mongoose.startSession();
+
+        try {
+            let result;
+
+            await mongoSession.withTransaction(async () => {
+                const student = await User.findById(studentId).session(mongoSession);
+                if (!student) throw new Error('Student not found');
+
+                const quote = await PricingService.quoteSeries(
+                    studentId,
+                    tutorId,
+                    { skillName, skillCategory, duration, packageId },
+                    dates,
+                    mongoSession
+                );
+
+                if (student.creditBalance < quote.chargedNow) {
+                    throw new Error(`Insufficient credits. You have ${student.creditBalance} credits, but the series needs ${quote.chargedNow}`);
+                }
+
+                const conflicts = await SeriesService.findConflicts(studentId, tutorId, dates, duration);
+                if (conflicts.length > 0) {
+                    throw new Error(SeriesService.describeConflicts(conflicts, dates.length, timeZone));
+                }
+
+                const series = new SessionSeries({
+                    tutor: tutorId,
+                    student: studentId,
+                    skill: quote.skill,
+                    frequency: recurrence.frequency,
+                    occurrences: dates.length,
+                    until: recurrence.until ? new Date(recurrence.until) : undefined,
+                    duration,
+                    package: quote.package ? quote.package.id : undefined
+                });
+                await series.save({ session: mongoSession });
+
+                const sessions = [];
+                for (const [i, occurrence] of quote.occurrences.entries()) {
+                    const session = await SessionService.createBookedSession({
+                        studentId,
+                        tutorId,
+                        skill: quote.skill,
+                        scheduledAt: occurrence.scheduledAt,
+                        duration,
+                        price: { hourlyRate: quote.hourlyRate, ...occurrence },
+                        // Each occurrence draws the package's next session in turn
+                        packageQuote: quote.package
+                            ? { id: quote.package.id, sessionsRemaining: quote.package.sessionsRemaining - i }
+                            : null,
+                        notes,
+                        meetingType,
+                        series: series._id,
+                        seriesIndex: i + 1
+                    }, mongoSession);
+                    sessions.push(session.toObject());
+                }
+
+                result = {
+                    success: true,
+                    series: series.toObject(),
+                    sessions,
+                    creditCost: quote.total
+                };
+            });
+
+            return result;
+
+        } catch (error) {
+            console.error('Series booking failed:', error);
+            throw error;
+        } finally {
+            await mongoSession.endSession();
+        }
+    }
+
+    /**
+     * Load a series for one of its participants
+     */
+    static async findSeriesFor(seriesId, userId) {
+        const series = await SessionSeries.findById(seriesId);
+
+        if (!series) {
+            throw new Error('Series not found');
+        }
+
+        if (!series.tutor.equals(userId) && !series.student.equals(userId)) {
+            throw new Error('Not authorized to access this series');
+        }
+
+        return series;
+    }
+
+    /**
+     * Occurrences that haven't started yet and are still open
+     */
+    static getUpcomingSessions(seriesId, statuses = [SESSION_STATUS.PENDING, SESSION_STATUS.CONFIRMED]) {
+        return Session.find({
+            series: seriesId,
+            status: { $in: statuses },
+            scheduledAt: { $gt: new Date() }
+        }).sort({ scheduledAt: 1 });
+    }
+
+    /**
+     * A series with all of its occurrences
+     */
+    static async getSeries(seriesId, userId) {
+        const series = await SeriesService.findSeriesFor(seriesId, userId);
+
+        const sessions = await Session.find({ series: series._id })
+            .populate('tutor', 'firstName lastName avatar stats.averageRating')
+            .populate('student', 'firstName lastName avatar')
+            .sort({ seriesIndex: 1 });
+
+        return {
+            series: series.toObject(),
+            sessions
+        };
+    }
+
+    /**
+     * Run a single-session action on each occurrence. Occurrences are
+     * independent bookings, so one failing (e.g. it was just cancelled)
+     * doesn't stop the rest; failures are reported back.
+     */
+    static async forEachOccurrence(sessions, action) {
+        const done = [];
+        const failed = [];
+
+        for (const session of sessions) {
+            try {
+                done.push(await action(session));
+            } catch (error) {
+                failed.push({ sessionId: session._id, scheduledAt: session.scheduledAt, error: error.message });
+            }
+        }
+
+        return { done, failed };
+    }
+
+    /**
+     * Confirm every pending upcoming occurrence (tutor)
+     */
+    static async confirmSeries(seriesId, tutorId) {
+        const series = await SeriesService.findSeriesFor(seriesId, tutorId);
+        if (!series.tutor.equals(tutorId)) {
+            throw new Error('Only the tutor can confirm this series');
+        }
+
+        const pending = await SeriesService.getUpcomingSessions(series._id, [SESSION_STATUS.PENDING]);
+        const { done, failed } = await SeriesService.forEachOccurrence(pending, async (session) => {
+            const { session: confirmed } = await SessionService.confirmSession(session._id, tutorId);
+            return confirmed;
+        });
+
+        return {
+            success: true,
+            confirmed: done,
+            failed
+        };
+    }
+
+    /**
+     * Cancel every upcoming occurrence. Each one is settled under the
+     * normal cancellation policy, as if it were cancelled on its own.
+     */
+    static async cancelSeries(seriesId, userId, reason) {
+        const series = await SeriesService.findSeriesFor(seriesId, userId);
+
+        const upcoming = await SeriesService.getUpcomingSessions(series._id);
+        const { done, failed } = await SeriesService.forEachOccurrence(upcoming, async (session) => {
+            const { session: cancelled, policy } = await SessionService.cancelSession(session._id, userId, reason);
+            return { session: cancelled, policy };
+        });
+
+        return {
+            success: true,
+            cancelled: done.map(entry => entry.session),
+            refundAmount: Math.round(done.reduce((sum, entry) => sum + entry.policy.refundAmount, 0) * 100) / 100,
+            penaltyAmount: Math.round(done.reduce((sum, entry) => sum + entry.policy.penaltyAmount, 0) * 100) / 100,
+            failed
+        };
+    }
+
+    /**
+     * Where each upcoming occurrence lands if the next one moves to `scheduledAt`.
+     * Every occurrence shifts by the same amount, so the weekly rhythm is kept.
+     */
+    static async planSeriesMove(series, scheduledAt) {
+        const upcoming = await SeriesService.getUpcomingSessions(series._id);
+        if (upcoming.length === 0) {
+            throw new Error('Series has no upcoming sessions to reschedule');
+        }
+
+        const shift = scheduledAt.getTime() - upcoming[0].scheduledAt.getTime();
+        return upcoming.map(session => ({
+            session,
+            to: new Date(session.scheduledAt.getTime() + shift)
+        }));
+    }
+
+    /**
+     * Check every move in a plan before any is made. The series' own
+     * occurrences are moving too, so they don't count as conflicts.
+     */
+    static async assertMovesPossible(moves, timeZone = 'UTC') {
+        const seriesSessionIds = moves.map(({ session }) => session._id);
+
+        for (const { session, to } of moves) {
+            SessionService.assertReschedulable(session);
+            await SessionService.assertNoConflicts(session, to, seriesSessionIds, timeZone);
+        }
+    }
+
+    /**
+     * Propose moving every upcoming occurrence (tutor or student). The next
+     * occurrence moves to `scheduledAt` and the rest shift with it once the
+     * other participant accepts; proposing over theirs is a counter-proposal.
+     * A student's proposal must keep every occurrence inside the tutor's
+     * availability.
+     *
+     * @param {string} seriesId - Series to move
+     * @param {string} userId - Participant proposing
+     * @param {Object} proposal - scheduledAt (new start of the next occurrence) and an optional note
+     * @param {Object} options
+     * @param {string} options.timeZone - Zone times in errors are shown in (the proposer's)
+     */
+    static async proposeSeriesReschedule(seriesId, userId, { scheduledAt, note }, { timeZone = 'UTC' } = {}) {
+        const series = await SeriesService.findSeriesFor(seriesId, userId);
+        const newStart = new Date(scheduledAt);
+        if (newStart <= new Date()) {
+            throw new Error('Session must be scheduled in the future');
+        }
+
+        const moves = await SeriesService.planSeriesMove(series, newStart);
+        if (moves[0].to.getTime() === moves[0].session.scheduledAt.getTime()) {
+            throw new Error('Series is already scheduled at this time');
+        }
+        await SeriesService.assertMovesPossible(moves, timeZone);
+        if (series.student.equals(userId)) {
+            await AvailabilityService.assertTutorAvailable(series.tutor, moves.map(({ to }) => to), series.duration, {
+                excludeSessionIds: moves.map(({ session }) => session._id),
+                timeZone
+            });
+        }
+
+        const isCounter = !!series.rescheduleProposal?.proposedBy && !series.rescheduleProposal.proposedBy.equals(userId);
+
+        series.rescheduleProposal = {
+            proposedBy: userId,
+            session: moves[0].session._id,
+            scheduledAt: newStart,
+            note: note || '',
+            proposedAt: new Date()
+        };
+        await series.save();
+
+        return {
+            success: true,
+            series: series.toObject(),
+            moves: moves.map(({ session, to }) => ({ sessionId: session._id, from: session.scheduledAt, to })),
+            isCounter
+        };
+    }
+
+    /**
+     * Accept the other participant's proposed series move. All-or-nothing:
+     * every occurrence is re-checked, then all are moved in one transaction.
+     *
+     * @param {Object} options
+     * @param {string} options.timeZone - Zone times in errors are shown in (the accepter's)
+     */
+    static async acceptSeriesReschedule(seriesId, userId, { timeZone = 'UTC' } = {}) {
+        const series = await SeriesService.findSeriesFor(seriesId, userId);
+
+        const proposal = series.rescheduleProposal;
+        if (!proposal?.proposedBy) {
+            throw new Error('No reschedule proposal is pending for this series');
+        }
+        if (proposal.proposedBy.equals(userId)) {
+            throw new Error('The other participant must accept your proposal');
+        }
+
+        const moves = await SeriesService.planSeriesMove(series, proposal.scheduledAt);
+        if (!moves[0].session._id.equals(proposal.session)) {
+            throw new Error('The series changed since this was proposed. Please propose a new time.');
+        }
+        await SeriesService.assertMovesPossible(moves, timeZone);
+
+        const mongoSession = await mongoose.startSession();
+
+        try {
+            let result;
+
+            await mongoSession.withTransaction(async () => {
+                const moved = [];
+
+                for (const { session: { _id, status, version }, to } of moves) {
+                    // Locked on the state checked above; any change in between aborts the move
+                    const session = await Session.findOneAndUpdate(
+                        {
+                            _id,
+                            status,
+                            version,
+                            $or: [
+                                { lockedUntil: null },
+                                { lockedUntil: { $lt: new Date() } },
+                                { lockedUntil: { $exists: false } }
+                            ]
+                        },
+                        {
+                            $set: { lockedUntil: new Date(Date.now() + 30000) }
+                        },
+                        { new: true, session: mongoSession }
+                    );
+
+                    if (!session) {
+                        throw new Error('A session in this series changed while rescheduling. Please try again.');
+                    }
+
+                    SessionService.applyReschedule(session, to, proposal.proposedBy, userId);
+                    await session.save({ session: mongoSession });
+                    moved.push(session.toObject());
+                }
+
+                const cleared = await SessionSeries.updateOne(
+                    { _id: series._id, 'rescheduleProposal.proposedAt': proposal.proposedAt },
+                    { $unset: { rescheduleProposal: 1 } },
+                    { session: mongoSession }
+                );
+                if (cleared.modifiedCount === 0) {
+                    throw new Error('The proposal was just changed. Please try again.');
+                }
+
+                result = {
+                    success: true,
+                    sessions: moved
+                };
+            });
+
+            return result;
+
+        } catch (error) {
+            console.error('Series reschedule failed:', error);
+            throw error;
+        } finally {
+            await mongoSession.endSession();
+        }
+    }
+
+    /**
+     * Decline the other participant's series proposal, or withdraw your own
+     */
+    static async declineSeriesReschedule(seriesId, userId) {
+        const series = await SeriesService.findSeriesFor(seriesId, userId);
+
+        const proposal = series.rescheduleProposal;
+        if (!proposal?.proposedBy) {
+            throw new Error('No reschedule proposal is pending for this series');
+        }
+
+        const cleared = await SessionSeries.findOneAndUpdate(
+            { _id: series._id, 'rescheduleProposal.proposedAt': proposal.proposedAt },
+            { $unset: { rescheduleProposal: 1 } },
+            { new: true }
+        );
+
+        if (!cleared) {
+            throw new Error('The proposal was just changed. Please try again.');
+        }
+
+        return {
+            success: true,
+            series: cleared.toObject(),
+            withdrawn: proposal.proposedBy.equals(userId)
+        };
+    }
+}
+
+module.exports = SeriesService;
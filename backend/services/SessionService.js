@@ -1,7 +1,25 @@
 const mongoose = require('mongoose');
 const { Session, User } = require('../models');
 const TransactionService = require('./TransactionService');
-const { SESSION_STATUS, TRANSACTION_TYPE } = require('../config/constants');
+const VideoRoomService = require('./VideoRoomService');
+const RewardService = require('./RewardService');
+const PricingService = require('./PricingService');
+const PackageService = require('./PackageService');
+const AvailabilityService = require('./AvailabilityService');
+const WaitlistService = require('./WaitlistService');
+const GroupSessionService = require('./GroupSessionService');
+const {
+    SESSION_STATUS,
+    STATUS_ACTOR,
+    SESSION_SCHEDULER,
+    ESCROW_STATUS,
+    TRANSACTION_TYPE,
+    CANCELLATION_POLICY,
+    CANCELLATION_OUTCOME,
+    DISPUTE_WINDOW_HOURS,
+    DISPUTE_RESOLUTION,
+    ENROLLMENT_STATUS
+} = require('../config/constants');
 
 /**
  * SessionService handles all session-related operations
@@ -10,10 +28,16 @@ const { SESSION_STATUS, TRANSACTION_TYPE } = require('../config/constants');
 class SessionService {
     /**
      * Book a new session with a tutor
-     * This reserves credits from the student but doesn't transfer them yet
+     * This holds the student's credits in escrow but doesn't transfer them yet.
+     * The price comes from PricingService.quoteSession, so the student pays
+     * exactly what POST /api/sessions/quote showed them; with a packageId the
+     * session is drawn from a prepaid package instead.
+     *
+     * @param {Object} options
+     * @param {string} options.timeZone - Zone times in errors are shown in (the student's)
      */
-    static async bookSession(studentId, tutorId, sessionData) {
-        const { skillName, skillCategory, scheduledAt, duration, notes, meetingType } = sessionData;
+    static async bookSession(studentId, tutorId, sessionData, { timeZone = 'UTC' } = {}) {
+        const { skillName, skillCategory, scheduledAt, duration, notes, meetingType, packageId } = sessionData;
 
         // Validate inputs
         if (studentId.toString() === tutorId.toString()) {
@@ -31,75 +55,62 @@ class SessionService {
             let result;
 
             await mongoSession.withTransaction(async () => {
-                // Get tutor and student
-                const [tutor, student] = await Promise.all([
-                    User.findById(tutorId).session(mongoSession),
-                    User.findById(studentId).session(mongoSession)
-                ]);
-
-                if (!tutor) throw new Error('Tutor not found');
+                const student = await User.findById(studentId).session(mongoSession);
                 if (!student) throw new Error('Student not found');
 
-                // Find the skill in tutor's teaching skills
-                const tutorSkill = tutor.teachingSkills.find(
-                    s => s.name.toLowerCase() === skillName.toLowerCase() &&
-                        s.category === skillCategory
+                // Price the session (checks the tutor and skill exist)
+                const quote = await PricingService.quoteSession(
+                    studentId,
+                    tutorId,
+                    { skillName, skillCategory, scheduledAt: scheduledDate, duration, packageId },
+                    mongoSession
                 );
+                const creditCost = quote.total;
 
-                if (!tutorSkill) {
-                    throw new Error('Tutor does not offer this skill');
-                }
-
-                // Calculate credit cost based on duration and hourly rate
-                const creditCost = (duration / 60) * tutorSkill.hourlyRate;
-
-                // Check student has enough credits
-                if (student.creditBalance < creditCost) {
-                    throw new Error(`Insufficient credits. You have ${student.creditBalance} credits, but need ${creditCost}`);
+                // Check student has enough credits (package sessions are already paid for)
+                if (student.creditBalance < quote.chargedNow) {
+                    throw new Error(`Insufficient credits. You have ${student.creditBalance} credits, but need ${quote.chargedNow}`);
                 }
 
                 // Check for overlapping sessions for both parties
                 const studentOverlaps = await Session.findOverlapping(studentId, scheduledDate, duration);
                 if (studentOverlaps.length > 0) {
                     const conflict = studentOverlaps[0];
-                    throw new Error(`You have a conflicting session at this time: ${conflict.scheduledAt} (${conflict.duration} min)`);
+                    throw new Error(`You have a conflicting session at this time: ${AvailabilityService.describeBooking(conflict, timeZone)}`);
                 }
 
                 const tutorOverlaps = await Session.findOverlapping(tutorId, scheduledDate, duration);
                 if (tutorOverlaps.length > 0) {
                     const conflict = tutorOverlaps[0];
-                    throw new Error(`Tutor has a conflicting session at this time: ${conflict.scheduledAt} (${conflict.duration} min)`);
+                    throw new Error(`Tutor has a conflicting session at this time: ${AvailabilityService.describeBooking(conflict, timeZone)}`);
                 }
 
-                // Create the session
-                const session = new Session({
-                    tutor: tutorId,
-                    student: studentId,
-                    skill: {
-                        name: tutorSkill.name,
-                        category: tutorSkill.category
-                    },
+                // Freed time being held for someone on the tutor's waitlist
+                await WaitlistService.assertNotHeld(tutorId, scheduledDate, duration, studentId, timeZone);
+
+                // Hours, date exceptions, notice and buffer time
+                await AvailabilityService.assertTutorAvailable(tutorId, [scheduledDate], duration, { mongoSession, timeZone });
+
+                const session = await SessionService.createBookedSession({
+                    studentId,
+                    tutorId,
+                    skill: quote.skill,
                     scheduledAt: scheduledDate,
-                    duration: duration,
-                    creditCost: creditCost,
-                    status: SESSION_STATUS.PENDING,
-                    notes: notes || '',
-                    meetingDetails: {
-                        type: meetingType || 'video'
-                    },
-                    statusHistory: [{
-                        status: SESSION_STATUS.PENDING,
-                        changedAt: new Date(),
-                        changedBy: studentId
-                    }]
-                });
+                    duration,
+                    price: quote,
+                    packageQuote: quote.package,
+                    notes,
+                    meetingType
+                }, mongoSession);
 
-                await session.save({ session: mongoSession });
+                // Booking a held slot takes the student off the waitlist
+                await WaitlistService.markBooked(studentId, tutorId, scheduledDate, session._id, mongoSession);
 
                 result = {
                     success: true,
                     session: session.toObject(),
-                    creditCost: creditCost
+                    creditCost: creditCost,
+                    lineItems: quote.lineItems
                 };
             });
 
@@ -113,6 +124,78 @@ class SessionService {
         }
     }
 
+    /**
+     * Create a pending session and move its price into escrow.
+     * Runs inside the caller's transaction; shared by bookSession and
+     * SeriesService.bookSeries, which have already checked for conflicts.
+     *
+     * @param {Object} booking
+     * @param {Object} booking.price - hourlyRate, baseCost, lineItems and total from PricingService
+     * @param {Object} booking.packageQuote - quote.package when drawn from a package, else null
+     * @param {string} booking.series - SessionSeries the session belongs to (optional)
+     * @param {number} booking.seriesIndex - Position in the series, 1-based (optional)
+     * @param {ClientSession} mongoSession - Booking transaction
+     */
+    static async createBookedSession(booking, mongoSession) {
+        const { studentId, tutorId, skill, scheduledAt, duration, price, packageQuote, notes, meetingType } = booking;
+        const creditCost = price.total;
+
+        const session = new Session({
+            tutor: tutorId,
+            student: studentId,
+            skill,
+            scheduledAt,
+            duration,
+            creditCost,
+            pricing: {
+                hourlyRate: price.hourlyRate,
+                baseCost: price.baseCost,
+                lineItems: price.lineItems,
+                package: packageQuote ? packageQuote.id : undefined
+            },
+            series: booking.series,
+            seriesIndex: booking.seriesIndex,
+            status: SESSION_STATUS.PENDING,
+            notes: notes || '',
+            meetingDetails: {
+                type: meetingType || 'video'
+            },
+            statusHistory: [{
+                status: SESSION_STATUS.PENDING,
+                changedAt: new Date(),
+                changedBy: studentId
+            }]
+        });
+
+        // Move the cost into escrow so it can't be spent on another booking.
+        // A package session takes its share of credits the package already holds.
+        if (packageQuote) {
+            await PackageService.drawSession(packageQuote, creditCost, session._id, mongoSession);
+        } else {
+            await TransactionService.hold(
+                studentId,
+                creditCost,
+                `Credits held for session: ${skill.name}`,
+                {
+                    sessionId: session._id,
+                    counterparty: tutorId,
+                    idempotencyKey: `session-hold-${session._id}`,
+                    mongoSession
+                }
+            );
+        }
+
+        session.escrow = {
+            status: ESCROW_STATUS.HELD,
+            amount: creditCost,
+            heldAt: new Date()
+        };
+
+        await session.save({ session: mongoSession });
+
+        return session;
+    }
+
     /**
      * Confirm a pending session (tutor confirms)
      */
@@ -165,21 +248,23 @@ class SessionService {
                     throw new Error('Failed to acquire lock on session. Please try again.');
                 }
 
-                // Verify student still has enough credits
-                const student = await User.findById(session.student).session(mongoSession);
-                if (student.creditBalance < session.creditCost) {
-                    // Release lock and reject
-                    session.status = SESSION_STATUS.CANCELLED;
-                    session.statusHistory.push({
-                        status: SESSION_STATUS.CANCELLED,
-                        changedAt: new Date(),
-                        changedBy: tutorId,
-                        reason: 'Student has insufficient credits'
-                    });
-                    session.lockedUntil = null;
-                    await session.save({ session: mongoSession });
-
-                    throw new Error('Student no longer has sufficient credits');
+                // Sessions booked before escrow existed still need a balance check
+                if (session.escrow?.status !== ESCROW_STATUS.HELD) {
+                    const student = await User.findById(session.student).session(mongoSession);
+                    if (student.creditBalance < session.creditCost) {
+                        // Release lock and reject
+                        session.status = SESSION_STATUS.CANCELLED;
+                        session.statusHistory.push({
+                            status: SESSION_STATUS.CANCELLED,
+                            changedAt: new Date(),
+                            changedBy: tutorId,
+                            reason: 'Student has insufficient credits'
+                        });
+                        session.lockedUntil = null;
+                        await session.save({ session: mongoSession });
+
+                        throw new Error('Student no longer has sufficient credits');
+                    }
                 }
 
                 // Update session status
@@ -213,8 +298,12 @@ class SessionService {
     /**
      * Complete a session and transfer credits
      * This is where the actual credit transfer happens
+     *
+     * @param {Object} options
+     * @param {boolean} options.system - Completed by the scheduler (skips the participant check)
+     * @param {string} options.reason - Reason recorded in the status history
      */
-    static async completeSession(sessionId, completedBy) {
+    static async completeSession(sessionId, completedBy, options = {}) {
         const mongoSession = await mongoose.startSession();
 
         try {
@@ -230,7 +319,13 @@ class SessionService {
                             { status: SESSION_STATUS.IN_PROGRESS }
                         ],
                         isProcessed: false,
-                        lockedUntil: { $lt: new Date() }
+                        $and: [{
+                            $or: [
+                                { lockedUntil: null },
+                                { lockedUntil: { $lt: new Date() } },
+                                { lockedUntil: { $exists: false } }
+                            ]
+                        }]
                     },
                     {
                         $set: {
@@ -245,8 +340,9 @@ class SessionService {
                     throw new Error('Session not found, already completed, or is being processed');
                 }
 
-                // Verify the user is authorized (either tutor or student)
-                if (!session.tutor.equals(completedBy) && !session.student.equals(completedBy)) {
+                // Either participant can complete a private session; only the tutor completes a group
+                const canComplete = session.isGroup() ? session.tutor.equals(completedBy) : session.isParticipant(completedBy);
+                if (!options.system && !canComplete) {
                     // Release lock
                     session.isProcessed = false;
                     session.lockedUntil = null;
@@ -254,23 +350,60 @@ class SessionService {
                     throw new Error('Not authorized to complete this session');
                 }
 
+                // Completing a group captures every seat and its students can't
+                // dispute, so the tutor can't close it out before it has run
+                const endsAt = new Date(session.scheduledAt).getTime() + session.duration * 60000;
+                if (!options.system && session.isGroup() && Date.now() < endsAt) {
+                    session.isProcessed = false;
+                    session.lockedUntil = null;
+                    await session.save({ session: mongoSession });
+                    throw new Error('A group session can only be completed after it ends');
+                }
+
                 // Generate idempotency key to prevent double payments
                 const idempotencyKey = `session-complete-${sessionId}`;
 
-                // Transfer credits from student to tutor
-                // This is done outside the session since TransactionService has its own
-                // We'll verify after
+                // Pay the tutor: capture the escrowed credits, or fall back to a
+                // direct transfer for sessions booked before escrow existed.
+                // A group session settles each seat by its student's attendance.
+                let creditsTransferred = session.creditCost;
+                let learners = [session.student];
                 try {
-                    await TransactionService.transfer(
-                        session.student,
-                        session.tutor,
-                        session.creditCost,
-                        `Session: ${session.skill.name}`,
-                        {
-                            sessionId: session._id,
-                            idempotencyKey: idempotencyKey
-                        }
-                    );
+                    if (session.isGroup()) {
+                        const isVideo = (session.meetingDetails?.type || 'video') === 'video';
+                        const seats = await GroupSessionService.captureSeats(
+                            session,
+                            isVideo ? VideoRoomService.getAttendance(session).joinedStudents : null,
+                            mongoSession
+                        );
+                        creditsTransferred = seats.paidToTutor;
+                        learners = seats.attended;
+                    } else if (session.escrow?.status === ESCROW_STATUS.HELD) {
+                        await TransactionService.captureHold(
+                            session.student,
+                            session.tutor,
+                            session.escrow.amount,
+                            `Session: ${session.skill.name}`,
+                            {
+                                sessionId: session._id,
+                                idempotencyKey: idempotencyKey,
+                                mongoSession
+                            }
+                        );
+                        session.escrow.status = ESCROW_STATUS.CAPTURED;
+                        session.escrow.settledAt = new Date();
+                    } else {
+                        await TransactionService.transfer(
+                            session.student,
+                            session.tutor,
+                            session.creditCost,
+                            `Session: ${session.skill.name}`,
+                            {
+                                sessionId: session._id,
+                                idempotencyKey: idempotencyKey
+                            }
+                        );
+                    }
                 } catch (transferError) {
                     // Release lock on failure
                     session.isProcessed = false;
@@ -286,12 +419,14 @@ class SessionService {
                 session.statusHistory.push({
                     status: SESSION_STATUS.COMPLETED,
                     changedAt: new Date(),
-                    changedBy: completedBy
+                    changedBy: completedBy,
+                    actor: options.system ? STATUS_ACTOR.SYSTEM : STATUS_ACTOR.USER,
+                    reason: options.reason
                 });
 
                 await session.save({ session: mongoSession });
 
-                // Update user stats
+                // Update user stats (group students count only if they attended)
                 await Promise.all([
                     User.updateOne(
                         { _id: session.tutor },
@@ -303,8 +438,8 @@ class SessionService {
                         },
                         { session: mongoSession }
                     ),
-                    User.updateOne(
-                        { _id: session.student },
+                    User.updateMany(
+                        { _id: { $in: learners } },
                         {
                             $inc: {
                                 'stats.totalSessionsLearned': 1,
@@ -315,10 +450,15 @@ class SessionService {
                     )
                 ]);
 
+                // A referred user's first completed session pays the referral bonus
+                for (const participant of [session.tutor, ...learners]) {
+                    await RewardService.rewardReferral(participant, mongoSession);
+                }
+
                 result = {
                     success: true,
                     session: session.toObject(),
-                    creditsTransferred: session.creditCost
+                    creditsTransferred
                 };
             });
 
@@ -333,9 +473,122 @@ class SessionService {
     }
 
     /**
-     * Cancel a session
+     * Work out what the cancellation policy does for a session.
+     * Pure calculation - nothing is written, so it also backs the cancel preview.
+     *
+     * - Pending (never confirmed) sessions and cancellations made more than
+     *   FULL_REFUND_WINDOW_HOURS ahead are refunded in full.
+     * - A tutor who cancels after the grace period, or a student who cancels
+     *   after it when the video call shows the tutor never joined, is a tutor
+     *   no-show: full refund plus TUTOR_NO_SHOW_BONUS.
+     * - Any other cancellation inside the window by the tutor refunds in full;
+     *   by the student refunds LATE_CANCEL_REFUND_PERCENT and pays the rest to the
+     *   tutor. That includes a tutor who joined, and meetings outside the app,
+     *   where there is no attendance to go on (the student can dispute the fee).
      */
-    static async cancelSession(sessionId, cancelledBy, reason) {
+    static getCancellationOutcome(session, cancelledBy, now = new Date()) {
+        const isTutor = session.tutor.toString() === (cancelledBy._id || cancelledBy).toString();
+        const startsAt = new Date(session.scheduledAt).getTime();
+        const hoursUntilStart = (startsAt - now.getTime()) / 3600000;
+        const noShowAfter = startsAt + CANCELLATION_POLICY.NO_SHOW_GRACE_MINUTES * 60000;
+
+        if (session.status === SESSION_STATUS.PENDING || hoursUntilStart > CANCELLATION_POLICY.FULL_REFUND_WINDOW_HOURS) {
+            return SessionService.getCancellationAmounts(session, CANCELLATION_OUTCOME.FULL_REFUND);
+        }
+
+        if (now.getTime() >= noShowAfter && (isTutor || SessionService.tutorMissedCall(session))) {
+            return SessionService.getCancellationAmounts(session, CANCELLATION_OUTCOME.TUTOR_NO_SHOW);
+        }
+
+        return SessionService.getCancellationAmounts(
+            session,
+            isTutor ? CANCELLATION_OUTCOME.FULL_REFUND : CANCELLATION_OUTCOME.PARTIAL_REFUND
+        );
+    }
+
+    /**
+     * Whether the video call shows the tutor never joined. False for other
+     * meeting types, which have no attendance data.
+     */
+    static tutorMissedCall(session) {
+        if ((session.meetingDetails?.type || 'video') !== 'video') return false;
+        return !VideoRoomService.getAttendance(session).tutorJoined;
+    }
+
+    /**
+     * Refund, fee and bonus amounts for a given cancellation outcome.
+     * For a group session these are totals across the held seats; only the
+     * tutor cancels a whole group, so it is never a partial refund.
+     */
+    static getCancellationAmounts(session, outcome) {
+        if (session.isGroup()) {
+            const seats = session.enrollments.filter(e =>
+                e.status === ENROLLMENT_STATUS.ENROLLED && e.escrow?.status === ESCROW_STATUS.HELD
+            );
+            return {
+                outcome,
+                refundAmount: Math.round(seats.reduce((sum, e) => sum + e.escrow.amount, 0) * 100) / 100,
+                penaltyAmount: 0,
+                bonusAmount: outcome === CANCELLATION_OUTCOME.TUTOR_NO_SHOW ? CANCELLATION_POLICY.TUTOR_NO_SHOW_BONUS * seats.length : 0
+            };
+        }
+
+        const amount = session.escrow?.status === ESCROW_STATUS.HELD ? session.escrow.amount : 0;
+
+        if (outcome === CANCELLATION_OUTCOME.PARTIAL_REFUND) {
+            const refundAmount = Math.round(amount * CANCELLATION_POLICY.LATE_CANCEL_REFUND_PERCENT) / 100;
+            return {
+                outcome,
+                refundAmount,
+                penaltyAmount: Math.round((amount - refundAmount) * 100) / 100,
+                bonusAmount: 0
+            };
+        }
+
+        return {
+            outcome,
+            refundAmount: amount,
+            penaltyAmount: 0,
+            bonusAmount: outcome === CANCELLATION_OUTCOME.TUTOR_NO_SHOW ? CANCELLATION_POLICY.TUTOR_NO_SHOW_BONUS : 0
+        };
+    }
+
+    /**
+     * Preview the cancellation policy for a session without cancelling it
+     */
+    static async previewCancellation(sessionId, userId) {
+        const session = await Session.findById(sessionId);
+
+        if (!session) {
+            throw new Error('Session not found');
+        }
+
+        if (!session.isParticipant(userId)) {
+            throw new Error('Not authorized to cancel this session');
+        }
+
+        SessionService.assertCanCancelWhole(session, userId);
+
+        if (!session.canBeCancelled() && session.status !== SESSION_STATUS.IN_PROGRESS) {
+            throw new Error('Session cannot be cancelled');
+        }
+
+        return {
+            success: true,
+            policy: CANCELLATION_POLICY,
+            ...SessionService.getCancellationOutcome(session, userId)
+        };
+    }
+
+    /**
+     * Cancel a session and settle its escrow according to the cancellation policy
+     *
+     * @param {Object} options
+     * @param {boolean} options.system - Cancelled by the scheduler (skips the participant check)
+     * @param {string} options.actor - STATUS_ACTOR to record, when not the scheduler or a participant
+     * @param {string} options.outcome - Force a CANCELLATION_OUTCOME instead of evaluating the policy
+     */
+    static async cancelSession(sessionId, cancelledBy, reason, options = {}) {
         const mongoSession = await mongoose.startSession();
 
         try {
@@ -363,11 +616,72 @@ class SessionService {
                 }
 
                 // Verify authorization
-                if (!session.tutor.equals(cancelledBy) && !session.student.equals(cancelledBy)) {
+                if (!options.system && !session.isParticipant(cancelledBy)) {
                     session.lockedUntil = null;
                     await session.save({ session: mongoSession });
                     throw new Error('Not authorized to cancel this session');
                 }
+                if (!options.system) {
+                    SessionService.assertCanCancelWhole(session, cancelledBy);
+                }
+
+                const policy = options.outcome
+                    ? SessionService.getCancellationAmounts(session, options.outcome)
+                    : SessionService.getCancellationOutcome(session, cancelledBy);
+
+                // Settle the escrow: refund the student's share, pay any late fee to the tutor
+                if (session.isGroup()) {
+                    await GroupSessionService.refundSeats(session, {
+                        bonusPerSeat: policy.outcome === CANCELLATION_OUTCOME.TUTOR_NO_SHOW ? CANCELLATION_POLICY.TUTOR_NO_SHOW_BONUS : 0,
+                        description: 'Session cancelled'
+                    }, mongoSession);
+                } else if (session.escrow?.status === ESCROW_STATUS.HELD) {
+                    if (policy.penaltyAmount > 0) {
+                        await TransactionService.captureHold(
+                            session.student,
+                            session.tutor,
+                            policy.penaltyAmount,
+                            `Late cancellation fee: ${session.skill.name}`,
+                            {
+                                sessionId: session._id,
+                                idempotencyKey: `session-cancel-fee-${session._id}`,
+                                mongoSession
+                            }
+                        );
+                    }
+
+                    if (policy.refundAmount > 0) {
+                        await TransactionService.release(
+                            session.student,
+                            policy.refundAmount,
+                            `Session cancelled: ${session.skill.name}`,
+                            {
+                                sessionId: session._id,
+                                counterparty: session.tutor,
+                                idempotencyKey: `session-release-${session._id}`,
+                                mongoSession
+                            }
+                        );
+                    }
+
+                    session.escrow.status = policy.penaltyAmount > 0 ? ESCROW_STATUS.CAPTURED : ESCROW_STATUS.RELEASED;
+                    session.escrow.settledAt = new Date();
+                }
+
+                if (!session.isGroup() && policy.bonusAmount > 0) {
+                    await TransactionService.credit(
+                        session.student,
+                        policy.bonusAmount,
+                        TRANSACTION_TYPE.BONUS,
+                        `Tutor no-show compensation: ${session.skill.name}`,
+                        {
+                            sessionId: session._id,
+                            counterparty: session.tutor,
+                            idempotencyKey: `session-no-show-bonus-${session._id}`,
+                            mongoSession
+                        }
+                    );
+                }
 
                 // Update session
                 session.status = SESSION_STATUS.CANCELLED;
@@ -377,12 +691,17 @@ class SessionService {
                     cancelledBy: cancelledBy,
                     reason: reason || 'No reason provided',
                     cancelledAt: new Date(),
-                    refunded: false // No credits to refund since they weren't taken yet
+                    refunded: policy.refundAmount > 0,
+                    policyOutcome: policy.outcome,
+                    refundAmount: policy.refundAmount,
+                    penaltyAmount: policy.penaltyAmount,
+                    bonusAmount: policy.bonusAmount
                 };
                 session.statusHistory.push({
                     status: SESSION_STATUS.CANCELLED,
                     changedAt: new Date(),
                     changedBy: cancelledBy,
+                    actor: options.actor || (options.system ? STATUS_ACTOR.SYSTEM : STATUS_ACTOR.USER),
                     reason: reason
                 });
 
@@ -390,10 +709,18 @@ class SessionService {
 
                 result = {
                     success: true,
-                    session: session.toObject()
+                    session: session.toObject(),
+                    policy
                 };
             });
 
+            // Hold the freed time for the tutor's waitlist; the cancellation stands either way
+            try {
+                await WaitlistService.offerFreedSlot(result.session);
+            } catch (error) {
+                console.error('Waitlist offer failed:', error);
+            }
+
             return result;
 
         } catch (error) {
@@ -404,6 +731,698 @@ class SessionService {
         }
     }
 
+    /**
+     * Only the tutor cancels a group session as a whole; a student gives up
+     * their own seat instead (GroupSessionService.withdraw)
+     */
+    static assertCanCancelWhole(session, userId) {
+        if (session.isGroup() && !session.tutor.equals(userId)) {
+            throw new Error('Not authorized to cancel this group session. Give up your seat instead');
+        }
+    }
+
+    /**
+     * Check a session can still be moved: it must be pending or confirmed
+     * and not yet started. Group sessions keep their time once opened.
+     */
+    static assertReschedulable(session, now = new Date()) {
+        if (session.isGroup()) {
+            throw new Error('Group sessions cannot be rescheduled. Cancel it and open a new one instead');
+        }
+
+
+        if (![SESSION_STATUS.PENDING, SESSION_STATUS.CONFIRMED].includes(session.status)) {
+            throw new Error(`Session cannot be rescheduled. Current status: ${session.status}`);
+        }
+
+        if (new Date(session.scheduledAt) <= now) {
+            throw new Error('Session has already started');
+        }
+    }
+
+    /**
+     * Throw if either participant is busy at the new time, or the time is
+     * held for someone on the tutor's waitlist
+     *
+     * @param {Object} session - Session being moved
+     * @param {Date} scheduledAt - New start
+     * @param {string|string[]} excludeSessionIds - Sessions being moved along with it
+     * @param {string} timeZone - Zone times in errors are shown in (the requester's)
+     */
+    static async assertNoConflicts(session, scheduledAt, excludeSessionIds, timeZone = 'UTC') {
+        const when = AvailabilityService.formatInZone(scheduledAt, timeZone);
+
+        const studentOverlaps = await Session.findOverlapping(session.student, scheduledAt, session.duration, excludeSessionIds);
+        if (studentOverlaps.length > 0) {
+            throw new Error(`Student has a conflicting session at ${when}: ${AvailabilityService.describeBooking(studentOverlaps[0], timeZone)}`);
+        }
+
+        const tutorOverlaps = await Session.findOverlapping(session.tutor, scheduledAt, session.duration, excludeSessionIds);
+        if (tutorOverlaps.length > 0) {
+            throw new Error(`Tutor has a conflicting session at ${when}: ${AvailabilityService.describeBooking(tutorOverlaps[0], timeZone)}`);
+        }
+
+        await WaitlistService.assertNotHeld(session.tutor, scheduledAt, session.duration, session.student, timeZone);
+    }
+
+    /**
+     * Move a locked session to an agreed time and record the change.
+     * The price and status stay as they were, since both parties agreed.
+     *
+     * @param {Object} session - Locked session document
+     * @param {Date} scheduledAt - New start
+     * @param {string} proposedBy - Participant who proposed the time
+     * @param {string} acceptedBy - Participant who accepted it
+     */
+    static applyReschedule(session, scheduledAt, proposedBy, acceptedBy) {
+        const from = session.scheduledAt;
+
+        session.reschedules.push({
+            from,
+            to: scheduledAt,
+            by: proposedBy,
+            acceptedBy,
+            at: new Date()
+        });
+        session.statusHistory.push({
+            status: session.status,
+            changedAt: new Date(),
+            changedBy: acceptedBy,
+            reason: `Rescheduled from ${from.toISOString()} to ${scheduledAt.toISOString()}`
+        });
+        session.scheduledAt = scheduledAt;
+        // Any other proposal was for the old time
+        session.rescheduleProposal = undefined;
+        session.version += 1;
+        session.lockedUntil = null;
+    }
+
+    /**
+     * Propose a new time for a session (tutor or student).
+     * The other participant accepts or declines it; proposing over the other
+     * side's pending proposal replaces it as a counter-proposal. A student's
+     * proposal must fall inside the tutor's availability.
+     *
+     * @param {string} sessionId - Session to move
+     * @param {string} userId - Participant proposing
+     * @param {Object} proposal - scheduledAt and an optional note
+     * @param {Object} options
+     * @param {string} options.timeZone - Zone times in errors are shown in (the proposer's)
+     */
+    static async proposeReschedule(sessionId, userId, { scheduledAt, note }, { timeZone = 'UTC' } = {}) {
+        const newDate = new Date(scheduledAt);
+        if (newDate <= new Date()) {
+            throw new Error('Session must be scheduled in the future');
+        }
+
+        const session = await Session.findById(sessionId);
+
+        if (!session) {
+            throw new Error('Session not found');
+        }
+
+        if (!session.isParticipant(userId)) {
+            throw new Error('Not authorized to reschedule this session');
+        }
+
+        SessionService.assertReschedulable(session);
+        if (newDate.getTime() === session.scheduledAt.getTime()) {
+            throw new Error('Session is already scheduled at this time');
+        }
+        await SessionService.assertNoConflicts(session, newDate, session._id, timeZone);
+        // Tutors may offer time outside their own availability; students must stay inside it
+        if (session.student.equals(userId)) {
+            await AvailabilityService.assertTutorAvailable(session.tutor, [newDate], session.duration, {
+                excludeSessionIds: session._id,
+                timeZone
+            });
+        }
+
+        const isCounter = !!session.rescheduleProposal?.proposedBy && !session.rescheduleProposal.proposedBy.equals(userId);
+
+        // Guarded on version so a proposal can't land on a session that just changed
+        const updated = await Session.findOneAndUpdate(
+            { _id: session._id, version: session.version },
+            {
+                $set: {
+                    rescheduleProposal: {
+                        proposedBy: userId,
+                        scheduledAt: newDate,
+                        note: note || '',
+                        proposedAt: new Date()
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            throw new Error('Session was just updated. Please try again.');
+        }
+
+        return {
+            success: true,
+            session: updated.toObject(),
+            isCounter
+        };
+    }
+
+    /**
+     * Accept the other participant's proposed time. The new time is checked
+     * for conflicts again, since either calendar may have changed since it
+     * was proposed.
+     *
+     * @param {Object} options
+     * @param {string} options.timeZone - Zone times in errors are shown in (the accepter's)
+     */
+    static async acceptReschedule(sessionId, userId, { timeZone = 'UTC' } = {}) {
+        const mongoSession = await mongoose.startSession();
+
+        try {
+            let result;
+
+            await mongoSession.withTransaction(async () => {
+                const session = await Session.findOneAndUpdate(
+                    {
+                        _id: sessionId,
+                        $or: [
+                            { lockedUntil: null },
+                            { lockedUntil: { $lt: new Date() } },
+                            { lockedUntil: { $exists: false } }
+                        ]
+                    },
+                    {
+                        $set: { lockedUntil: new Date(Date.now() + 30000) }
+                    },
+                    { new: true, session: mongoSession }
+                );
+
+                if (!session) {
+                    throw new Error('Session not found or is being processed. Please try again.');
+                }
+
+                if (!session.isParticipant(userId)) {
+                    throw new Error('Not authorized to reschedule this session');
+                }
+
+                const proposal = session.rescheduleProposal;
+                if (!proposal?.proposedBy) {
+                    throw new Error('No reschedule proposal is pending');
+                }
+                if (proposal.proposedBy.equals(userId)) {
+                    throw new Error('The other participant must accept your proposal');
+                }
+
+                SessionService.assertReschedulable(session);
+                if (proposal.scheduledAt <= new Date()) {
+                    throw new Error('The proposed time has already passed');
+                }
+                await SessionService.assertNoConflicts(session, proposal.scheduledAt, session._id, timeZone);
+
+                SessionService.applyReschedule(session, proposal.scheduledAt, proposal.proposedBy, userId);
+                await session.save({ session: mongoSession });
+
+                result = {
+                    success: true,
+                    session: session.toObject()
+                };
+            });
+
+            return result;
+
+        } catch (error) {
+            console.error('Reschedule acceptance failed:', error);
+            throw error;
+        } finally {
+            await mongoSession.endSession();
+        }
+    }
+
+    /**
+     * Decline the other participant's proposal, or withdraw your own
+     */
+    static async declineReschedule(sessionId, userId) {
+        const session = await Session.findById(sessionId);
+
+        if (!session) {
+            throw new Error('Session not found');
+        }
+
+        if (!session.isParticipant(userId)) {
+            throw new Error('Not authorized to reschedule this session');
+        }
+
+        const proposal = session.rescheduleProposal;
+        if (!proposal?.proposedBy) {
+            throw new Error('No reschedule proposal is pending');
+        }
+
+        const withdrawn = proposal.proposedBy.equals(userId);
+
+        // Guarded on the proposal, so a counter-proposal made meanwhile isn't dropped
+        const updated = await Session.findOneAndUpdate(
+            { _id: session._id, 'rescheduleProposal.proposedAt': proposal.proposedAt },
+            {
+                $unset: { rescheduleProposal: 1 },
+                $push: {
+                    statusHistory: {
+                        status: session.status,
+                        changedAt: new Date(),
+                        changedBy: userId,
+                        reason: `Reschedule to ${proposal.scheduledAt.toISOString()} ${withdrawn ? 'withdrawn' : 'declined'}`
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            throw new Error('The proposal was just changed. Please try again.');
+        }
+
+        return {
+            success: true,
+            session: updated.toObject(),
+            withdrawn
+        };
+    }
+
+    /**
+     * Mark a session as a no-show and settle its escrow (scheduler)
+     * A tutor no-show refunds the student with the no-show bonus;
+     * a student no-show pays the held credits to the tutor. For a group
+     * session 'student' means none of the students joined.
+     *
+     * @param {string} sessionId - Session to settle
+     * @param {string} party - 'tutor' or 'student', whoever never joined
+     */
+    static async markNoShow(sessionId, party) {
+        const mongoSession = await mongoose.startSession();
+
+        try {
+            let result;
+
+            await mongoSession.withTransaction(async () => {
+                const session = await Session.findOneAndUpdate(
+                    {
+                        _id: sessionId,
+                        status: { $in: [SESSION_STATUS.CONFIRMED, SESSION_STATUS.IN_PROGRESS] },
+                        $or: [
+                            { lockedUntil: null },
+                            { lockedUntil: { $lt: new Date() } },
+                            { lockedUntil: { $exists: false } }
+                        ]
+                    },
+                    {
+                        $set: { lockedUntil: new Date(Date.now() + 30000) }
+                    },
+                    { new: true, session: mongoSession }
+                );
+
+                if (!session) {
+                    throw new Error('Session not found or already settled');
+                }
+
+                const held = session.escrow?.status === ESCROW_STATUS.HELD;
+                const noShow = { party, detectedAt: new Date(), refundAmount: 0, bonusAmount: 0, paidToTutor: 0 };
+
+                if (session.isGroup()) {
+                    // Every seat is settled the same way: no student joined, or no tutor
+                    if (party === 'tutor') {
+                        Object.assign(noShow, await GroupSessionService.refundSeats(session, {
+                            bonusPerSeat: CANCELLATION_POLICY.TUTOR_NO_SHOW_BONUS,
+                            description: 'Tutor no-show refund'
+                        }, mongoSession));
+                    } else {
+                        const seats = await GroupSessionService.captureSeats(session, [], mongoSession);
+                        noShow.paidToTutor = seats.paidToTutor;
+                    }
+                } else if (party === 'tutor') {
+                    const policy = SessionService.getCancellationAmounts(session, CANCELLATION_OUTCOME.TUTOR_NO_SHOW);
+
+                    if (held) {
+                        await TransactionService.release(
+                            session.student,
+                            policy.refundAmount,
+                            `Tutor no-show refund: ${session.skill.name}`,
+                            {
+                                sessionId: session._id,
+                                counterparty: session.tutor,
+                                idempotencyKey: `session-release-${session._id}`,
+                                mongoSession
+                            }
+                        );
+                        session.escrow.status = ESCROW_STATUS.RELEASED;
+                        session.escrow.settledAt = new Date();
+                        noShow.refundAmount = policy.refundAmount;
+                    }
+
+                    await TransactionService.credit(
+                        session.student,
+                        policy.bonusAmount,
+                        TRANSACTION_TYPE.BONUS,
+                        `Tutor no-show compensation: ${session.skill.name}`,
+                        {
+                            sessionId: session._id,
+                            counterparty: session.tutor,
+                            idempotencyKey: `session-no-show-bonus-${session._id}`,
+                            mongoSession
+                        }
+                    );
+                    noShow.bonusAmount = policy.bonusAmount;
+                } else if (held) {
+                    await TransactionService.captureHold(
+                        session.student,
+                        session.tutor,
+                        session.escrow.amount,
+                        `Student no-show: ${session.skill.name}`,
+                        {
+                            sessionId: session._id,
+                            idempotencyKey: `session-complete-${session._id}`,
+                            mongoSession
+                        }
+                    );
+                    session.escrow.status = ESCROW_STATUS.CAPTURED;
+                    session.escrow.settledAt = new Date();
+                    noShow.paidToTutor = session.escrow.amount;
+                }
+
+                session.status = SESSION_STATUS.NO_SHOW;
+                session.version += 1;
+                session.lockedUntil = null;
+                session.noShow = noShow;
+                session.statusHistory.push({
+                    status: SESSION_STATUS.NO_SHOW,
+                    changedAt: new Date(),
+                    actor: STATUS_ACTOR.SYSTEM,
+                    reason: party === 'tutor'
+                        ? 'Tutor never joined the call'
+                        : session.isGroup() ? 'No student joined the call' : 'Student never joined the call'
+                });
+
+                await session.save({ session: mongoSession });
+
+                result = {
+                    success: true,
+                    session: session.toObject()
+                };
+            });
+
+            return result;
+
+        } catch (error) {
+            console.error('No-show settlement failed:', error);
+            throw error;
+        } finally {
+            await mongoSession.endSession();
+        }
+    }
+
+    /**
+     * Settle sessions nobody closed out (run by the scheduler)
+     * - Pending sessions whose start time passed are expired with a full refund
+     * - Video sessions past their end use call attendance: both joined -> completed,
+     *   one side missing -> no-show, nobody joined -> expired. In a group session
+     *   the students' side counts as joined if any of them did, and seats are
+     *   then settled one by one; a group nobody took a seat in expires.
+     * - Other meeting types have no attendance data and are auto-completed;
+     *   either party can still open a dispute
+     */
+    static async processOverdueSessions(now = new Date()) {
+        const summary = { expired: 0, completed: 0, noShows: 0, failed: 0 };
+        const settleBefore = new Date(now.getTime() - SESSION_SCHEDULER.COMPLETION_GRACE_MINUTES * 60000);
+
+        const run = async (session, action) => {
+            try {
+                await action();
+            } catch (error) {
+                summary.failed += 1;
+                console.error(`[Scheduler] Failed to settle session ${session._id}:`, error.message);
+            }
+        };
+
+        const expiredPending = await Session.find({
+            status: SESSION_STATUS.PENDING,
+            scheduledAt: { $lt: now }
+        });
+
+        for (const session of expiredPending) {
+            await run(session, async () => {
+                await SessionService.cancelSession(
+                    session._id,
+                    null,
+                    'Expired: the tutor did not confirm before the start time',
+                    { system: true, outcome: CANCELLATION_OUTCOME.FULL_REFUND }
+                );
+                summary.expired += 1;
+            });
+        }
+
+        const overdue = await Session.find({
+            status: { $in: [SESSION_STATUS.CONFIRMED, SESSION_STATUS.IN_PROGRESS] },
+            $expr: {
+                $lt: [
+                    { $add: ['$scheduledAt', { $multiply: ['$duration', 60000] }] },
+                    settleBefore
+                ]
+            }
+        });
+
+        for (const session of overdue) {
+            await run(session, async () => {
+                if (session.isGroup() && session.getEnrolledCount() === 0) {
+                    await SessionService.cancelSession(
+                        session._id,
+                        null,
+                        'Expired: no student took a seat',
+                        { system: true, outcome: CANCELLATION_OUTCOME.FULL_REFUND }
+                    );
+                    summary.expired += 1;
+                    return;
+                }
+
+                const isVideo = (session.meetingDetails?.type || 'video') === 'video';
+                const { tutorJoined, studentJoined } = isVideo
+                    ? VideoRoomService.getAttendance(session)
+                    : { tutorJoined: true, studentJoined: true };
+
+                if (tutorJoined && studentJoined) {
+                    await SessionService.completeSession(session._id, null, {
+                        system: true,
+                        reason: isVideo ? 'Auto-completed: both participants joined the call' : 'Auto-completed after the scheduled end time'
+                    });
+                    summary.completed += 1;
+                } else if (tutorJoined || studentJoined) {
+                    await SessionService.markNoShow(session._id, tutorJoined ? 'student' : 'tutor');
+                    summary.noShows += 1;
+                } else {
+                    await SessionService.cancelSession(
+                        session._id,
+                        null,
+                        'Expired: neither participant joined the call',
+                        { system: true, outcome: CANCELLATION_OUTCOME.FULL_REFUND }
+                    );
+                    summary.expired += 1;
+                }
+            });
+        }
+
+        return summary;
+    }
+
+    /**
+     * Open a dispute (tutor or student) on a completed session, or on a
+     * student no-show or late cancellation the student was charged for.
+     * Must be raised within DISPUTE_WINDOW_HOURS of the charge.
+     */
+    static async openDispute(sessionId, userId, { reason, evidence }) {
+        const existing = await Session.findById(sessionId);
+
+        if (!existing) {
+            throw new Error('Session not found');
+        }
+
+        if (!existing.isParticipant(userId)) {
+            throw new Error('Not authorized to dispute this session');
+        }
+
+        // Resolution moves credits between one tutor and one student
+        if (existing.isGroup()) {
+            throw new Error('Disputes are only available for private sessions');
+        }
+
+        if (existing.dispute?.openedAt) {
+            throw new Error('Session already has a dispute');
+        }
+
+        const disputable = existing.status === SESSION_STATUS.COMPLETED ||
+            ([SESSION_STATUS.NO_SHOW, SESSION_STATUS.CANCELLED].includes(existing.status) && existing.getDisputableCharge() > 0);
+        if (!disputable) {
+            throw new Error(`Only completed sessions, or no-shows and cancellations with a charge, can be disputed. Current status: ${existing.status}`);
+        }
+
+        const windowEnd = new Date(existing.getChargedAt().getTime() + DISPUTE_WINDOW_HOURS * 3600000);
+        if (new Date() > windowEnd) {
+            throw new Error(`Dispute window has closed. Disputes must be opened within ${DISPUTE_WINDOW_HOURS} hours`);
+        }
+
+        const now = new Date();
+        const session = await Session.findOneAndUpdate(
+            {
+                _id: sessionId,
+                status: existing.status,
+                'dispute.openedAt': { $exists: false }
+            },
+            {
+                $set: {
+                    status: SESSION_STATUS.DISPUTED,
+                    dispute: {
+                        openedBy: userId,
+                        previousStatus: existing.status,
+                        reason,
+                        evidence: evidence || '',
+                        openedAt: now
+                    }
+                },
+                $inc: { version: 1 },
+                $push: {
+                    statusHistory: {
+                        status: SESSION_STATUS.DISPUTED,
+                        changedAt: now,
+                        changedBy: userId,
+                        reason
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        if (!session) {
+            throw new Error('Session already has a dispute');
+        }
+
+        return {
+            success: true,
+            session: session.toObject()
+        };
+    }
+
+    /**
+     * Resolve a dispute (admin)
+     * Writes compensating transactions from tutor back to student where needed.
+     *
+     * @param {string} sessionId - Disputed session
+     * @param {string} adminId - Admin resolving the dispute
+     * @param {Object} resolution
+     * @param {string} resolution.outcome - uphold, refund or split
+     * @param {number} resolution.tutorSharePercent - Tutor's share for a split (0-100)
+     * @param {string} resolution.note - Explanation recorded on the session
+     */
+    static async resolveDispute(sessionId, adminId, { outcome, tutorSharePercent, note }) {
+        if (!Object.values(DISPUTE_RESOLUTION).includes(outcome)) {
+            throw new Error('Invalid dispute resolution');
+        }
+
+        if (outcome === DISPUTE_RESOLUTION.SPLIT &&
+            (typeof tutorSharePercent !== 'number' || tutorSharePercent < 0 || tutorSharePercent > 100)) {
+            throw new Error('A split resolution requires a tutor share between 0 and 100 percent');
+        }
+
+        const mongoSession = await mongoose.startSession();
+
+        try {
+            let result;
+
+            await mongoSession.withTransaction(async () => {
+                const session = await Session.findOneAndUpdate(
+                    {
+                        _id: sessionId,
+                        status: SESSION_STATUS.DISPUTED,
+                        $or: [
+                            { lockedUntil: null },
+                            { lockedUntil: { $lt: new Date() } },
+                            { lockedUntil: { $exists: false } }
+                        ]
+                    },
+                    {
+                        $set: { lockedUntil: new Date(Date.now() + 30000) }
+                    },
+                    { new: true, session: mongoSession }
+                );
+
+                if (!session) {
+                    throw new Error('Session not found or is not disputed');
+                }
+
+                // Disputes opened before previousStatus was recorded were all on completed sessions
+                const previousStatus = session.dispute.previousStatus || SESSION_STATUS.COMPLETED;
+                const paid = session.getDisputableCharge(previousStatus);
+
+                let studentAmount = 0;
+                if (outcome === DISPUTE_RESOLUTION.REFUND) {
+                    studentAmount = paid;
+                } else if (outcome === DISPUTE_RESOLUTION.SPLIT) {
+                    studentAmount = Math.round(paid * (100 - tutorSharePercent)) / 100;
+                }
+
+                // Compensating entries: move the student's share back from the tutor
+                if (studentAmount > 0) {
+                    await TransactionService.transfer(
+                        session.tutor,
+                        session.student,
+                        studentAmount,
+                        `Dispute refund: ${session.skill.name}`,
+                        {
+                            sessionId: session._id,
+                            idempotencyKey: `session-dispute-${session._id}`,
+                            creditType: TRANSACTION_TYPE.REFUND,
+                            metadata: { dispute: true, outcome },
+                            mongoSession
+                        }
+                    );
+                }
+
+                const finalStatus = outcome === DISPUTE_RESOLUTION.REFUND
+                    ? SESSION_STATUS.CANCELLED
+                    : previousStatus;
+
+                session.status = finalStatus;
+                session.version += 1;
+                session.lockedUntil = null;
+                session.dispute.resolution = {
+                    outcome,
+                    tutorAmount: Math.round((paid - studentAmount) * 100) / 100,
+                    studentAmount,
+                    note: note || '',
+                    resolvedBy: adminId,
+                    resolvedAt: new Date()
+                };
+                session.statusHistory.push({
+                    status: finalStatus,
+                    changedAt: new Date(),
+                    changedBy: adminId,
+                    actor: STATUS_ACTOR.ADMIN,
+                    reason: `Dispute resolved: ${outcome}${note ? ` - ${note}` : ''}`
+                });
+
+                await session.save({ session: mongoSession });
+
+                result = {
+                    success: true,
+                    session: session.toObject()
+                };
+            });
+
+            return result;
+
+        } catch (error) {
+            console.error('Dispute resolution failed:', error);
+            throw error;
+        } finally {
+            await mongoSession.endSession();
+        }
+    }
+
     /**
      * Add a review to a completed session
      */
@@ -477,9 +1496,12 @@ class SessionService {
         if (role === 'tutor') {
             query.tutor = userId;
         } else if (role === 'student') {
-            query.student = userId;
+            query.$or = [
+                { student: userId },
+                { enrollments: { $elemMatch: { student: userId, status: ENROLLMENT_STATUS.ENROLLED } } }
+            ];
         } else {
-            query.$or = [{ tutor: userId }, { student: userId }];
+            query = Session.participantFilter(userId);
         }
 
         if (status) {
@@ -495,6 +1517,8 @@ class SessionService {
             Session.find(query)
                 .populate('tutor', 'firstName lastName avatar stats.averageRating')
                 .populate('student', 'firstName lastName avatar')
+                .populate('enrollments.student', 'firstName lastName avatar')
+                .populate('series', 'frequency occurrences rescheduleProposal')
                 .sort({ scheduledAt: upcoming ? 1 : -1 })
                 .skip((page - 1) * limit)
                 .limit(limit),
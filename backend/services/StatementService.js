@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const { User, Transaction } = require('../models');
+const { TRANSACTION_STATUS } = require('../config/constants');
+
+const CSV_COLUMNS = [
+    'Date',
+    'Type',
+    'Description',
+    'Counterparty',
+    'Session Skill',
+    'Session Date',
+    'Amount',
+    'Balance',
+    'Status',
+    'Transaction ID'
+];
+
+const formatAmount = (value) => (Math.round(value * 100) / 100).toFixed(2);
+const formatSigned = (value) => `${value > 0 ? '+' : ''}${formatAmount(value)}`;
+
+// Quote a CSV field when it contains a delimiter, quote or newline. Text a
+// spreadsheet would run as a formula (names and memos are user input) gets a
+// leading ' first; signed amounts are left alone.
+const csvField = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (fields) => `${fields.map(csvField).join(',')}\r\n`;
+
+const fullName = (user) => (user && typeof user === 'object' ? `${user.firstName} ${user.lastName}` : '');
+
+/**
+ * StatementService builds wallet statements for a date range.
+ * Transactions are read through a cursor and written straight to the
+ * output stream, so a long history never has to fit in memory.
+ */
+class StatementService {
+    /**
+     * Opening/closing balances and totals for a statement period
+     *
+     * @param {string} userId - Account holder
+     * @param {Date} from - Start of the period (inclusive)
+     * @param {Date} to - End of the period (exclusive)
+     */
+    static async getSummary(userId, from, to) {
+        const userObjectId = new mongoose.Types.ObjectId(userId);
+
+        const [user, before, totals] = await Promise.all([
+            User.findById(userId).select('firstName lastName email').lean(),
+            Transaction.findOne({ user: userObjectId, createdAt: { $lt: from } })
+                .sort({ createdAt: -1, _id: -1 })
+                .select('balanceAfter')
+                .lean(),
+            Transaction.aggregate([
+                { $match: { user: userObjectId, createdAt: { $gte: from, $lt: to } } },
+                { $project: { change: { $subtract: ['$balanceAfter', '$balanceBefore'] } } },
+                {
+                    $group: {
+                        _id: null,
+                        totalIn: { $sum: { $cond: [{ $gt: ['$change', 0] }, '$change', 0] } },
+                        totalOut: { $sum: { $cond: [{ $lt: ['$change', 0] }, { $abs: '$change' }, 0] } },
+                        count: { $sum: 1 }
+                    }
+                }
+            ])
+        ]);
+
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const openingBalance = before ? before.balanceAfter : 0;
+        const totalIn = totals[0]?.totalIn || 0;
+        const totalOut = totals[0]?.totalOut || 0;
+
+        return {
+            user,
+            from,
+            to,
+            openingBalance,
+            closingBalance: openingBalance + totalIn - totalOut,
+            totalIn,
+            totalOut,
+            transactionCount: totals[0]?.count || 0
+        };
+    }
+
+    /**
+     * Cursor over the period's transactions, oldest first, with the
+     * counterparty's name and the linked session's skill
+     */
+    static getTransactionCursor(userId, from, to) {
+        return Transaction.find({
+            user: userId,
+            createdAt: { $gte: from, $lt: to }
+        })
+            .sort({ createdAt: 1, _id: 1 })
+            .populate('counterparty', 'firstName lastName')
+            .populate('session', 'skill scheduledAt')
+            .lean()
+            .cursor();
+    }
+
+    /**
+     * Start reading the period's transactions. The first batch is fetched
+     * before this resolves, so a failing query surfaces before any output.
+     */
+    static async openTransactions(userId, from, to) {
+        const cursor = StatementService.getTransactionCursor(userId, from, to);
+        const first = await cursor.next();
+
+        return (async function* () {
+            for (let transaction = first; transaction; transaction = await cursor.next()) {
+                yield transaction;
+            }
+        })();
+    }
+
+    /**
+     * Write a CSV statement to a writable stream
+     * @param {Object} options
+     * @param {Function} options.onStart - Called once the data has loaded, just
+     *   before the first write (e.g. to set response headers)
+     */
+    static async writeCsv(userId, from, to, stream, { onStart } = {}) {
+        const summary = await StatementService.getSummary(userId, from, to);
+        const transactions = await StatementService.openTransactions(userId, from, to);
+        onStart?.();
+
+        stream.write(csvRow(CSV_COLUMNS));
+        stream.write(csvRow([from.toISOString(), 'opening_balance', 'Opening balance', '', '', '', '', formatAmount(summary.openingBalance), '', '']));
+
+        for await (const transaction of transactions) {
+            stream.write(csvRow([
+                transaction.createdAt.toISOString(),
+                transaction.type,
+                transaction.description,
+                fullName(transaction.counterparty),
+                transaction.session?.skill?.name || '',
+                transaction.session?.scheduledAt ? transaction.session.scheduledAt.toISOString() : '',
+                formatSigned(transaction.balanceAfter - transaction.balanceBefore),
+                formatAmount(transaction.balanceAfter),
+                transaction.status,
+                transaction.transactionId
+            ]));
+        }
+
+        stream.write(csvRow([to.toISOString(), 'closing_balance', 'Closing balance', '', '', '', '', formatAmount(summary.closingBalance), '', '']));
+        stream.end();
+    }
+
+    /**
+     * Write a PDF statement to a writable stream
+     * @param {Object} options - Same as writeCsv()
+     */
+    static async writePdf(userId, from, to, stream, { onStart } = {}) {
+        const summary = await StatementService.getSummary(userId, from, to);
+        const transactions = await StatementService.openTransactions(userId, from, to);
+        onStart?.();
+
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        doc.pipe(stream);
+
+        const lastDay = new Date(to.getTime() - 1);
+        const period = `${from.toISOString().slice(0, 10)} to ${lastDay.toISOString().slice(0, 10)}`;
+
+        doc.fontSize(18).text('SkillVault Credit Statement');
+        doc.moveDown(0.5);
+        doc.fontSize(10)
+            .text(`${summary.user.firstName} ${summary.user.lastName} <${summary.user.email}>`)
+            .text(`Period: ${period} (UTC)`)
+            .text(`Generated: ${new Date().toISOString()}`);
+        doc.moveDown();
+        doc.text(`Opening balance: ${formatAmount(summary.openingBalance)} credits`)
+            .text(`Credits in: +${formatAmount(summary.totalIn)}`)
+            .text(`Credits out: -${formatAmount(summary.totalOut)}`)
+            .text(`Closing balance: ${formatAmount(summary.closingBalance)} credits`)
+            .text(`Transactions: ${summary.transactionCount}`);
+        doc.moveDown();
+
+        // Column x positions across an A4 page with 40pt margins
+        const columns = [
+            { label: 'Date', x: 40, width: 70 },
+            { label: 'Description', x: 112, width: 170 },
+            { label: 'Counterparty', x: 284, width: 90 },
+            { label: 'Session', x: 376, width: 70 },
+            { label: 'Amount', x: 448, width: 50, align: 'right' },
+            { label: 'Balance', x: 500, width: 55, align: 'right' }
+        ];
+
+        const drawRow = (values, bold = false) => {
+            if (doc.y > doc.page.height - 60) {
+                doc.addPage();
+            }
+            const y = doc.y;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+            let rowHeight = 0;
+            columns.forEach((column, i) => {
+                const options = { width: column.width, align: column.align || 'left' };
+                rowHeight = Math.max(rowHeight, doc.heightOfString(values[i], options));
+                doc.text(values[i], column.x, y, options);
+            });
+            doc.x = 40;
+            doc.y = y + rowHeight + 4;
+        };
+
+        drawRow(columns.map((column) => column.label), true);
+
+        for await (const transaction of transactions) {
+            const description = transaction.status === TRANSACTION_STATUS.COMPLETED
+                ? transaction.description
+                : `${transaction.description} (${transaction.status})`;
+
+            drawRow([
+                transaction.createdAt.toISOString().slice(0, 16).replace('T', ' '),
+                description,
+                fullName(transaction.counterparty),
+                transaction.session?.skill?.name || '',
+                formatSigned(transaction.balanceAfter - transaction.balanceBefore),
+                formatAmount(transaction.balanceAfter)
+            ]);
+        }
+
+        doc.end();
+    }
+}
+
+module.exports = StatementService;
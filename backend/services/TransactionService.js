@@ -1,6 +1,141 @@
 const mongoose = require('mongoose');
-const { User, Transaction } = require('../models');
-const { TRANSACTION_TYPE, TRANSACTION_STATUS } = require('../config/constants');
+const { User, Transaction, Session } = require('../models');
+const { TRANSACTION_TYPE, TRANSACTION_STATUS, PEER_TRANSFER, LEDGER_KIND, CREDIT_EXPIRY } = require('../config/constants');
+
+// Credit amounts are stored as floats; keep grant bookkeeping to the cent
+const roundCredits = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Run a credit operation inside a MongoDB transaction.
+ * When the caller passes its own session the operation joins that
+ * transaction instead of starting a new one.
+ *
+ * SECURITY: Transactions are REQUIRED for financial operations
+ * Do NOT retry without transactions as it causes race conditions and partial failures
+ */
+const executeOperation = async (operation, existingSession = null) => {
+    if (existingSession) {
+        return operation(existingSession);
+    }
+
+    const mongoSession = await mongoose.startSession();
+    try {
+        let result;
+        await mongoSession.withTransaction(async () => {
+            result = await operation(mongoSession);
+        });
+        return result;
+    } catch (error) {
+        // If the error is due to standalone instance (IllegalOperation), DO NOT RETRY
+        if (error.code === 20 || error.codeName === 'IllegalOperation' || error.message.includes('Transaction numbers are only allowed on a replica set')) {
+            console.error('CRITICAL: MongoDB transactions are not supported. This application requires a MongoDB replica set for financial integrity.');
+            console.error('Please configure MongoDB as a replica set or use MongoDB Atlas.');
+            throw new Error('Database configuration error: MongoDB replica set required for credit operations. Current instance does not support transactions.');
+        }
+        throw error;
+    } finally {
+        await mongoSession.endSession();
+    }
+};
+
+/**
+ * Draw spending from a user's unexpired promotional grants, oldest first,
+ * so the credits that would expire are the ones used up. Spending beyond
+ * the open grants comes out of earned credits and needs no bookkeeping.
+ * @returns {Array<{grant: string, amount: number}>} How much came from each grant
+ */
+const consumePromotionalCredits = async (userId, amount, session) => {
+    let toConsume = amount;
+    const consumed = [];
+
+    const grants = await Transaction.find({
+        user: userId,
+        remainingAmount: { $gt: 0 }
+    })
+        .sort({ createdAt: 1, _id: 1 })
+        .session(session);
+
+    for (const grant of grants) {
+        if (toConsume <= 0) break;
+
+        const used = Math.min(grant.remainingAmount, toConsume);
+        await Transaction.updateOne(
+            { _id: grant._id },
+            { $set: { remainingAmount: roundCredits(grant.remainingAmount - used) } },
+            { session: session }
+        );
+        consumed.push({ grant: grant._id.toString(), amount: roundCredits(used) });
+        toConsume = roundCredits(toConsume - used);
+    }
+
+    return consumed;
+};
+
+/**
+ * Holds that funded an escrow and still record promotional grants: the
+ * session's own hold or, for a session booked from a prepaid package (and
+ * the package itself), the package's hold.
+ */
+const findGrantHolds = async (userId, { sessionId, packageId }, session) => {
+    const withGrants = { user: userId, type: TRANSACTION_TYPE.HOLD, 'metadata.grants.0': { $exists: true } };
+
+    if (sessionId) {
+        const holds = await Transaction.find({ ...withGrants, session: sessionId })
+            .sort({ createdAt: 1 })
+            .session(session);
+        if (holds.length > 0) return holds;
+
+        if (!packageId) {
+            const booked = await Session.findById(sessionId).select('pricing.package').session(session);
+            packageId = booked?.pricing?.package;
+        }
+    }
+
+    if (!packageId) return [];
+
+    return Transaction.find({ ...withGrants, 'metadata.package': new mongoose.Types.ObjectId(String(packageId)) })
+        .sort({ createdAt: 1 })
+        .session(session);
+};
+
+/**
+ * Settle the promotional grants behind credits leaving escrow. Released
+ * credits go back onto the grants they came from, expiry and all; captured
+ * credits were spent, so their record is only cleared. Grants are settled
+ * before earned credits, the same order spending draws them down.
+ */
+const settleHeldGrants = async (userId, amount, escrow, { restore }, session) => {
+    let toSettle = amount;
+    const holds = await findGrantHolds(userId, escrow, session);
+
+    for (const hold of holds) {
+        if (toSettle <= 0) break;
+
+        const left = [];
+        for (const entry of hold.metadata.get('grants')) {
+            const settled = Math.min(entry.amount, toSettle);
+            if (settled > 0) {
+                toSettle = roundCredits(toSettle - settled);
+                if (restore) {
+                    await Transaction.updateOne(
+                        { _id: entry.grant },
+                        { $inc: { remainingAmount: settled } },
+                        { session: session }
+                    );
+                }
+            }
+            if (entry.amount - settled > 0) {
+                left.push({ grant: entry.grant, amount: roundCredits(entry.amount - settled) });
+            }
+        }
+
+        await Transaction.updateOne(
+            { _id: hold._id },
+            { $set: { 'metadata.grants': left } },
+            { session: session }
+        );
+    }
+};
 
 /**
  * TransactionService handles all credit operations with atomic guarantees.
@@ -19,6 +154,10 @@ class TransactionService {
      * @param {Object} options - Additional options
      * @param {string} options.sessionId - Related session ID
      * @param {string} options.idempotencyKey - Key to prevent duplicate operations
+     * @param {ClientSession} options.mongoSession - Join an existing MongoDB transaction
+     * @param {string} options.creditType - Type recorded for the receiver (credit or refund)
+     * @param {boolean} options.fromHold - Credits were just released from escrow (their
+     *   promotional grants were already drawn down when the hold was placed)
      * @returns {Object} Result with both transactions
      */
     static async transfer(fromUserId, toUserId, amount, description, options = {}) {
@@ -32,10 +171,14 @@ class TransactionService {
             throw new Error('Cannot transfer credits to yourself');
         }
 
-        // Check for idempotency
+        if (options.creditType && ![TRANSACTION_TYPE.CREDIT, TRANSACTION_TYPE.REFUND].includes(options.creditType)) {
+            throw new Error('Invalid credit transaction type');
+        }
+
+        // Check for idempotency (the debit is stored under the key with a suffix)
         if (options.idempotencyKey) {
             const existingTransaction = await Transaction.findOne({
-                idempotencyKey: options.idempotencyKey
+                idempotencyKey: `${options.idempotencyKey}-debit`
             });
 
             if (existingTransaction) {
@@ -48,29 +191,6 @@ class TransactionService {
             }
         }
 
-        // SECURITY: Transactions are REQUIRED for financial operations
-        // Do NOT retry without transactions as it causes race conditions and partial failures
-        const executeOperation = async (operation) => {
-            const mongoSession = await mongoose.startSession();
-            try {
-                let result;
-                await mongoSession.withTransaction(async () => {
-                    result = await operation(mongoSession);
-                });
-                return result;
-            } catch (error) {
-                // If the error is due to standalone instance (IllegalOperation), DO NOT RETRY
-                if (error.code === 20 || error.codeName === 'IllegalOperation' || error.message.includes('Transaction numbers are only allowed on a replica set')) {
-                    console.error('CRITICAL: MongoDB transactions are not supported. This application requires a MongoDB replica set for financial integrity.');
-                    console.error('Please configure MongoDB as a replica set or use MongoDB Atlas.');
-                    throw new Error('Database configuration error: MongoDB replica set required for credit transfers. Current instance does not support transactions.');
-                }
-                throw error;
-            } finally {
-                await mongoSession.endSession();
-            }
-        };
-
         // Wrap the core logic
         return executeOperation(async (session) => {
             // Acquire lock on both users
@@ -132,6 +252,10 @@ class TransactionService {
                 throw new Error('Failed to update receiver balance - concurrent modification detected');
             }
 
+            if (!options.fromHold) {
+                await consumePromotionalCredits(fromUserId, amount, session);
+            }
+
             // Create debit transaction for sender
             const debitTransaction = new Transaction({
                 user: fromUserId,
@@ -152,7 +276,7 @@ class TransactionService {
                 user: toUserId,
                 counterparty: fromUserId,
                 session: options.sessionId || null,
-                type: TRANSACTION_TYPE.CREDIT,
+                type: options.creditType || TRANSACTION_TYPE.CREDIT,
                 amount: amount,
                 balanceBefore: toBalanceBefore,
                 balanceAfter: toBalanceAfter,
@@ -180,7 +304,7 @@ class TransactionService {
                 fromBalance: fromBalanceAfter,
                 toBalance: toBalanceAfter
             };
-        });
+        }, options.mongoSession);
     }
 
     /**
@@ -202,27 +326,6 @@ class TransactionService {
             throw new Error('Invalid credit transaction type');
         }
 
-        // SECURITY: Transactions are REQUIRED for financial operations
-        const executeOperation = async (operation) => {
-            const mongoSession = await mongoose.startSession();
-            try {
-                let result;
-                await mongoSession.withTransaction(async () => {
-                    result = await operation(mongoSession);
-                });
-                return result;
-            } catch (error) {
-                if (error.code === 20 || error.codeName === 'IllegalOperation' || error.message.includes('Transaction numbers are only allowed on a replica set')) {
-                    console.error('CRITICAL: MongoDB transactions are not supported. This application requires a MongoDB replica set for financial integrity.');
-                    console.error('Please configure MongoDB as a replica set or use MongoDB Atlas.');
-                    throw new Error('Database configuration error: MongoDB replica set required for credit operations. Current instance does not support transactions.');
-                }
-                throw error;
-            } finally {
-                await mongoSession.endSession();
-            }
-        };
-
         return executeOperation(async (session) => {
             const user = await User.findById(userId).session(session);
 
@@ -250,6 +353,11 @@ class TransactionService {
                 throw new Error('Failed to update balance - concurrent modification');
             }
 
+            // Promotional grants expire; track the unspent part per grant
+            const expiryDays = type === TRANSACTION_TYPE.INITIAL
+                ? CREDIT_EXPIRY.INITIAL_DAYS
+                : type === TRANSACTION_TYPE.BONUS ? CREDIT_EXPIRY.BONUS_DAYS : 0;
+
             // Create transaction record
             const transaction = new Transaction({
                 user: userId,
@@ -262,7 +370,9 @@ class TransactionService {
                 status: TRANSACTION_STATUS.COMPLETED,
                 description: description,
                 idempotencyKey: options.idempotencyKey,
-                metadata: options.metadata || {}
+                metadata: options.metadata || {},
+                expiresAt: expiryDays > 0 ? new Date(Date.now() + expiryDays * 24 * 3600000) : null,
+                remainingAmount: expiryDays > 0 ? amount : undefined
             });
 
             await transaction.save({ session: session });
@@ -272,7 +382,228 @@ class TransactionService {
                 transaction: transaction.toObject(),
                 newBalance: balanceAfter
             };
-        });
+        }, options.mongoSession);
+    }
+
+    /**
+     * Move credits from a user's available balance into escrow.
+     * Held credits cannot be spent until they are captured or released.
+     *
+     * @param {string} userId - User whose credits are held
+     * @param {number} amount - Amount to hold
+     * @param {string} description - Description
+     * @param {Object} options - Additional options
+     * @param {string} options.sessionId - Related session ID
+     * @param {string} options.idempotencyKey - Key to prevent duplicate holds
+     * @param {ClientSession} options.mongoSession - Join an existing MongoDB transaction
+     */
+    static async hold(userId, amount, description, options = {}) {
+        if (typeof amount !== 'number' || amount <= 0) {
+            throw new Error('Hold amount must be a positive number');
+        }
+
+        return executeOperation(async (session) => {
+            if (options.idempotencyKey) {
+                const existing = await Transaction.findOne({ idempotencyKey: options.idempotencyKey }).session(session);
+                if (existing) {
+                    return { success: true, duplicate: true, transaction: existing.toObject() };
+                }
+            }
+
+            const user = await User.findById(userId).session(session);
+
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            if (user.creditBalance < amount) {
+                throw new Error(`Insufficient credits. You have ${user.creditBalance} credits, but need ${amount}`);
+            }
+
+            const balanceBefore = user.creditBalance;
+            const balanceAfter = balanceBefore - amount;
+
+            const updateResult = await User.updateOne(
+                {
+                    _id: userId,
+                    creditVersion: user.creditVersion,
+                    creditBalance: { $gte: amount }
+                },
+                {
+                    $set: { creditBalance: balanceAfter },
+                    $inc: { heldBalance: amount, creditVersion: 1 }
+                },
+                { session: session }
+            );
+
+            if (updateResult.modifiedCount === 0) {
+                throw new Error('Failed to hold credits - concurrent modification detected');
+            }
+
+            // Held credits can't expire, so draw the promotional grants down now.
+            // The hold records which grants it used so a release can put them back.
+            const grants = await consumePromotionalCredits(userId, amount, session);
+
+            const transaction = new Transaction({
+                user: userId,
+                counterparty: options.counterparty || null,
+                session: options.sessionId || null,
+                type: TRANSACTION_TYPE.HOLD,
+                amount: amount,
+                balanceBefore: balanceBefore,
+                balanceAfter: balanceAfter,
+                status: TRANSACTION_STATUS.COMPLETED,
+                description: description,
+                idempotencyKey: options.idempotencyKey,
+                metadata: grants.length > 0 ? { ...options.metadata, grants } : options.metadata || {}
+            });
+
+            await transaction.save({ session: session });
+
+            return {
+                success: true,
+                transaction: transaction.toObject(),
+                newBalance: balanceAfter,
+                heldBalance: user.heldBalance + amount
+            };
+        }, options.mongoSession);
+    }
+
+    /**
+     * Return held credits to a user's available balance. Promotional credits
+     * the hold drew down go back onto their grants (found through
+     * options.sessionId, or options.metadata.package for a package).
+     *
+     * @param {string} userId - User whose hold is released
+     * @param {number} amount - Amount to release
+     * @param {string} description - Description
+     * @param {Object} options - Same options as hold()
+     * @param {boolean} options.captured - The credits are being paid out
+     *   (captureHold), so their grants stay spent
+     */
+    static async release(userId, amount, description, options = {}) {
+        if (typeof amount !== 'number' || amount <= 0) {
+            throw new Error('Release amount must be a positive number');
+        }
+
+        return executeOperation(async (session) => {
+            if (options.idempotencyKey) {
+                const existing = await Transaction.findOne({ idempotencyKey: options.idempotencyKey }).session(session);
+                if (existing) {
+                    return { success: true, duplicate: true, transaction: existing.toObject() };
+                }
+            }
+
+            const user = await User.findById(userId).session(session);
+
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            if (user.heldBalance < amount) {
+                throw new Error(`Cannot release ${amount} credits. Held balance: ${user.heldBalance}`);
+            }
+
+            const balanceBefore = user.creditBalance;
+            const balanceAfter = balanceBefore + amount;
+
+            const updateResult = await User.updateOne(
+                {
+                    _id: userId,
+                    creditVersion: user.creditVersion,
+                    heldBalance: { $gte: amount }
+                },
+                {
+                    $set: { creditBalance: balanceAfter },
+                    $inc: { heldBalance: -amount, creditVersion: 1 }
+                },
+                { session: session }
+            );
+
+            if (updateResult.modifiedCount === 0) {
+                throw new Error('Failed to release credits - concurrent modification detected');
+            }
+
+            await settleHeldGrants(
+                userId,
+                amount,
+                { sessionId: options.sessionId, packageId: options.metadata?.package },
+                { restore: !options.captured },
+                session
+            );
+
+            const transaction = new Transaction({
+                user: userId,
+                counterparty: options.counterparty || null,
+                session: options.sessionId || null,
+                type: TRANSACTION_TYPE.RELEASE,
+                amount: amount,
+                balanceBefore: balanceBefore,
+                balanceAfter: balanceAfter,
+                status: TRANSACTION_STATUS.COMPLETED,
+                description: description,
+                idempotencyKey: options.idempotencyKey,
+                metadata: options.metadata || {}
+            });
+
+            await transaction.save({ session: session });
+
+            return {
+                success: true,
+                transaction: transaction.toObject(),
+                newBalance: balanceAfter,
+                heldBalance: user.heldBalance - amount
+            };
+        }, options.mongoSession);
+    }
+
+    /**
+     * Pay held credits out to another user.
+     * The hold is released back to the payer and immediately transferred,
+     * so the payer's ledger shows a release followed by a paired debit.
+     *
+     * @param {string} fromUserId - User whose held credits are captured
+     * @param {string} toUserId - User who receives the credits
+     * @param {number} amount - Amount to capture
+     * @param {string} description - Description for the transfer
+     * @param {Object} options - Same options as transfer()
+     */
+    static async captureHold(fromUserId, toUserId, amount, description, options = {}) {
+        if (typeof amount !== 'number' || amount <= 0) {
+            throw new Error('Capture amount must be a positive number');
+        }
+
+        return executeOperation(async (session) => {
+            const release = await TransactionService.release(
+                fromUserId,
+                amount,
+                `Escrow released: ${description}`,
+                {
+                    sessionId: options.sessionId,
+                    counterparty: toUserId,
+                    idempotencyKey: options.idempotencyKey ? `${options.idempotencyKey}-release` : undefined,
+                    mongoSession: session,
+                    captured: true
+                }
+            );
+
+            if (release.duplicate) {
+                return { success: true, duplicate: true, message: 'Transaction already processed' };
+            }
+
+            const transfer = await TransactionService.transfer(fromUserId, toUserId, amount, description, {
+                sessionId: options.sessionId,
+                idempotencyKey: options.idempotencyKey,
+                metadata: options.metadata,
+                mongoSession: session,
+                fromHold: true
+            });
+
+            return {
+                ...transfer,
+                releaseTransaction: release.transaction
+            };
+        }, options.mongoSession);
     }
 
     /**
@@ -323,22 +654,373 @@ class TransactionService {
         };
     }
 
+    /**
+     * Reverse a completed transfer (admin).
+     * Writes a compensating transfer from the original receiver back to the
+     * sender, links it to the originals and marks both originals REVERSED -
+     * all in one MongoDB transaction. Refuses to run if the receiver no longer
+     * has the credits, since that would drive their balance negative.
+     *
+     * @param {string} transactionId - Either side of the transfer
+     * @param {string} adminId - Admin performing the reversal
+     * @param {string} reason - Why the transfer is being reversed
+     * @returns {Object} The compensating transactions and the reversed originals
+     */
+    static async reverseTransfer(transactionId, adminId, reason) {
+        if (!reason || !reason.trim()) {
+            throw new Error('A reason is required to reverse a transaction');
+        }
+
+        return executeOperation(async (session) => {
+            const original = await Transaction.findById(transactionId).session(session);
+
+            if (!original) {
+                throw new Error('Transaction not found');
+            }
+
+            if (!original.pairedTransaction) {
+                throw new Error('Only transfers between two users can be reversed');
+            }
+
+            const pair = await Transaction.findById(original.pairedTransaction).session(session);
+
+            if (!pair) {
+                throw new Error('Paired transaction not found');
+            }
+
+            const debit = original.type === TRANSACTION_TYPE.DEBIT ? original : pair;
+            const credit = debit === original ? pair : original;
+
+            if (debit.type !== TRANSACTION_TYPE.DEBIT) {
+                throw new Error('Only transfers between two users can be reversed');
+            }
+
+            if (debit.reversalOf || credit.reversalOf) {
+                throw new Error('A reversal cannot itself be reversed');
+            }
+
+            // Claim both originals; a concurrent reversal loses here
+            const claimed = await Transaction.updateMany(
+                {
+                    _id: { $in: [debit._id, credit._id] },
+                    status: TRANSACTION_STATUS.COMPLETED
+                },
+                {
+                    $set: { status: TRANSACTION_STATUS.REVERSED }
+                },
+                { session: session }
+            );
+
+            if (claimed.modifiedCount !== 2) {
+                throw new Error('Transaction is already reversed or not completed');
+            }
+
+            const receiver = await User.findById(credit.user).select('creditBalance').session(session);
+
+            if (!receiver || receiver.creditBalance < credit.amount) {
+                throw new Error(`Reversal would make the receiver's balance negative. Balance: ${receiver ? receiver.creditBalance : 0}, Required: ${credit.amount}`);
+            }
+
+            const result = await this.transfer(
+                credit.user,
+                debit.user,
+                credit.amount,
+                `Reversal of transfer ${debit.transactionId}`,
+                {
+                    sessionId: debit.session,
+                    creditType: TRANSACTION_TYPE.REFUND,
+                    idempotencyKey: `reversal-${debit._id}`,
+                    metadata: { kind: LEDGER_KIND.REVERSAL, reason: reason.trim() },
+                    mongoSession: session
+                }
+            );
+
+            const reversedAt = new Date();
+            const details = { reason: reason.trim(), reversedBy: adminId, reversedAt };
+
+            // Compensating debit undoes the original credit and vice versa
+            const links = [
+                [result.debitTransaction._id, { reversalOf: credit._id }],
+                [result.creditTransaction._id, { reversalOf: debit._id }],
+                [credit._id, { reversal: { ...details, transaction: result.debitTransaction._id } }],
+                [debit._id, { reversal: { ...details, transaction: result.creditTransaction._id } }]
+            ];
+
+            for (const [id, update] of links) {
+                await Transaction.updateOne({ _id: id }, { $set: update }, { session: session });
+            }
+
+            return {
+                success: true,
+                reversedTransactions: [debit._id, credit._id],
+                debitTransaction: result.debitTransaction,
+                creditTransaction: result.creditTransaction
+            };
+        });
+    }
+
+    /**
+     * How much a user can still send through peer transfers today (UTC day)
+     *
+     * @param {string} userId - Sender
+     * @param {Object} options
+     * @param {Date} options.now - Reference time
+     * @param {ClientSession} options.mongoSession - Read inside an existing MongoDB transaction
+     */
+    static async getTransferAllowance(userId, options = {}) {
+        const startOfDay = new Date(options.now || Date.now());
+        startOfDay.setUTCHours(0, 0, 0, 0);
+
+        const [sent] = await Transaction.aggregate([
+            {
+                $match: {
+                    user: new mongoose.Types.ObjectId(userId),
+                    type: TRANSACTION_TYPE.DEBIT,
+                    'metadata.kind': LEDGER_KIND.PEER_TRANSFER,
+                    createdAt: { $gte: startOfDay }
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    total: { $sum: '$amount' },
+                    count: { $sum: 1 }
+                }
+            }
+        ]).session(options.mongoSession || null);
+
+        const sentToday = sent?.total || 0;
+        const transfersToday = sent?.count || 0;
+
+        return {
+            dailyAmountLimit: PEER_TRANSFER.DAILY_AMOUNT_LIMIT,
+            dailyCountLimit: PEER_TRANSFER.DAILY_COUNT_LIMIT,
+            sentToday,
+            transfersToday,
+            remainingAmount: Math.max(0, PEER_TRANSFER.DAILY_AMOUNT_LIMIT - sentToday),
+            remainingTransfers: Math.max(0, PEER_TRANSFER.DAILY_COUNT_LIMIT - transfersToday),
+            resetsAt: new Date(startOfDay.getTime() + 24 * 3600000)
+        };
+    }
+
+    /**
+     * Send credits to another user from the wallet (gifts, pooling for a shared tutor).
+     * The daily PEER_TRANSFER limits are checked inside the same transaction as the transfer.
+     *
+     * @param {string} fromUserId - Sender
+     * @param {string} recipient - Recipient user ID or email
+     * @param {number} amount - Amount to send
+     * @param {string} memo - Optional note shown to both parties
+     * @param {string} idempotencyKey - Client-supplied key (scoped to the sender)
+     * @returns {Object} Transfer result, or the original transfer when the key was already used
+     */
+    static async sendCredits(fromUserId, recipient, amount, memo, idempotencyKey) {
+        if (typeof amount !== 'number' || amount <= 0) {
+            throw new Error('Transfer amount must be a positive number');
+        }
+
+        const key = `peer-transfer-${fromUserId}-${idempotencyKey}`;
+
+        // Replay: hand back the original transfer instead of sending again
+        const existing = await Transaction.findOne({ idempotencyKey: `${key}-debit` })
+            .populate('counterparty', 'firstName lastName avatar');
+
+        if (existing) {
+            return {
+                success: true,
+                duplicate: true,
+                debitTransaction: existing.toObject()
+            };
+        }
+
+        const recipientQuery = /^[a-f\d]{24}$/i.test(recipient)
+            ? { _id: recipient }
+            : { email: recipient.toLowerCase().trim() };
+
+        const toUser = await User.findOne({ ...recipientQuery, isActive: true })
+            .select('firstName lastName avatar');
+
+        if (!toUser) {
+            throw new Error('Recipient not found');
+        }
+
+        const description = memo
+            ? `Transfer: ${memo}`
+            : `Transfer to ${toUser.firstName} ${toUser.lastName}`;
+
+        return executeOperation(async (session) => {
+            const allowance = await this.getTransferAllowance(fromUserId, { mongoSession: session });
+
+            if (allowance.remainingTransfers === 0) {
+                throw new Error(`Daily transfer limit reached (${PEER_TRANSFER.DAILY_COUNT_LIMIT} transfers per day)`);
+            }
+
+            if (amount > allowance.remainingAmount) {
+                throw new Error(`Daily transfer limit exceeded. You can send ${allowance.remainingAmount} more credits today`);
+            }
+
+            const result = await this.transfer(fromUserId, toUser._id, amount, description, {
+                idempotencyKey: key,
+                metadata: { kind: LEDGER_KIND.PEER_TRANSFER, memo: memo || '' },
+                mongoSession: session
+            });
+
+            return {
+                ...result,
+                recipient: toUser.toObject()
+            };
+        });
+    }
+
+    /**
+     * Expire the unspent part of one promotional grant.
+     * Writes a debit with no counterparty (LEDGER_KIND.CREDIT_EXPIRY).
+     *
+     * @param {string} grantId - INITIAL or BONUS transaction with remainingAmount
+     * @returns {Object|null} Result, or null if there was nothing left to expire
+     */
+    static async expireGrant(grantId) {
+        return executeOperation(async (session) => {
+            const grant = await Transaction.findOne({
+                _id: grantId,
+                remainingAmount: { $gt: 0 }
+            }).session(session);
+
+            if (!grant) {
+                return null;
+            }
+
+            const user = await User.findById(grant.user).session(session);
+
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            // Spending draws grants down first, so the balance should always cover
+            // the remainder; never expire more than the user actually has
+            const amount = roundCredits(Math.min(grant.remainingAmount, user.creditBalance));
+
+            await Transaction.updateOne(
+                { _id: grant._id },
+                { $set: { remainingAmount: 0 } },
+                { session: session }
+            );
+
+            if (amount <= 0) {
+                return null;
+            }
+
+            const balanceBefore = user.creditBalance;
+            const balanceAfter = roundCredits(balanceBefore - amount);
+
+            const updateResult = await User.updateOne(
+                {
+                    _id: user._id,
+                    creditVersion: user.creditVersion,
+                    creditBalance: { $gte: amount }
+                },
+                {
+                    $set: { creditBalance: balanceAfter },
+                    $inc: { creditVersion: 1 }
+                },
+                { session: session }
+            );
+
+            if (updateResult.modifiedCount === 0) {
+                throw new Error('Failed to expire credits - concurrent modification detected');
+            }
+
+            const transaction = new Transaction({
+                user: user._id,
+                type: TRANSACTION_TYPE.DEBIT,
+                amount: amount,
+                balanceBefore: balanceBefore,
+                balanceAfter: balanceAfter,
+                status: TRANSACTION_STATUS.COMPLETED,
+                description: grant.type === TRANSACTION_TYPE.INITIAL ? 'Expired welcome credits' : 'Expired bonus credits',
+                idempotencyKey: `credit-expiry-${grant._id}`,
+                metadata: { kind: LEDGER_KIND.CREDIT_EXPIRY, grant: grant._id.toString() }
+            });
+
+            await transaction.save({ session: session });
+
+            return {
+                success: true,
+                transaction: transaction.toObject(),
+                newBalance: balanceAfter
+            };
+        });
+    }
+
+    /**
+     * Expire every promotional grant past its expiry date (run by the scheduler)
+     */
+    static async expireCredits(now = new Date()) {
+        const summary = { expired: 0, creditsExpired: 0, failed: 0 };
+
+        const grants = await Transaction.find({
+            remainingAmount: { $gt: 0 },
+            expiresAt: { $lte: now }
+        })
+            .select('_id')
+            .lean();
+
+        for (const grant of grants) {
+            try {
+                const result = await this.expireGrant(grant._id);
+                if (result) {
+                    summary.expired += 1;
+                    summary.creditsExpired = roundCredits(summary.creditsExpired + result.transaction.amount);
+                }
+            } catch (error) {
+                summary.failed += 1;
+                console.error(`[Scheduler] Failed to expire grant ${grant._id}:`, error.message);
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Promotional credits that expire within the warning window, soonest first
+     */
+    static async getExpiringCredits(userId, withinDays = CREDIT_EXPIRY.WARNING_DAYS) {
+        const grants = await Transaction.find({
+            user: userId,
+            remainingAmount: { $gt: 0 },
+            expiresAt: { $lte: new Date(Date.now() + withinDays * 24 * 3600000) }
+        })
+            .sort({ expiresAt: 1 })
+            .select('type remainingAmount expiresAt')
+            .lean();
+
+        return grants.map((grant) => ({
+            type: grant.type,
+            amount: grant.remainingAmount,
+            expiresAt: grant.expiresAt
+        }));
+    }
+
     /**
      * Get balance summary for a user
      */
     static async getBalanceSummary(userId) {
-        const user = await User.findById(userId).select('creditBalance creditVersion');
+        const user = await User.findById(userId).select('creditBalance heldBalance creditVersion');
 
         if (!user) {
             throw new Error('User not found');
         }
 
-        // Get transaction summary
+        // Get transaction summary. Expired promotional credits are debits too,
+        // but they weren't spent, so they are totalled on their own
         const summary = await Transaction.aggregate([
             { $match: { user: new mongoose.Types.ObjectId(userId) } },
             {
                 $group: {
-                    _id: '$type',
+                    _id: {
+                        type: '$type',
+                        expired: { $eq: ['$metadata.kind', LEDGER_KIND.CREDIT_EXPIRY] }
+                    },
                     total: { $sum: '$amount' },
                     count: { $sum: 1 }
                 }
@@ -346,14 +1028,21 @@ class TransactionService {
         ]);
 
         const summaryMap = {};
+        let totalExpired = 0;
         summary.forEach(s => {
-            summaryMap[s._id] = { total: s.total, count: s.count };
+            const entry = summaryMap[s._id.type] || { total: 0, count: 0 };
+            summaryMap[s._id.type] = { total: entry.total + s.total, count: entry.count + s.count };
+            if (s._id.expired) totalExpired += s.total;
         });
 
         return {
             currentBalance: user.creditBalance,
+            availableBalance: user.creditBalance,
+            heldBalance: user.heldBalance || 0,
             totalEarned: (summaryMap.credit?.total || 0) + (summaryMap.initial?.total || 0) + (summaryMap.bonus?.total || 0) + (summaryMap.refund?.total || 0),
-            totalSpent: summaryMap.debit?.total || 0,
+            totalSpent: Math.round(((summaryMap.debit?.total || 0) - totalExpired) * 100) / 100,
+            totalExpired,
+            expiringCredits: await this.getExpiringCredits(userId),
             transactionCounts: summaryMap
         };
     }
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { User, AuthSession } = require('../models');
+const { TWO_FACTOR, STEP_UP_MINUTES } = require('../config/constants');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (encoded) => {
+    const bits = encoded
+        .replace(/=+$/, '')
+        .toUpperCase()
+        .split('')
+        .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+        .join('');
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) for one time step
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TWO_FACTOR.DIGITS).padStart(TWO_FACTOR.DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TWO_FACTOR.PERIOD_SECONDS);
+
+const hashRecoveryCode = (code) =>
+    crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// xxxx-xxxx, easy to read back from paper
+const newRecoveryCode = () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+};
+
+const TOTP_PATTERN = new RegExp(`^\\d{${TWO_FACTOR.DIGITS}}$`);
+
+/**
+ * TwoFactorService handles opt-in TOTP two-factor authentication: setup
+ * with a QR code, one-time recovery codes, the second login step, and
+ * step-up checks before sensitive actions.
+ *
+ * A code is accepted once: the time step it belongs to is stored, and codes
+ * from that step or earlier are refused afterwards.
+ */
+class TwoFactorService {
+    /**
+     * The time step a code matches, or null
+     */
+    static matchCode(secret, code, lastUsedStep = 0) {
+        if (!TOTP_PATTERN.test(code)) return null;
+
+        const now = currentStep();
+        for (let step = now - TWO_FACTOR.WINDOW_STEPS; step <= now + TWO_FACTOR.WINDOW_STEPS; step++) {
+            if (step <= lastUsedStep) continue;
+
+            const expected = generateCode(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    static async getStatus(userId) {
+        const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+
+        return {
+            enabled: Boolean(user.twoFactor?.enabled),
+            enabledAt: user.twoFactor?.enabledAt || null,
+            recoveryCodesLeft: user.twoFactor?.enabled ? (user.twoFactor.recoveryCodes || []).length : 0
+        };
+    }
+
+    /**
+     * Start setup: a new secret, shown as a QR code and as text. 2FA stays
+     * off until a code from it is confirmed.
+     */
+    static async beginSetup(user) {
+        if (user.twoFactor?.enabled) {
+            throw new Error('Two-factor authentication is already on');
+        }
+
+        const secret = base32Encode(crypto.randomBytes(20));
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+        const label = encodeURIComponent(`${TWO_FACTOR.ISSUER}:${user.email}`);
+        const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TWO_FACTOR.ISSUER)}` +
+            `&algorithm=SHA1&digits=${TWO_FACTOR.DIGITS}&period=${TWO_FACTOR.PERIOD_SECONDS}`;
+
+        return {
+            secret,
+            otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl)
+        };
+    }
+
+    /**
+     * Finish setup with a code from the authenticator app
+     * @returns {string[]} recovery codes, shown to the user this once
+     */
+    static async enable(userId, code) {
+        const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+
+        if (user.twoFactor?.enabled) {
+            throw new Error('Two-factor authentication is already on');
+        }
+        if (!user.twoFactor?.pendingSecret) {
+            throw new Error('Start two-factor setup first');
+        }
+
+        const step = this.matchCode(user.twoFactor.pendingSecret, code);
+        if (step === null) {
+            throw new Error('Invalid authentication code');
+        }
+
+        const recoveryCodes = Array.from({ length: TWO_FACTOR.RECOVERY_CODES }, newRecoveryCode);
+
+        await User.updateOne({ _id: userId }, {
+            $set: {
+                'twoFactor.enabled': true,
+                'twoFactor.enabledAt': new Date(),
+                'twoFactor.secret': user.twoFactor.pendingSecret,
+                'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+                'twoFactor.lastUsedStep': step
+            },
+            $unset: { 'twoFactor.pendingSecret': '' }
+        });
+
+        return recoveryCodes;
+    }
+
+    static async disable(userId) {
+        await User.updateOne({ _id: userId }, {
+            $set: { 'twoFactor.enabled': false, 'twoFactor.lastUsedStep': 0 },
+            $unset: {
+                'twoFactor.enabledAt': '',
+                'twoFactor.secret': '',
+                'twoFactor.pendingSecret': '',
+                'twoFactor.recoveryCodes': ''
+            }
+        });
+    }
+
+    /**
+     * Replace every recovery code
+     * @returns {string[]} the new codes
+     */
+    static async regenerateRecoveryCodes(userId) {
+        const recoveryCodes = Array.from({ length: TWO_FACTOR.RECOVERY_CODES }, newRecoveryCode);
+
+        const result = await User.updateOne(
+            { _id: userId, 'twoFactor.enabled': true },
+            { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+        );
+        if (result.matchedCount === 0) {
+            throw new Error('Two-factor authentication is not on');
+        }
+
+        return recoveryCodes;
+    }
+
+    /**
+     * Check an authenticator code or a recovery code, and use it up.
+     * The updates only apply if nothing else used the code first.
+     * @returns {boolean}
+     */
+    static async verify(userId, code) {
+        const user = await User.findById(userId)
+            .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+        if (!user?.twoFactor?.enabled || !code) return false;
+
+        const trimmed = String(code).replace(/\s/g, '');
+
+        const step = this.matchCode(user.twoFactor.secret, trimmed, user.twoFactor.lastUsedStep);
+        if (step !== null) {
+            const result = await User.updateOne(
+                { _id: userId, 'twoFactor.lastUsedStep': { $lt: step } },
+                { $set: { 'twoFactor.lastUsedStep': step } }
+            );
+            return result.modifiedCount === 1;
+        }
+
+        const hash = hashRecoveryCode(trimmed);
+        if ((user.twoFactor.recoveryCodes || []).includes(hash)) {
+            const result = await User.updateOne(
+                { _id: userId, 'twoFactor.recoveryCodes': hash },
+                { $pull: { 'twoFactor.recoveryCodes': hash } }
+            );
+            return result.modifiedCount === 1;
+        }
+
+        return false;
+    }
+
+    /**
+     * Short-lived token for the second login step, issued once the
+     * password has been checked
+     */
+    static createLoginChallenge(user) {
+        return jwt.sign(
+            { id: user._id, purpose: TWO_FACTOR.LOGIN_CHALLENGE_PURPOSE },
+            process.env.JWT_SECRET,
+            { expiresIn: TWO_FACTOR.LOGIN_CHALLENGE_EXPIRE }
+        );
+    }
+
+    /**
+     * @returns {string} the user id the challenge was issued to
+     */
+    static readLoginChallenge(challengeToken) {
+        let decoded = null;
+        try {
+            decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+        } catch (error) {
+            // Expired or tampered with; reported the same way below
+        }
+
+        if (!decoded || decoded.purpose !== TWO_FACTOR.LOGIN_CHALLENGE_PURPOSE) {
+            throw new Error('Sign-in attempt expired; enter your password again');
+        }
+        return decoded.id;
+    }
+
+    /**
+     * What step-up asks this user for: a 2FA code, the password, or (for an
+     * account made through a sign-in provider, with neither) a fresh sign-in
+     * @returns {'code'|'password'|'sign_in'}
+     */
+    static async stepUpMethod(user) {
+        if (user.twoFactor?.enabled) return 'code';
+
+        const hasPassword = await User.exists({ _id: user._id, password: { $exists: true } });
+        return hasPassword ? 'password' : 'sign_in';
+    }
+
+    /**
+     * Re-authenticate on this device before a sensitive action: a 2FA code
+     * when 2FA is on, the password otherwise
+     */
+    static async stepUp(user, sessionId, { password, code }) {
+        if (user.twoFactor?.enabled) {
+            if (!(await this.verify(user._id, code))) {
+                throw new Error('Invalid authentication code');
+            }
+        } else {
+            const withPassword = await User.findById(user._id).select('+password');
+            if (!password || !(await withPassword.comparePassword(password))) {
+                throw new Error('Password is incorrect');
+            }
+        }
+
+        await AuthSession.updateOne({ _id: sessionId }, { $set: { stepUpAt: new Date() } });
+    }
+
+    /**
+     * Whether this device re-authenticated within STEP_UP_MINUTES
+     */
+    static async hasRecentStepUp(sessionId) {
+        const session = await AuthSession.findById(sessionId).select('stepUpAt');
+        return Boolean(session?.stepUpAt && Date.now() - session.stepUpAt.getTime() < STEP_UP_MINUTES * 60 * 1000);
+    }
+}
+
+module.exports = TwoFactorService;
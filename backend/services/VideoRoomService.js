@@ -1,9 +1,14 @@
 const { Session } = require('../models');
-const { SESSION_STATUS } = require('../config/constants');
+const { SESSION_STATUS, ENROLLMENT_STATUS } = require('../config/constants');
+
+const displayName = (user) => `${user.firstName} ${user.lastName}`;
 
 /**
  * VideoRoomService manages video call rooms with session-scoped authorization.
  * Ensures only booked users can join and handles time-bound calls.
+ * A group session's room holds the tutor and every enrolled student; clients
+ * connect to each other as a full mesh, which is why group sizes are capped
+ * (GROUP_SESSION.MAX_CAPACITY).
  */
 class VideoRoomService {
     constructor() {
@@ -47,14 +52,15 @@ class VideoRoomService {
     async validateAccess(sessionId, userId) {
         const session = await Session.findById(sessionId)
             .populate('tutor', 'firstName lastName avatar')
-            .populate('student', 'firstName lastName avatar');
+            .populate('student', 'firstName lastName avatar')
+            .populate('enrollments.student', 'firstName lastName avatar');
 
         if (!session) {
             throw new Error('Session not found');
         }
 
         const isTutor = session.tutor._id.toString() === userId.toString();
-        const isStudent = session.student._id.toString() === userId.toString();
+        const isStudent = !isTutor && session.isParticipant(userId);
 
         if (!isTutor && !isStudent) {
             throw new Error('You are not authorized to join this call');
@@ -101,7 +107,18 @@ class VideoRoomService {
             // Check if room exists
             let room = this.activeRooms.get(roomId);
 
+            // Everyone booked fits; a rejoin replaces the user's old connection
+            if (room && !room.participants.has(userId) && room.participants.size >= room.maxParticipants) {
+                throw new Error('This call is full');
+            }
+
             if (!room) {
+                const students = session.isGroup()
+                    ? session.enrollments
+                        .filter(e => e.status === ENROLLMENT_STATUS.ENROLLED)
+                        .map(e => e.student)
+                    : [session.student];
+
                 // Create new room
                 room = {
                     sessionId: sessionId,
@@ -110,20 +127,29 @@ class VideoRoomService {
                     startTime: new Date(),
                     endTime: new Date(new Date(session.scheduledAt).getTime() + session.duration * 60000),
                     status: 'waiting',
+                    isGroup: session.isGroup(),
+                    maxParticipants: session.capacity + 1,
                     session: {
                         id: session._id,
                         skill: session.skill,
                         duration: session.duration,
+                        capacity: session.capacity,
                         tutor: {
                             id: session.tutor._id,
-                            name: `${session.tutor.firstName} ${session.tutor.lastName}`,
+                            name: displayName(session.tutor),
                             avatar: session.tutor.avatar
                         },
-                        student: {
+                        // A private session's student; null for a group session
+                        student: session.isGroup() ? null : {
                             id: session.student._id,
-                            name: `${session.student.firstName} ${session.student.lastName}`,
+                            name: displayName(session.student),
                             avatar: session.student.avatar
-                        }
+                        },
+                        students: students.map(student => ({
+                            id: student._id,
+                            name: displayName(student),
+                            avatar: student.avatar
+                        }))
                     }
                 };
                 this.activeRooms.set(roomId, room);
@@ -156,6 +182,8 @@ class VideoRoomService {
 
             room.participants.set(userId, participant);
 
+            await this.recordAttendance(sessionId, userId, role, 'join', room.isGroup);
+
             // Track connection
             this.connections.set(socketId, {
                 roomId: roomId,
@@ -163,8 +191,8 @@ class VideoRoomService {
                 role: role
             });
 
-            // Update room status if both participants joined
-            if (room.participants.size === 2) {
+            // The call is live once anyone else is there
+            if (room.participants.size >= 2) {
                 room.status = 'active';
             }
 
@@ -192,12 +220,14 @@ class VideoRoomService {
         const connection = this.connections.get(socketId);
         if (!connection) return null;
 
-        const { roomId, odId } = connection;
+        const { roomId, odId, role } = connection;
         const room = this.activeRooms.get(roomId);
 
         if (room) {
             room.participants.delete(odId);
 
+            await this.recordAttendance(room.sessionId, odId, role, 'leave', room.isGroup);
+
             // If no participants left, clean up room
             if (room.participants.size === 0) {
                 this.activeRooms.delete(roomId);
@@ -209,6 +239,57 @@ class VideoRoomService {
         return { roomId, odId };
     }
 
+    /**
+     * Persist a join or leave on the session so attendance survives restarts.
+     * Only the first join and the last leave are kept. A group session's
+     * students are recorded on their own seat.
+     */
+    async recordAttendance(sessionId, userId, role, event, isGroup = false) {
+        try {
+            const now = new Date();
+            const path = isGroup && role === 'student' ? 'enrollments.$[seat].attendance' : `attendance.${role}`;
+            const update = event === 'join'
+                ? { $min: { [`${path}.firstJoinedAt`]: now } }
+                : { $set: { [`${path}.lastLeftAt`]: now } };
+            const options = path.startsWith('enrollments')
+                ? { arrayFilters: [{ 'seat.student': userId, 'seat.status': ENROLLMENT_STATUS.ENROLLED }] }
+                : {};
+
+            await Session.updateOne({ _id: sessionId }, update, options);
+        } catch (error) {
+            // Attendance is best-effort; never block the call on it
+            console.error('[VideoRoom] Failed to record attendance:', error.message);
+        }
+    }
+
+    /**
+     * Who has joined the call for a session, from stored attendance
+     * plus anyone currently in the room. For a group session joinedStudents
+     * lists the enrolled students who joined, and studentJoined means any did.
+     */
+    getAttendance(session) {
+        const room = this.activeRooms.get(this.generateRoomId(session._id.toString()));
+        const inRoom = room ? Array.from(room.participants.values()) : [];
+        const tutorJoined = !!session.attendance?.tutor?.firstJoinedAt || inRoom.some(p => p.role === 'tutor');
+
+        if (session.capacity > 1) {
+            const joinedStudents = (session.enrollments || [])
+                .filter(e => e.status === ENROLLMENT_STATUS.ENROLLED)
+                .map(e => ({ studentId: e.student._id || e.student, firstJoinedAt: e.attendance?.firstJoinedAt }))
+                .filter(({ studentId, firstJoinedAt }) =>
+                    !!firstJoinedAt || inRoom.some(p => p.odId.toString() === studentId.toString())
+                )
+                .map(({ studentId }) => studentId);
+
+            return { tutorJoined, studentJoined: joinedStudents.length > 0, joinedStudents };
+        }
+
+        return {
+            tutorJoined,
+            studentJoined: !!session.attendance?.student?.firstJoinedAt || inRoom.some(p => p.role === 'student')
+        };
+    }
+
     /**
      * Get room info
      */
@@ -0,0 +1,323 @@
+const { User, Session, WaitlistEntry } = require('../models');
+const PricingService = require('./PricingService');
+const AvailabilityService = require('./AvailabilityService');
+const { WAITLIST, WAITLIST_STATUS } = require('../config/constants');
+
+const MINUTE_MS = 60 * 1000;
+
+// Entries still in play: in line, or holding a slot
+const OPEN_STATUSES = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED];
+
+/**
+ * WaitlistService queues students for tutors who are fully booked.
+ * A student waits for one slot or for any opening. When one of the tutor's
+ * sessions is cancelled, the freed time is held for the first student in
+ * line it suits; nobody else can book over the hold until it expires, and
+ * a lapsed or released hold moves on to the next student.
+ */
+class WaitlistService {
+    /**
+     * Join a tutor's waitlist
+     *
+     * @param {string} studentId - Student joining
+     * @param {string} tutorId - Tutor
+     * @param {Object} data
+     * @param {string} data.skillName - Skill wanted
+     * @param {string} data.skillCategory - Its category
+     * @param {number} data.duration - Minutes
+     * @param {Date} data.scheduledAt - Slot wanted; omit for any opening
+     */
+    static async join(studentId, tutorId, { skillName, skillCategory, duration, scheduledAt }) {
+        if (studentId.toString() === tutorId.toString()) {
+            throw new Error('Cannot join your own waitlist');
+        }
+
+        const tutor = await User.findById(tutorId).select('teachingSkills isActive');
+        if (!tutor || !tutor.isActive) {
+            throw new Error('Tutor not found');
+        }
+        const tutorSkill = PricingService.findTutorSkill(tutor, skillName, skillCategory);
+
+        const wanted = scheduledAt ? new Date(scheduledAt) : null;
+        if (wanted) {
+            if (wanted <= new Date()) {
+                throw new Error('Waitlisted time must be in the future');
+            }
+
+            const [booked, held] = await Promise.all([
+                Session.findOverlapping(tutor._id, wanted, duration),
+                WaitlistEntry.findActiveHolds(tutor._id, wanted, duration, studentId)
+            ]);
+            if (booked.length === 0 && held.length === 0) {
+                throw new Error('That time is open. Book it directly instead of joining the waitlist');
+            }
+        }
+
+        const [activeCount, existing] = await Promise.all([
+            WaitlistEntry.countDocuments({ student: studentId, status: { $in: OPEN_STATUSES } }),
+            WaitlistEntry.findOne({
+                student: studentId,
+                tutor: tutor._id,
+                status: { $in: OPEN_STATUSES },
+                scheduledAt: wanted || null
+            })
+        ]);
+
+        if (existing) {
+            throw new Error(wanted ? 'You are already on the waitlist for this time' : 'You are already on this tutor\'s waitlist');
+        }
+        if (activeCount >= WAITLIST.MAX_ACTIVE_PER_STUDENT) {
+            throw new Error(`You can be on at most ${WAITLIST.MAX_ACTIVE_PER_STUDENT} waitlists at once`);
+        }
+
+        const entry = await WaitlistEntry.create({
+            student: studentId,
+            tutor: tutor._id,
+            skill: { name: tutorSkill.name, category: tutorSkill.category },
+            duration,
+            scheduledAt: wanted || undefined
+        });
+
+        return {
+            ...entry.toObject(),
+            position: await WaitlistService.getPosition(entry)
+        };
+    }
+
+    /**
+     * Leave a waitlist, releasing any slot being held
+     */
+    static async leave(entryId, studentId) {
+        // The previous state tells us whether a hold needs passing on
+        const entry = await WaitlistEntry.findOneAndUpdate(
+            { _id: entryId, student: studentId, status: { $in: OPEN_STATUSES } },
+            { $set: { status: WAITLIST_STATUS.CANCELLED, closedAt: new Date() } }
+        );
+
+        if (!entry) {
+            throw new Error('Waitlist entry not found');
+        }
+
+        if (entry.status === WAITLIST_STATUS.OFFERED) {
+            await WaitlistService.passOn(entry);
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * A student's open entries, with their place in line
+     */
+    static async getStudentEntries(studentId) {
+        const entries = await WaitlistEntry.find({ student: studentId, status: { $in: OPEN_STATUSES } })
+            .populate('tutor', 'firstName lastName avatar')
+            .sort({ createdAt: 1 })
+            .lean();
+
+        return Promise.all(entries.map(async entry => ({
+            ...entry,
+            position: entry.status === WAITLIST_STATUS.WAITING ? await WaitlistService.getPosition(entry) : null
+        })));
+    }
+
+    /**
+     * 1-based place among everyone waiting for the same tutor
+     */
+    static async getPosition(entry) {
+        const ahead = await WaitlistEntry.countDocuments({
+            tutor: entry.tutor._id || entry.tutor,
+            status: WAITLIST_STATUS.WAITING,
+            createdAt: { $lt: entry.createdAt }
+        });
+
+        return ahead + 1;
+    }
+
+    /**
+     * A hold the student can book right now
+     */
+    static async getHeldEntry(entryId, studentId) {
+        const entry = await WaitlistEntry.findOne({
+            _id: entryId,
+            student: studentId,
+            status: WAITLIST_STATUS.OFFERED,
+            'hold.expiresAt': { $gt: new Date() }
+        });
+
+        if (!entry) {
+            throw new Error('Waitlist hold not found or has expired');
+        }
+
+        return entry;
+    }
+
+    /**
+     * Throw if someone else holds any of this time with the tutor
+     *
+     * @param {string} tutorId - Tutor being booked
+     * @param {Date} scheduledAt - Start
+     * @param {number} duration - Minutes
+     * @param {string} studentId - Student booking (their own holds don't count)
+     * @param {string} timeZone - Zone times in the error are shown in (the requester's)
+     */
+    static async assertNotHeld(tutorId, scheduledAt, duration, studentId, timeZone = 'UTC') {
+        const holds = await WaitlistEntry.findActiveHolds(tutorId, scheduledAt, duration, studentId);
+
+        if (holds.length > 0) {
+            throw new Error(
+                `Tutor is not available at ${AvailabilityService.formatInZone(scheduledAt, timeZone)}: ` +
+                `the time is held for a waitlisted student until ${AvailabilityService.formatInZone(holds[0].hold.expiresAt, timeZone)}`
+            );
+        }
+    }
+
+    /**
+     * Close the student's hold once they book it. Runs inside the booking transaction.
+     */
+    static async markBooked(studentId, tutorId, scheduledAt, sessionId, mongoSession = null) {
+        return WaitlistEntry.findOneAndUpdate(
+            {
+                student: studentId,
+                tutor: tutorId,
+                status: WAITLIST_STATUS.OFFERED,
+                'hold.scheduledAt': scheduledAt
+            },
+            { $set: { status: WAITLIST_STATUS.BOOKED, session: sessionId, closedAt: new Date() } },
+            { new: true, session: mongoSession }
+        );
+    }
+
+    /**
+     * Offer the time a cancelled session freed to the tutor's waitlist
+     *
+     * @param {Object} session - The cancelled session
+     * @returns {Object|null} The entry now holding the slot
+     */
+    static async offerFreedSlot(session) {
+        return WaitlistService.offerSlot(session.tutor, session.scheduledAt, session.duration, session._id);
+    }
+
+    /**
+     * Hold freed time for the first waiting student it suits. An entry for
+     * a specific slot matches when that slot starts inside the freed time;
+     * an entry for any opening is offered the freed start. Entries that no
+     * longer fit (either side now busy, outside the tutor's hours) are
+     * skipped and keep their place.
+     *
+     * @param {string} tutorId - Tutor
+     * @param {Date} freedAt - Start of the freed time
+     * @param {number} freedDuration - Its length in minutes
+     * @param {string} sourceId - Cancelled session that freed it
+     */
+    static async offerSlot(tutorId, freedAt, freedDuration, sourceId) {
+        const start = new Date(freedAt);
+        if (start <= new Date()) return null;
+
+        const end = new Date(start.getTime() + freedDuration * MINUTE_MS);
+        const candidates = await WaitlistEntry.find({
+            tutor: tutorId,
+            status: WAITLIST_STATUS.WAITING,
+            $or: [
+                { scheduledAt: null },
+                { scheduledAt: { $gte: start, $lt: end } }
+            ]
+        }).sort({ createdAt: 1 });
+
+        for (const candidate of candidates) {
+            const scheduledAt = candidate.scheduledAt || start;
+            if (!(await WaitlistService.canHold(candidate, scheduledAt))) continue;
+
+            const now = new Date();
+            const offered = await WaitlistEntry.findOneAndUpdate(
+                { _id: candidate._id, status: WAITLIST_STATUS.WAITING },
+                {
+                    $set: {
+                        status: WAITLIST_STATUS.OFFERED,
+                        hold: {
+                            scheduledAt,
+                            expiresAt: new Date(now.getTime() + WAITLIST.HOLD_MINUTES * MINUTE_MS),
+                            offeredAt: now,
+                            source: sourceId,
+                            freedAt: start,
+                            freedDuration
+                        }
+                    }
+                },
+                { new: true }
+            );
+            if (offered) return offered;
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether an entry's student could book the tutor at this time
+     */
+    static async canHold(entry, scheduledAt) {
+        const [tutorBusy, studentBusy, held] = await Promise.all([
+            Session.findOverlapping(entry.tutor, scheduledAt, entry.duration),
+            Session.findOverlapping(entry.student, scheduledAt, entry.duration),
+            WaitlistEntry.findActiveHolds(entry.tutor, scheduledAt, entry.duration)
+        ]);
+        if (tutorBusy.length > 0 || studentBusy.length > 0 || held.length > 0) {
+            return false;
+        }
+
+        try {
+            await AvailabilityService.assertTutorAvailable(entry.tutor, [scheduledAt], entry.duration);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Offer a released hold's freed time to the next student in line
+     */
+    static async passOn(entry) {
+        if (!entry.hold?.freedAt) return null;
+        return WaitlistService.offerSlot(entry.tutor, entry.hold.freedAt, entry.hold.freedDuration, entry.hold.source);
+    }
+
+    /**
+     * Expire lapsed holds (passing each slot on) and entries for slots that
+     * have already started. Run periodically by the scheduler.
+     */
+    static async processExpired(now = new Date()) {
+        const summary = { expired: 0, passedOn: 0, stale: 0, failed: 0 };
+
+        const lapsed = await WaitlistEntry.find({
+            status: WAITLIST_STATUS.OFFERED,
+            'hold.expiresAt': { $lte: now }
+        }).limit(100);
+
+        for (const entry of lapsed) {
+            try {
+                const expired = await WaitlistEntry.findOneAndUpdate(
+                    { _id: entry._id, status: WAITLIST_STATUS.OFFERED, 'hold.expiresAt': { $lte: now } },
+                    { $set: { status: WAITLIST_STATUS.EXPIRED, closedAt: now } }
+                );
+                if (!expired) continue;
+
+                summary.expired += 1;
+                if (await WaitlistService.passOn(expired)) {
+                    summary.passedOn += 1;
+                }
+            } catch (error) {
+                summary.failed += 1;
+                console.error(`[Scheduler] Failed to expire waitlist hold ${entry._id}:`, error.message);
+            }
+        }
+
+        const stale = await WaitlistEntry.updateMany(
+            { status: WAITLIST_STATUS.WAITING, scheduledAt: { $lte: now } },
+            { $set: { status: WAITLIST_STATUS.EXPIRED, closedAt: now } }
+        );
+        summary.stale = stale.modifiedCount;
+
+        return summary;
+    }
+}
+
+module.exports = WaitlistService;
@@ -1,9 +1,45 @@
 const TransactionService = require('./TransactionService');
 const SessionService = require('./SessionService');
 const VideoRoomService = require('./VideoRoomService');
+const SchedulerService = require('./SchedulerService');
+const ReconciliationService = require('./ReconciliationService');
+const StatementService = require('./StatementService');
+const RewardService = require('./RewardService');
+const BalanceHistoryService = require('./BalanceHistoryService');
+const PricingService = require('./PricingService');
+const PackageService = require('./PackageService');
+const SeriesService = require('./SeriesService');
+const AvailabilityService = require('./AvailabilityService');
+const CalendarService = require('./CalendarService');
+const WaitlistService = require('./WaitlistService');
+const GroupSessionService = require('./GroupSessionService');
+const AuthService = require('./AuthService');
+const MailService = require('./MailService');
+const AccountService = require('./AccountService');
+const TwoFactorService = require('./TwoFactorService');
+const OAuthService = require('./OAuthService');
+const AdminService = require('./AdminService');
 
 module.exports = {
     TransactionService,
     SessionService,
-    VideoRoomService
+    VideoRoomService,
+    SchedulerService,
+    ReconciliationService,
+    StatementService,
+    RewardService,
+    BalanceHistoryService,
+    PricingService,
+    PackageService,
+    SeriesService,
+    AvailabilityService,
+    CalendarService,
+    WaitlistService,
+    GroupSessionService,
+    AuthService,
+    MailService,
+    AccountService,
+    TwoFactorService,
+    OAuthService,
+    AdminService
 };
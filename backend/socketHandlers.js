@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const AuthService = require('./services/AuthService');
 const videoRoomService = require('./services/VideoRoomService');
 
 /**
@@ -64,12 +64,30 @@ const validation = {
 
 /**
  * Socket.IO handler for WebRTC signaling
- * Uses Perfect Negotiation pattern - broadcasts to room instead of targeted sends
+ * Uses Perfect Negotiation pattern. A group call is a mesh with one peer
+ * connection per pair of participants, so clients address each message to
+ * the peer it is for (targetSocketId); without a target it is broadcast to
+ * the room, which is all a two-person call needs.
  */
 function initializeSocketHandlers(io) {
     // Create rate limiters for different event types
     const signalingLimiter = new SocketRateLimiter(50, 1000); // 50 events per second for signaling
     const messageLimiter = new SocketRateLimiter(10, 1000); // 10 messages per second for chat
+
+    // Send a signaling message to one peer in the sender's room, or to the whole room
+    const relaySignal = (socket, event, payload, targetSocketId) => {
+        if (targetSocketId) {
+            const target = videoRoomService.getConnection(targetSocketId);
+            if (target?.roomId !== socket.roomId) {
+                console.warn(`[Socket] Dropping ${event} from ${socket.id}: target is not in the room`);
+                return;
+            }
+            io.to(targetSocketId).emit(event, payload);
+            return;
+        }
+
+        socket.to(socket.roomId).emit(event, payload);
+    };
     // Middleware for authentication
     io.use(async (socket, next) => {
         try {
@@ -79,7 +97,11 @@ function initializeSocketHandlers(io) {
                 return next(new Error('Authentication required'));
             }
 
-            const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+            const decoded = AuthService.verifyAccessToken(token);
+            if (!(await AuthService.isSessionActive(decoded.sid))) {
+                return next(new Error('Session has been signed out'));
+            }
+
             socket.userId = decoded.id;
             socket.userEmail = decoded.email;
             next();
@@ -170,8 +192,7 @@ function initializeSocketHandlers(io) {
         });
 
         /**
-         * WebRTC Signaling: Broadcast SDP offer to other peers in the room
-         * Using Perfect Negotiation - no targeted sends
+         * WebRTC Signaling: Relay SDP offer to a peer (or the room)
          */
         socket.on('offer', (data) => {
             // Rate limiting
@@ -180,7 +201,7 @@ function initializeSocketHandlers(io) {
                 return;
             }
 
-            const { sdp } = data;
+            const { sdp, targetSocketId } = data;
             const roomId = socket.roomId;
 
             if (!roomId) {
@@ -194,18 +215,17 @@ function initializeSocketHandlers(io) {
                 return;
             }
 
-            console.log(`[Socket] Broadcasting offer from ${socket.id} to room ${roomId}`);
+            console.log(`[Socket] Relaying offer from ${socket.id} to ${targetSocketId || `room ${roomId}`}`);
 
-            // Broadcast to all others in the room
-            socket.to(roomId).emit('offer', {
+            relaySignal(socket, 'offer', {
                 sdp,
                 senderSocketId: socket.id,
                 senderId: socket.userId
-            });
+            }, targetSocketId);
         });
 
         /**
-         * WebRTC Signaling: Broadcast SDP answer to other peers in the room
+         * WebRTC Signaling: Relay SDP answer to a peer (or the room)
          */
         socket.on('answer', (data) => {
             // Rate limiting
@@ -214,7 +234,7 @@ function initializeSocketHandlers(io) {
                 return;
             }
 
-            const { sdp } = data;
+            const { sdp, targetSocketId } = data;
             const roomId = socket.roomId;
 
             if (!roomId) {
@@ -228,18 +248,17 @@ function initializeSocketHandlers(io) {
                 return;
             }
 
-            console.log(`[Socket] Broadcasting answer from ${socket.id} to room ${roomId}`);
+            console.log(`[Socket] Relaying answer from ${socket.id} to ${targetSocketId || `room ${roomId}`}`);
 
-            // Broadcast to all others in the room
-            socket.to(roomId).emit('answer', {
+            relaySignal(socket, 'answer', {
                 sdp,
                 senderSocketId: socket.id,
                 senderId: socket.userId
-            });
+            }, targetSocketId);
         });
 
         /**
-         * WebRTC Signaling: Broadcast ICE candidates to other peers
+         * WebRTC Signaling: Relay ICE candidates to a peer (or the room)
          */
         socket.on('ice-candidate', (data) => {
             // Rate limiting
@@ -247,7 +266,7 @@ function initializeSocketHandlers(io) {
                 return; // Silently drop to avoid log spam
             }
 
-            const { candidate } = data;
+            const { candidate, targetSocketId } = data;
             const roomId = socket.roomId;
 
             if (!roomId) {
@@ -260,12 +279,11 @@ function initializeSocketHandlers(io) {
                 return;
             }
 
-            // Broadcast to all others in the room
-            socket.to(roomId).emit('ice-candidate', {
+            relaySignal(socket, 'ice-candidate', {
                 candidate,
                 senderSocketId: socket.id,
                 senderId: socket.userId
-            });
+            }, targetSocketId);
         });
 
         /**
@@ -360,7 +378,7 @@ function initializeSocketHandlers(io) {
                 if (result) {
                     // Notify other participants in the correct room
                     socket.to(roomId).emit('user-left', {
-                        userId: result.userId,
+                        userId: result.odId,
                         socketId: socket.id
                     });
                 }
@@ -388,7 +406,7 @@ function initializeSocketHandlers(io) {
                 if (result) {
                     socket.leave(roomId);
                     socket.to(roomId).emit('user-left', {
-                        userId: result.userId,
+                        userId: result.odId,
                         socketId: socket.id
                     });
                 }
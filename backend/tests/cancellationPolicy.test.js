@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Session } = require('../models');
+const SessionService = require('../services/SessionService');
+const {
+    SESSION_STATUS,
+    ESCROW_STATUS,
+    CANCELLATION_OUTCOME,
+    CANCELLATION_POLICY
+} = require('../config/constants');
+
+const tutorId = new mongoose.Types.ObjectId();
+const studentId = new mongoose.Types.ObjectId();
+const scheduledAt = new Date('2026-01-15T14:00:00Z');
+const afterGrace = new Date(scheduledAt.getTime() + (CANCELLATION_POLICY.NO_SHOW_GRACE_MINUTES + 1) * 60000);
+
+// An in-progress private video session with 2 credits held
+const buildSession = (attendance = {}) => new Session({
+    tutor: tutorId,
+    student: studentId,
+    skill: { name: 'JavaScript', category: 'Programming' },
+    scheduledAt,
+    duration: 60,
+    creditCost: 2,
+    status: SESSION_STATUS.IN_PROGRESS,
+    escrow: { amount: 2, status: ESCROW_STATUS.HELD },
+    meetingDetails: { type: 'video' },
+    attendance
+});
+
+test('student cancels after grace, tutor attended: partial refund, no bonus', () => {
+    const session = buildSession({ tutor: { firstJoinedAt: scheduledAt } });
+    const policy = SessionService.getCancellationOutcome(session, studentId, afterGrace);
+
+    assert.strictEqual(policy.outcome, CANCELLATION_OUTCOME.PARTIAL_REFUND);
+    assert.strictEqual(policy.bonusAmount, 0);
+    assert.ok(policy.penaltyAmount > 0);
+});
+
+test('student cancels after grace, tutor never joined: tutor no-show', () => {
+    const policy = SessionService.getCancellationOutcome(buildSession(), studentId, afterGrace);
+
+    assert.strictEqual(policy.outcome, CANCELLATION_OUTCOME.TUTOR_NO_SHOW);
+    assert.strictEqual(policy.refundAmount, 2);
+    assert.strictEqual(policy.bonusAmount, CANCELLATION_POLICY.TUTOR_NO_SHOW_BONUS);
+});
+
+test('student cancels after grace outside the app: partial refund', () => {
+    const session = buildSession();
+    session.meetingDetails.type = 'in-person';
+    const policy = SessionService.getCancellationOutcome(session, studentId, afterGrace);
+
+    assert.strictEqual(policy.outcome, CANCELLATION_OUTCOME.PARTIAL_REFUND);
+});
+
+test('tutor cancels after grace: tutor no-show', () => {
+    const session = buildSession({ tutor: { firstJoinedAt: scheduledAt } });
+    const policy = SessionService.getCancellationOutcome(session, tutorId, afterGrace);
+
+    assert.strictEqual(policy.outcome, CANCELLATION_OUTCOME.TUTOR_NO_SHOW);
+});
@@ -0,0 +1,288 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { User, Transaction, Session } = require('../models');
+const TransactionService = require('../services/TransactionService');
+const {
+    TRANSACTION_TYPE,
+    TRANSACTION_STATUS,
+    PEER_TRANSFER,
+    LEDGER_KIND
+} = require('../config/constants');
+
+// Credit operations need MongoDB transactions, so these tests run against a
+// replica set (a single-node one is enough). The database is dropped before
+// and after the run.
+const uri = process.env.MONGODB_TEST_URI;
+
+const createUser = async (name, credits = 0, type = TRANSACTION_TYPE.REFUND) => {
+    const user = await User.create({
+        email: `${name.toLowerCase()}-${new mongoose.Types.ObjectId()}@example.com`,
+        password: 'password123',
+        firstName: name,
+        lastName: 'Test'
+    });
+
+    if (credits > 0) {
+        await TransactionService.credit(user._id, credits, type, 'Test funding');
+    }
+
+    return user._id;
+};
+
+const balances = async (userId) => {
+    const user = await User.findById(userId).select('creditBalance heldBalance');
+    return { available: user.creditBalance, held: user.heldBalance };
+};
+
+describe('TransactionService', { skip: !uri && 'MONGODB_TEST_URI is not set' }, () => {
+    before(async () => {
+        await mongoose.connect(uri);
+        await mongoose.connection.dropDatabase();
+
+        // Collections and the unique idempotencyKey index must exist before
+        // the first transaction writes to them
+        for (const model of [User, Transaction, Session]) {
+            await model.createCollection();
+            await model.syncIndexes();
+        }
+    });
+
+    after(async () => {
+        await mongoose.connection.dropDatabase();
+        await mongoose.disconnect();
+    });
+
+    describe('escrow', () => {
+        test('hold moves credits from available to held', async () => {
+            const student = await createUser('Student', 5);
+
+            const result = await TransactionService.hold(student, 2, 'Session hold', {
+                sessionId: new mongoose.Types.ObjectId()
+            });
+
+            assert.deepStrictEqual(await balances(student), { available: 3, held: 2 });
+            assert.strictEqual(result.transaction.type, TRANSACTION_TYPE.HOLD);
+            assert.strictEqual(result.transaction.balanceBefore, 5);
+            assert.strictEqual(result.transaction.balanceAfter, 3);
+        });
+
+        test('hold refuses more than the available balance', async () => {
+            const student = await createUser('Student', 1);
+
+            await assert.rejects(
+                TransactionService.hold(student, 2, 'Session hold'),
+                /Insufficient credits/
+            );
+            assert.deepStrictEqual(await balances(student), { available: 1, held: 0 });
+        });
+
+        test('release returns held credits', async () => {
+            const student = await createUser('Student', 5);
+            const sessionId = new mongoose.Types.ObjectId();
+
+            await TransactionService.hold(student, 2, 'Session hold', { sessionId });
+            const result = await TransactionService.release(student, 2, 'Session cancelled', { sessionId });
+
+            assert.deepStrictEqual(await balances(student), { available: 5, held: 0 });
+            assert.strictEqual(result.transaction.type, TRANSACTION_TYPE.RELEASE);
+        });
+
+        test('release puts promotional credits back on their grant', async () => {
+            const student = await createUser('Student', 5, TRANSACTION_TYPE.INITIAL);
+            const sessionId = new mongoose.Types.ObjectId();
+            const grant = await Transaction.findOne({ user: student, type: TRANSACTION_TYPE.INITIAL });
+
+            await TransactionService.hold(student, 2, 'Session hold', { sessionId });
+            assert.strictEqual((await Transaction.findById(grant._id)).remainingAmount, 3);
+
+            await TransactionService.release(student, 2, 'Session cancelled', { sessionId });
+            assert.strictEqual((await Transaction.findById(grant._id)).remainingAmount, 5);
+        });
+
+        test('captureHold pays the tutor and leaves the grant spent', async () => {
+            const student = await createUser('Student', 5, TRANSACTION_TYPE.INITIAL);
+            const tutor = await createUser('Tutor');
+            const sessionId = new mongoose.Types.ObjectId();
+            const grant = await Transaction.findOne({ user: student, type: TRANSACTION_TYPE.INITIAL });
+
+            await TransactionService.hold(student, 2, 'Session hold', { sessionId });
+            const result = await TransactionService.captureHold(student, tutor, 2, 'Session completed', {
+                sessionId,
+                idempotencyKey: `capture-${sessionId}`
+            });
+
+            assert.deepStrictEqual(await balances(student), { available: 3, held: 0 });
+            assert.deepStrictEqual(await balances(tutor), { available: 2, held: 0 });
+            assert.strictEqual(result.releaseTransaction.type, TRANSACTION_TYPE.RELEASE);
+            assert.strictEqual(result.debitTransaction.type, TRANSACTION_TYPE.DEBIT);
+            assert.strictEqual((await Transaction.findById(grant._id)).remainingAmount, 3);
+        });
+    });
+
+    describe('ledger', () => {
+        test('balanceBefore/balanceAfter chain through every entry', async () => {
+            const student = await createUser('Student', 10);
+            const tutor = await createUser('Tutor', 1);
+            const sessionId = new mongoose.Types.ObjectId();
+
+            await TransactionService.hold(student, 3, 'Session hold', { sessionId });
+            await TransactionService.captureHold(student, tutor, 3, 'Session completed', { sessionId });
+            await TransactionService.hold(student, 2, 'Second hold', { sessionId: new mongoose.Types.ObjectId() });
+            await TransactionService.transfer(tutor, student, 1.5, 'Gift');
+            await TransactionService.credit(student, 1, TRANSACTION_TYPE.BONUS, 'Bonus');
+
+            for (const userId of [student, tutor]) {
+                const entries = await Transaction.find({ user: userId }).sort({ _id: 1 });
+
+                assert.strictEqual(entries[0].balanceBefore, 0);
+                for (let i = 1; i < entries.length; i++) {
+                    assert.strictEqual(entries[i].balanceBefore, entries[i - 1].balanceAfter,
+                        `entry ${i} (${entries[i].type}) does not follow entry ${i - 1}`);
+                }
+                assert.strictEqual(entries[entries.length - 1].balanceAfter, (await balances(userId)).available);
+            }
+
+            assert.deepStrictEqual(await balances(student), { available: 7.5, held: 2 });
+            assert.deepStrictEqual(await balances(tutor), { available: 2.5, held: 0 });
+        });
+    });
+
+    describe('idempotent replays', () => {
+        test('a replayed hold does not hold twice', async () => {
+            const student = await createUser('Student', 5);
+            const options = { idempotencyKey: `hold-${new mongoose.Types.ObjectId()}` };
+
+            await TransactionService.hold(student, 2, 'Session hold', options);
+            const replay = await TransactionService.hold(student, 2, 'Session hold', options);
+
+            assert.strictEqual(replay.duplicate, true);
+            assert.deepStrictEqual(await balances(student), { available: 3, held: 2 });
+        });
+
+        test('a replayed transfer does not pay twice', async () => {
+            const sender = await createUser('Sender', 5);
+            const receiver = await createUser('Receiver');
+            const options = { idempotencyKey: `transfer-${new mongoose.Types.ObjectId()}` };
+
+            await TransactionService.transfer(sender, receiver, 2, 'Payment', options);
+            const replay = await TransactionService.transfer(sender, receiver, 2, 'Payment', options);
+
+            assert.strictEqual(replay.duplicate, true);
+            assert.deepStrictEqual(await balances(sender), { available: 3, held: 0 });
+            assert.deepStrictEqual(await balances(receiver), { available: 2, held: 0 });
+        });
+
+        test('a replayed capture does not pay twice', async () => {
+            const student = await createUser('Student', 5);
+            const tutor = await createUser('Tutor');
+            const sessionId = new mongoose.Types.ObjectId();
+            const options = { sessionId, idempotencyKey: `capture-${sessionId}` };
+
+            await TransactionService.hold(student, 4, 'Session hold', { sessionId });
+            await TransactionService.captureHold(student, tutor, 2, 'Session completed', options);
+            const replay = await TransactionService.captureHold(student, tutor, 2, 'Session completed', options);
+
+            assert.strictEqual(replay.duplicate, true);
+            assert.deepStrictEqual(await balances(student), { available: 1, held: 2 });
+            assert.deepStrictEqual(await balances(tutor), { available: 2, held: 0 });
+        });
+
+        test('a replayed peer transfer returns the original', async () => {
+            const sender = await createUser('Sender', 5);
+            const receiver = await createUser('Receiver');
+
+            const first = await TransactionService.sendCredits(sender, receiver.toString(), 2, 'Thanks', 'key-1');
+            const replay = await TransactionService.sendCredits(sender, receiver.toString(), 2, 'Thanks', 'key-1');
+
+            assert.strictEqual(replay.duplicate, true);
+            assert.strictEqual(replay.debitTransaction._id.toString(), first.debitTransaction._id.toString());
+            assert.deepStrictEqual(await balances(sender), { available: 3, held: 0 });
+        });
+    });
+
+    describe('daily transfer limits', () => {
+        test('refuses a transfer over the remaining daily amount', async () => {
+            const sender = await createUser('Sender', PEER_TRANSFER.DAILY_AMOUNT_LIMIT + 10);
+            const receiver = (await createUser('Receiver')).toString();
+
+            await TransactionService.sendCredits(sender, receiver, PEER_TRANSFER.DAILY_AMOUNT_LIMIT - 1, '', 'limit-1');
+
+            await assert.rejects(
+                TransactionService.sendCredits(sender, receiver, 2, '', 'limit-2'),
+                /Daily transfer limit exceeded/
+            );
+
+            const allowance = await TransactionService.getTransferAllowance(sender.toString());
+            assert.strictEqual(allowance.remainingAmount, 1);
+            assert.strictEqual(allowance.transfersToday, 1);
+        });
+
+        test('refuses a transfer over the daily count', async () => {
+            const sender = await createUser('Sender', PEER_TRANSFER.DAILY_COUNT_LIMIT + 1);
+            const receiver = (await createUser('Receiver')).toString();
+
+            for (let i = 0; i < PEER_TRANSFER.DAILY_COUNT_LIMIT; i++) {
+                await TransactionService.sendCredits(sender, receiver, 1, '', `count-${i}`);
+            }
+
+            await assert.rejects(
+                TransactionService.sendCredits(sender, receiver, 1, '', 'count-over'),
+                /Daily transfer limit reached/
+            );
+            assert.deepStrictEqual(await balances(sender), { available: 1, held: 0 });
+        });
+    });
+
+    describe('reversal', () => {
+        test('reverseTransfer moves the credits back and marks both originals', async () => {
+            const sender = await createUser('Sender', 5);
+            const receiver = await createUser('Receiver');
+            const admin = await createUser('Admin');
+
+            const sent = await TransactionService.sendCredits(sender, receiver.toString(), 2, '', 'reverse-1');
+            const result = await TransactionService.reverseTransfer(sent.creditTransaction._id, admin, 'Sent by mistake');
+
+            assert.deepStrictEqual(await balances(sender), { available: 5, held: 0 });
+            assert.deepStrictEqual(await balances(receiver), { available: 0, held: 0 });
+            const refund = await Transaction.findById(result.creditTransaction._id);
+            assert.strictEqual(refund.type, TRANSACTION_TYPE.REFUND);
+            assert.strictEqual(refund.metadata.get('kind'), LEDGER_KIND.REVERSAL);
+
+            const originals = await Transaction.find({ _id: { $in: result.reversedTransactions } });
+            assert.strictEqual(originals.length, 2);
+            for (const original of originals) {
+                assert.strictEqual(original.status, TRANSACTION_STATUS.REVERSED);
+                assert.strictEqual(original.reversal.reason, 'Sent by mistake');
+            }
+
+            await assert.rejects(
+                TransactionService.reverseTransfer(sent.debitTransaction._id, admin, 'Again'),
+                /already reversed/
+            );
+            await assert.rejects(
+                TransactionService.reverseTransfer(result.debitTransaction._id, admin, 'Undo the undo'),
+                /cannot itself be reversed/
+            );
+        });
+
+        test('reverseTransfer refuses when the receiver has spent the credits', async () => {
+            const sender = await createUser('Sender', 5);
+            const receiver = await createUser('Receiver');
+            const admin = await createUser('Admin');
+            const other = await createUser('Other');
+
+            const sent = await TransactionService.sendCredits(sender, receiver.toString(), 2, '', 'reverse-2');
+            await TransactionService.transfer(receiver, other, 1.5, 'Spent');
+
+            await assert.rejects(
+                TransactionService.reverseTransfer(sent.debitTransaction._id, admin, 'Sent by mistake'),
+                /balance negative/
+            );
+
+            const debit = await Transaction.findById(sent.debitTransaction._id);
+            assert.strictEqual(debit.status, TRANSACTION_STATUS.COMPLETED);
+            assert.deepStrictEqual(await balances(sender), { available: 3, held: 0 });
+        });
+    });
+});
@@ -0,0 +1,86 @@
+'use client';
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { api } from '@/lib/api';
+import { Button, Input, Card } from '@/components/ui';
+import { GraduationCap, Mail, MailCheck } from 'lucide-react';
+
+export default function ForgotPasswordPage() {
+    const [email, setEmail] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError('');
+        setIsLoading(true);
+
+        try {
+            const res = await api.forgotPassword(email);
+            setMessage(res.message);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to send the reset link');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center px-4 py-12">
+            <div className="absolute inset-0 bg-gradient-to-br from-violet-600/5 via-transparent to-indigo-600/5" />
+
+            <div className="relative w-full max-w-md">
+                <div className="text-center mb-8">
+                    <Link href="/" className="inline-flex items-center gap-2">
+                        <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-violet-500 to-indigo-600 flex items-center justify-center">
+                            <GraduationCap className="w-7 h-7 text-white" />
+                        </div>
+                    </Link>
+                    <h1 className="text-2xl font-bold mt-4">Forgot your password?</h1>
+                    <p className="text-gray-400 mt-1">We&apos;ll email you a link to choose a new one</p>
+                </div>
+
+                <Card className="p-8">
+                    {message ? (
+                        <div className="text-center">
+                            <MailCheck className="w-10 h-10 text-green-400 mx-auto mb-4" />
+                            <p className="text-gray-300">{message}</p>
+                            <p className="text-sm text-gray-500 mt-2">The link works for one hour.</p>
+                        </div>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="space-y-5">
+                            {error && (
+                                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                                    {error}
+                                </div>
+                            )}
+
+                            <Input
+                                type="email"
+                                label="Email"
+                                placeholder="you@example.com"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                icon={<Mail className="w-5 h-5" />}
+                                required
+                            />
+
+                            <Button type="submit" className="w-full" size="lg" isLoading={isLoading}>
+                                Send Reset Link
+                            </Button>
+                        </form>
+                    )}
+
+                    <p className="text-center text-gray-400 mt-6">
+                        Remembered it?{' '}
+                        <Link href="/login" className="text-violet-400 hover:text-violet-300 font-medium">
+                            Sign in
+                        </Link>
+                    </p>
+                </Card>
+            </div>
+        </div>
+    );
+}
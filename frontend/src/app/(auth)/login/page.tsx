@@ -5,14 +5,18 @@ import Link from 'next/link';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/context/AuthContext';
 import { Button, Input, Card } from '@/components/ui';
-import { Mail, Lock, GraduationCap } from 'lucide-react';
+import { OAuthButtons } from '@/components/auth';
+import { Mail, Lock, GraduationCap, ShieldCheck } from 'lucide-react';
 
 export default function LoginPage() {
     const router = useRouter();
-    const { login, isAuthenticated } = useAuth();
+    const { login, completeTwoFactorLogin, isAuthenticated } = useAuth();
 
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
+    // Set once the password is accepted for an account with 2FA
+    const [challengeToken, setChallengeToken] = useState('');
+    const [code, setCode] = useState('');
     const [error, setError] = useState('');
     const [isLoading, setIsLoading] = useState(false);
 
@@ -29,9 +33,23 @@ export default function LoginPage() {
         setIsLoading(true);
 
         try {
-            await login(email, password);
+            if (challengeToken) {
+                await completeTwoFactorLogin(challengeToken, code);
+            } else {
+                const challenge = await login(email, password);
+                if (challenge) {
+                    setChallengeToken(challenge.challengeToken);
+                    return;
+                }
+            }
             router.push('/dashboard');
         } catch (err: any) {
+            // The challenge only lasts a few minutes; start over with the password
+            if (err.message.includes('Sign-in attempt expired')) {
+                setChallengeToken('');
+                setCode('');
+            }
+
             console.error('Login error:', err);
             
             // Better error messages for network issues
@@ -71,25 +89,62 @@ export default function LoginPage() {
                             </div>
                         )}
 
-                        <Input
-                            type="email"
-                            label="Email"
-                            placeholder="you@example.com"
-                            value={email}
-                            onChange={(e) => setEmail(e.target.value)}
-                            icon={<Mail className="w-5 h-5" />}
-                            required
-                        />
-
-                        <Input
-                            type="password"
-                            label="Password"
-                            placeholder="••••••••"
-                            value={password}
-                            onChange={(e) => setPassword(e.target.value)}
-                            icon={<Lock className="w-5 h-5" />}
-                            required
-                        />
+                        {challengeToken ? (
+                            <>
+                                <p className="text-sm text-gray-400">
+                                    Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                                </p>
+
+                                <Input
+                                    label="Authentication code"
+                                    placeholder="123456"
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value)}
+                                    icon={<ShieldCheck className="w-5 h-5" />}
+                                    autoComplete="one-time-code"
+                                    autoFocus
+                                    required
+                                />
+
+                                <div className="text-right -mt-2">
+                                    <button
+                                        type="button"
+                                        onClick={() => { setChallengeToken(''); setCode(''); setError(''); }}
+                                        className="text-sm text-violet-400 hover:text-violet-300"
+                                    >
+                                        Use a different account
+                                    </button>
+                                </div>
+                            </>
+                        ) : (
+                            <>
+                                <Input
+                                    type="email"
+                                    label="Email"
+                                    placeholder="you@example.com"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    icon={<Mail className="w-5 h-5" />}
+                                    required
+                                />
+
+                                <Input
+                                    type="password"
+                                    label="Password"
+                                    placeholder="••••••••"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    icon={<Lock className="w-5 h-5" />}
+                                    required
+                                />
+
+                                <div className="text-right -mt-2">
+                                    <Link href="/forgot-password" className="text-sm text-violet-400 hover:text-violet-300">
+                                        Forgot password?
+                                    </Link>
+                                </div>
+                            </>
+                        )}
 
                         <Button
                             type="submit"
@@ -97,10 +152,12 @@ export default function LoginPage() {
                             size="lg"
                             isLoading={isLoading}
                         >
-                            Sign In
+                            {challengeToken ? 'Verify' : 'Sign In'}
                         </Button>
                     </form>
 
+                    {!challengeToken && <OAuthButtons />}
+
                     <p className="text-center text-gray-400 mt-6">
                         Don't have an account?{' '}
                         <Link href="/register" className="text-violet-400 hover:text-violet-300 font-medium">
@@ -0,0 +1,161 @@
+'use client';
+
+import React, { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import { takePendingFlow } from '@/lib/oauth';
+import { Button, Card, Input } from '@/components/ui';
+import { GraduationCap, Loader2, ShieldCheck, XCircle } from 'lucide-react';
+
+// Where a provider sends the browser back to, for both signing in and
+// linking a provider from the profile page
+export default function OAuthCallbackClient() {
+    const router = useRouter();
+    const searchParams = useSearchParams();
+    const { token, isLoading: authLoading, loginWithOAuth, completeTwoFactorLogin } = useAuth();
+
+    const [status, setStatus] = useState<'working' | 'two_factor' | 'failed'>('working');
+    const [error, setError] = useState('');
+    const [challengeToken, setChallengeToken] = useState('');
+    const [code, setCode] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const [isLinking, setIsLinking] = useState(false);
+    // The effect runs twice in development; a code only works once
+    const requestedRef = useRef(false);
+
+    useEffect(() => {
+        // Linking needs the signed-in session, which loads first
+        if (authLoading || requestedRef.current) return;
+        requestedRef.current = true;
+
+        const fail = (message: string) => {
+            setStatus('failed');
+            setError(message);
+        };
+
+        const pending = takePendingFlow();
+        setIsLinking(pending?.mode === 'link');
+
+        const providerError = searchParams.get('error');
+        if (providerError) {
+            return fail(searchParams.get('error_description') || 'The sign-in was cancelled.');
+        }
+
+        const state = searchParams.get('state');
+        const authorizationCode = searchParams.get('code');
+        if (!pending || !state || !authorizationCode) {
+            return fail('This sign-in was not started in this browser tab, or has already been used.');
+        }
+
+        const callback = { flowToken: pending.flowToken, state, code: authorizationCode };
+
+        if (pending.mode === 'link') {
+            if (!token) {
+                return fail('Sign in to link this account.');
+            }
+
+            api.completeOAuthLink(token, callback)
+                .then(() => router.replace('/profile'))
+                .catch((err) => fail(err instanceof Error ? err.message : 'Failed to link the account'));
+            return;
+        }
+
+        loginWithOAuth(callback)
+            .then((challenge) => {
+                if (challenge) {
+                    setChallengeToken(challenge.challengeToken);
+                    setStatus('two_factor');
+                } else {
+                    router.replace('/dashboard');
+                }
+            })
+            .catch((err) => fail(err instanceof Error ? err.message : 'Failed to sign in'));
+    }, [authLoading, token, searchParams, loginWithOAuth, router]);
+
+    const handleTwoFactor = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsLoading(true);
+        setError('');
+
+        try {
+            await completeTwoFactorLogin(challengeToken, code);
+            router.replace('/dashboard');
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to sign in');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center px-4 py-12">
+            <div className="absolute inset-0 bg-gradient-to-br from-violet-600/5 via-transparent to-indigo-600/5" />
+
+            <div className="relative w-full max-w-md">
+                <div className="text-center mb-8">
+                    <Link href="/" className="inline-flex items-center gap-2">
+                        <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-violet-500 to-indigo-600 flex items-center justify-center">
+                            <GraduationCap className="w-7 h-7 text-white" />
+                        </div>
+                    </Link>
+                    <h1 className="text-2xl font-bold mt-4">{isLinking ? 'Linking your account' : 'Signing in'}</h1>
+                </div>
+
+                <Card className="p-8">
+                    {status === 'working' && (
+                        <div className="text-center">
+                            <Loader2 className="w-10 h-10 text-violet-500 animate-spin mx-auto mb-4" />
+                            <p className="text-gray-400">Just a moment...</p>
+                        </div>
+                    )}
+
+                    {status === 'two_factor' && (
+                        <form onSubmit={handleTwoFactor} className="space-y-5">
+                            {error && (
+                                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                                    {error}
+                                </div>
+                            )}
+
+                            <p className="text-sm text-gray-400">
+                                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                            </p>
+
+                            <Input
+                                label="Authentication code"
+                                placeholder="123456"
+                                value={code}
+                                onChange={(e) => setCode(e.target.value)}
+                                icon={<ShieldCheck className="w-5 h-5" />}
+                                autoComplete="one-time-code"
+                                autoFocus
+                                required
+                            />
+
+                            <Button type="submit" className="w-full" size="lg" isLoading={isLoading}>
+                                Verify
+                            </Button>
+                        </form>
+                    )}
+
+                    {status === 'failed' && (
+                        <div className="text-center">
+                            <XCircle className="w-10 h-10 text-red-400 mx-auto mb-4" />
+                            <p className="text-white font-medium mb-2">
+                                {isLinking ? "We couldn't link your account." : "We couldn't sign you in."}
+                            </p>
+                            <p className="text-sm text-gray-400 mb-6">{error}</p>
+                            <Link href={isLinking ? '/profile' : '/login'}>
+                                <Button variant="outline" className="w-full">
+                                    {isLinking ? 'Back to profile' : 'Back to sign in'}
+                                </Button>
+                            </Link>
+                        </div>
+                    )}
+                </Card>
+            </div>
+        </div>
+    );
+}
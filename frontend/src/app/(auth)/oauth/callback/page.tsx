@@ -0,0 +1,12 @@
+import { Suspense } from 'react';
+import OAuthCallbackClient from './OAuthCallbackClient';
+
+export const dynamic = 'force-dynamic';
+
+export default function OAuthCallbackPage() {
+    return (
+        <Suspense>
+            <OAuthCallbackClient />
+        </Suspense>
+    );
+}
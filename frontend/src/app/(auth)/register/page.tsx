@@ -5,7 +5,8 @@ import Link from 'next/link';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/context/AuthContext';
 import { Button, Input, Card } from '@/components/ui';
-import { Mail, Lock, User, GraduationCap, Sparkles } from 'lucide-react';
+import { OAuthButtons } from '@/components/auth';
+import { Mail, Lock, User, GraduationCap, Sparkles, Gift } from 'lucide-react';
 
 export default function RegisterPage() {
     const router = useRouter();
@@ -17,6 +18,7 @@ export default function RegisterPage() {
         email: '',
         password: '',
         confirmPassword: '',
+        referralCode: '',
     });
     const [error, setError] = useState('');
     const [isLoading, setIsLoading] = useState(false);
@@ -28,6 +30,14 @@ export default function RegisterPage() {
         }
     }, [isAuthenticated, router]);
 
+    // Pre-fill the referral code from an invite link (/register?ref=CODE)
+    React.useEffect(() => {
+        const ref = new URLSearchParams(window.location.search).get('ref');
+        if (ref) {
+            setFormData(prev => ({ ...prev, referralCode: ref.toUpperCase() }));
+        }
+    }, []);
+
     const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
         setFormData(prev => ({
             ...prev,
@@ -57,6 +67,7 @@ export default function RegisterPage() {
                 lastName: formData.lastName,
                 email: formData.email,
                 password: formData.password,
+                referralCode: formData.referralCode.trim() || undefined,
             });
             router.push('/dashboard');
         } catch (err: any) {
@@ -161,6 +172,16 @@ export default function RegisterPage() {
                             required
                         />
 
+                        <Input
+                            type="text"
+                            label="Referral Code (Optional)"
+                            name="referralCode"
+                            placeholder="Got an invite? Enter the code"
+                            value={formData.referralCode}
+                            onChange={handleChange}
+                            icon={<Gift className="w-5 h-5" />}
+                        />
+
                         <Button
                             type="submit"
                             className="w-full"
@@ -171,6 +192,8 @@ export default function RegisterPage() {
                         </Button>
                     </form>
 
+                    <OAuthButtons />
+
                     <p className="text-center text-gray-400 mt-6">
                         Already have an account?{' '}
                         <Link href="/login" className="text-violet-400 hover:text-violet-300 font-medium">
@@ -0,0 +1,121 @@
+'use client';
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import { api } from '@/lib/api';
+import { Button, Input, Card } from '@/components/ui';
+import { CheckCircle, GraduationCap, Lock } from 'lucide-react';
+
+export default function ResetPasswordClient() {
+    const searchParams = useSearchParams();
+    const token = searchParams.get('token');
+
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [isDone, setIsDone] = useState(false);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!token) return;
+
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setError('');
+        setIsLoading(true);
+
+        try {
+            await api.resetPassword(token, password);
+            setIsDone(true);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to reset your password');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center px-4 py-12">
+            <div className="absolute inset-0 bg-gradient-to-br from-violet-600/5 via-transparent to-indigo-600/5" />
+
+            <div className="relative w-full max-w-md">
+                <div className="text-center mb-8">
+                    <Link href="/" className="inline-flex items-center gap-2">
+                        <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-violet-500 to-indigo-600 flex items-center justify-center">
+                            <GraduationCap className="w-7 h-7 text-white" />
+                        </div>
+                    </Link>
+                    <h1 className="text-2xl font-bold mt-4">Choose a new password</h1>
+                    <p className="text-gray-400 mt-1">You&apos;ll be signed out on every device</p>
+                </div>
+
+                <Card className="p-8">
+                    {isDone ? (
+                        <div className="text-center">
+                            <CheckCircle className="w-10 h-10 text-green-400 mx-auto mb-4" />
+                            <p className="text-white font-medium mb-6">Your password has been changed.</p>
+                            <Link href="/login">
+                                <Button className="w-full">Sign in</Button>
+                            </Link>
+                        </div>
+                    ) : !token ? (
+                        <p className="text-center text-gray-400">
+                            This link is missing its reset code.{' '}
+                            <Link href="/forgot-password" className="text-violet-400 hover:text-violet-300 font-medium">
+                                Request a new link
+                            </Link>
+                        </p>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="space-y-5">
+                            {error && (
+                                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                                    {error}
+                                </div>
+                            )}
+
+                            <Input
+                                type="password"
+                                label="New password"
+                                placeholder="••••••••"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                icon={<Lock className="w-5 h-5" />}
+                                minLength={8}
+                                required
+                            />
+
+                            <Input
+                                type="password"
+                                label="Confirm new password"
+                                placeholder="••••••••"
+                                value={confirmPassword}
+                                onChange={(e) => setConfirmPassword(e.target.value)}
+                                icon={<Lock className="w-5 h-5" />}
+                                minLength={8}
+                                required
+                            />
+
+                            <p className="text-xs text-gray-500">At least 8 characters, including a number.</p>
+
+                            <Button type="submit" className="w-full" size="lg" isLoading={isLoading}>
+                                Update Password
+                            </Button>
+
+                            <p className="text-center text-sm text-gray-400">
+                                Link expired?{' '}
+                                <Link href="/forgot-password" className="text-violet-400 hover:text-violet-300 font-medium">
+                                    Request a new one
+                                </Link>
+                            </p>
+                        </form>
+                    )}
+                </Card>
+            </div>
+        </div>
+    );
+}
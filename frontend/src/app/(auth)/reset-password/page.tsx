@@ -0,0 +1,12 @@
+import { Suspense } from 'react';
+import ResetPasswordClient from './ResetPasswordClient';
+
+export const dynamic = 'force-dynamic';
+
+export default function ResetPasswordPage() {
+    return (
+        <Suspense>
+            <ResetPasswordClient />
+        </Suspense>
+    );
+}
@@ -0,0 +1,98 @@
+'use client';
+
+import React, { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import { Button, Card } from '@/components/ui';
+import { CheckCircle, GraduationCap, Loader2, XCircle } from 'lucide-react';
+
+export default function VerifyEmailClient() {
+    const searchParams = useSearchParams();
+    const { isAuthenticated, refreshUser } = useAuth();
+    const token = searchParams.get('token');
+
+    const [status, setStatus] = useState<'verifying' | 'verified' | 'failed'>('verifying');
+    const [error, setError] = useState('');
+    // The effect runs twice in development; a link only needs checking once
+    const requestedRef = useRef(false);
+
+    useEffect(() => {
+        if (requestedRef.current) return;
+        requestedRef.current = true;
+
+        if (!token) {
+            setStatus('failed');
+            setError('This link is missing its verification code.');
+            return;
+        }
+
+        api.verifyEmail(token)
+            .then(() => setStatus('verified'))
+            .catch((err) => {
+                setStatus('failed');
+                setError(err instanceof Error ? err.message : 'Failed to verify your email address');
+            });
+    }, [token]);
+
+    // Show the badge change right away if this browser is signed in
+    useEffect(() => {
+        if (status === 'verified' && isAuthenticated) {
+            refreshUser();
+        }
+    }, [status, isAuthenticated, refreshUser]);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center px-4 py-12">
+            <div className="absolute inset-0 bg-gradient-to-br from-violet-600/5 via-transparent to-indigo-600/5" />
+
+            <div className="relative w-full max-w-md">
+                <div className="text-center mb-8">
+                    <Link href="/" className="inline-flex items-center gap-2">
+                        <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-violet-500 to-indigo-600 flex items-center justify-center">
+                            <GraduationCap className="w-7 h-7 text-white" />
+                        </div>
+                    </Link>
+                    <h1 className="text-2xl font-bold mt-4">Email verification</h1>
+                </div>
+
+                <Card className="p-8 text-center">
+                    {status === 'verifying' && (
+                        <>
+                            <Loader2 className="w-10 h-10 text-violet-500 animate-spin mx-auto mb-4" />
+                            <p className="text-gray-400">Checking your link...</p>
+                        </>
+                    )}
+
+                    {status === 'verified' && (
+                        <>
+                            <CheckCircle className="w-10 h-10 text-green-400 mx-auto mb-4" />
+                            <p className="text-white font-medium mb-6">Your email address is verified.</p>
+                            <Link href={isAuthenticated ? '/dashboard' : '/login'}>
+                                <Button className="w-full">
+                                    {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+                                </Button>
+                            </Link>
+                        </>
+                    )}
+
+                    {status === 'failed' && (
+                        <>
+                            <XCircle className="w-10 h-10 text-red-400 mx-auto mb-4" />
+                            <p className="text-white font-medium mb-2">We couldn&apos;t verify your email address.</p>
+                            <p className="text-sm text-gray-400 mb-6">
+                                {error} You can send a new link from your dashboard.
+                            </p>
+                            <Link href={isAuthenticated ? '/dashboard' : '/login'}>
+                                <Button variant="outline" className="w-full">
+                                    {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+                                </Button>
+                            </Link>
+                        </>
+                    )}
+                </Card>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,12 @@
+import { Suspense } from 'react';
+import VerifyEmailClient from './VerifyEmailClient';
+
+export const dynamic = 'force-dynamic';
+
+export default function VerifyEmailPage() {
+    return (
+        <Suspense>
+            <VerifyEmailClient />
+        </Suspense>
+    );
+}
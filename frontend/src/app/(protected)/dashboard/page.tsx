@@ -4,16 +4,24 @@ import React, { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/context/AuthContext';
 import { api } from '@/lib/api';
-import { WalletCard, StatsCard, UpcomingSessions } from '@/components/dashboard';
+import { WalletCard, StatsCard, UpcomingSessions, VerifyEmailBanner } from '@/components/dashboard';
 import { Card, Button, Badge } from '@/components/ui';
 import { Plus, BookOpen, ArrowRight } from 'lucide-react';
 import Link from 'next/link';
+import { ExpiringCredits } from '@/types';
 
 export default function DashboardPage() {
     const router = useRouter();
     const { user, token, isLoading: authLoading, isAuthenticated } = useAuth();
 
-    const [walletData, setWalletData] = useState({ currentBalance: 0, totalEarned: 0, totalSpent: 0 });
+    const [walletData, setWalletData] = useState<{
+        currentBalance: number;
+        heldBalance: number;
+        totalEarned: number;
+        totalSpent: number;
+        totalExpired: number;
+        expiringCredits: ExpiringCredits[];
+    }>({ currentBalance: 0, heldBalance: 0, totalEarned: 0, totalSpent: 0, totalExpired: 0, expiringCredits: [] });
     const [upcomingSessions, setUpcomingSessions] = useState<any[]>([]);
     const [isLoading, setIsLoading] = useState(true);
 
@@ -68,6 +76,8 @@ export default function DashboardPage() {
                 </p>
             </div>
 
+            <VerifyEmailBanner />
+
             {/* Quick Actions */}
             <div className="flex flex-wrap gap-3 mb-8">
                 <Link href="/marketplace">
@@ -90,8 +100,11 @@ export default function DashboardPage() {
                 <div className="lg:col-span-1 space-y-6">
                     <WalletCard
                         balance={user.creditBalance}
+                        heldBalance={walletData.heldBalance}
+                        expiringCredits={walletData.expiringCredits}
                         totalEarned={walletData.totalEarned}
                         totalSpent={walletData.totalSpent}
+                        totalExpired={walletData.totalExpired}
                     />
 
                     <StatsCard
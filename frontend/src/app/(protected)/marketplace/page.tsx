@@ -4,7 +4,7 @@ import React, { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/context/AuthContext';
 import { api } from '@/lib/api';
-import { TutorList, BookSessionModal } from '@/components/marketplace';
+import { TutorList, BookSessionModal, GroupSessionsPanel } from '@/components/marketplace';
 import { Input, Select, Card } from '@/components/ui';
 import { Search, SlidersHorizontal, Mic, MicOff, Loader2 } from 'lucide-react';
 import { SKILL_CATEGORIES, PROFICIENCY_LEVELS } from '@/types';
@@ -179,6 +179,8 @@ export default function MarketplacePage() {
                 )}
             </Card>
 
+            <GroupSessionsPanel />
+
             {/* Results */}
             <TutorList
                 tutors={tutors}
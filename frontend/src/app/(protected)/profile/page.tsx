@@ -5,6 +5,7 @@ import { useRouter } from 'next/navigation';
 import { useAuth } from '@/context/AuthContext';
 import { api } from '@/lib/api';
 import { Card, Button, Input, Select, Avatar, Badge, Modal } from '@/components/ui';
+import { AvailabilityCard, DevicesCard, LinkedAccountsCard, TwoFactorCard } from '@/components/profile';
 import {
     User,
     BookOpen,
@@ -14,7 +15,43 @@ import {
     Star,
     Edit
 } from 'lucide-react';
-import { SKILL_CATEGORIES, PROFICIENCY_LEVELS } from '@/types';
+import { SKILL_CATEGORIES, PROFICIENCY_LEVELS, RATE_RANGES, MAX_DISCOUNT_PERCENT, SESSION_DURATIONS, SkillPricing } from '@/types';
+
+type Proficiency = (typeof PROFICIENCY_LEVELS)[number];
+
+const emptySkill = () => ({
+    name: '',
+    category: SKILL_CATEGORIES[0] as string,
+    proficiency: PROFICIENCY_LEVELS[0] as Proficiency,
+    description: '',
+    hourlyRate: RATE_RANGES[PROFICIENCY_LEVELS[0]].min,
+    firstSessionDiscount: 0,
+    offPeakDiscount: 0,
+    offPeakStartHour: 22,
+    offPeakEndHour: 6,
+    offerPackage: false,
+    packageSessions: 5,
+    packagePaidSessions: 4,
+    packageDuration: 60,
+});
+
+// Only send the pricing rules the tutor actually turned on
+const buildPricing = (skill: ReturnType<typeof emptySkill>): SkillPricing => ({
+    firstSessionDiscount: skill.firstSessionDiscount,
+    offPeak: {
+        discount: skill.offPeakDiscount,
+        startHour: skill.offPeakStartHour,
+        endHour: skill.offPeakEndHour,
+    },
+    packages: skill.offerPackage
+        ? [{ sessions: skill.packageSessions, paidSessions: skill.packagePaidSessions, duration: skill.packageDuration }]
+        : [],
+});
+
+const HOUR_OPTIONS = Array.from({ length: 24 }, (_, hour) => ({
+    value: String(hour),
+    label: `${String(hour).padStart(2, '0')}:00`,
+}));
 
 export default function ProfilePage() {
     const router = useRouter();
@@ -22,19 +59,15 @@ export default function ProfilePage() {
 
     const [isAddSkillOpen, setIsAddSkillOpen] = useState(false);
     const [isEditProfileOpen, setIsEditProfileOpen] = useState(false);
-    const [newSkill, setNewSkill] = useState({
-        name: '',
-        category: SKILL_CATEGORIES[0],
-        proficiency: PROFICIENCY_LEVELS[0],
-        description: '',
-        hourlyRate: 1,
-    });
+    const [newSkill, setNewSkill] = useState(emptySkill);
     const [profileData, setProfileData] = useState({
         firstName: '',
         lastName: '',
         bio: '',
     });
     const [isLoading, setIsLoading] = useState(false);
+    // Off-peak hours are the tutor's local hours, in their availability timezone
+    const offPeakTimeZone = user?.availability?.timezone || 'UTC';
 
     React.useEffect(() => {
         if (!authLoading && !isAuthenticated) {
@@ -58,16 +91,17 @@ export default function ProfilePage() {
 
         setIsLoading(true);
         try {
-            await api.addTeachingSkill(token, newSkill);
+            await api.addTeachingSkill(token, {
+                name: newSkill.name,
+                category: newSkill.category,
+                proficiency: newSkill.proficiency,
+                description: newSkill.description,
+                hourlyRate: newSkill.hourlyRate,
+                pricing: buildPricing(newSkill),
+            });
             await refreshUser();
             setIsAddSkillOpen(false);
-            setNewSkill({
-                name: '',
-                category: SKILL_CATEGORIES[0],
-                proficiency: PROFICIENCY_LEVELS[0],
-                description: '',
-                hourlyRate: 1,
-            });
+            setNewSkill(emptySkill());
         } catch (error: any) {
             alert(error.message || 'Failed to add skill');
         } finally {
@@ -192,6 +226,23 @@ export default function ProfilePage() {
                                             <span>•</span>
                                             <span className="text-amber-400">{skill.hourlyRate} credits/hr</span>
                                         </div>
+                                        {(!!skill.pricing?.firstSessionDiscount || !!skill.pricing?.offPeak?.discount || !!skill.pricing?.packages?.length) && (
+                                            <div className="flex flex-wrap gap-2 mt-2">
+                                                {!!skill.pricing?.firstSessionDiscount && (
+                                                    <Badge className="bg-green-500/20 text-green-400 border-green-500/30">{skill.pricing.firstSessionDiscount}% off first session</Badge>
+                                                )}
+                                                {!!skill.pricing?.offPeak?.discount && (
+                                                    <Badge className="bg-blue-500/20 text-blue-400 border-blue-500/30">
+                                                        {skill.pricing.offPeak.discount}% off {String(skill.pricing.offPeak.startHour).padStart(2, '0')}:00-{String(skill.pricing.offPeak.endHour).padStart(2, '0')}:00 {offPeakTimeZone}
+                                                    </Badge>
+                                                )}
+                                                {skill.pricing?.packages?.map((offer) => (
+                                                    <Badge key={offer._id} className="bg-amber-500/20 text-amber-400 border-amber-500/30">
+                                                        {offer.sessions} for {offer.paidSessions}
+                                                    </Badge>
+                                                ))}
+                                            </div>
+                                        )}
                                         {skill.description && (
                                             <p className="text-sm text-gray-400 mt-2">{skill.description}</p>
                                         )}
@@ -237,6 +288,15 @@ export default function ProfilePage() {
                 </Card>
             </div>
 
+            {/* Weekly availability (only matters once there is something to teach) */}
+            {(user.teachingSkills || []).length > 0 && <AvailabilityCard />}
+
+            <TwoFactorCard />
+
+            <LinkedAccountsCard />
+
+            <DevicesCard />
+
             {/* Add Skill Modal */}
             <Modal
                 isOpen={isAddSkillOpen}
@@ -262,7 +322,16 @@ export default function ProfilePage() {
                     <Select
                         label="Proficiency Level"
                         value={newSkill.proficiency}
-                        onChange={(e) => setNewSkill(prev => ({ ...prev, proficiency: e.target.value as any }))}
+                        onChange={(e) => {
+                            const proficiency = e.target.value as Proficiency;
+                            const range = RATE_RANGES[proficiency];
+                            // Keep the rate inside the new level's range
+                            setNewSkill(prev => ({
+                                ...prev,
+                                proficiency,
+                                hourlyRate: Math.min(range.max, Math.max(range.min, prev.hourlyRate)),
+                            }));
+                        }}
                         options={PROFICIENCY_LEVELS.map(p => ({ value: p, label: p }))}
                     />
 
@@ -272,19 +341,93 @@ export default function ProfilePage() {
                         </label>
                         <input
                             type="range"
-                            min="1"
-                            max="5"
+                            min={RATE_RANGES[newSkill.proficiency].min}
+                            max={RATE_RANGES[newSkill.proficiency].max}
                             step="0.5"
                             value={newSkill.hourlyRate}
                             onChange={(e) => setNewSkill(prev => ({ ...prev, hourlyRate: Number(e.target.value) }))}
                             className="w-full accent-violet-500"
                         />
                         <div className="flex justify-between text-xs text-gray-500 mt-1">
-                            <span>1 credit</span>
-                            <span>5 credits</span>
+                            <span>{RATE_RANGES[newSkill.proficiency].min} credits</span>
+                            <span>{RATE_RANGES[newSkill.proficiency].max} credits</span>
                         </div>
                     </div>
 
+                    {/* Optional pricing rules */}
+                    <div className="space-y-4 p-4 rounded-xl bg-gray-800/30 border border-gray-700/50">
+                        <p className="text-sm font-medium text-gray-300">Discounts &amp; Packages (Optional)</p>
+
+                        <Input
+                            type="number"
+                            label="First session discount (%)"
+                            min={0}
+                            max={MAX_DISCOUNT_PERCENT}
+                            value={newSkill.firstSessionDiscount}
+                            onChange={(e) => setNewSkill(prev => ({ ...prev, firstSessionDiscount: Number(e.target.value) }))}
+                        />
+
+                        <div className="grid grid-cols-3 gap-3">
+                            <Input
+                                type="number"
+                                label="Off-peak (%)"
+                                min={0}
+                                max={MAX_DISCOUNT_PERCENT}
+                                value={newSkill.offPeakDiscount}
+                                onChange={(e) => setNewSkill(prev => ({ ...prev, offPeakDiscount: Number(e.target.value) }))}
+                            />
+                            <Select
+                                label={`From (${offPeakTimeZone})`}
+                                value={String(newSkill.offPeakStartHour)}
+                                onChange={(e) => setNewSkill(prev => ({ ...prev, offPeakStartHour: Number(e.target.value) }))}
+                                options={HOUR_OPTIONS}
+                            />
+                            <Select
+                                label={`To (${offPeakTimeZone})`}
+                                value={String(newSkill.offPeakEndHour)}
+                                onChange={(e) => setNewSkill(prev => ({ ...prev, offPeakEndHour: Number(e.target.value) }))}
+                                options={HOUR_OPTIONS}
+                            />
+                        </div>
+
+                        <label className="flex items-center gap-2 text-sm text-gray-300">
+                            <input
+                                type="checkbox"
+                                checked={newSkill.offerPackage}
+                                onChange={(e) => setNewSkill(prev => ({ ...prev, offerPackage: e.target.checked }))}
+                                className="accent-violet-500"
+                            />
+                            Offer a prepaid package
+                        </label>
+
+                        {newSkill.offerPackage && (
+                            <div className="grid grid-cols-3 gap-3">
+                                <Input
+                                    type="number"
+                                    label="Sessions"
+                                    min={2}
+                                    max={20}
+                                    value={newSkill.packageSessions}
+                                    onChange={(e) => setNewSkill(prev => ({ ...prev, packageSessions: Number(e.target.value) }))}
+                                />
+                                <Input
+                                    type="number"
+                                    label="Price of"
+                                    min={1}
+                                    max={newSkill.packageSessions - 1}
+                                    value={newSkill.packagePaidSessions}
+                                    onChange={(e) => setNewSkill(prev => ({ ...prev, packagePaidSessions: Number(e.target.value) }))}
+                                />
+                                <Select
+                                    label="Length"
+                                    value={String(newSkill.packageDuration)}
+                                    onChange={(e) => setNewSkill(prev => ({ ...prev, packageDuration: Number(e.target.value) }))}
+                                    options={SESSION_DURATIONS.map((d) => ({ value: String(d.value), label: d.label }))}
+                                />
+                            </div>
+                        )}
+                    </div>
+
                     <div>
                         <label className="block text-sm font-medium text-gray-300 mb-2">
                             Description (Optional)
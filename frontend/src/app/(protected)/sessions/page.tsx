@@ -4,11 +4,30 @@ import React, { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/context/AuthContext';
 import { api } from '@/lib/api';
-import { SessionList } from '@/components/sessions';
+import { CalendarFeedModal, HostGroupSessionModal, RescheduleModal, SessionList, WaitlistPanel } from '@/components/sessions';
 import { Button, Card, Select } from '@/components/ui';
-import { Calendar, Clock, BookOpen, GraduationCap } from 'lucide-react';
+import { Calendar, CalendarPlus, Clock, BookOpen, GraduationCap, AlertTriangle, Users } from 'lucide-react';
+import { formatCredits } from '@/lib/utils';
+import { CancellationPreview, Session } from '@/types';
 
-type TabType = 'upcoming' | 'past' | 'teaching' | 'learning';
+type TabType = 'upcoming' | 'past' | 'teaching' | 'learning' | 'disputed';
+
+function describeCancellation(preview: CancellationPreview): string {
+    const { policy } = preview;
+    switch (preview.outcome) {
+        case 'partial_refund':
+            return `This session starts within ${policy.FULL_REFUND_WINDOW_HOURS} hours. ` +
+                `Only ${formatCredits(preview.refundAmount)} credits will be refunded and ` +
+                `${formatCredits(preview.penaltyAmount)} go to the tutor as a late-cancellation fee. Continue?`;
+        case 'tutor_no_show':
+            return `The tutor did not show up. The student is refunded ${formatCredits(preview.refundAmount)} credits ` +
+                `plus a ${formatCredits(preview.bonusAmount)} credit no-show bonus. Continue?`;
+        default:
+            return preview.refundAmount > 0
+                ? `${formatCredits(preview.refundAmount)} credits will be refunded in full. Cancel this session?`
+                : 'Cancel this session?';
+    }
+}
 
 export default function SessionsPage() {
     const router = useRouter();
@@ -18,6 +37,11 @@ export default function SessionsPage() {
     const [isLoading, setIsLoading] = useState(true);
     const [activeTab, setActiveTab] = useState<TabType>('upcoming');
     const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+    const [rescheduling, setRescheduling] = useState<Session | null>(null);
+    const [showCalendarModal, setShowCalendarModal] = useState(false);
+    const [showHostGroupModal, setShowHostGroupModal] = useState(false);
+    // Bumped on every reload so the waitlist picks up slots freed by cancellations
+    const [waitlistKey, setWaitlistKey] = useState(0);
 
     useEffect(() => {
         if (!authLoading && !isAuthenticated) {
@@ -51,6 +75,9 @@ export default function SessionsPage() {
                 case 'learning':
                     params.role = 'student';
                     break;
+                case 'disputed':
+                    params.status = 'disputed';
+                    break;
             }
 
             const response = await api.getMySessions(token, params);
@@ -60,6 +87,7 @@ export default function SessionsPage() {
             console.error('Failed to fetch sessions:', error);
         } finally {
             setIsLoading(false);
+            setWaitlistKey((key) => key + 1);
         }
     };
 
@@ -89,33 +117,162 @@ export default function SessionsPage() {
     const handleCancel = async (sessionId: string) => {
         if (!token) return;
 
+        try {
+            const { data: preview } = await api.previewCancellation(token, sessionId);
+            if (!confirm(describeCancellation(preview))) return;
+        } catch (error) {
+            alert(error instanceof Error ? error.message : 'Failed to cancel session');
+            return;
+        }
+
         const reason = prompt('Please provide a reason for cancellation (optional):');
 
         try {
             await api.cancelSession(token, sessionId, reason || undefined);
             fetchSessions();
+            refreshUser();
         } catch (error: any) {
             alert(error.message || 'Failed to cancel session');
         }
     };
 
+    const handleLeaveGroup = async (sessionId: string) => {
+        if (!token) return;
+        if (!confirm('Give up your seat? It is refunded under the cancellation policy, and the seat opens up for someone else.')) return;
+
+        try {
+            const { data } = await api.withdrawFromGroupSession(token, sessionId);
+            let message = `${formatCredits(data.refundAmount)} credits refunded.`;
+            if (data.penaltyAmount > 0) {
+                message += ` ${formatCredits(data.penaltyAmount)} credits paid to the tutor as a late-cancellation fee.`;
+            }
+            alert(message);
+            fetchSessions();
+            refreshUser();
+        } catch (error) {
+            alert(error instanceof Error ? error.message : 'Failed to give up your seat');
+        }
+    };
+
+    const handleRespondToReschedule = async (target: { sessionId: string } | { seriesId: string }, accept: boolean) => {
+        if (!token) return;
+
+        try {
+            if ('seriesId' in target) {
+                await api.respondToSeriesReschedule(token, target.seriesId, accept);
+            } else {
+                await api.respondToReschedule(token, target.sessionId, accept);
+            }
+            fetchSessions();
+        } catch (error) {
+            alert(error instanceof Error ? error.message : 'Failed to respond to the proposal');
+        }
+    };
+
+    const handleConfirmSeries = async (seriesId: string) => {
+        if (!token) return;
+        if (!confirm('Confirm every pending session in this series?')) return;
+
+        try {
+            const { data } = await api.confirmSeries(token, seriesId);
+            if (data.failed.length > 0) {
+                alert(`${data.confirmed.length} sessions confirmed. ${data.failed.length} could not be confirmed: ${data.failed[0].error}`);
+            }
+            fetchSessions();
+        } catch (error) {
+            alert(error instanceof Error ? error.message : 'Failed to confirm series');
+        }
+    };
+
+    const handleCancelSeries = async (seriesId: string) => {
+        if (!token) return;
+        if (!confirm('Cancel every upcoming session in this series? Each one is refunded under the cancellation policy.')) return;
+
+        const reason = prompt('Please provide a reason for cancellation (optional):');
+
+        try {
+            const { data } = await api.cancelSeries(token, seriesId, reason || undefined);
+            let message = `${data.cancelled.length} sessions cancelled. ${formatCredits(data.refundAmount)} credits refunded.`;
+            if (data.penaltyAmount > 0) {
+                message += ` ${formatCredits(data.penaltyAmount)} credits paid to the tutor in late-cancellation fees.`;
+            }
+            if (data.failed.length > 0) {
+                message += ` ${data.failed.length} could not be cancelled.`;
+            }
+            alert(message);
+            fetchSessions();
+            refreshUser();
+        } catch (error) {
+            alert(error instanceof Error ? error.message : 'Failed to cancel series');
+        }
+    };
+
+    const handleDispute = async (sessionId: string) => {
+        if (!token) return;
+
+        const reason = prompt('What went wrong with this session?');
+        if (!reason) return;
+
+        const evidence = prompt('Add any details or evidence (optional):');
+
+        try {
+            await api.openDispute(token, sessionId, { reason, evidence: evidence || undefined });
+            fetchSessions();
+        } catch (error) {
+            alert(error instanceof Error ? error.message : 'Failed to open dispute');
+        }
+    };
+
+    const handleAddToCalendar = async (session: Session) => {
+        if (!token) return;
+
+        try {
+            const blob = await api.downloadSessionInvite(token, session._id);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `skillvault-session-${session._id}.ics`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            alert(error instanceof Error ? error.message : 'Failed to download calendar invite');
+        }
+    };
+
     const tabs = [
         { id: 'upcoming', label: 'Upcoming', icon: Calendar },
         { id: 'past', label: 'Completed', icon: Clock },
         { id: 'teaching', label: 'As Tutor', icon: GraduationCap },
         { id: 'learning', label: 'As Student', icon: BookOpen },
+        { id: 'disputed', label: 'Disputes', icon: AlertTriangle },
     ];
 
     return (
         <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
             {/* Header */}
-            <div className="mb-8">
-                <h1 className="text-3xl font-bold text-white">Sessions</h1>
-                <p className="text-gray-400 mt-1">
-                    View and manage your tutoring sessions.
-                </p>
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-8">
+                <div>
+                    <h1 className="text-3xl font-bold text-white">Sessions</h1>
+                    <p className="text-gray-400 mt-1">
+                        View and manage your tutoring sessions.
+                    </p>
+                </div>
+                <div className="flex gap-2">
+                    {!!user?.teachingSkills?.length && (
+                        <Button variant="outline" onClick={() => setShowHostGroupModal(true)}>
+                            <Users className="w-4 h-4 mr-2" />
+                            Host Group Session
+                        </Button>
+                    )}
+                    <Button variant="outline" onClick={() => setShowCalendarModal(true)}>
+                        <CalendarPlus className="w-4 h-4 mr-2" />
+                        Calendar Feed
+                    </Button>
+                </div>
             </div>
 
+            <WaitlistPanel refreshKey={waitlistKey} onBooked={fetchSessions} />
+
             {/* Tabs */}
             <div className="flex flex-wrap gap-2 mb-6">
                 {tabs.map((tab) => {
@@ -143,6 +300,13 @@ export default function SessionsPage() {
                 onConfirm={handleConfirm}
                 onComplete={handleComplete}
                 onCancel={handleCancel}
+                onDispute={handleDispute}
+                onReschedule={setRescheduling}
+                onRespondToReschedule={handleRespondToReschedule}
+                onConfirmSeries={handleConfirmSeries}
+                onCancelSeries={handleCancelSeries}
+                onAddToCalendar={handleAddToCalendar}
+                onLeaveGroup={handleLeaveGroup}
                 isLoading={isLoading}
                 emptyMessage={`No ${activeTab} sessions found`}
             />
@@ -153,6 +317,23 @@ export default function SessionsPage() {
                     Showing {sessions.length} of {pagination.total} sessions
                 </p>
             )}
+
+            <RescheduleModal
+                session={rescheduling}
+                onClose={() => setRescheduling(null)}
+                onRescheduled={fetchSessions}
+            />
+
+            <CalendarFeedModal
+                isOpen={showCalendarModal}
+                onClose={() => setShowCalendarModal(false)}
+            />
+
+            <HostGroupSessionModal
+                isOpen={showHostGroupModal}
+                onClose={() => setShowHostGroupModal(false)}
+                onCreated={fetchSessions}
+            />
         </div>
     );
 }
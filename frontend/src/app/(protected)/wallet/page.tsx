@@ -4,7 +4,8 @@ import React, { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/context/AuthContext';
 import { api } from '@/lib/api';
-import { Card, Avatar, Badge } from '@/components/ui';
+import { Card, Avatar, Badge, Button } from '@/components/ui';
+import { SendCreditsModal, ExportStatementModal, RewardsPanel, BalanceHistoryCard } from '@/components/wallet';
 import {
     Sparkles,
     TrendingUp,
@@ -12,19 +13,26 @@ import {
     ArrowUpRight,
     ArrowDownRight,
     Clock,
-    Filter
+    Filter,
+    Lock,
+    Send,
+    Download
 } from 'lucide-react';
-import { formatCredits, formatDateTime, getTransactionTypeColor, getTransactionSign } from '@/lib/utils';
-import { Transaction } from '@/types';
+import { formatCredits, formatDateTime, getTransactionTypeColor, getTransactionSign, isIncomingTransaction } from '@/lib/utils';
+import { Transaction, TransferLimits } from '@/types';
 
 export default function WalletPage() {
     const router = useRouter();
     const { user, token, isLoading: authLoading, isAuthenticated } = useAuth();
 
-    const [walletData, setWalletData] = useState({ currentBalance: 0, totalEarned: 0, totalSpent: 0 });
+    const [walletData, setWalletData] = useState({ currentBalance: 0, availableBalance: 0, heldBalance: 0, totalEarned: 0, totalSpent: 0, totalExpired: 0 });
     const [transactions, setTransactions] = useState<Transaction[]>([]);
     const [isLoading, setIsLoading] = useState(true);
     const [filter, setFilter] = useState('');
+    const [transferLimits, setTransferLimits] = useState<TransferLimits | null>(null);
+    const [showSendModal, setShowSendModal] = useState(false);
+    const [showExportModal, setShowExportModal] = useState(false);
+    const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
 
     useEffect(() => {
         if (!authLoading && !isAuthenticated) {
@@ -49,6 +57,7 @@ export default function WalletPage() {
             ]);
 
             setWalletData(walletRes.data.wallet);
+            setTransferLimits(walletRes.data.transferLimits);
             setTransactions(transactionsRes.data.transactions);
         } catch (error) {
             console.error('Failed to fetch wallet data:', error);
@@ -57,22 +66,37 @@ export default function WalletPage() {
         }
     };
 
+    // After a transfer or redemption, refresh the chart along with the list
+    const handleBalanceChange = () => {
+        fetchData();
+        setHistoryRefreshKey((key) => key + 1);
+    };
+
     const filterOptions = [
         { value: '', label: 'All Transactions' },
         { value: 'credit', label: 'Credits Received' },
         { value: 'debit', label: 'Credits Spent' },
         { value: 'initial', label: 'Welcome Bonus' },
+        { value: 'bonus', label: 'Bonuses' },
         { value: 'refund', label: 'Refunds' },
+        { value: 'hold', label: 'Held in Escrow' },
+        { value: 'release', label: 'Escrow Released' },
     ];
 
     return (
         <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
             {/* Header */}
-            <div className="mb-8">
-                <h1 className="text-3xl font-bold text-white">Wallet</h1>
-                <p className="text-gray-400 mt-1">
-                    Manage your credits and view transaction history.
-                </p>
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-8">
+                <div>
+                    <h1 className="text-3xl font-bold text-white">Wallet</h1>
+                    <p className="text-gray-400 mt-1">
+                        Manage your credits and view transaction history.
+                    </p>
+                </div>
+                <Button onClick={() => setShowSendModal(true)}>
+                    <Send className="w-4 h-4 mr-2" />
+                    Send Credits
+                </Button>
             </div>
 
             {/* Balance Overview */}
@@ -84,12 +108,18 @@ export default function WalletPage() {
                             <div className="p-2.5 rounded-xl bg-gradient-to-br from-amber-500 to-orange-500">
                                 <Sparkles className="w-5 h-5 text-white" />
                             </div>
-                            <span className="text-gray-400 text-sm">Current Balance</span>
+                            <span className="text-gray-400 text-sm">Available Balance</span>
                         </div>
                         <p className="text-4xl font-bold text-white">
-                            {formatCredits(user?.creditBalance || 0)}
+                            {formatCredits(walletData.availableBalance ?? user?.creditBalance ?? 0)}
                         </p>
                         <p className="text-gray-500 text-sm mt-1">Time Credits</p>
+                        {walletData.heldBalance > 0 && (
+                            <p className="flex items-center gap-1.5 text-amber-400 text-sm mt-2">
+                                <Lock className="w-3.5 h-3.5" />
+                                {formatCredits(walletData.heldBalance)} held for booked sessions
+                            </p>
+                        )}
                     </div>
                 </Card>
 
@@ -116,10 +146,19 @@ export default function WalletPage() {
                     <p className="text-3xl font-bold text-red-400">
                         -{formatCredits(walletData.totalSpent)}
                     </p>
-                    <p className="text-gray-500 text-sm mt-1">On learning sessions</p>
+                    <p className="text-gray-500 text-sm mt-1">
+                        On learning sessions
+                        {walletData.totalExpired > 0 && ` · ${formatCredits(walletData.totalExpired)} credits expired`}
+                    </p>
                 </Card>
             </div>
 
+            {/* Balance chart and breakdowns */}
+            <BalanceHistoryCard refreshKey={historyRefreshKey} />
+
+            {/* Promo codes and referrals */}
+            <RewardsPanel onRedeemed={handleBalanceChange} />
+
             {/* Transaction History */}
             <Card>
                 <div className="flex items-center justify-between mb-6">
@@ -138,6 +177,14 @@ export default function WalletPage() {
                                 </option>
                             ))}
                         </select>
+                        <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => setShowExportModal(true)}
+                        >
+                            <Download className="w-4 h-4 mr-1.5" />
+                            Export
+                        </Button>
                     </div>
                 </div>
 
@@ -166,11 +213,11 @@ export default function WalletPage() {
                                 key={tx._id}
                                 className="flex items-center gap-4 p-4 rounded-xl bg-gray-800/30 hover:bg-gray-800/50 transition-colors"
                             >
-                                <div className={`p-2.5 rounded-full ${tx.type === 'credit' || tx.type === 'initial' || tx.type === 'bonus' || tx.type === 'refund'
+                                <div className={`p-2.5 rounded-full ${isIncomingTransaction(tx.type)
                                         ? 'bg-green-500/20'
                                         : 'bg-red-500/20'
                                     }`}>
-                                    {tx.type === 'credit' || tx.type === 'initial' || tx.type === 'bonus' || tx.type === 'refund' ? (
+                                    {isIncomingTransaction(tx.type) ? (
                                         <ArrowDownRight className="w-5 h-5 text-green-400" />
                                     ) : (
                                         <ArrowUpRight className="w-5 h-5 text-red-400" />
@@ -178,8 +225,16 @@ export default function WalletPage() {
                                 </div>
 
                                 <div className="flex-1 min-w-0">
-                                    <p className="text-white font-medium truncate">{tx.description}</p>
+                                    <div className="flex items-center gap-2">
+                                        <p className="text-white font-medium truncate">{tx.description}</p>
+                                        {tx.status === 'reversed' && (
+                                            <Badge variant="status" status="reversed">Reversed</Badge>
+                                        )}
+                                    </div>
                                     <p className="text-sm text-gray-500">{formatDateTime(tx.createdAt)}</p>
+                                    {tx.metadata?.memo && (
+                                        <p className="text-xs text-gray-400 italic truncate">&ldquo;{tx.metadata.memo}&rdquo;</p>
+                                    )}
                                 </div>
 
                                 {tx.counterparty && typeof tx.counterparty === 'object' && (
@@ -204,6 +259,19 @@ export default function WalletPage() {
                     </div>
                 )}
             </Card>
+
+            <SendCreditsModal
+                isOpen={showSendModal}
+                onClose={() => setShowSendModal(false)}
+                availableBalance={walletData.availableBalance ?? user?.creditBalance ?? 0}
+                limits={transferLimits}
+                onSuccess={handleBalanceChange}
+            />
+
+            <ExportStatementModal
+                isOpen={showExportModal}
+                onClose={() => setShowExportModal(false)}
+            />
         </div>
     );
 }
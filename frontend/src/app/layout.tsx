@@ -3,6 +3,7 @@ import { Inter } from "next/font/google";
 import "./globals.css";
 import { AuthProvider } from "@/context/AuthContext";
 import { SocketProvider } from "@/context/SocketContext";
+import { StepUpProvider } from "@/context/StepUpContext";
 import { Navbar } from "@/components/layout";
 
 const inter = Inter({ subsets: ["latin"] });
@@ -22,12 +23,14 @@ export default function RootLayout({
     <html lang="en" suppressHydrationWarning>
       <body className={`${inter.className} bg-gray-950 text-white antialiased`} suppressHydrationWarning>
         <AuthProvider>
-          <SocketProvider>
-            <Navbar />
-            <main className="pt-16 min-h-screen">
-              {children}
-            </main>
-          </SocketProvider>
+          <StepUpProvider>
+            <SocketProvider>
+              <Navbar />
+              <main className="pt-16 min-h-screen">
+                {children}
+              </main>
+            </SocketProvider>
+          </StepUpProvider>
         </AuthProvider>
       </body>
     </html>
@@ -0,0 +1,67 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Button } from '@/components/ui';
+import { api } from '@/lib/api';
+import { redirectToProvider } from '@/lib/oauth';
+import { OAuthProvider } from '@/types';
+
+// "Continue with Google" and the like, for whichever providers are set up
+export function OAuthButtons() {
+    const [providers, setProviders] = useState<OAuthProvider[]>([]);
+    const [busyId, setBusyId] = useState('');
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        api.getOAuthProviders()
+            .then((res) => setProviders(res.data.providers))
+            .catch((err) => console.error('Failed to load sign-in providers:', err));
+    }, []);
+
+    const handleStart = async (provider: OAuthProvider) => {
+        setBusyId(provider.id);
+        setError('');
+
+        try {
+            const res = await api.startOAuth(provider.id);
+            redirectToProvider(res.data, 'login');
+        } catch (err) {
+            setError(err instanceof Error ? err.message : `Failed to continue with ${provider.name}`);
+            setBusyId('');
+        }
+    };
+
+    if (providers.length === 0) return null;
+
+    return (
+        <div className="mt-6">
+            <div className="flex items-center gap-3 mb-4">
+                <div className="flex-1 h-px bg-gray-700" />
+                <span className="text-sm text-gray-500">or continue with</span>
+                <div className="flex-1 h-px bg-gray-700" />
+            </div>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm mb-4">
+                    {error}
+                </div>
+            )}
+
+            <div className="space-y-3">
+                {providers.map((provider) => (
+                    <Button
+                        key={provider.id}
+                        type="button"
+                        variant="outline"
+                        className="w-full"
+                        onClick={() => handleStart(provider)}
+                        isLoading={busyId === provider.id}
+                        disabled={!!busyId && busyId !== provider.id}
+                    >
+                        {provider.name}
+                    </Button>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1 @@
+export { OAuthButtons } from './OAuthButtons';
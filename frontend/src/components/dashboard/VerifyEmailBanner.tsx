@@ -0,0 +1,44 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Button } from '@/components/ui';
+import { MailWarning } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+
+// Shown until the user follows the link emailed at sign-up
+export function VerifyEmailBanner() {
+    const { user, token } = useAuth();
+    const [message, setMessage] = useState('');
+    const [isSending, setIsSending] = useState(false);
+
+    if (!user || user.isVerified !== false) return null;
+
+    const handleResend = async () => {
+        if (!token) return;
+
+        setIsSending(true);
+        try {
+            const res = await api.resendVerification(token);
+            setMessage(res.message);
+        } catch (err) {
+            setMessage(err instanceof Error ? err.message : 'Failed to send the verification email');
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-3 p-4 mb-8 rounded-xl bg-amber-500/10 border border-amber-500/20">
+            <MailWarning className="w-5 h-5 text-amber-400 shrink-0" />
+            <p className="flex-1 min-w-0 text-sm text-amber-200">
+                {message || `Confirm your email address (${user.email}) using the link we sent you.`}
+            </p>
+            {!message && (
+                <Button size="sm" variant="outline" onClick={handleResend} isLoading={isSending}>
+                    Resend link
+                </Button>
+            )}
+        </div>
+    );
+}
@@ -2,16 +2,20 @@
 
 import React from 'react';
 import { Card } from '@/components/ui';
-import { Sparkles, TrendingUp, TrendingDown, Clock, Star } from 'lucide-react';
-import { formatCredits } from '@/lib/utils';
+import { Sparkles, TrendingUp, TrendingDown, Clock, Star, Lock, Hourglass } from 'lucide-react';
+import { formatCredits, formatDate } from '@/lib/utils';
+import { ExpiringCredits } from '@/types';
 
 interface WalletCardProps {
     balance: number;
+    heldBalance?: number;
+    expiringCredits?: ExpiringCredits[];
     totalEarned: number;
     totalSpent: number;
+    totalExpired?: number;
 }
 
-export function WalletCard({ balance, totalEarned, totalSpent }: WalletCardProps) {
+export function WalletCard({ balance, heldBalance = 0, expiringCredits = [], totalEarned, totalSpent, totalExpired = 0 }: WalletCardProps) {
     return (
         <Card className="relative overflow-hidden">
             {/* Background gradient */}
@@ -27,9 +31,29 @@ export function WalletCard({ balance, totalEarned, totalSpent }: WalletCardProps
                         <p className="text-3xl font-bold text-white">
                             {formatCredits(balance)} <span className="text-lg text-gray-400">Credits</span>
                         </p>
+                        {heldBalance > 0 && (
+                            <p className="flex items-center gap-1 text-xs text-amber-400 mt-1">
+                                <Lock className="w-3 h-3" />
+                                {formatCredits(heldBalance)} held in escrow
+                            </p>
+                        )}
                     </div>
                 </div>
 
+                {expiringCredits.length > 0 && (
+                    <div className="mb-4 space-y-1">
+                        {expiringCredits.map((grant, i) => (
+                            <p
+                                key={`${grant.expiresAt}-${i}`}
+                                className="flex items-center gap-1.5 text-xs text-orange-400"
+                            >
+                                <Hourglass className="w-3 h-3" />
+                                {formatCredits(grant.amount)} credits expire on {formatDate(grant.expiresAt)}
+                            </p>
+                        ))}
+                    </div>
+                )}
+
                 <div className="grid grid-cols-2 gap-4">
                     <div className="flex items-center gap-3 p-3 rounded-xl bg-green-500/10 border border-green-500/20">
                         <TrendingUp className="w-5 h-5 text-green-400" />
@@ -46,6 +70,13 @@ export function WalletCard({ balance, totalEarned, totalSpent }: WalletCardProps
                         </div>
                     </div>
                 </div>
+
+                {totalExpired > 0 && (
+                    <p className="flex items-center gap-1.5 text-xs text-gray-500 mt-3">
+                        <Hourglass className="w-3 h-3" />
+                        {formatCredits(totalExpired)} credits expired unspent
+                    </p>
+                )}
             </div>
         </Card>
     );
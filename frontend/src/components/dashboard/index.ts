@@ -1,2 +1,3 @@
 export { WalletCard, StatsCard } from './WalletCard';
 export { UpcomingSessions } from './UpcomingSessions';
+export { VerifyEmailBanner } from './VerifyEmailBanner';
@@ -1,12 +1,25 @@
 'use client';
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Button, Input, Select, Modal, Card, Avatar, Badge } from '@/components/ui';
-import { Calendar, Clock, MessageSquare, Sparkles } from 'lucide-react';
+import { AlertTriangle, Calendar, Clock, Hourglass, MessageSquare, Package, Repeat, Sparkles } from 'lucide-react';
+import { SlotPicker } from './SlotPicker';
 import { useAuth } from '@/context/AuthContext';
 import { api } from '@/lib/api';
-import { SKILL_CATEGORIES, SESSION_DURATIONS, TeachingSkill } from '@/types';
-import { formatCredits } from '@/lib/utils';
+import {
+    SKILL_CATEGORIES,
+    SESSION_DURATIONS,
+    SERIES_MAX_OCCURRENCES,
+    SERIES_MIN_OCCURRENCES,
+    PackageOffer,
+    Recurrence,
+    RecurrenceFrequency,
+    SeriesQuote,
+    SessionPackage,
+    SessionQuote,
+    TeachingSkill,
+} from '@/types';
+import { formatCredits, formatDate, formatDuration, formatTime, toDateInput, zonedInputToDate } from '@/lib/utils';
 
 interface Tutor {
     id: string;
@@ -24,20 +37,163 @@ interface BookSessionModalProps {
     onSuccess?: () => void;
 }
 
+// Same rounding as the server's package pricing
+const priceOffer = (skill: TeachingSkill, offer: PackageOffer) =>
+    offer.paidSessions * Math.round((offer.duration / 60) * skill.hourlyRate * 100) / 100;
+
+const REPEAT_OPTIONS = [
+    { value: 'none', label: 'Does not repeat' },
+    { value: 'weekly', label: 'Every week' },
+    { value: 'biweekly', label: 'Every 2 weeks' },
+];
+
 export function BookSessionModal({ isOpen, onClose, tutor, onSuccess }: BookSessionModalProps) {
-    const { token, user, updateBalance } = useAuth();
+    const { token, user, refreshUser } = useAuth();
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState(false);
 
     const [selectedSkill, setSelectedSkill] = useState<TeachingSkill | null>(null);
-    const [date, setDate] = useState('');
-    const [time, setTime] = useState('');
+    // Start of the chosen slot (ISO)
+    const [scheduledAt, setScheduledAt] = useState('');
     const [duration, setDuration] = useState(60);
     const [notes, setNotes] = useState('');
 
-    const creditCost = selectedSkill ? (duration / 60) * selectedSkill.hourlyRate : 0;
-    const hasEnoughCredits = user && user.creditBalance >= creditCost;
+    // Prepaid packages the student already holds with this tutor
+    const [packages, setPackages] = useState<SessionPackage[]>([]);
+    const [packageId, setPackageId] = useState('');
+    const [buyingOfferId, setBuyingOfferId] = useState('');
+
+    // Recurring series: repeat until a number of sessions or an end date
+    const [repeat, setRepeat] = useState<'none' | RecurrenceFrequency>('none');
+    const [endType, setEndType] = useState<'count' | 'until'>('count');
+    const [occurrences, setOccurrences] = useState(4);
+    const [until, setUntil] = useState('');
+
+    // Waitlist: a slot the tutor turned out to be busy at, and the result of joining
+    const [waitlistSlot, setWaitlistSlot] = useState('');
+    const [isJoiningWaitlist, setIsJoiningWaitlist] = useState(false);
+    const [waitlistMessage, setWaitlistMessage] = useState('');
+
+    const [quote, setQuote] = useState<SessionQuote | null>(null);
+    const [seriesQuote, setSeriesQuote] = useState<SeriesQuote | null>(null);
+    const [isQuoting, setIsQuoting] = useState(false);
+
+    const skillPackages = selectedSkill
+        ? packages.filter((p) => p.skill.name === selectedSkill.name && p.skill.category === selectedSkill.category)
+        : [];
+    const packageOffers = selectedSkill?.pricing?.packages || [];
+
+    const recurrence: Recurrence | null = repeat === 'none'
+        ? null
+        : endType === 'count'
+            ? { frequency: repeat, occurrences }
+            // The last day ends at midnight in the student's zone, not UTC's
+            : until ? { frequency: repeat, until: zonedInputToDate(until, '23:59').toISOString() } : null;
+    // Stable effect dependency for the recurrence object
+    const recurrenceKey = recurrence ? JSON.stringify(recurrence) : '';
+    const activeQuote = repeat === 'none' ? quote : seriesQuote;
+
+    const chargedNow = activeQuote ? activeQuote.chargedNow : 0;
+    const hasEnoughCredits = !!user && user.creditBalance >= chargedNow;
+    const hasConflicts = !!seriesQuote && seriesQuote.conflicts.length > 0;
+
+    useEffect(() => {
+        if (!isOpen || !tutor || !token) return;
+
+        api.getMyPackages(token, { tutorId: tutor.id, status: 'active' })
+            .then((res) => setPackages(res.data.packages))
+            .catch((err) => console.error('Failed to fetch packages:', err));
+    }, [isOpen, tutor, token]);
+
+    // Re-quote whenever the booking changes; the server applies the discounts
+    useEffect(() => {
+        if (!tutor || !token || !selectedSkill || !scheduledAt || (repeat !== 'none' && !recurrenceKey)) {
+            setQuote(null);
+            setSeriesQuote(null);
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            setIsQuoting(true);
+            const data = {
+                tutorId: tutor.id,
+                skillName: selectedSkill.name,
+                skillCategory: selectedSkill.category,
+                scheduledAt,
+                duration,
+                packageId: packageId || undefined,
+            };
+            try {
+                if (recurrenceKey) {
+                    const response = await api.getSeriesQuote(token, { ...data, recurrence: JSON.parse(recurrenceKey) });
+                    if (!cancelled) setSeriesQuote(response.data.quote);
+                } else {
+                    const response = await api.getSessionQuote(token, data);
+                    if (!cancelled) setQuote(response.data.quote);
+                }
+                if (!cancelled) setError('');
+            } catch (err) {
+                if (!cancelled) {
+                    setQuote(null);
+                    setSeriesQuote(null);
+                    setError(err instanceof Error ? err.message : 'Failed to price session');
+                }
+            } finally {
+                if (!cancelled) setIsQuoting(false);
+            }
+        }, 300);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [tutor, token, selectedSkill, scheduledAt, duration, packageId, repeat, recurrenceKey]);
+
+    const handleSelectSkill = (skill: TeachingSkill) => {
+        setSelectedSkill(skill);
+        setPackageId('');
+    };
+
+    // A slot that fits one length may not fit another
+    const handleChangeDuration = (minutes: number) => {
+        if (minutes !== duration) {
+            setDuration(minutes);
+            setScheduledAt('');
+        }
+    };
+
+    const handleUsePackage = (sessionPackage: SessionPackage | null) => {
+        setPackageId(sessionPackage ? sessionPackage._id : '');
+        if (sessionPackage) {
+            handleChangeDuration(sessionPackage.duration);
+        }
+    };
+
+    const handleBuyPackage = async (offer: PackageOffer) => {
+        if (!tutor || !selectedSkill || !token || !offer._id) return;
+
+        setBuyingOfferId(offer._id);
+        setError('');
+
+        try {
+            const response = await api.purchasePackage(token, {
+                tutorId: tutor.id,
+                skillName: selectedSkill.name,
+                skillCategory: selectedSkill.category,
+                offerId: offer._id,
+            });
+            const bought = response.data.package;
+            setPackages((prev) => [bought, ...prev]);
+            handleUsePackage(bought);
+            await refreshUser();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to buy package');
+        } finally {
+            setBuyingOfferId('');
+        }
+    };
 
     const handleSubmit = async (e: React.FormEvent) => {
         e.preventDefault();
@@ -47,9 +203,7 @@ export function BookSessionModal({ isOpen, onClose, tutor, onSuccess }: BookSess
         setError('');
 
         try {
-            const scheduledAt = new Date(`${date}T${time}`).toISOString();
-
-            const response = await api.bookSession(token, {
+            const booking = {
                 tutorId: tutor.id,
                 skillName: selectedSkill.name,
                 skillCategory: selectedSkill.category,
@@ -57,66 +211,84 @@ export function BookSessionModal({ isOpen, onClose, tutor, onSuccess }: BookSess
                 duration,
                 notes: notes || undefined,
                 meetingType: 'video',
-            });
+                packageId: packageId || undefined,
+            };
+
+            if (recurrence) {
+                await api.bookSeries(token, { ...booking, recurrence });
+            } else {
+                await api.bookSession(token, booking);
+            }
 
             setSuccess(true);
+            await refreshUser();
             onSuccess?.();
 
             // Reset form after short delay
             setTimeout(() => {
                 handleClose();
             }, 2000);
-        } catch (err: any) {
-            setError(err.message || 'Failed to book session');
+        } catch (err) {
+            const message = err instanceof Error ? err.message : 'Failed to book session';
+            setError(message);
+            // Someone else got there first; offer a place in line for the same time
+            if (!recurrence && (message.includes('Tutor has a conflicting session') || message.includes('held for a waitlisted student'))) {
+                setWaitlistSlot(scheduledAt);
+            }
         } finally {
             setIsLoading(false);
         }
     };
 
+    // Join the tutor's waitlist for one slot, or for any opening when slot is omitted
+    const handleJoinWaitlist = async (slot?: string) => {
+        if (!tutor || !selectedSkill || !token) return;
+
+        setIsJoiningWaitlist(true);
+        setError('');
+
+        try {
+            const response = await api.joinWaitlist(token, {
+                tutorId: tutor.id,
+                skillName: selectedSkill.name,
+                skillCategory: selectedSkill.category,
+                duration,
+                scheduledAt: slot,
+            });
+            const { position } = response.data.entry;
+            setWaitlistMessage(
+                `You're #${position} on ${tutor.firstName}'s waitlist. If ${slot ? 'that time' : 'a time'} frees up we'll hold it for you on your Sessions page.`
+            );
+            setWaitlistSlot('');
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to join the waitlist');
+        } finally {
+            setIsJoiningWaitlist(false);
+        }
+    };
+
     const handleClose = () => {
         setSelectedSkill(null);
-        setDate('');
-        setTime('');
+        setScheduledAt('');
         setDuration(60);
         setNotes('');
+        setPackageId('');
+        setRepeat('none');
+        setEndType('count');
+        setOccurrences(4);
+        setUntil('');
+        setQuote(null);
+        setSeriesQuote(null);
         setError('');
+        setWaitlistSlot('');
+        setWaitlistMessage('');
         setSuccess(false);
         onClose();
     };
 
     if (!tutor) return null;
 
-    // Get minimum date (today)
-    const today = new Date();
-    const minDateStr = today.toISOString().split('T')[0];
-
-    // Check if selected date is today
-    const isToday = date === minDateStr;
-
-    // Get minimum time for today (current time + 5 minutes buffer)
-    const getMinTimeForToday = () => {
-        const now = new Date();
-        now.setMinutes(now.getMinutes() + 5); // Just 5 minutes from now
-        const hours = now.getHours().toString().padStart(2, '0');
-        const minutes = now.getMinutes().toString().padStart(2, '0');
-        return `${hours}:${minutes}`;
-    };
-
-    const minTimeStr = isToday ? getMinTimeForToday() : '00:00';
-
-    // Validate that the selected datetime is in the future
-    const isValidDateTime = () => {
-        if (!date || !time) return true; // Don't show error if not selected yet
-        const selectedDateTime = new Date(`${date}T${time}`);
-        const now = new Date();
-        // Add just 2 minutes buffer for testing
-        now.setMinutes(now.getMinutes() + 2);
-        return selectedDateTime > now;
-    };
-
-    const dateTimeError = date && time && !isValidDateTime()
-        ? 'Please select a time at least 2 minutes from now'
-        : '';
+    const minDateStr = toDateInput(new Date());
 
     return (
         <Modal isOpen={isOpen} onClose={handleClose} title="Book a Session" size="lg">
@@ -125,10 +297,14 @@ export function BookSessionModal({ isOpen, onClose, tutor, onSuccess }: BookSess
                     <div className="w-16 h-16 rounded-full bg-green-500/20 flex items-center justify-center mx-auto mb-4">
                         <Calendar className="w-8 h-8 text-green-400" />
                     </div>
-                    <h3 className="text-xl font-semibold text-white mb-2">Session Booked!</h3>
+                    <h3 className="text-xl font-semibold text-white mb-2">
+                        {recurrence && seriesQuote ? 'Series Booked!' : 'Session Booked!'}
+                    </h3>
                     <p className="text-gray-400">
-                        Your session request has been sent to {tutor.fullName}.
-                        They will confirm soon.
+                        {recurrence && seriesQuote
+                            ? `Your ${seriesQuote.occurrences.length} session requests have been sent to ${tutor.fullName}.`
+                            : `Your session request has been sent to ${tutor.fullName}.`}
+                        {' '}They will confirm soon.
                     </p>
                 </div>
             ) : (
@@ -152,6 +328,26 @@ export function BookSessionModal({ isOpen, onClose, tutor, onSuccess }: BookSess
                     {error && (
                         <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm mb-6">
                             {error}
+                            {waitlistSlot && (
+                                <div className="mt-3">
+                                    <Button
+                                        type="button"
+                                        size="sm"
+                                        variant="outline"
+                                        isLoading={isJoiningWaitlist}
+                                        onClick={() => handleJoinWaitlist(waitlistSlot)}
+                                    >
+                                        <Hourglass className="w-4 h-4 mr-1" />
+                                        Join the waitlist for this time
+                                    </Button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {waitlistMessage && (
+                        <div className="p-4 rounded-xl bg-amber-500/10 border border-amber-500/20 text-amber-300 text-sm mb-6">
+                            {waitlistMessage}
                         </div>
                     )}
 
@@ -166,7 +362,7 @@ export function BookSessionModal({ isOpen, onClose, tutor, onSuccess }: BookSess
                                     <button
                                         key={skill._id}
                                         type="button"
-                                        onClick={() => setSelectedSkill(skill)}
+                                        onClick={() => handleSelectSkill(skill)}
                                         className={`p-3 rounded-xl border text-left transition-all ${selectedSkill?._id === skill._id
                                             ? 'bg-violet-500/20 border-violet-500 text-white'
                                             : 'bg-gray-800/50 border-gray-700 text-gray-300 hover:border-gray-600'
@@ -176,52 +372,153 @@ export function BookSessionModal({ isOpen, onClose, tutor, onSuccess }: BookSess
                                         <p className="text-xs text-gray-500">
                                             {skill.hourlyRate} credits/hr · {skill.proficiency}
                                         </p>
+                                        {!!skill.pricing?.firstSessionDiscount && (
+                                            <p className="text-xs text-green-400 mt-1">
+                                                {skill.pricing.firstSessionDiscount}% off your first session
+                                            </p>
+                                        )}
                                     </button>
                                 ))}
                             </div>
                         </div>
 
-                        {/* Date and Time */}
-                        <div className="grid grid-cols-2 gap-4">
-                            <Input
-                                type="date"
-                                label="Date"
-                                value={date}
-                                onChange={(e) => setDate(e.target.value)}
-                                min={minDateStr}
-                                required
-                            />
-                            <Input
-                                type="time"
-                                label="Time"
-                                value={time}
-                                onChange={(e) => setTime(e.target.value)}
-                                min={isToday ? minTimeStr : undefined}
-                                required
-                            />
-                        </div>
-                        {dateTimeError && (
-                            <p className="text-sm text-amber-400 -mt-2">
-                                ⚠️ {dateTimeError}
-                            </p>
-                        )}
-                        {isToday && !dateTimeError && date && (
-                            <p className="text-xs text-gray-500 -mt-2">
-                                📅 Scheduling for today - earliest available time is {minTimeStr}
-                            </p>
+                        {/* Prepaid packages */}
+                        {selectedSkill && (skillPackages.length > 0 || packageOffers.length > 0) && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-300 mb-2">
+                                    Packages
+                                </label>
+                                <div className="space-y-2">
+                                    {skillPackages.map((sessionPackage) => (
+                                        <button
+                                            key={sessionPackage._id}
+                                            type="button"
+                                            onClick={() => handleUsePackage(packageId === sessionPackage._id ? null : sessionPackage)}
+                                            className={`w-full flex items-center gap-3 p-3 rounded-xl border text-left transition-all ${packageId === sessionPackage._id
+                                                ? 'bg-violet-500/20 border-violet-500 text-white'
+                                                : 'bg-gray-800/50 border-gray-700 text-gray-300 hover:border-gray-600'
+                                                }`}
+                                        >
+                                            <Package className="w-5 h-5 text-violet-400 shrink-0" />
+                                            <div className="flex-1">
+                                                <p className="font-medium">Use prepaid package</p>
+                                                <p className="text-xs text-gray-500">
+                                                    {sessionPackage.sessionsRemaining} of {sessionPackage.sessionsTotal} sessions left · {formatDuration(sessionPackage.duration)} each
+                                                </p>
+                                            </div>
+                                        </button>
+                                    ))}
+                                    {packageOffers.map((offer) => {
+                                        const price = priceOffer(selectedSkill, offer);
+                                        const canAfford = !!user && user.creditBalance >= price;
+                                        return (
+                                            <div
+                                                key={offer._id}
+                                                className="flex items-center gap-3 p-3 rounded-xl border border-gray-700 bg-gray-800/50"
+                                            >
+                                                <Package className="w-5 h-5 text-amber-400 shrink-0" />
+                                                <div className="flex-1">
+                                                    <p className="font-medium text-white">
+                                                        {offer.sessions} sessions for the price of {offer.paidSessions}
+                                                    </p>
+                                                    <p className="text-xs text-gray-500">
+                                                        {formatDuration(offer.duration)} each · {formatCredits(price)} credits prepaid
+                                                    </p>
+                                                </div>
+                                                <Button
+                                                    type="button"
+                                                    size="sm"
+                                                    variant="outline"
+                                                    isLoading={buyingOfferId === offer._id}
+                                                    disabled={!canAfford || !!buyingOfferId}
+                                                    onClick={() => handleBuyPackage(offer)}
+                                                >
+                                                    Buy
+                                                </Button>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            </div>
                         )}
 
                         {/* Duration */}
                         <Select
                             label="Duration"
                             value={String(duration)}
-                            onChange={(e) => setDuration(Number(e.target.value))}
+                            onChange={(e) => handleChangeDuration(Number(e.target.value))}
+                            disabled={!!packageId}
                             options={SESSION_DURATIONS.map((d) => ({
                                 value: String(d.value),
                                 label: d.label,
                             }))}
                         />
 
+                        {/* Time slot */}
+                        <SlotPicker
+                            tutorId={tutor.id}
+                            duration={duration}
+                            value={scheduledAt}
+                            onChange={setScheduledAt}
+                        />
+                        {selectedSkill && !waitlistMessage && (
+                            <p className="text-xs text-gray-500 -mt-3">
+                                No time that works?{' '}
+                                <button
+                                    type="button"
+                                    onClick={() => handleJoinWaitlist()}
+                                    disabled={isJoiningWaitlist}
+                                    className="text-violet-400 hover:text-violet-300 disabled:opacity-50"
+                                >
+                                    Join {tutor.firstName}&apos;s waitlist
+                                </button>
+                                {' '}and get the next opening held for you.
+                            </p>
+                        )}
+
+                        {/* Repeat */}
+                        <div>
+                            <Select
+                                label="Repeat"
+                                value={repeat}
+                                onChange={(e) => setRepeat(e.target.value as 'none' | RecurrenceFrequency)}
+                                options={REPEAT_OPTIONS}
+                            />
+                            {repeat !== 'none' && (
+                                <div className="grid grid-cols-2 gap-4 mt-3">
+                                    <Select
+                                        label="Ends"
+                                        value={endType}
+                                        onChange={(e) => setEndType(e.target.value as 'count' | 'until')}
+                                        options={[
+                                            { value: 'count', label: 'After a number of sessions' },
+                                            { value: 'until', label: 'On a date' },
+                                        ]}
+                                    />
+                                    {endType === 'count' ? (
+                                        <Input
+                                            type="number"
+                                            label="Sessions"
+                                            value={occurrences}
+                                            onChange={(e) => setOccurrences(Number(e.target.value))}
+                                            min={SERIES_MIN_OCCURRENCES}
+                                            max={SERIES_MAX_OCCURRENCES}
+                                            required
+                                        />
+                                    ) : (
+                                        <Input
+                                            type="date"
+                                            label="Last date"
+                                            value={until}
+                                            onChange={(e) => setUntil(e.target.value)}
+                                            min={scheduledAt ? toDateInput(scheduledAt) : minDateStr}
+                                            required
+                                        />
+                                    )}
+                                </div>
+                            )}
+                        </div>
+
                         {/* Notes */}
                         <div>
                             <label className="block text-sm font-medium text-gray-300 mb-2">
@@ -235,22 +532,85 @@ export function BookSessionModal({ isOpen, onClose, tutor, onSuccess }: BookSess
                             />
                         </div>
 
-                        {/* Cost Summary */}
+                        {/* Itemized quote */}
                         {selectedSkill && (
                             <div className="p-4 rounded-xl bg-gradient-to-r from-violet-500/10 to-indigo-500/10 border border-violet-500/20">
-                                <div className="flex items-center justify-between">
-                                    <div className="flex items-center gap-2">
-                                        <Sparkles className="w-5 h-5 text-amber-400" />
-                                        <span className="text-gray-300">Session Cost</span>
-                                    </div>
-                                    <span className="text-xl font-bold text-white">
-                                        {formatCredits(creditCost)} credits
-                                    </span>
-                                </div>
-                                {!hasEnoughCredits && (
-                                    <p className="text-sm text-red-400 mt-2">
-                                        Insufficient credits. You need {formatCredits(creditCost - (user?.creditBalance || 0))} more.
+                                {!activeQuote ? (
+                                    <p className="text-sm text-gray-400">
+                                        {isQuoting ? 'Working out the price...' : 'Pick a time to see the price.'}
                                     </p>
+                                ) : recurrence && seriesQuote ? (
+                                    <div className={isQuoting ? 'opacity-60' : ''}>
+                                        <div className="space-y-1.5 mb-3 max-h-48 overflow-y-auto">
+                                            {seriesQuote.occurrences.map((occurrence, i) => {
+                                                const conflict = seriesQuote.conflicts.find((c) => c.scheduledAt === occurrence.scheduledAt);
+                                                return (
+                                                    <div key={occurrence.scheduledAt} className="flex items-center justify-between text-sm">
+                                                        <span className={conflict ? 'text-red-400' : 'text-gray-400'}>
+                                                            {i + 1}. {formatDate(occurrence.scheduledAt)} · {formatTime(occurrence.scheduledAt)}
+                                                            {conflict && ` (${conflict.reason === 'unavailable'
+                                                                ? 'tutor unavailable'
+                                                                : conflict.reason === 'held'
+                                                                    ? 'held for the waitlist'
+                                                                    : conflict.party === 'tutor' ? 'tutor is busy' : 'you are busy'})`}
+                                                        </span>
+                                                        <span className="text-gray-300">{formatCredits(occurrence.total)}</span>
+                                                    </div>
+                                                );
+                                            })}
+                                        </div>
+                                        <div className="flex items-center justify-between pt-3 border-t border-violet-500/20">
+                                            <div className="flex items-center gap-2">
+                                                <Repeat className="w-5 h-5 text-amber-400" />
+                                                <span className="text-gray-300">
+                                                    {seriesQuote.occurrences.length} sessions{seriesQuote.package ? ' from package' : ''}
+                                                </span>
+                                            </div>
+                                            <span className="text-xl font-bold text-white">
+                                                {formatCredits(seriesQuote.total)} credits
+                                            </span>
+                                        </div>
+                                        {hasConflicts && (
+                                            <p className="flex items-center gap-1.5 text-sm text-red-400 mt-2">
+                                                <AlertTriangle className="w-4 h-4" />
+                                                Some dates clash with existing bookings or the tutor&apos;s hours. Pick another time to book the series.
+                                            </p>
+                                        )}
+                                        {!hasEnoughCredits && (
+                                            <p className="text-sm text-red-400 mt-2">
+                                                Insufficient credits. You need {formatCredits(chargedNow - (user?.creditBalance || 0))} more.
+                                            </p>
+                                        )}
+                                    </div>
+                                ) : quote && (
+                                    <div className={isQuoting ? 'opacity-60' : ''}>
+                                        <div className="space-y-1.5 mb-3">
+                                            {quote.lineItems.map((item) => (
+                                                <div key={item.kind} className="flex items-center justify-between text-sm">
+                                                    <span className="text-gray-400">{item.label}</span>
+                                                    <span className={item.amount < 0 ? 'text-green-400' : 'text-gray-300'}>
+                                                        {item.amount < 0 ? '-' : ''}{formatCredits(Math.abs(item.amount))}
+                                                    </span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                        <div className="flex items-center justify-between pt-3 border-t border-violet-500/20">
+                                            <div className="flex items-center gap-2">
+                                                <Sparkles className="w-5 h-5 text-amber-400" />
+                                                <span className="text-gray-300">
+                                                    {quote.package ? 'Paid from package' : 'Session Cost'}
+                                                </span>
+                                            </div>
+                                            <span className="text-xl font-bold text-white">
+                                                {formatCredits(quote.total)} credits
+                                            </span>
+                                        </div>
+                                        {!hasEnoughCredits && (
+                                            <p className="text-sm text-red-400 mt-2">
+                                                Insufficient credits. You need {formatCredits(chargedNow - (user?.creditBalance || 0))} more.
+                                            </p>
+                                        )}
+                                    </div>
                                 )}
                             </div>
                         )}
@@ -269,9 +629,9 @@ export function BookSessionModal({ isOpen, onClose, tutor, onSuccess }: BookSess
                             type="submit"
                             className="flex-1"
                             isLoading={isLoading}
-                            disabled={!selectedSkill || !date || !time || !hasEnoughCredits || !!dateTimeError}
+                            disabled={!selectedSkill || !scheduledAt || !activeQuote || isQuoting || !hasEnoughCredits || hasConflicts}
                         >
-                            Book Session
+                            {repeat === 'none' ? 'Book Session' : 'Book Series'}
                         </Button>
                     </div>
                 </form>
@@ -0,0 +1,110 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Avatar, Badge, Button, Card } from '@/components/ui';
+import { Users } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import { formatCredits, formatDate, formatDuration, formatTime } from '@/lib/utils';
+import { OpenGroupSession } from '@/types';
+
+interface GroupSessionsPanelProps {
+    // Only this tutor's group sessions; all tutors when omitted
+    tutorId?: string;
+    onJoined?: () => void;
+}
+
+export function GroupSessionsPanel({ tutorId, onJoined }: GroupSessionsPanelProps) {
+    const { token, refreshUser } = useAuth();
+    const [sessions, setSessions] = useState<OpenGroupSession[]>([]);
+    const [busyId, setBusyId] = useState('');
+    const [error, setError] = useState('');
+
+    const fetchSessions = () => {
+        if (!token) return;
+
+        api.getOpenGroupSessions(token, tutorId)
+            .then((res) => setSessions(res.data.sessions))
+            .catch((err) => console.error('Failed to fetch group sessions:', err));
+    };
+
+    useEffect(fetchSessions, [token, tutorId]);
+
+    const handleJoin = async (session: OpenGroupSession) => {
+        if (!token) return;
+        if (!confirm(`Book a seat for ${formatCredits(session.creditCost)} credits?`)) return;
+
+        setBusyId(session._id);
+        setError('');
+
+        try {
+            await api.enrollInGroupSession(token, session._id);
+            setSessions((prev) => prev.filter((s) => s._id !== session._id));
+            await refreshUser();
+            onJoined?.();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to book a seat');
+            fetchSessions();
+        } finally {
+            setBusyId('');
+        }
+    };
+
+    if (sessions.length === 0) return null;
+
+    return (
+        <Card className="mb-8">
+            <div className="flex items-center gap-3 mb-4">
+                <div className="p-2.5 rounded-xl bg-teal-500/20">
+                    <Users className="w-5 h-5 text-teal-400" />
+                </div>
+                <div>
+                    <h2 className="text-lg font-semibold text-white">Group Sessions</h2>
+                    <p className="text-gray-500 text-sm">Learn alongside other students for less than a private session</p>
+                </div>
+            </div>
+
+            {error && (
+                <p className="text-sm text-red-400 mb-3">{error}</p>
+            )}
+
+            <div className="space-y-3">
+                {sessions.map((session) => {
+                    const tutor = typeof session.tutor === 'object' ? session.tutor : null;
+                    return (
+                        <div
+                            key={session._id}
+                            className="flex flex-wrap items-center gap-3 p-3 rounded-xl border bg-gray-800/50 border-gray-700"
+                        >
+                            {tutor && (
+                                <Avatar
+                                    src={tutor.avatar}
+                                    firstName={tutor.firstName}
+                                    lastName={tutor.lastName}
+                                    size="sm"
+                                />
+                            )}
+                            <div className="flex-1 min-w-0">
+                                <p className="text-white font-medium truncate">
+                                    {session.skill.name}{tutor && ` with ${tutor.firstName} ${tutor.lastName}`}
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                    {formatDate(session.scheduledAt)} · {formatTime(session.scheduledAt)}
+                                    {' · '}{formatDuration(session.duration)}
+                                </p>
+                            </div>
+
+                            <Badge className="bg-teal-500/20 text-teal-300 border-teal-500/30">
+                                {session.seatsLeft} of {session.capacity} seats left
+                            </Badge>
+
+                            <Button size="sm" onClick={() => handleJoin(session)} isLoading={busyId === session._id}>
+                                Join · {formatCredits(session.creditCost)} credits
+                            </Button>
+                        </div>
+                    );
+                })}
+            </div>
+        </Card>
+    );
+}
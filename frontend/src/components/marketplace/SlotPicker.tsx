@@ -0,0 +1,169 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { ChevronLeft, ChevronRight, Globe } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import {
+    formatDateTime,
+    formatTime,
+    formatTimeZoneName,
+    getDisplayTimeZone,
+    toDateInput,
+    zonedInputToDate,
+} from '@/lib/utils';
+import { TimeSlot, TutorSlots } from '@/types';
+
+interface SlotPickerProps {
+    tutorId: string;
+    duration: number;
+    // ISO start of the chosen slot, or '' for none
+    value: string;
+    onChange: (scheduledAt: string) => void;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days and times follow the viewer's profile timezone, not the browser's
+const startOfDay = (date: Date) => zonedInputToDate(toDateInput(date), '00:00');
+
+const formatDayHeading = (date: Date) =>
+    date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: getDisplayTimeZone() });
+
+// Slots grouped by the viewer's day
+const groupByDay = (slots: TimeSlot[]) => {
+    const days = new Map<string, { date: Date; slots: TimeSlot[] }>();
+    slots.forEach((slot) => {
+        const key = toDateInput(slot.start);
+        if (!days.has(key)) days.set(key, { date: new Date(slot.start), slots: [] });
+        days.get(key)!.slots.push(slot);
+    });
+    return [...days.values()];
+};
+
+export function SlotPicker({ tutorId, duration, value, onChange }: SlotPickerProps) {
+    const { token } = useAuth();
+    const [weekOffset, setWeekOffset] = useState(0);
+    const [result, setResult] = useState<TutorSlots | null>(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const weekStart = startOfDay(new Date(Date.now() + weekOffset * 7 * DAY_MS));
+    const weekStartKey = weekStart.toISOString();
+
+    useEffect(() => {
+        const from = new Date(weekStartKey);
+        const to = new Date(from.getTime() + 7 * DAY_MS);
+
+        let cancelled = false;
+        setIsLoading(true);
+        api.getSlots(tutorId, { from: from.toISOString(), to: to.toISOString(), duration }, token)
+            .then((res) => {
+                if (!cancelled) {
+                    setResult(res.data);
+                    setError('');
+                }
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load available times');
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [tutorId, duration, token, weekStartKey]);
+
+    const days = result ? groupByDay(result.slots) : [];
+    const weekEnd = new Date(weekStart.getTime() + 6 * DAY_MS);
+
+    // The tutor's own clock, when they have set a timezone and it reads differently
+    const tutorTimeZone = result && (result.hasSchedule || result.timezone !== 'UTC') ? result.timezone : null;
+    const tutorTime = (start: string) =>
+        tutorTimeZone && formatTime(start, tutorTimeZone) !== formatTime(start) ? formatTime(start, tutorTimeZone) : null;
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-2">
+                <label className="block text-sm font-medium text-gray-300">Available Times</label>
+                <div className="flex items-center gap-2 text-sm text-gray-400">
+                    <button
+                        type="button"
+                        onClick={() => setWeekOffset((w) => w - 1)}
+                        disabled={weekOffset === 0}
+                        className="p-1 rounded-lg hover:bg-gray-800 disabled:opacity-30 disabled:hover:bg-transparent"
+                        aria-label="Previous week"
+                    >
+                        <ChevronLeft className="w-4 h-4" />
+                    </button>
+                    <span>
+                        {formatDayHeading(weekStart)} – {formatDayHeading(weekEnd)}
+                    </span>
+                    <button
+                        type="button"
+                        onClick={() => setWeekOffset((w) => w + 1)}
+                        className="p-1 rounded-lg hover:bg-gray-800"
+                        aria-label="Next week"
+                    >
+                        <ChevronRight className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            {error ? (
+                <p className="text-sm text-red-400">{error}</p>
+            ) : isLoading && !result ? (
+                <div className="h-32 rounded-xl bg-gray-800/50 animate-pulse" />
+            ) : days.length === 0 ? (
+                <p className="p-4 rounded-xl bg-gray-800/50 text-sm text-gray-400">
+                    No open times this week. Try the next week.
+                </p>
+            ) : (
+                <div className={`space-y-3 max-h-64 overflow-y-auto pr-1 ${isLoading ? 'opacity-60' : ''}`}>
+                    {days.map((day) => (
+                        <div key={toDateInput(day.date)}>
+                            <p className="text-xs font-medium text-gray-500 mb-1.5">{formatDayHeading(day.date)}</p>
+                            <div className="grid grid-cols-4 sm:grid-cols-6 gap-1.5">
+                                {day.slots.map((slot) => (
+                                    <button
+                                        key={slot.start}
+                                        type="button"
+                                        title={tutorTime(slot.start) ? `${tutorTime(slot.start)} for the tutor` : undefined}
+                                        onClick={() => onChange(slot.start === value ? '' : slot.start)}
+                                        className={`px-2 py-1.5 rounded-lg border text-sm transition-all ${slot.start === value
+                                            ? 'bg-violet-500/20 border-violet-500 text-white'
+                                            : 'bg-gray-800/50 border-gray-700 text-gray-300 hover:border-gray-600'
+                                            }`}
+                                    >
+                                        {formatTime(slot.start)}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {value && tutorTimeZone && tutorTime(value) && (
+                <p className="text-sm text-gray-300 mt-3">
+                    {formatDateTime(value)} your time ({formatTimeZoneName(value)})
+                    <span className="text-gray-500">
+                        {' · '}{formatDateTime(value, tutorTimeZone)} for the tutor ({formatTimeZoneName(value, tutorTimeZone)})
+                    </span>
+                </p>
+            )}
+            <p className="flex items-center gap-1.5 text-xs text-gray-500 mt-2">
+                <Globe className="w-3.5 h-3.5" />
+                Times are shown in your timezone ({getDisplayTimeZone()}).
+                {tutorTimeZone && ` The tutor keeps hours in ${tutorTimeZone}.`}
+            </p>
+            {!!result?.minNoticeHours && (
+                <p className="text-xs text-gray-500 mt-1">
+                    Book at least {result.minNoticeHours} hour{result.minNoticeHours === 1 ? '' : 's'} ahead.
+                </p>
+            )}
+        </div>
+    );
+}
@@ -1,2 +1,4 @@
 export { TutorCard, TutorList } from './TutorCard';
 export { BookSessionModal } from './BookSessionModal';
+export { SlotPicker } from './SlotPicker';
+export { GroupSessionsPanel } from './GroupSessionsPanel';
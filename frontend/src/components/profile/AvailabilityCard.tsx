@@ -0,0 +1,448 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Button, Card, Input, Select } from '@/components/ui';
+import { CalendarClock, CalendarOff, Plane, Plus, X } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import {
+    Availability,
+    AvailabilityException,
+    AvailabilityExceptionKind,
+    TimeWindow,
+    Vacation,
+    WEEKDAYS,
+} from '@/types';
+
+type Weekday = (typeof WEEKDAYS)[number];
+type Schedule = Availability['weeklySchedule'];
+
+const DEFAULT_WINDOW: TimeWindow = { start: '09:00', end: '17:00' };
+
+// Monday first, as most people read a week
+const DISPLAY_ORDER: Weekday[] = [...WEEKDAYS.slice(1), WEEKDAYS[0]];
+
+const TIMEZONE_OPTIONS = Intl.supportedValuesOf('timeZone').map((zone) => ({ value: zone, label: zone.replace(/_/g, ' ') }));
+
+const NOTICE_OPTIONS = [
+    { value: '0', label: 'No minimum' },
+    { value: '1', label: '1 hour' },
+    { value: '4', label: '4 hours' },
+    { value: '12', label: '12 hours' },
+    { value: '24', label: '1 day' },
+    { value: '48', label: '2 days' },
+    { value: '168', label: '1 week' },
+];
+
+const BUFFER_OPTIONS = [
+    { value: '0', label: 'No buffer' },
+    { value: '5', label: '5 minutes' },
+    { value: '10', label: '10 minutes' },
+    { value: '15', label: '15 minutes' },
+    { value: '30', label: '30 minutes' },
+    { value: '60', label: '1 hour' },
+];
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const capitalize = (day: string) => day.charAt(0).toUpperCase() + day.slice(1);
+
+// Today as YYYY-MM-DD in the given timezone ('en-CA' formats dates that way)
+const todayIn = (timeZone: string) => new Date().toLocaleDateString('en-CA', { timeZone });
+
+const formatDay = (date: string) =>
+    new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const describeWindows = (windows: TimeWindow[]) => windows.map((w) => `${w.start}–${w.end}`).join(', ');
+
+function ExceptionsEditor({
+    exceptions,
+    minDate,
+    onChange,
+}: {
+    exceptions: AvailabilityException[];
+    minDate: string;
+    onChange: (exceptions: AvailabilityException[]) => void;
+}) {
+    const [date, setDate] = useState('');
+    const [kind, setKind] = useState<AvailabilityExceptionKind>('blocked');
+    const [wholeDay, setWholeDay] = useState(true);
+    const [hours, setHours] = useState<TimeWindow>(DEFAULT_WINDOW);
+
+    const isWholeDay = kind === 'blocked' && wholeDay;
+
+    const handleAdd = () => {
+        if (!date) return;
+
+        const existing = exceptions.find((e) => e.date === date && e.kind === kind);
+        const windows = isWholeDay ? [] : [...(existing?.windows || []), hours];
+        const others = exceptions.filter((e) => e !== existing);
+
+        onChange([...others, { date, kind, windows }].sort((a, b) => a.date.localeCompare(b.date)));
+        setDate('');
+    };
+
+    return (
+        <div>
+            <h3 className="flex items-center gap-2 text-sm font-medium text-gray-300 mb-3">
+                <CalendarOff className="w-4 h-4 text-amber-400" />
+                Date Exceptions
+            </h3>
+
+            {exceptions.length > 0 && (
+                <ul className="space-y-2 mb-3">
+                    {exceptions.map((exception) => (
+                        <li
+                            key={`${exception.date}-${exception.kind}`}
+                            className="flex items-center justify-between gap-3 p-2.5 rounded-lg bg-gray-800/50 text-sm"
+                        >
+                            <span className="text-gray-300">
+                                <span className="text-white font-medium">{formatDay(exception.date)}</span>
+                                {' · '}
+                                {exception.kind === 'extra'
+                                    ? <span className="text-green-400">Extra hours {describeWindows(exception.windows)}</span>
+                                    : exception.windows.length === 0
+                                        ? <span className="text-red-400">Blocked all day</span>
+                                        : <span className="text-red-400">Blocked {describeWindows(exception.windows)}</span>}
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => onChange(exceptions.filter((e) => e !== exception))}
+                                className="p-1 text-gray-500 hover:text-red-400 rounded-lg transition-colors"
+                                aria-label="Remove exception"
+                            >
+                                <X className="w-4 h-4" />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="flex flex-wrap items-end gap-3">
+                <div className="w-40">
+                    <Input type="date" label="Date" value={date} min={minDate} onChange={(e) => setDate(e.target.value)} />
+                </div>
+                <div className="w-40">
+                    <Select
+                        label="Change"
+                        value={kind}
+                        onChange={(e) => setKind(e.target.value as AvailabilityExceptionKind)}
+                        options={[
+                            { value: 'blocked', label: 'Block time' },
+                            { value: 'extra', label: 'Add hours' },
+                        ]}
+                    />
+                </div>
+                {kind === 'blocked' && (
+                    <label className="flex items-center gap-2 pb-2.5 text-sm text-gray-300">
+                        <input
+                            type="checkbox"
+                            checked={wholeDay}
+                            onChange={(e) => setWholeDay(e.target.checked)}
+                            className="accent-violet-500"
+                        />
+                        Whole day
+                    </label>
+                )}
+                {!isWholeDay && (
+                    <div className="flex items-center gap-2 pb-1.5 text-sm">
+                        <input
+                            type="time"
+                            value={hours.start}
+                            onChange={(e) => setHours((prev) => ({ ...prev, start: e.target.value }))}
+                            className="bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-white"
+                        />
+                        <span className="text-gray-500">to</span>
+                        <input
+                            type="time"
+                            value={hours.end}
+                            onChange={(e) => setHours((prev) => ({ ...prev, end: e.target.value }))}
+                            className="bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-white"
+                        />
+                    </div>
+                )}
+                <Button type="button" size="sm" variant="outline" onClick={handleAdd} disabled={!date}>
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add
+                </Button>
+            </div>
+        </div>
+    );
+}
+
+function VacationsEditor({
+    vacations,
+    minDate,
+    onChange,
+}: {
+    vacations: Vacation[];
+    minDate: string;
+    onChange: (vacations: Vacation[]) => void;
+}) {
+    const [draft, setDraft] = useState<Vacation>({ start: '', end: '', note: '' });
+
+    const handleAdd = () => {
+        if (!draft.start || !draft.end) return;
+
+        onChange([...vacations, draft].sort((a, b) => a.start.localeCompare(b.start)));
+        setDraft({ start: '', end: '', note: '' });
+    };
+
+    return (
+        <div>
+            <h3 className="flex items-center gap-2 text-sm font-medium text-gray-300 mb-3">
+                <Plane className="w-4 h-4 text-blue-400" />
+                Vacations
+            </h3>
+
+            {vacations.length > 0 && (
+                <ul className="space-y-2 mb-3">
+                    {vacations.map((vacation) => (
+                        <li
+                            key={`${vacation.start}-${vacation.end}`}
+                            className="flex items-center justify-between gap-3 p-2.5 rounded-lg bg-gray-800/50 text-sm"
+                        >
+                            <span className="text-gray-300">
+                                <span className="text-white font-medium">
+                                    {formatDay(vacation.start)}
+                                    {vacation.end !== vacation.start && ` – ${formatDay(vacation.end)}`}
+                                </span>
+                                {vacation.note && <span className="text-gray-500"> · {vacation.note}</span>}
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => onChange(vacations.filter((v) => v !== vacation))}
+                                className="p-1 text-gray-500 hover:text-red-400 rounded-lg transition-colors"
+                                aria-label="Remove vacation"
+                            >
+                                <X className="w-4 h-4" />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="flex flex-wrap items-end gap-3">
+                <div className="w-40">
+                    <Input
+                        type="date"
+                        label="From"
+                        value={draft.start}
+                        min={minDate}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, start: e.target.value }))}
+                    />
+                </div>
+                <div className="w-40">
+                    <Input
+                        type="date"
+                        label="Until"
+                        value={draft.end}
+                        min={draft.start || minDate}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, end: e.target.value }))}
+                    />
+                </div>
+                <div className="flex-1 min-w-[10rem]">
+                    <Input
+                        label="Note (Optional)"
+                        value={draft.note}
+                        maxLength={200}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, note: e.target.value }))}
+                    />
+                </div>
+                <Button
+                    type="button"
+                    size="sm"
+                    variant="outline"
+                    onClick={handleAdd}
+                    disabled={!draft.start || !draft.end || draft.end < draft.start}
+                >
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add
+                </Button>
+            </div>
+        </div>
+    );
+}
+
+export function AvailabilityCard() {
+    const { user, token, refreshUser } = useAuth();
+    const [timezone, setTimezone] = useState('UTC');
+    const [schedule, setSchedule] = useState<Schedule>({});
+    const [exceptions, setExceptions] = useState<AvailabilityException[]>([]);
+    const [vacations, setVacations] = useState<Vacation[]>([]);
+    const [minNoticeHours, setMinNoticeHours] = useState(0);
+    const [bufferMinutes, setBufferMinutes] = useState(0);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+    useEffect(() => {
+        const availability = user?.availability;
+        const saved = availability?.weeklySchedule || {};
+        setSchedule(saved);
+        // Until hours are set, suggest the browser's timezone over the UTC default
+        setTimezone(Object.keys(saved).length > 0 && availability?.timezone ? availability.timezone : browserTimeZone());
+        setExceptions(availability?.exceptions || []);
+        setVacations(availability?.vacations || []);
+        setMinNoticeHours(availability?.minNoticeHours || 0);
+        setBufferMinutes(availability?.bufferMinutes || 0);
+    }, [user]);
+
+    const today = todayIn(timezone);
+
+    // Every edit clears the last save result
+    const edit = <T,>(setter: (value: T) => void) => (value: T) => {
+        setMessage(null);
+        setter(value);
+    };
+
+    const updateDay = (day: Weekday, windows: TimeWindow[]) => {
+        setMessage(null);
+        setSchedule((prev) => {
+            const next = { ...prev };
+            if (windows.length > 0) {
+                next[day] = windows;
+            } else {
+                delete next[day];
+            }
+            return next;
+        });
+    };
+
+    const handleSave = async () => {
+        if (!token) return;
+
+        setIsSaving(true);
+        setMessage(null);
+        try {
+            await api.updateProfile(token, {
+                availability: {
+                    timezone,
+                    weeklySchedule: schedule,
+                    // Dates that have already passed no longer matter
+                    exceptions: exceptions.filter((e) => e.date >= today),
+                    vacations: vacations.filter((v) => v.end >= today),
+                    minNoticeHours,
+                    bufferMinutes,
+                },
+            });
+            await refreshUser();
+            setMessage({ type: 'success', text: 'Availability saved' });
+        } catch (err) {
+            setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Failed to save availability' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <Card className="mt-8">
+            <div className="flex items-center gap-3 mb-2">
+                <div className="p-2 rounded-lg bg-emerald-500/20">
+                    <CalendarClock className="w-5 h-5 text-emerald-400" />
+                </div>
+                <h2 className="text-lg font-semibold text-white">Availability</h2>
+            </div>
+            <p className="text-sm text-gray-400 mb-6">
+                Students can only book you inside these hours. Leave every day off to be bookable at any time.
+            </p>
+
+            <div className="grid sm:grid-cols-3 gap-4 mb-6">
+                <Select
+                    label="Timezone"
+                    value={timezone}
+                    onChange={(e) => edit(setTimezone)(e.target.value)}
+                    options={TIMEZONE_OPTIONS}
+                />
+                <Select
+                    label="Minimum notice"
+                    value={String(minNoticeHours)}
+                    onChange={(e) => edit(setMinNoticeHours)(Number(e.target.value))}
+                    options={NOTICE_OPTIONS}
+                />
+                <Select
+                    label="Buffer between sessions"
+                    value={String(bufferMinutes)}
+                    onChange={(e) => edit(setBufferMinutes)(Number(e.target.value))}
+                    options={BUFFER_OPTIONS}
+                />
+            </div>
+
+            <div className="space-y-3">
+                {DISPLAY_ORDER.map((day) => {
+                    const windows = schedule[day] || [];
+                    return (
+                        <div key={day} className="flex flex-col sm:flex-row sm:items-start gap-3 p-3 rounded-xl bg-gray-800/50 border border-gray-700/50">
+                            <label className="flex items-center gap-2 w-32 pt-1.5 text-sm text-gray-300">
+                                <input
+                                    type="checkbox"
+                                    checked={windows.length > 0}
+                                    onChange={(e) => updateDay(day, e.target.checked ? [DEFAULT_WINDOW] : [])}
+                                    className="accent-violet-500"
+                                />
+                                {capitalize(day)}
+                            </label>
+
+                            {windows.length === 0 ? (
+                                <p className="pt-1.5 text-sm text-gray-500">Unavailable</p>
+                            ) : (
+                                <div className="flex-1 space-y-2">
+                                    {windows.map((window, i) => (
+                                        <div key={i} className="flex items-center gap-2 text-sm">
+                                            <input
+                                                type="time"
+                                                value={window.start}
+                                                onChange={(e) => updateDay(day, windows.map((w, j) => j === i ? { ...w, start: e.target.value } : w))}
+                                                className="bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-white"
+                                                required
+                                            />
+                                            <span className="text-gray-500">to</span>
+                                            <input
+                                                type="time"
+                                                value={window.end}
+                                                onChange={(e) => updateDay(day, windows.map((w, j) => j === i ? { ...w, end: e.target.value } : w))}
+                                                className="bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-white"
+                                                required
+                                            />
+                                            <button
+                                                type="button"
+                                                onClick={() => updateDay(day, windows.filter((_, j) => j !== i))}
+                                                className="p-1 text-gray-500 hover:text-red-400 rounded-lg transition-colors"
+                                                aria-label="Remove hours"
+                                            >
+                                                <X className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    ))}
+                                    <button
+                                        type="button"
+                                        onClick={() => updateDay(day, [...windows, DEFAULT_WINDOW])}
+                                        className="flex items-center gap-1 text-xs text-violet-400 hover:text-violet-300"
+                                    >
+                                        <Plus className="w-3.5 h-3.5" />
+                                        Add hours
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="grid lg:grid-cols-2 gap-6 mt-6 pt-6 border-t border-gray-800">
+                <ExceptionsEditor exceptions={exceptions} minDate={today} onChange={edit(setExceptions)} />
+                <VacationsEditor vacations={vacations} minDate={today} onChange={edit(setVacations)} />
+            </div>
+
+            <div className="flex items-center justify-end gap-4 mt-6">
+                {message && (
+                    <p className={`text-sm ${message.type === 'success' ? 'text-green-400' : 'text-red-400'}`}>
+                        {message.text}
+                    </p>
+                )}
+                <Button onClick={handleSave} isLoading={isSaving}>
+                    Save Availability
+                </Button>
+            </div>
+        </Card>
+    );
+}
@@ -0,0 +1,125 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Badge, Button, Card } from '@/components/ui';
+import { Laptop, LogOut } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import { formatDateTime } from '@/lib/utils';
+import { AuthDevice } from '@/types';
+
+export function DevicesCard() {
+    const { token } = useAuth();
+    const [devices, setDevices] = useState<AuthDevice[] | null>(null);
+    const [busyId, setBusyId] = useState('');
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!token || devices) return;
+
+        api.getDevices(token)
+            .then((res) => setDevices(res.data.devices))
+            .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load devices'));
+    }, [token, devices]);
+
+    const handleSignOut = async (device: AuthDevice) => {
+        if (!token) return;
+
+        setBusyId(device.id);
+        setError('');
+
+        try {
+            await api.signOutDevice(token, device.id);
+            setDevices((prev) => prev && prev.filter((d) => d.id !== device.id));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to sign out the device');
+        } finally {
+            setBusyId('');
+        }
+    };
+
+    const handleSignOutOthers = async () => {
+        if (!token) return;
+        if (!confirm('Sign out every other device? They will need to log in again.')) return;
+
+        setBusyId('others');
+        setError('');
+
+        try {
+            await api.signOutOtherDevices(token);
+            setDevices((prev) => prev && prev.filter((d) => d.current));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to sign out other devices');
+        } finally {
+            setBusyId('');
+        }
+    };
+
+    const hasOthers = (devices || []).some((d) => !d.current);
+
+    return (
+        <Card className="mt-8">
+            <div className="flex items-center gap-3 mb-2">
+                <div className="p-2 rounded-lg bg-sky-500/20">
+                    <Laptop className="w-5 h-5 text-sky-400" />
+                </div>
+                <h2 className="text-lg font-semibold text-white">Signed-in Devices</h2>
+            </div>
+            <p className="text-sm text-gray-400 mb-6">
+                Sign out anything you don&apos;t recognise. Changing your password signs out every other device.
+            </p>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm mb-4">
+                    {error}
+                </div>
+            )}
+
+            <ul className="space-y-2">
+                {(devices || []).map((device) => (
+                    <li
+                        key={device.id}
+                        className="flex items-center justify-between gap-3 p-3 rounded-xl bg-gray-800/50 border border-gray-700/50"
+                    >
+                        <div className="min-w-0">
+                            <p className="flex items-center gap-2 text-white font-medium">
+                                {device.device}
+                                {device.current && (
+                                    <Badge className="bg-green-500/20 text-green-300 border-green-500/30">This device</Badge>
+                                )}
+                            </p>
+                            <p className="text-xs text-gray-500 truncate">
+                                {device.ip && `${device.ip} · `}
+                                Last active {formatDateTime(device.lastUsedAt)}
+                                {' · '}Signed in {formatDateTime(device.signedInAt)}
+                            </p>
+                        </div>
+
+                        {!device.current && (
+                            <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => handleSignOut(device)}
+                                isLoading={busyId === device.id}
+                            >
+                                Sign out
+                            </Button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {hasOthers && (
+                <Button
+                    variant="outline"
+                    className="mt-4"
+                    onClick={handleSignOutOthers}
+                    isLoading={busyId === 'others'}
+                >
+                    <LogOut className="w-4 h-4 mr-2" />
+                    Sign out all other devices
+                </Button>
+            )}
+        </Card>
+    );
+}
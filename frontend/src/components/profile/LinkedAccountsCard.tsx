@@ -0,0 +1,127 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Badge, Button, Card } from '@/components/ui';
+import { Link2 } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import { redirectToProvider } from '@/lib/oauth';
+import { formatDate } from '@/lib/utils';
+import { OAuthAccounts, OAuthProvider } from '@/types';
+
+export function LinkedAccountsCard() {
+    const { token } = useAuth();
+    const [data, setData] = useState<OAuthAccounts | null>(null);
+    const [busyId, setBusyId] = useState('');
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!token || data) return;
+
+        api.getOAuthAccounts(token)
+            .then((res) => setData(res.data))
+            .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load linked accounts'));
+    }, [token, data]);
+
+    const handleLink = async (provider: OAuthProvider) => {
+        if (!token) return;
+
+        setBusyId(provider.id);
+        setError('');
+
+        try {
+            const res = await api.startOAuthLink(token, provider.id);
+            redirectToProvider(res.data, 'link');
+        } catch (err) {
+            setError(err instanceof Error ? err.message : `Failed to link ${provider.name}`);
+            setBusyId('');
+        }
+    };
+
+    const handleUnlink = async (provider: OAuthProvider) => {
+        if (!token) return;
+        if (!confirm(`Unlink ${provider.name}? You won't be able to sign in with it until you link it again.`)) return;
+
+        setBusyId(provider.id);
+        setError('');
+
+        try {
+            const res = await api.unlinkOAuth(token, provider.id);
+            setData(res.data);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : `Failed to unlink ${provider.name}`);
+        } finally {
+            setBusyId('');
+        }
+    };
+
+    // Nothing to show when no provider is set up and none is linked
+    if (!data || (data.providers.length === 0 && data.accounts.length === 0)) return null;
+
+    // Linked providers that were switched off since still show, so they can be unlinked
+    const rows: OAuthProvider[] = [
+        ...data.providers,
+        ...data.accounts
+            .filter((account) => !data.providers.some((p) => p.id === account.provider))
+            .map((account) => ({ id: account.provider, name: account.name })),
+    ];
+
+    return (
+        <Card className="mt-8">
+            <div className="flex items-center gap-3 mb-2">
+                <div className="p-2 rounded-lg bg-indigo-500/20">
+                    <Link2 className="w-5 h-5 text-indigo-400" />
+                </div>
+                <h2 className="text-lg font-semibold text-white">Linked Accounts</h2>
+            </div>
+            <p className="text-sm text-gray-400 mb-6">
+                Sign in with an account you already have.
+                {!data.hasPassword && ' Your account has no password yet; use "Forgot password" on the sign-in page to set one.'}
+            </p>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm mb-4">
+                    {error}
+                </div>
+            )}
+
+            <ul className="space-y-2">
+                {rows.map((provider) => {
+                    const account = data.accounts.find((a) => a.provider === provider.id);
+
+                    return (
+                        <li
+                            key={provider.id}
+                            className="flex items-center justify-between gap-3 p-3 rounded-xl bg-gray-800/50 border border-gray-700/50"
+                        >
+                            <div className="min-w-0">
+                                <p className="flex items-center gap-2 text-white font-medium">
+                                    {provider.name}
+                                    {account && (
+                                        <Badge className="bg-green-500/20 text-green-300 border-green-500/30">Linked</Badge>
+                                    )}
+                                </p>
+                                {account && (
+                                    <p className="text-xs text-gray-500 truncate">
+                                        {account.email && `${account.email} · `}
+                                        Linked {formatDate(account.linkedAt)}
+                                    </p>
+                                )}
+                            </div>
+
+                            <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => (account ? handleUnlink(provider) : handleLink(provider))}
+                                isLoading={busyId === provider.id}
+                                disabled={!!busyId && busyId !== provider.id}
+                            >
+                                {account ? 'Unlink' : 'Link'}
+                            </Button>
+                        </li>
+                    );
+                })}
+            </ul>
+        </Card>
+    );
+}
@@ -0,0 +1,220 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Badge, Button, Card, Input } from '@/components/ui';
+import { Copy, KeyRound, ShieldCheck } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { useStepUp } from '@/context/StepUpContext';
+import { api } from '@/lib/api';
+import { formatDate } from '@/lib/utils';
+import { TwoFactorSetup, TwoFactorStatus } from '@/types';
+
+export function TwoFactorCard() {
+    const { token } = useAuth();
+    const { withStepUp } = useStepUp();
+    const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+    const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+    const [code, setCode] = useState('');
+    // Shown once, right after they're generated
+    const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+    const [copied, setCopied] = useState(false);
+    const [busy, setBusy] = useState('');
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!token || status) return;
+
+        api.getTwoFactor(token)
+            .then((res) => setStatus(res.data.twoFactor))
+            .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load two-factor settings'));
+    }, [token, status]);
+
+    const handleStartSetup = async () => {
+        if (!token) return;
+
+        setBusy('setup');
+        setError('');
+
+        try {
+            const res = await withStepUp(() => api.setupTwoFactor(token));
+            setSetup(res.data);
+            setCode('');
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to start setup');
+        } finally {
+            setBusy('');
+        }
+    };
+
+    const handleEnable = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!token) return;
+
+        setBusy('enable');
+        setError('');
+
+        try {
+            const res = await api.enableTwoFactor(token, code.trim());
+            setRecoveryCodes(res.data.recoveryCodes);
+            setSetup(null);
+            setCode('');
+            setStatus({
+                enabled: true,
+                enabledAt: new Date().toISOString(),
+                recoveryCodesLeft: res.data.recoveryCodes.length,
+            });
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to turn on two-factor authentication');
+        } finally {
+            setBusy('');
+        }
+    };
+
+    const handleDisable = async () => {
+        if (!token) return;
+        if (!confirm('Turn off two-factor authentication? Signing in will only need your password.')) return;
+
+        setBusy('disable');
+        setError('');
+
+        try {
+            await withStepUp(() => api.disableTwoFactor(token));
+            setRecoveryCodes(null);
+            setStatus({ enabled: false, enabledAt: null, recoveryCodesLeft: 0 });
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to turn off two-factor authentication');
+        } finally {
+            setBusy('');
+        }
+    };
+
+    const handleRegenerate = async () => {
+        if (!token) return;
+        if (!confirm('Create new recovery codes? Your current ones will stop working.')) return;
+
+        setBusy('codes');
+        setError('');
+
+        try {
+            const res = await withStepUp(() => api.regenerateRecoveryCodes(token));
+            setRecoveryCodes(res.data.recoveryCodes);
+            setStatus((prev) => prev && { ...prev, recoveryCodesLeft: res.data.recoveryCodes.length });
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to create new recovery codes');
+        } finally {
+            setBusy('');
+        }
+    };
+
+    const handleCopyCodes = async () => {
+        if (!recoveryCodes) return;
+
+        try {
+            await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            console.error('Failed to copy recovery codes:', err);
+        }
+    };
+
+    return (
+        <Card className="mt-8">
+            <div className="flex items-center gap-3 mb-2">
+                <div className="p-2 rounded-lg bg-emerald-500/20">
+                    <ShieldCheck className="w-5 h-5 text-emerald-400" />
+                </div>
+                <h2 className="text-lg font-semibold text-white">Two-Factor Authentication</h2>
+                {status?.enabled && (
+                    <Badge className="bg-green-500/20 text-green-300 border-green-500/30">On</Badge>
+                )}
+            </div>
+            <p className="text-sm text-gray-400 mb-6">
+                Ask for a code from an authenticator app when you sign in, and before changing your password or
+                sending credits.
+            </p>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm mb-4">
+                    {error}
+                </div>
+            )}
+
+            {recoveryCodes && (
+                <div className="p-4 rounded-xl bg-amber-500/10 border border-amber-500/20 mb-6">
+                    <p className="text-sm text-amber-300 mb-3">
+                        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+                        phone. They won&apos;t be shown again.
+                    </p>
+                    <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-white mb-4">
+                        {recoveryCodes.map((recoveryCode) => (
+                            <li key={recoveryCode} className="px-3 py-1.5 rounded-lg bg-gray-800/70">
+                                {recoveryCode}
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="flex gap-3">
+                        <Button size="sm" variant="outline" onClick={handleCopyCodes}>
+                            <Copy className="w-4 h-4 mr-2" />
+                            {copied ? 'Copied' : 'Copy'}
+                        </Button>
+                        <Button size="sm" onClick={() => setRecoveryCodes(null)}>
+                            I&apos;ve saved them
+                        </Button>
+                    </div>
+                </div>
+            )}
+
+            {!status ? null : status.enabled ? (
+                <div className="space-y-4">
+                    <p className="text-sm text-gray-300">
+                        {status.enabledAt && `On since ${formatDate(status.enabledAt)}. `}
+                        {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left.
+                    </p>
+                    <div className="flex flex-wrap gap-3">
+                        <Button variant="outline" onClick={handleRegenerate} isLoading={busy === 'codes'}>
+                            <KeyRound className="w-4 h-4 mr-2" />
+                            New recovery codes
+                        </Button>
+                        <Button variant="outline" onClick={handleDisable} isLoading={busy === 'disable'}>
+                            Turn off
+                        </Button>
+                    </div>
+                </div>
+            ) : setup ? (
+                <form onSubmit={handleEnable} className="space-y-4">
+                    <p className="text-sm text-gray-300">
+                        Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+                    </p>
+                    {/* eslint-disable-next-line @next/next/no-img-element -- data URL from the API */}
+                    <img src={setup.qrCode} alt="QR code for your authenticator app" className="w-44 h-44 rounded-lg bg-white p-2" />
+                    <p className="text-xs text-gray-500">
+                        Can&apos;t scan it? Enter this key instead:{' '}
+                        <span className="font-mono text-gray-300 break-all">{setup.secret}</span>
+                    </p>
+                    <Input
+                        label="Authentication code"
+                        placeholder="123456"
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        autoComplete="one-time-code"
+                        inputMode="numeric"
+                        required
+                    />
+                    <div className="flex gap-3">
+                        <Button type="button" variant="outline" onClick={() => setSetup(null)} disabled={busy === 'enable'}>
+                            Cancel
+                        </Button>
+                        <Button type="submit" isLoading={busy === 'enable'} disabled={!code.trim()}>
+                            Turn on
+                        </Button>
+                    </div>
+                </form>
+            ) : (
+                <Button onClick={handleStartSetup} isLoading={busy === 'setup'}>
+                    Set up two-factor authentication
+                </Button>
+            )}
+        </Card>
+    );
+}
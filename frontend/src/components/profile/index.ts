@@ -0,0 +1,4 @@
+export { AvailabilityCard } from './AvailabilityCard';
+export { DevicesCard } from './DevicesCard';
+export { TwoFactorCard } from './TwoFactorCard';
+export { LinkedAccountsCard } from './LinkedAccountsCard';
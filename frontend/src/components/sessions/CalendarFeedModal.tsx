@@ -0,0 +1,112 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Button, Modal } from '@/components/ui';
+import { Check, Copy, RefreshCw } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import { CalendarFeed } from '@/types';
+
+interface CalendarFeedModalProps {
+    isOpen: boolean;
+    onClose: () => void;
+}
+
+export function CalendarFeedModal({ isOpen, onClose }: CalendarFeedModalProps) {
+    const { token } = useAuth();
+    const [feed, setFeed] = useState<CalendarFeed | null>(null);
+    const [isResetting, setIsResetting] = useState(false);
+    const [copied, setCopied] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!isOpen || !token || feed) return;
+
+        api.getCalendarFeed(token)
+            .then((res) => setFeed(res.data))
+            .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load calendar feed'));
+    }, [isOpen, token, feed]);
+
+    const handleCopy = async () => {
+        if (!feed) return;
+
+        try {
+            await navigator.clipboard.writeText(feed.url);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            console.error('Failed to copy feed URL:', err);
+        }
+    };
+
+    const handleReset = async () => {
+        if (!token) return;
+        if (!confirm('Calendars subscribed to the current URL will stop updating. Create a new URL?')) return;
+
+        setIsResetting(true);
+        setError('');
+
+        try {
+            const res = await api.resetCalendarFeed(token);
+            setFeed(res.data);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to reset calendar feed');
+        } finally {
+            setIsResetting(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="Subscribe in Your Calendar" size="sm">
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm mb-6">
+                    {error}
+                </div>
+            )}
+
+            <p className="text-sm text-gray-400 mb-4">
+                Add this URL to Google Calendar, Outlook or Apple Calendar to see your pending and confirmed
+                sessions there. Times, cancellations and join links stay in sync.
+            </p>
+
+            {feed ? (
+                <div className="flex gap-2">
+                    <div className="flex-1 min-w-0 px-4 py-3 rounded-xl bg-gray-800/50 border border-gray-700 text-gray-300 text-sm truncate">
+                        {feed.url}
+                    </div>
+                    <Button type="button" variant="outline" onClick={handleCopy} aria-label="Copy feed URL">
+                        {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                    </Button>
+                </div>
+            ) : (
+                <div className="h-12 rounded-xl bg-gray-800/50 animate-pulse" />
+            )}
+
+            <p className="text-xs text-gray-500 mt-3">
+                Anyone with this URL can see your sessions. Reset it if you shared it by mistake.
+            </p>
+
+            <div className="flex gap-3 mt-6">
+                <Button
+                    type="button"
+                    variant="outline"
+                    className="flex-1"
+                    onClick={handleReset}
+                    isLoading={isResetting}
+                    disabled={!feed}
+                >
+                    <RefreshCw className="w-4 h-4 mr-1.5" />
+                    Reset URL
+                </Button>
+                <Button
+                    type="button"
+                    className="flex-1"
+                    onClick={() => feed && window.location.assign(feed.webcalUrl)}
+                    disabled={!feed}
+                >
+                    Open in Calendar
+                </Button>
+            </div>
+        </Modal>
+    );
+}
@@ -0,0 +1,181 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Button, Input, Modal, Select } from '@/components/ui';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import { formatCredits, getDisplayTimeZone, toDateInput, zonedInputToDate } from '@/lib/utils';
+import {
+    SESSION_DURATIONS,
+    GROUP_MIN_CAPACITY,
+    GROUP_MAX_CAPACITY,
+    GROUP_DEFAULT_SEAT_PERCENT,
+} from '@/types';
+
+interface HostGroupSessionModalProps {
+    isOpen: boolean;
+    onClose: () => void;
+    onCreated?: () => void;
+}
+
+const CAPACITY_OPTIONS = Array.from(
+    { length: GROUP_MAX_CAPACITY - GROUP_MIN_CAPACITY + 1 },
+    (_, i) => {
+        const seats = GROUP_MIN_CAPACITY + i;
+        return { value: String(seats), label: `${seats} students` };
+    }
+);
+
+export function HostGroupSessionModal({ isOpen, onClose, onCreated }: HostGroupSessionModalProps) {
+    const { token, user } = useAuth();
+    const skills = user?.teachingSkills || [];
+
+    const [skillId, setSkillId] = useState('');
+    const [date, setDate] = useState('');
+    const [time, setTime] = useState('');
+    const [duration, setDuration] = useState(60);
+    const [capacity, setCapacity] = useState(GROUP_MAX_CAPACITY);
+    const [seatPrice, setSeatPrice] = useState('');
+    const [notes, setNotes] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!isOpen) return;
+
+        setSkillId(skills[0]?._id || '');
+        setSeatPrice('');
+        setNotes('');
+        setError('');
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [isOpen]);
+
+    const skill = skills.find((s) => s._id === skillId);
+    const defaultSeatPrice = skill
+        ? skill.hourlyRate * (duration / 60) * (GROUP_DEFAULT_SEAT_PERCENT / 100)
+        : 0;
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!token || !skill || !date || !time) return;
+
+        setIsSaving(true);
+        setError('');
+
+        try {
+            await api.createGroupSession(token, {
+                skillName: skill.name,
+                skillCategory: skill.category,
+                scheduledAt: zonedInputToDate(date, time).toISOString(),
+                duration,
+                capacity,
+                seatPrice: seatPrice ? Number(seatPrice) : undefined,
+                notes: notes.trim() || undefined,
+            });
+            onCreated?.();
+            onClose();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to open the group session');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="Host a Group Session">
+            {skills.length === 0 ? (
+                <p className="text-sm text-gray-400">
+                    Add a teaching skill to your profile before hosting a group session.
+                </p>
+            ) : (
+                <form onSubmit={handleSubmit} className="space-y-5">
+                    <p className="text-sm text-gray-400">
+                        Students book seats until the session is full. Each pays the seat price,
+                        held until the session is complete.
+                    </p>
+
+                    {error && (
+                        <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                            {error}
+                        </div>
+                    )}
+
+                    <Select
+                        label="Skill"
+                        value={skillId}
+                        onChange={(e) => setSkillId(e.target.value)}
+                        options={skills.map((s) => ({ value: s._id, label: `${s.name} (${s.category})` }))}
+                    />
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <Input
+                            type="date"
+                            label="Date"
+                            value={date}
+                            onChange={(e) => setDate(e.target.value)}
+                            min={toDateInput(new Date())}
+                            required
+                        />
+                        <Input
+                            type="time"
+                            label={`Time (${getDisplayTimeZone()})`}
+                            value={time}
+                            onChange={(e) => setTime(e.target.value)}
+                            required
+                        />
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <Select
+                            label="Duration"
+                            value={String(duration)}
+                            onChange={(e) => setDuration(Number(e.target.value))}
+                            options={SESSION_DURATIONS.map((d) => ({
+                                value: String(d.value),
+                                label: d.label,
+                            }))}
+                        />
+                        <Select
+                            label="Seats"
+                            value={String(capacity)}
+                            onChange={(e) => setCapacity(Number(e.target.value))}
+                            options={CAPACITY_OPTIONS}
+                        />
+                    </div>
+
+                    <Input
+                        type="number"
+                        label="Seat price (optional)"
+                        value={seatPrice}
+                        onChange={(e) => setSeatPrice(e.target.value)}
+                        min={0.5}
+                        step={0.5}
+                        placeholder={`About ${formatCredits(defaultSeatPrice)} credits`}
+                    />
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                            Notes (Optional)
+                        </label>
+                        <textarea
+                            value={notes}
+                            onChange={(e) => setNotes(e.target.value)}
+                            maxLength={500}
+                            placeholder="What will the group cover?"
+                            className="w-full bg-gray-800/50 border border-gray-700 rounded-xl px-4 py-3 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-violet-500 min-h-[80px] resize-none"
+                        />
+                    </div>
+
+                    <div className="flex gap-3">
+                        <Button type="button" variant="outline" className="flex-1" onClick={onClose}>
+                            Cancel
+                        </Button>
+                        <Button type="submit" className="flex-1" isLoading={isSaving} disabled={!skill || !date || !time}>
+                            Open Group Session
+                        </Button>
+                    </div>
+                </form>
+            )}
+        </Modal>
+    );
+}
@@ -0,0 +1,149 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Button, Input, Modal } from '@/components/ui';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import { formatDateTime, getDisplayTimeZone, toDateInput, toTimeInput, zonedInputToDate } from '@/lib/utils';
+import { Session } from '@/types';
+
+interface RescheduleModalProps {
+    session: Session | null;
+    onClose: () => void;
+    onRescheduled?: () => void;
+}
+
+export function RescheduleModal({ session, onClose, onRescheduled }: RescheduleModalProps) {
+    const { token, user } = useAuth();
+    const [date, setDate] = useState('');
+    const [time, setTime] = useState('');
+    const [note, setNote] = useState('');
+    const [wholeSeries, setWholeSeries] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const seriesId = session?.series
+        ? typeof session.series === 'object' ? session.series._id : session.series
+        : null;
+
+    useEffect(() => {
+        if (!session) return;
+
+        // The inputs read in the user's profile timezone
+        setDate(toDateInput(session.scheduledAt));
+        setTime(toTimeInput(session.scheduledAt));
+        setNote('');
+        setWholeSeries(false);
+        setError('');
+    }, [session]);
+
+    const otherUser = session && user
+        ? [session.tutor, session.student].find((party) => typeof party === 'object' && party.id !== user.id)
+        : null;
+    const otherName = otherUser && typeof otherUser === 'object' ? otherUser.firstName : 'The other participant';
+
+    // Proposing while the other side's proposal is pending replaces it
+    const isCounter = !!session?.rescheduleProposal?.proposedBy && session.rescheduleProposal.proposedBy !== user?.id;
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!session || !token || !date || !time) return;
+
+        setIsSaving(true);
+        setError('');
+
+        try {
+            const proposal = {
+                scheduledAt: zonedInputToDate(date, time).toISOString(),
+                note: note.trim() || undefined,
+            };
+            if (wholeSeries && seriesId) {
+                await api.proposeSeriesReschedule(token, seriesId, proposal);
+            } else {
+                await api.proposeReschedule(token, session._id, proposal);
+            }
+            onRescheduled?.();
+            onClose();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to propose a new time');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={!!session} onClose={onClose} title={isCounter ? 'Suggest Another Time' : 'Propose a New Time'}>
+            {session && (
+                <form onSubmit={handleSubmit} className="space-y-5">
+                    <p className="text-sm text-gray-400">
+                        Currently {formatDateTime(session.scheduledAt)}. {otherName} will be asked to accept
+                        the new time; until then nothing changes. The price stays as booked.
+                    </p>
+
+                    {error && (
+                        <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                            {error}
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <Input
+                            type="date"
+                            label="New date"
+                            value={date}
+                            onChange={(e) => setDate(e.target.value)}
+                            min={toDateInput(new Date())}
+                            required
+                        />
+                        <Input
+                            type="time"
+                            label={`New time (${getDisplayTimeZone()})`}
+                            value={time}
+                            onChange={(e) => setTime(e.target.value)}
+                            required
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                            Note (Optional)
+                        </label>
+                        <textarea
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                            maxLength={500}
+                            placeholder="Why the change?"
+                            className="w-full bg-gray-800/50 border border-gray-700 rounded-xl px-4 py-3 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-violet-500 min-h-[80px] resize-none"
+                        />
+                    </div>
+
+                    {seriesId && (
+                        <label className="flex items-start gap-3 text-sm text-gray-300">
+                            <input
+                                type="checkbox"
+                                checked={wholeSeries}
+                                onChange={(e) => setWholeSeries(e.target.checked)}
+                                className="mt-0.5 rounded border-gray-600 bg-gray-800 text-violet-500 focus:ring-violet-500"
+                            />
+                            <span>
+                                Move all upcoming sessions in this series
+                                <span className="block text-xs text-gray-500">
+                                    Each one shifts by the same amount, keeping the same day and time each week.
+                                </span>
+                            </span>
+                        </label>
+                    )}
+
+                    <div className="flex gap-3">
+                        <Button type="button" variant="outline" className="flex-1" onClick={onClose}>
+                            Cancel
+                        </Button>
+                        <Button type="submit" className="flex-1" isLoading={isSaving} disabled={!date || !time}>
+                            Send Proposal
+                        </Button>
+                    </div>
+                </form>
+            )}
+        </Modal>
+    );
+}
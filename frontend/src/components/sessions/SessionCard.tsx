@@ -3,9 +3,147 @@
 import React from 'react';
 import { useRouter } from 'next/navigation';
 import { Card, Avatar, Badge, Button } from '@/components/ui';
-import { Calendar, Clock, Video, MapPin, MessageSquare, Phone } from 'lucide-react';
-import { formatDate, formatTime, formatDuration, formatCredits } from '@/lib/utils';
-import { Session, SessionStatus } from '@/types';
+import { Calendar, CalendarClock, CalendarPlus, Clock, Video, MapPin, MessageSquare, Phone, AlertTriangle, Repeat, Users } from 'lucide-react';
+import { formatDate, formatTime, formatDateTime, formatDuration, formatCredits } from '@/lib/utils';
+import { RescheduleProposal, Session, SessionEnrollment, SessionStatus, DISPUTE_WINDOW_HOURS } from '@/types';
+
+function getCancellationSummary(cancellation: NonNullable<Session['cancellation']>): string {
+    const refund = `${formatCredits(cancellation.refundAmount)} credits refunded`;
+    switch (cancellation.policyOutcome) {
+        case 'partial_refund':
+            return `Late cancellation · ${refund}, ${formatCredits(cancellation.penaltyAmount)} fee paid to tutor`;
+        case 'tutor_no_show':
+            return `Tutor no-show · ${refund} + ${formatCredits(cancellation.bonusAmount)} bonus`;
+        default:
+            return `Cancelled · ${refund}`;
+    }
+}
+
+function getNoShowSummary(noShow: NonNullable<Session['noShow']>, isGroup: boolean): string {
+    if (noShow.party === 'tutor') {
+        return `Tutor didn't join · ${formatCredits(noShow.refundAmount)} credits refunded + ${formatCredits(noShow.bonusAmount)} bonus`;
+    }
+    return `${isGroup ? 'No student joined' : 'Student didn\'t join'} · ${formatCredits(noShow.paidToTutor)} credits paid to tutor`;
+}
+
+// How the viewer's own seat in a group session was settled
+function getSeatSummary(seat: SessionEnrollment): string | null {
+    const settlement = seat.settlement;
+    if (!settlement) return null;
+
+    switch (settlement.outcome) {
+        case 'withdrawn':
+            return `You gave up your seat · ${formatCredits(settlement.refundAmount || 0)} credits refunded`;
+        case 'refunded':
+            return `Your seat was refunded · ${formatCredits(settlement.refundAmount || 0)} credits` +
+                (settlement.bonusAmount ? ` + ${formatCredits(settlement.bonusAmount)} bonus` : '');
+        case 'absent':
+            return `You didn't join · ${formatCredits(settlement.paidToTutor || 0)} credits paid to tutor`;
+        default:
+            return null;
+    }
+}
+
+function DisputeTimeline({ session }: { session: Session }) {
+    const { dispute } = session;
+    if (!dispute) return null;
+
+    const history = (session.statusHistory || []).filter(
+        (entry) => new Date(entry.changedAt) >= new Date(dispute.openedAt) ||
+            entry.status === (dispute.previousStatus || 'completed')
+    );
+
+    return (
+        <div className="mt-4 p-4 rounded-xl bg-orange-500/5 border border-orange-500/20">
+            <div className="flex items-center gap-2 mb-2">
+                <AlertTriangle className="w-4 h-4 text-orange-400" />
+                <span className="text-sm font-medium text-orange-300">Dispute</span>
+            </div>
+            <p className="text-sm text-gray-300">{dispute.reason}</p>
+            {dispute.evidence && (
+                <p className="text-xs text-gray-500 mt-1 whitespace-pre-wrap">{dispute.evidence}</p>
+            )}
+
+            <ol className="mt-3 space-y-2 border-l border-gray-700 pl-4">
+                {history.map((entry, i) => (
+                    <li key={entry._id || i} className="relative">
+                        <span className="absolute -left-[21px] top-1.5 w-2 h-2 rounded-full bg-gray-500" />
+                        <div className="flex items-center gap-2">
+                            <Badge variant="status" status={entry.status}>
+                                {entry.status.replace('_', ' ')}
+                            </Badge>
+                            <span className="text-xs text-gray-500">{formatDateTime(entry.changedAt)}</span>
+                        </div>
+                        {entry.reason && (
+                            <p className="text-xs text-gray-400 mt-1">{entry.reason}</p>
+                        )}
+                    </li>
+                ))}
+            </ol>
+
+            {dispute.resolution && (
+                <p className="text-xs text-gray-400 mt-3">
+                    Resolved ({dispute.resolution.outcome}): tutor {formatCredits(dispute.resolution.tutorAmount)},
+                    {' '}student {formatCredits(dispute.resolution.studentAmount)} credits
+                </p>
+            )}
+        </div>
+    );
+}
+
+interface ProposalPanelProps {
+    proposal: RescheduleProposal;
+    scope: 'session' | 'series';
+    currentUserId: string;
+    otherName: string;
+    onRespond?: (accept: boolean) => void;
+    onCounter?: () => void;
+}
+
+function ProposalPanel({ proposal, scope, currentUserId, otherName, onRespond, onCounter }: ProposalPanelProps) {
+    const isMine = proposal.proposedBy === currentUserId;
+    const subject = scope === 'series' ? 'all upcoming sessions in this series, starting' : 'this session';
+
+    return (
+        <div className="mt-4 p-4 rounded-xl bg-indigo-500/5 border border-indigo-500/20">
+            <div className="flex items-center gap-2 mb-1">
+                <CalendarClock className="w-4 h-4 text-indigo-400" />
+                <span className="text-sm font-medium text-indigo-300">
+                    {isMine ? 'You proposed' : `${otherName} proposed`} moving {subject} to {formatDateTime(proposal.scheduledAt)}
+                </span>
+            </div>
+            {proposal.note && (
+                <p className="text-xs text-gray-400 whitespace-pre-wrap">{proposal.note}</p>
+            )}
+            {onRespond && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                    {isMine ? (
+                        <Button size="sm" variant="ghost" onClick={() => onRespond(false)}>
+                            Withdraw
+                        </Button>
+                    ) : (
+                        <>
+                            <Button size="sm" onClick={() => onRespond(true)}>
+                                Accept
+                            </Button>
+                            <Button size="sm" variant="outline" onClick={() => onRespond(false)}>
+                                Decline
+                            </Button>
+                            {onCounter && (
+                                <Button size="sm" variant="ghost" onClick={onCounter}>
+                                    Suggest Another Time
+                                </Button>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+            {isMine && (
+                <p className="text-xs text-gray-500 mt-2">Waiting for {otherName} to respond.</p>
+            )}
+        </div>
+    );
+}
 
 interface SessionCardProps {
     session: Session;
@@ -13,6 +151,13 @@ interface SessionCardProps {
     onConfirm?: (sessionId: string) => void;
     onComplete?: (sessionId: string) => void;
     onCancel?: (sessionId: string) => void;
+    onDispute?: (sessionId: string) => void;
+    onReschedule?: (session: Session) => void;
+    onRespondToReschedule?: (target: { sessionId: string } | { seriesId: string }, accept: boolean) => void;
+    onConfirmSeries?: (seriesId: string) => void;
+    onCancelSeries?: (seriesId: string) => void;
+    onAddToCalendar?: (session: Session) => void;
+    onLeaveGroup?: (sessionId: string) => void;
 }
 
 export function SessionCard({
@@ -21,6 +166,13 @@ export function SessionCard({
     onConfirm,
     onComplete,
     onCancel,
+    onDispute,
+    onReschedule,
+    onRespondToReschedule,
+    onConfirmSeries,
+    onCancelSeries,
+    onAddToCalendar,
+    onLeaveGroup,
 }: SessionCardProps) {
     const router = useRouter();
 
@@ -32,6 +184,15 @@ export function SessionCard({
         ? (typeof session.student === 'object' ? session.student : null)
         : (typeof session.tutor === 'object' ? session.tutor : null);
 
+    // Group sessions: students hold seats; only the tutor can complete or cancel the whole session
+    const isGroup = (session.capacity ?? 1) > 1;
+    const enrolledCount = (session.enrollments || []).filter((e) => e.status === 'enrolled').length;
+    const mySeat = isGroup && !isTutor
+        ? session.enrollments?.find((e) =>
+            (typeof e.student === 'object' ? e.student.id : e.student) === currentUserId)
+        : undefined;
+    const seatSummary = mySeat ? getSeatSummary(mySeat) : null;
+
     const now = new Date();
     const scheduledAt = new Date(session.scheduledAt);
     const sessionEnd = new Date(scheduledAt.getTime() + session.duration * 60000);
@@ -39,8 +200,36 @@ export function SessionCard({
 
     const isPast = scheduledAt < now;
     const canConfirm = isTutor && session.status === 'pending';
-    const canComplete = (session.status === 'confirmed' || session.status === 'in_progress') && isPast;
-    const canCancel = session.status === 'pending' || session.status === 'confirmed' || session.status === 'in_progress';
+    // Only the tutor completes a group, and only once it has ended
+    const canComplete = (session.status === 'confirmed' || session.status === 'in_progress') && isPast &&
+        (!isGroup || (isTutor && sessionEnd < now));
+    const canCancel = (session.status === 'pending' || session.status === 'confirmed' || session.status === 'in_progress') &&
+        (!isGroup || isTutor);
+
+    const series = session.series && typeof session.series === 'object' ? session.series : null;
+    const seriesId = series ? series._id : typeof session.series === 'string' ? session.series : null;
+    const isUpcoming = !isPast && (session.status === 'pending' || session.status === 'confirmed');
+    const canReschedule = !!onReschedule && isUpcoming && !isGroup;
+    const canLeaveGroup = !!onLeaveGroup && isUpcoming && mySeat?.status === 'enrolled';
+
+    // Pending proposals: for this session, and for the series when this is the occurrence it anchors on
+    const proposal = isUpcoming && session.rescheduleProposal?.proposedBy ? session.rescheduleProposal : null;
+    const seriesProposal = isUpcoming && series?.rescheduleProposal?.session === session._id
+        ? series.rescheduleProposal
+        : null;
+
+    // Active sessions can be added to a calendar; a cancelled one that hasn't happened yet can be removed
+    const canAddToCalendar = !!onAddToCalendar && now < sessionEnd &&
+        (canCancel || canLeaveGroup || session.status === 'cancelled');
+
+    // Completed sessions can be disputed, and so can no-show and late-cancellation charges
+    const chargedEntry = [...(session.statusHistory || [])].reverse().find((h) => h.status === session.status);
+    const chargedAt = chargedEntry ? new Date(chargedEntry.changedAt) : new Date(session.updatedAt);
+    const wasCharged = session.status === 'completed' ||
+        (session.status === 'no_show' && session.noShow?.party === 'student' && (session.noShow.paidToTutor || 0) > 0) ||
+        (session.status === 'cancelled' && (session.cancellation?.penaltyAmount || 0) > 0);
+    const canDispute = wasCharged && !session.dispute && !isGroup &&
+        now.getTime() - chargedAt.getTime() < DISPUTE_WINDOW_HOURS * 3600000;
 
     // Check if this is a video session that's confirmed/in_progress
     const isVideoSession = (session.status === 'confirmed' || session.status === 'in_progress') &&
@@ -99,10 +288,22 @@ export function SessionCard({
                         <Badge variant="status" status={session.status}>
                             {session.status.replace('_', ' ')}
                         </Badge>
+                        {seriesId && (
+                            <Badge className="flex items-center gap-1 bg-indigo-500/20 text-indigo-300 border-indigo-500/30">
+                                <Repeat className="w-3 h-3" />
+                                Series {session.seriesIndex}{series ? `/${series.occurrences}` : ''}
+                            </Badge>
+                        )}
+                        {isGroup && (
+                            <Badge className="flex items-center gap-1 bg-teal-500/20 text-teal-300 border-teal-500/30">
+                                <Users className="w-3 h-3" />
+                                Group {enrolledCount}/{session.capacity}
+                            </Badge>
+                        )}
                     </div>
 
                     <p className="text-sm text-gray-400 mb-2">
-                        {isTutor ? 'Teaching' : 'Learning from'}{' '}
+                        {isTutor && isGroup ? 'Teaching a group session' : isTutor ? 'Teaching' : 'Learning from'}{' '}
                         {otherUser && (
                             <span className="text-white">
                                 {otherUser.firstName} {otherUser.lastName}
@@ -130,12 +331,52 @@ export function SessionCard({
                     <p className={`text-lg font-bold ${isTutor ? 'text-green-400' : 'text-red-400'}`}>
                         {isTutor ? '+' : '-'}{formatCredits(session.creditCost)}
                     </p>
-                    <p className="text-xs text-gray-500">credits</p>
+                    <p className="text-xs text-gray-500">{isGroup ? 'credits per seat' : 'credits'}</p>
                 </div>
             </div>
 
+            {session.status === 'cancelled' && session.cancellation?.policyOutcome && (
+                <p className="text-xs text-gray-500 mt-3">
+                    {getCancellationSummary(session.cancellation)}
+                </p>
+            )}
+
+            {session.status === 'no_show' && session.noShow && (
+                <p className="text-xs text-gray-500 mt-3">
+                    {getNoShowSummary(session.noShow, isGroup)}
+                </p>
+            )}
+
+            {seatSummary && (
+                <p className="text-xs text-gray-500 mt-3">{seatSummary}</p>
+            )}
+
+            {proposal && (
+                <ProposalPanel
+                    proposal={proposal}
+                    scope="session"
+                    currentUserId={currentUserId}
+                    otherName={otherUser?.firstName || 'The other participant'}
+                    onRespond={onRespondToReschedule && ((accept) => onRespondToReschedule({ sessionId: session._id }, accept))}
+                    onCounter={onReschedule && (() => onReschedule(session))}
+                />
+            )}
+
+            {seriesProposal && seriesId && (
+                <ProposalPanel
+                    proposal={seriesProposal}
+                    scope="series"
+                    currentUserId={currentUserId}
+                    otherName={otherUser?.firstName || 'The other participant'}
+                    onRespond={onRespondToReschedule && ((accept) => onRespondToReschedule({ seriesId }, accept))}
+                    onCounter={onReschedule && (() => onReschedule(session))}
+                />
+            )}
+
+            <DisputeTimeline session={session} />
+
             {/* Actions */}
-            {(canConfirm || canComplete || canCancel || canJoinCall) && (
+            {(canConfirm || canComplete || canCancel || canLeaveGroup || canJoinCall || canReschedule || canAddToCalendar || (canDispute && onDispute)) && (
                 <div className="flex flex-wrap gap-2 mt-4 pt-4 border-t border-gray-700/50">
                     {canJoinCall && (
                         <div className="flex items-center gap-2">
@@ -168,11 +409,44 @@ export function SessionCard({
                             Mark Complete
                         </Button>
                     )}
+                    {canConfirm && seriesId && onConfirmSeries && (
+                        <Button size="sm" variant="outline" onClick={() => onConfirmSeries(seriesId)}>
+                            Confirm Series
+                        </Button>
+                    )}
+                    {canReschedule && (
+                        <Button size="sm" variant="outline" onClick={() => onReschedule?.(session)}>
+                            <CalendarClock className="w-4 h-4 mr-1" />
+                            Reschedule
+                        </Button>
+                    )}
+                    {canAddToCalendar && (
+                        <Button size="sm" variant="ghost" onClick={() => onAddToCalendar?.(session)}>
+                            <CalendarPlus className="w-4 h-4 mr-1" />
+                            {session.status === 'cancelled' ? 'Remove from Calendar' : 'Add to Calendar'}
+                        </Button>
+                    )}
                     {canCancel && (
                         <Button size="sm" variant="outline" onClick={() => onCancel?.(session._id)}>
                             Cancel
                         </Button>
                     )}
+                    {canLeaveGroup && (
+                        <Button size="sm" variant="outline" onClick={() => onLeaveGroup?.(session._id)}>
+                            Leave Group
+                        </Button>
+                    )}
+                    {isUpcoming && seriesId && onCancelSeries && (
+                        <Button size="sm" variant="ghost" onClick={() => onCancelSeries(seriesId)}>
+                            Cancel Series
+                        </Button>
+                    )}
+                    {canDispute && onDispute && (
+                        <Button size="sm" variant="ghost" onClick={() => onDispute(session._id)}>
+                            <AlertTriangle className="w-4 h-4 mr-1" />
+                            Report a Problem
+                        </Button>
+                    )}
                 </div>
             )}
         </Card>
@@ -185,6 +459,13 @@ interface SessionListProps {
     onConfirm?: (sessionId: string) => void;
     onComplete?: (sessionId: string) => void;
     onCancel?: (sessionId: string) => void;
+    onDispute?: (sessionId: string) => void;
+    onReschedule?: (session: Session) => void;
+    onRespondToReschedule?: (target: { sessionId: string } | { seriesId: string }, accept: boolean) => void;
+    onConfirmSeries?: (seriesId: string) => void;
+    onCancelSeries?: (seriesId: string) => void;
+    onAddToCalendar?: (session: Session) => void;
+    onLeaveGroup?: (sessionId: string) => void;
     isLoading?: boolean;
     emptyMessage?: string;
 }
@@ -195,6 +476,13 @@ export function SessionList({
     onConfirm,
     onComplete,
     onCancel,
+    onDispute,
+    onReschedule,
+    onRespondToReschedule,
+    onConfirmSeries,
+    onCancelSeries,
+    onAddToCalendar,
+    onLeaveGroup,
     isLoading,
     emptyMessage = 'No sessions found',
 }: SessionListProps) {
@@ -240,6 +528,13 @@ export function SessionList({
                     onConfirm={onConfirm}
                     onComplete={onComplete}
                     onCancel={onCancel}
+                    onDispute={onDispute}
+                    onReschedule={onReschedule}
+                    onRespondToReschedule={onRespondToReschedule}
+                    onConfirmSeries={onConfirmSeries}
+                    onCancelSeries={onCancelSeries}
+                    onAddToCalendar={onAddToCalendar}
+                    onLeaveGroup={onLeaveGroup}
                 />
             ))}
         </div>
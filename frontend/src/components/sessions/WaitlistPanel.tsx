@@ -0,0 +1,160 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Avatar, Badge, Button, Card } from '@/components/ui';
+import { Hourglass, Timer } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import { formatDate, formatDateTime, formatDuration, formatTime } from '@/lib/utils';
+import { WaitlistEntry } from '@/types';
+
+interface WaitlistPanelProps {
+    // Changes whenever the session list reloads, so cancellations that freed a slot show up
+    refreshKey?: number;
+    onBooked?: () => void;
+}
+
+const minutesLeft = (expiresAt: string) =>
+    Math.max(0, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 60000));
+
+export function WaitlistPanel({ refreshKey, onBooked }: WaitlistPanelProps) {
+    const { token, refreshUser } = useAuth();
+    const [entries, setEntries] = useState<WaitlistEntry[]>([]);
+    const [busyId, setBusyId] = useState('');
+    const [error, setError] = useState('');
+
+    const fetchEntries = () => {
+        if (!token) return;
+
+        api.getMyWaitlist(token)
+            .then((res) => setEntries(res.data.entries))
+            .catch((err) => console.error('Failed to fetch waitlist:', err));
+    };
+
+    useEffect(fetchEntries, [token, refreshKey]);
+
+    const handleBook = async (entry: WaitlistEntry) => {
+        if (!token) return;
+
+        setBusyId(entry._id);
+        setError('');
+
+        try {
+            await api.bookWaitlistHold(token, entry._id);
+            fetchEntries();
+            await refreshUser();
+            onBooked?.();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to book the held time');
+            fetchEntries();
+        } finally {
+            setBusyId('');
+        }
+    };
+
+    const handleLeave = async (entry: WaitlistEntry) => {
+        if (!token) return;
+
+        const message = entry.status === 'offered'
+            ? 'Release the held time? It will be offered to the next student in line.'
+            : 'Leave this waitlist?';
+        if (!confirm(message)) return;
+
+        setBusyId(entry._id);
+        setError('');
+
+        try {
+            await api.leaveWaitlist(token, entry._id);
+            setEntries((prev) => prev.filter((e) => e._id !== entry._id));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to leave the waitlist');
+        } finally {
+            setBusyId('');
+        }
+    };
+
+    if (entries.length === 0) return null;
+
+    return (
+        <Card className="mb-6">
+            <div className="flex items-center gap-3 mb-4">
+                <div className="p-2.5 rounded-xl bg-amber-500/20">
+                    <Hourglass className="w-5 h-5 text-amber-400" />
+                </div>
+                <div>
+                    <h2 className="text-lg font-semibold text-white">Waitlist</h2>
+                    <p className="text-gray-500 text-sm">You&apos;ll be offered the time if a tutor&apos;s session is cancelled</p>
+                </div>
+            </div>
+
+            {error && (
+                <p className="text-sm text-red-400 mb-3">{error}</p>
+            )}
+
+            <div className="space-y-3">
+                {entries.map((entry) => {
+                    const isHeld = entry.status === 'offered' && !!entry.hold;
+                    return (
+                        <div
+                            key={entry._id}
+                            className={`flex flex-wrap items-center gap-3 p-3 rounded-xl border ${isHeld
+                                ? 'bg-green-500/5 border-green-500/30'
+                                : 'bg-gray-800/50 border-gray-700'
+                                }`}
+                        >
+                            <Avatar
+                                src={entry.tutor.avatar}
+                                firstName={entry.tutor.firstName}
+                                lastName={entry.tutor.lastName}
+                                size="sm"
+                            />
+                            <div className="flex-1 min-w-0">
+                                <p className="text-white font-medium truncate">
+                                    {entry.skill.name} with {entry.tutor.firstName} {entry.tutor.lastName}
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                    {isHeld && entry.hold
+                                        ? `${formatDate(entry.hold.scheduledAt)} · ${formatTime(entry.hold.scheduledAt)}`
+                                        : entry.scheduledAt
+                                            ? formatDateTime(entry.scheduledAt)
+                                            : 'Any opening'}
+                                    {' · '}{formatDuration(entry.duration)}
+                                </p>
+                                {isHeld && entry.hold && (
+                                    <p className="flex items-center gap-1 text-xs text-green-400 mt-1">
+                                        <Timer className="w-3.5 h-3.5" />
+                                        Held for you until {formatTime(entry.hold.expiresAt)} ({minutesLeft(entry.hold.expiresAt)} min left)
+                                    </p>
+                                )}
+                            </div>
+
+                            {isHeld ? (
+                                <Badge className="bg-green-500/20 text-green-400 border-green-500/30">Time held</Badge>
+                            ) : (
+                                <Badge className="bg-amber-500/20 text-amber-400 border-amber-500/30">
+                                    #{entry.position} in line
+                                </Badge>
+                            )}
+
+                            <div className="flex gap-2">
+                                {isHeld && (
+                                    <Button size="sm" onClick={() => handleBook(entry)} isLoading={busyId === entry._id}>
+                                        Book Now
+                                    </Button>
+                                )}
+                                <Button
+                                    size="sm"
+                                    variant="ghost"
+                                    onClick={() => handleLeave(entry)}
+                                    disabled={busyId === entry._id}
+                                >
+                                    {isHeld ? 'Release' : 'Leave'}
+                                </Button>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </Card>
+    );
+}
@@ -1 +1,5 @@
 export { SessionCard, SessionList } from './SessionCard';
+export { RescheduleModal } from './RescheduleModal';
+export { CalendarFeedModal } from './CalendarFeedModal';
+export { WaitlistPanel } from './WaitlistPanel';
+export { HostGroupSessionModal } from './HostGroupSessionModal';
@@ -2,7 +2,7 @@
 
 import { useEffect, useRef, useState, useCallback } from 'react';
 import { useSocket } from '@/context/SocketContext';
-import { useWebRTC } from '@/lib/useWebRTC';
+import { RemoteStream, useWebRTC } from '@/lib/useWebRTC';
 import {
     Video, VideoOff, Mic, MicOff, Phone, PhoneOff,
     Maximize2, Minimize2, MessageSquare, Users, Clock,
@@ -16,16 +16,54 @@ interface VideoCallProps {
     onError?: (error: string) => void;
 }
 
+interface Participant {
+    id: string;
+    name: string;
+    avatar?: string;
+}
+
 interface SessionInfo {
     id: string;
     skill: { name: string; category: string };
     duration: number;
-    tutor: { id: string; name: string; avatar?: string };
-    student: { id: string; name: string; avatar?: string };
+    // Seats: more than 1 for a group session
+    capacity?: number;
+    tutor: Participant;
+    // Null for a group session
+    student: Participant | null;
+    students?: Participant[];
 }
 
 type CallState = 'connecting' | 'waiting' | 'active' | 'ended' | 'error';
 
+// Columns for the remote video grid, by number of remote participants
+const gridColumns = (count: number) =>
+    count <= 1 ? 'grid-cols-1' : count <= 4 ? 'grid-cols-2' : 'grid-cols-3';
+
+function RemoteVideo({ remote, label }: { remote: RemoteStream; label: string }) {
+    const videoRef = useRef<HTMLVideoElement>(null);
+
+    useEffect(() => {
+        if (videoRef.current) {
+            videoRef.current.srcObject = remote.stream;
+        }
+    }, [remote.stream]);
+
+    return (
+        <div className="relative bg-gray-900 rounded-xl overflow-hidden">
+            <video
+                ref={videoRef}
+                autoPlay
+                playsInline
+                className="w-full h-full object-cover"
+            />
+            <div className="absolute bottom-2 left-2 px-2 py-1 bg-black/60 rounded text-xs text-white">
+                {label}
+            </div>
+        </div>
+    );
+}
+
 export default function VideoCall({ sessionId, token, onEnd, onError }: VideoCallProps) {
     const { socket, isConnected, connect, disconnect } = useSocket();
 
@@ -42,18 +80,16 @@ export default function VideoCall({ sessionId, token, onEnd, onError }: VideoCal
     }>>([]);
     const [chatInput, setChatInput] = useState('');
     const [myRole, setMyRole] = useState<'tutor' | 'student' | null>(null);
-    const [isPolite, setIsPolite] = useState(false);
     const [errorMessage, setErrorMessage] = useState<string | null>(null);
     const [hasJoined, setHasJoined] = useState(false);
 
     const localVideoRef = useRef<HTMLVideoElement>(null);
-    const remoteVideoRef = useRef<HTMLVideoElement>(null);
     const containerRef = useRef<HTMLDivElement>(null);
     const timerRef = useRef<NodeJS.Timeout | null>(null);
 
     const {
         localStream,
-        remoteStream,
+        remoteStreams,
         isVideoEnabled,
         isAudioEnabled,
         connectionState,
@@ -65,10 +101,20 @@ export default function VideoCall({ sessionId, token, onEnd, onError }: VideoCal
         endCall: endWebRTCCall
     } = useWebRTC({
         socket,
-        roomId: sessionId,
-        isPolite
+        roomId: sessionId
     });
 
+    const isGroup = (sessionInfo?.capacity ?? 1) > 1;
+
+    // Name shown on a remote participant's video
+    const participantName = useCallback((userId: string) => {
+        if (!sessionInfo) return 'Participant';
+        const everyone = [sessionInfo.tutor, ...(sessionInfo.students || [])];
+        const participant = everyone.find(p => p.id === userId);
+        if (!participant) return 'Participant';
+        return participant.id === sessionInfo.tutor.id ? `${participant.name} (tutor)` : participant.name;
+    }, [sessionInfo]);
+
     // Connect socket on mount - only once
     useEffect(() => {
         if (!isConnected && token) {
@@ -109,12 +155,7 @@ export default function VideoCall({ sessionId, token, onEnd, onError }: VideoCal
                     setMyRole(response.role);
                     setRemainingTime(response.remainingTime);
 
-                    // The second person to join is "polite" (yields during collisions)
-                    const amIPolite = !response.isInitiator;
-                    setIsPolite(amIPolite);
-                    console.log('[VideoCall] Am I polite?', amIPolite);
-
-                    // Initialize WebRTC connection
+                    // Participants already in the room connect to us as we join
                     try {
                         await initializeConnection();
                     } catch (err) {
@@ -155,19 +196,26 @@ export default function VideoCall({ sessionId, token, onEnd, onError }: VideoCal
             setChatMessages(prev => [...prev, { ...data, isOwn: false }]);
         };
 
+        // In a group call others may still be here, so ask before going back to waiting
+        const handleUserLeft = () => {
+            console.log('[VideoCall] User left');
+            socket.emit('get-participants', (response: { participants?: unknown[] }) => {
+                if (!response.participants?.length) {
+                    setCallState('waiting');
+                }
+            });
+        };
+
         socket.on('user-joined', handleUserJoined);
         socket.on('session-ended', handleSessionEnded);
         socket.on('chat-message', handleChatMessage);
-        socket.on('user-left', () => {
-            console.log('[VideoCall] User left');
-            setCallState('waiting');
-        });
+        socket.on('user-left', handleUserLeft);
 
         return () => {
             socket.off('user-joined', handleUserJoined);
             socket.off('session-ended', handleSessionEnded);
             socket.off('chat-message', handleChatMessage);
-            socket.off('user-left');
+            socket.off('user-left', handleUserLeft);
         };
     }, [socket]);
 
@@ -178,14 +226,6 @@ export default function VideoCall({ sessionId, token, onEnd, onError }: VideoCal
         }
     }, [localStream]);
 
-    // Update remote video element
-    useEffect(() => {
-        if (remoteVideoRef.current && remoteStream) {
-            console.log('[VideoCall] Setting remote video stream');
-            remoteVideoRef.current.srcObject = remoteStream;
-        }
-    }, [remoteStream]);
-
     // Timer for remaining time
     useEffect(() => {
         if (remainingTime > 0 && callState === 'active') {
@@ -307,7 +347,9 @@ export default function VideoCall({ sessionId, token, onEnd, onError }: VideoCal
                         </span>
                     </div>
                     {callState === 'waiting' && (
-                        <span className="text-gray-400 text-sm">Waiting for {myRole === 'tutor' ? 'student' : 'tutor'} to join...</span>
+                        <span className="text-gray-400 text-sm">
+                            Waiting for {isGroup ? 'others' : myRole === 'tutor' ? 'student' : 'tutor'} to join...
+                        </span>
                     )}
                     {callState === 'active' && connectionState !== 'connected' && (
                         <span className="text-yellow-400 text-sm flex items-center gap-1">
@@ -318,6 +360,12 @@ export default function VideoCall({ sessionId, token, onEnd, onError }: VideoCal
                 </div>
 
                 <div className="flex items-center gap-6">
+                    {isGroup && sessionInfo?.capacity && (
+                        <div className="flex items-center gap-2 text-gray-300" title="People on the call">
+                            <Users className="w-4 h-4" />
+                            <span>{remoteStreams.length + 1}/{sessionInfo.capacity + 1}</span>
+                        </div>
+                    )}
                     {remainingTime > 0 && (
                         <div className="flex items-center gap-2 text-gray-300">
                             <Clock className="w-4 h-4" />
@@ -335,15 +383,18 @@ export default function VideoCall({ sessionId, token, onEnd, onError }: VideoCal
 
             {/* Main Video Area */}
             <div className="flex-1 relative">
-                {/* Remote Video (Large) */}
+                {/* Remote Videos (one tile per participant) */}
                 <div className="absolute inset-0 bg-gradient-to-br from-gray-900 to-black flex items-center justify-center">
-                    {remoteStream ? (
-                        <video
-                            ref={remoteVideoRef}
-                            autoPlay
-                            playsInline
-                            className="w-full h-full object-cover"
-                        />
+                    {remoteStreams.length > 0 ? (
+                        <div className={`grid ${gridColumns(remoteStreams.length)} gap-2 p-2 w-full h-full`}>
+                            {remoteStreams.map(remote => (
+                                <RemoteVideo
+                                    key={remote.socketId}
+                                    remote={remote}
+                                    label={participantName(remote.userId)}
+                                />
+                            ))}
+                        </div>
                     ) : (
                         <div className="text-center">
                             {callState === 'waiting' ? (
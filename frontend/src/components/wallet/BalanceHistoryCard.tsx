@@ -0,0 +1,234 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Avatar, Card } from '@/components/ui';
+import { BookOpen, LineChart, Users } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import { formatCredits } from '@/lib/utils';
+import { BalanceHistory, BalancePoint } from '@/types';
+
+interface BalanceHistoryCardProps {
+    // Bump to refetch after the balance changes
+    refreshKey?: number;
+}
+
+const RANGE_PRESETS = [
+    { label: '7D', days: 7 },
+    { label: '30D', days: 30 },
+    { label: '90D', days: 90 },
+    { label: '1Y', days: 365 },
+];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 8;
+
+// YYYY-MM-DD in UTC, matching the server's day buckets
+const toUtcDay = (date: Date) => date.toISOString().slice(0, 10);
+
+const formatDay = (day: string) =>
+    new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+function BalanceChart({ points }: { points: BalancePoint[] }) {
+    const [hovered, setHovered] = useState<number | null>(null);
+
+    if (points.length === 0) return null;
+
+    const balances = points.map((point) => point.balance);
+    const max = Math.max(...balances);
+    const min = Math.min(0, ...balances);
+    const span = max - min || 1;
+
+    const x = (i: number) =>
+        points.length === 1
+            ? CHART_WIDTH / 2
+            : CHART_PADDING + (i / (points.length - 1)) * (CHART_WIDTH - CHART_PADDING * 2);
+    const y = (value: number) =>
+        CHART_PADDING + (1 - (value - min) / span) * (CHART_HEIGHT - CHART_PADDING * 2);
+
+    const line = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(point.balance)}`).join(' ');
+    const area = `${line} L${x(points.length - 1)},${y(min)} L${x(0)},${y(min)} Z`;
+
+    const handleMove = (e: React.MouseEvent<SVGSVGElement>) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const ratio = (e.clientX - rect.left) / rect.width;
+        setHovered(Math.min(points.length - 1, Math.max(0, Math.round(ratio * (points.length - 1)))));
+    };
+
+    const active = hovered !== null ? points[hovered] : null;
+
+    return (
+        <div>
+            <div className="h-6 text-sm text-gray-400">
+                {active && (
+                    <span>
+                        {formatDay(active.date)}:{' '}
+                        <span className="text-white font-medium">{formatCredits(active.balance)} credits</span>
+                        {active.credited > 0 && <span className="text-green-400 ml-2">+{formatCredits(active.credited)}</span>}
+                        {active.debited > 0 && <span className="text-red-400 ml-2">-{formatCredits(active.debited)}</span>}
+                    </span>
+                )}
+            </div>
+            <svg
+                viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+                preserveAspectRatio="none"
+                className="w-full h-44"
+                onMouseMove={handleMove}
+                onMouseLeave={() => setHovered(null)}
+            >
+                <defs>
+                    <linearGradient id="balance-fill" x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="0%" stopColor="rgb(139 92 246)" stopOpacity="0.35" />
+                        <stop offset="100%" stopColor="rgb(139 92 246)" stopOpacity="0" />
+                    </linearGradient>
+                </defs>
+                <path d={area} fill="url(#balance-fill)" />
+                <path d={line} fill="none" stroke="rgb(167 139 250)" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+                {hovered !== null && (
+                    <line
+                        x1={x(hovered)}
+                        x2={x(hovered)}
+                        y1={0}
+                        y2={CHART_HEIGHT}
+                        stroke="rgb(107 114 128)"
+                        strokeDasharray="4 4"
+                        vectorEffect="non-scaling-stroke"
+                    />
+                )}
+            </svg>
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{formatDay(points[0].date)}</span>
+                <span>{formatDay(points[points.length - 1].date)}</span>
+            </div>
+        </div>
+    );
+}
+
+export function BalanceHistoryCard({ refreshKey = 0 }: BalanceHistoryCardProps) {
+    const { token } = useAuth();
+    const [rangeDays, setRangeDays] = useState(30);
+    const [history, setHistory] = useState<BalanceHistory | null>(null);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        if (!token) return;
+
+        const to = new Date();
+        const from = new Date(to.getTime() - (rangeDays - 1) * 24 * 60 * 60 * 1000);
+
+        setIsLoading(true);
+        api.getBalanceHistory(token, { from: toUtcDay(from), to: toUtcDay(to) })
+            .then((res) => setHistory(res.data.history))
+            .catch((error) => console.error('Failed to fetch balance history:', error))
+            .finally(() => setIsLoading(false));
+    }, [token, rangeDays, refreshKey]);
+
+    const change = history ? history.closingBalance - history.openingBalance : 0;
+
+    return (
+        <Card className="mb-8">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
+                <div className="flex items-center gap-3">
+                    <div className="p-2.5 rounded-xl bg-violet-500/20">
+                        <LineChart className="w-5 h-5 text-violet-400" />
+                    </div>
+                    <div>
+                        <h2 className="text-lg font-semibold text-white">Balance Over Time</h2>
+                        {history && (
+                            <p className={`text-sm ${change >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                {change >= 0 ? '+' : '-'}{formatCredits(Math.abs(change))} credits in this period
+                            </p>
+                        )}
+                    </div>
+                </div>
+
+                <div className="flex gap-1 p-1 rounded-xl bg-gray-800/50 border border-gray-700 self-start">
+                    {RANGE_PRESETS.map((preset) => (
+                        <button
+                            key={preset.label}
+                            type="button"
+                            onClick={() => setRangeDays(preset.days)}
+                            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${rangeDays === preset.days
+                                ? 'bg-violet-500 text-white'
+                                : 'text-gray-400 hover:text-white'
+                                }`}
+                        >
+                            {preset.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {isLoading && !history ? (
+                <div className="h-52 rounded-xl bg-gray-800/50 animate-pulse" />
+            ) : history ? (
+                <>
+                    <div className={isLoading ? 'opacity-50 transition-opacity' : 'transition-opacity'}>
+                        <BalanceChart points={history.points} />
+                    </div>
+
+                    <div className="grid md:grid-cols-2 gap-6 mt-6 pt-6 border-t border-gray-800">
+                        <div>
+                            <h3 className="flex items-center gap-2 text-sm font-medium text-gray-300 mb-3">
+                                <BookOpen className="w-4 h-4 text-green-400" />
+                                Earned by Skill
+                            </h3>
+                            {history.earnedBySkill.length === 0 ? (
+                                <p className="text-sm text-gray-500">No teaching income in this period</p>
+                            ) : (
+                                <ul className="space-y-2">
+                                    {history.earnedBySkill.map((row) => (
+                                        <li key={row.skill} className="flex items-center justify-between text-sm">
+                                            <div>
+                                                <p className="text-white">{row.skill}</p>
+                                                <p className="text-xs text-gray-500">
+                                                    {row.sessions} session{row.sessions === 1 ? '' : 's'}
+                                                </p>
+                                            </div>
+                                            <span className="font-medium text-green-400">+{formatCredits(row.amount)}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+
+                        <div>
+                            <h3 className="flex items-center gap-2 text-sm font-medium text-gray-300 mb-3">
+                                <Users className="w-4 h-4 text-red-400" />
+                                Spent by Tutor
+                            </h3>
+                            {history.spentByTutor.length === 0 ? (
+                                <p className="text-sm text-gray-500">No sessions paid for in this period</p>
+                            ) : (
+                                <ul className="space-y-2">
+                                    {history.spentByTutor.map((row) => (
+                                        <li key={row.tutor.id} className="flex items-center justify-between text-sm">
+                                            <div className="flex items-center gap-2">
+                                                <Avatar
+                                                    src={row.tutor.avatar}
+                                                    firstName={row.tutor.firstName}
+                                                    lastName={row.tutor.lastName}
+                                                    size="sm"
+                                                />
+                                                <div>
+                                                    <p className="text-white">{row.tutor.firstName} {row.tutor.lastName}</p>
+                                                    <p className="text-xs text-gray-500">
+                                                        {row.sessions} session{row.sessions === 1 ? '' : 's'}
+                                                    </p>
+                                                </div>
+                                            </div>
+                                            <span className="font-medium text-red-400">-{formatCredits(row.amount)}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    </div>
+                </>
+            ) : (
+                <p className="text-sm text-gray-500">Balance history is unavailable right now.</p>
+            )}
+        </Card>
+    );
+}
@@ -0,0 +1,137 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Button, Input, Modal } from '@/components/ui';
+import { FileText, FileSpreadsheet } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+
+interface ExportStatementModalProps {
+    isOpen: boolean;
+    onClose: () => void;
+}
+
+type StatementFormat = 'csv' | 'pdf';
+
+// YYYY-MM-DD in local time, as <input type="date"> expects
+const toDateInput = (date: Date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export function ExportStatementModal({ isOpen, onClose }: ExportStatementModalProps) {
+    const { token } = useAuth();
+    const today = new Date();
+    const [from, setFrom] = useState(toDateInput(new Date(today.getFullYear(), today.getMonth(), 1)));
+    const [to, setTo] = useState(toDateInput(today));
+    const [format, setFormat] = useState<StatementFormat>('pdf');
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const rangeError = from && to && from > to ? 'Start date must be before end date' : '';
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!token) return;
+
+        setIsLoading(true);
+        setError('');
+
+        try {
+            const blob = await api.downloadStatement(token, { from, to, format });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `skillvault-statement-${from}-to-${to}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+            onClose();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to download statement');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const formats: { value: StatementFormat; label: string; hint: string; icon: React.ReactNode }[] = [
+        { value: 'pdf', label: 'PDF', hint: 'To hand in', icon: <FileText className="w-5 h-5" /> },
+        { value: 'csv', label: 'CSV', hint: 'For spreadsheets', icon: <FileSpreadsheet className="w-5 h-5" /> },
+    ];
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="Export Statement" size="sm">
+            <form onSubmit={handleSubmit}>
+                {error && (
+                    <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm mb-6">
+                        {error}
+                    </div>
+                )}
+
+                <div className="space-y-5">
+                    <div className="grid grid-cols-2 gap-4">
+                        <Input
+                            type="date"
+                            label="From"
+                            value={from}
+                            max={to || undefined}
+                            onChange={(e) => setFrom(e.target.value)}
+                            required
+                        />
+                        <Input
+                            type="date"
+                            label="To"
+                            value={to}
+                            max={toDateInput(today)}
+                            onChange={(e) => setTo(e.target.value)}
+                            required
+                        />
+                    </div>
+                    {rangeError && (
+                        <p className="text-sm text-amber-400 -mt-2">{rangeError}</p>
+                    )}
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                            Format
+                        </label>
+                        <div className="grid grid-cols-2 gap-2">
+                            {formats.map((option) => (
+                                <button
+                                    key={option.value}
+                                    type="button"
+                                    onClick={() => setFormat(option.value)}
+                                    className={`flex items-center gap-3 p-3 rounded-xl border text-left transition-all ${format === option.value
+                                        ? 'bg-violet-500/20 border-violet-500 text-white'
+                                        : 'bg-gray-800/50 border-gray-700 text-gray-300 hover:border-gray-600'
+                                        }`}
+                                >
+                                    {option.icon}
+                                    <div>
+                                        <p className="font-medium">{option.label}</p>
+                                        <p className="text-xs text-gray-500">{option.hint}</p>
+                                    </div>
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <p className="text-xs text-gray-500">
+                        Includes every transaction in the range with opening and closing balances. Dates are in UTC.
+                    </p>
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <Button type="button" variant="outline" className="flex-1" onClick={onClose}>
+                        Cancel
+                    </Button>
+                    <Button
+                        type="submit"
+                        className="flex-1"
+                        isLoading={isLoading}
+                        disabled={!from || !to || !!rangeError}
+                    >
+                        Download
+                    </Button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
@@ -0,0 +1,145 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Button, Card, Input } from '@/components/ui';
+import { Check, Copy, Gift, Ticket, Users } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { api } from '@/lib/api';
+import { formatCredits } from '@/lib/utils';
+import { ReferralSummary } from '@/types';
+
+interface RewardsPanelProps {
+    onRedeemed?: () => void;
+}
+
+export function RewardsPanel({ onRedeemed }: RewardsPanelProps) {
+    const { token, refreshUser } = useAuth();
+    const [code, setCode] = useState('');
+    const [isRedeeming, setIsRedeeming] = useState(false);
+    const [redeemError, setRedeemError] = useState('');
+    const [redeemMessage, setRedeemMessage] = useState('');
+
+    const [referrals, setReferrals] = useState<ReferralSummary | null>(null);
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        if (!token) return;
+
+        api.getReferrals(token)
+            .then((res) => setReferrals(res.data.referrals))
+            .catch((error) => console.error('Failed to fetch referrals:', error));
+    }, [token]);
+
+    const inviteLink = referrals && typeof window !== 'undefined'
+        ? `${window.location.origin}/register?ref=${referrals.referralCode}`
+        : '';
+
+    const handleRedeem = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!token || !code.trim()) return;
+
+        setIsRedeeming(true);
+        setRedeemError('');
+        setRedeemMessage('');
+
+        try {
+            const response = await api.redeemPromoCode(token, code.trim());
+            setRedeemMessage(`${response.data.code} added ${formatCredits(response.data.amount)} credits to your wallet`);
+            setCode('');
+            await refreshUser();
+            onRedeemed?.();
+        } catch (err) {
+            setRedeemError(err instanceof Error ? err.message : 'Failed to redeem promo code');
+        } finally {
+            setIsRedeeming(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        if (!inviteLink) return;
+
+        try {
+            await navigator.clipboard.writeText(inviteLink);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (error) {
+            console.error('Failed to copy invite link:', error);
+        }
+    };
+
+    return (
+        <div className="grid md:grid-cols-2 gap-6 mb-8">
+            <Card>
+                <div className="flex items-center gap-3 mb-4">
+                    <div className="p-2.5 rounded-xl bg-violet-500/20">
+                        <Ticket className="w-5 h-5 text-violet-400" />
+                    </div>
+                    <div>
+                        <h2 className="text-lg font-semibold text-white">Redeem a Promo Code</h2>
+                        <p className="text-gray-500 text-sm">Bonus credits expire if unused</p>
+                    </div>
+                </div>
+
+                <form onSubmit={handleRedeem} className="flex gap-2">
+                    <div className="flex-1">
+                        <Input
+                            type="text"
+                            placeholder="Enter code"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value.toUpperCase())}
+                            maxLength={32}
+                        />
+                    </div>
+                    <Button type="submit" isLoading={isRedeeming} disabled={!code.trim()}>
+                        Redeem
+                    </Button>
+                </form>
+
+                {redeemError && (
+                    <p className="text-sm text-red-400 mt-3">{redeemError}</p>
+                )}
+                {redeemMessage && (
+                    <p className="flex items-center gap-1.5 text-sm text-green-400 mt-3">
+                        <Check className="w-4 h-4" />
+                        {redeemMessage}
+                    </p>
+                )}
+            </Card>
+
+            <Card>
+                <div className="flex items-center gap-3 mb-4">
+                    <div className="p-2.5 rounded-xl bg-pink-500/20">
+                        <Gift className="w-5 h-5 text-pink-400" />
+                    </div>
+                    <div>
+                        <h2 className="text-lg font-semibold text-white">Invite Friends</h2>
+                        <p className="text-gray-500 text-sm">
+                            {referrals
+                                ? `You get ${formatCredits(referrals.referrerBonus)}, they get ${formatCredits(referrals.refereeBonus)} after their first session`
+                                : 'Earn credits when friends join'}
+                        </p>
+                    </div>
+                </div>
+
+                {referrals ? (
+                    <>
+                        <div className="flex gap-2">
+                            <div className="flex-1 min-w-0 px-4 py-3 rounded-xl bg-gray-800/50 border border-gray-700 text-gray-300 text-sm truncate">
+                                {inviteLink}
+                            </div>
+                            <Button type="button" variant="outline" onClick={handleCopy}>
+                                {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                            </Button>
+                        </div>
+                        <p className="flex items-center gap-1.5 text-gray-400 text-sm mt-3">
+                            <Users className="w-4 h-4" />
+                            {referrals.referredCount} joined · {referrals.rewardedCount} rewarded
+                        </p>
+                    </>
+                ) : (
+                    <div className="h-12 rounded-xl bg-gray-800/50 animate-pulse" />
+                )}
+            </Card>
+        </div>
+    );
+}
@@ -0,0 +1,246 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Button, Input, Modal } from '@/components/ui';
+import { Send, Sparkles, User as UserIcon } from 'lucide-react';
+import { useAuth } from '@/context/AuthContext';
+import { useStepUp } from '@/context/StepUpContext';
+import { api } from '@/lib/api';
+import { formatCredits } from '@/lib/utils';
+import { TransferLimits, TRANSFER_MEMO_MAX_LENGTH } from '@/types';
+
+interface SendCreditsModalProps {
+    isOpen: boolean;
+    onClose: () => void;
+    availableBalance: number;
+    limits: TransferLimits | null;
+    onSuccess?: () => void;
+}
+
+type Step = 'form' | 'confirm' | 'done';
+
+export function SendCreditsModal({ isOpen, onClose, availableBalance, limits, onSuccess }: SendCreditsModalProps) {
+    const { token, refreshUser } = useAuth();
+    const { withStepUp } = useStepUp();
+    const [step, setStep] = useState<Step>('form');
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const [recipient, setRecipient] = useState('');
+    const [amount, setAmount] = useState('');
+    const [memo, setMemo] = useState('');
+    const [recipientName, setRecipientName] = useState('');
+
+    // One key per confirmed transfer: retrying after a network error reuses it,
+    // so the server never sends the same transfer twice
+    const [idempotencyKey, setIdempotencyKey] = useState('');
+
+    const numericAmount = Number(amount);
+    const remainingToday = limits ? limits.remainingAmount : Infinity;
+    const maxSendable = Math.min(availableBalance, remainingToday);
+
+    const amountError = !amount
+        ? ''
+        : !(numericAmount > 0)
+            ? 'Enter an amount greater than 0'
+            : numericAmount > availableBalance
+                ? `You only have ${formatCredits(availableBalance)} credits available`
+                : numericAmount > remainingToday
+                    ? `You can send ${formatCredits(remainingToday)} more credits today`
+                    : '';
+
+    const limitReached = limits ? limits.remainingTransfers === 0 : false;
+
+    const handleReview = (e: React.FormEvent) => {
+        e.preventDefault();
+        setError('');
+        setIdempotencyKey(crypto.randomUUID());
+        setStep('confirm');
+    };
+
+    const handleConfirm = async () => {
+        if (!token) return;
+
+        setIsLoading(true);
+        setError('');
+
+        try {
+            const response = await withStepUp(() => api.transferCredits(
+                token,
+                {
+                    recipient: recipient.trim(),
+                    amount: numericAmount,
+                    memo: memo.trim() || undefined,
+                },
+                idempotencyKey
+            ));
+
+            const to = response.data.recipient;
+            setRecipientName(to ? `${to.firstName} ${to.lastName}` : recipient.trim());
+            setStep('done');
+            await refreshUser();
+            onSuccess?.();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to send credits');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleClose = () => {
+        setStep('form');
+        setRecipient('');
+        setAmount('');
+        setMemo('');
+        setRecipientName('');
+        setIdempotencyKey('');
+        setError('');
+        onClose();
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={handleClose} title="Send Credits">
+            {step === 'done' ? (
+                <div className="text-center py-8">
+                    <div className="w-16 h-16 rounded-full bg-green-500/20 flex items-center justify-center mx-auto mb-4">
+                        <Send className="w-8 h-8 text-green-400" />
+                    </div>
+                    <h3 className="text-xl font-semibold text-white mb-2">Credits Sent!</h3>
+                    <p className="text-gray-400">
+                        {formatCredits(numericAmount)} credits are on their way to {recipientName}.
+                    </p>
+                    <Button className="mt-6" onClick={handleClose}>
+                        Done
+                    </Button>
+                </div>
+            ) : step === 'confirm' ? (
+                <div>
+                    {error && (
+                        <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm mb-6">
+                            {error}
+                        </div>
+                    )}
+
+                    <div className="p-4 rounded-xl bg-gray-800/50 space-y-3">
+                        <div className="flex items-center justify-between">
+                            <span className="text-gray-400">To</span>
+                            <span className="text-white font-medium truncate ml-4">{recipient.trim()}</span>
+                        </div>
+                        <div className="flex items-center justify-between">
+                            <span className="text-gray-400">Amount</span>
+                            <span className="text-xl font-bold text-white">
+                                {formatCredits(numericAmount)} credits
+                            </span>
+                        </div>
+                        {memo.trim() && (
+                            <div className="flex items-start justify-between">
+                                <span className="text-gray-400">Memo</span>
+                                <span className="text-gray-300 text-right ml-4 break-words">{memo.trim()}</span>
+                            </div>
+                        )}
+                        <div className="flex items-center justify-between pt-3 border-t border-gray-700">
+                            <span className="text-gray-400">Balance after</span>
+                            <span className="text-gray-300">
+                                {formatCredits(availableBalance - numericAmount)} credits
+                            </span>
+                        </div>
+                    </div>
+
+                    <p className="text-xs text-gray-500 mt-3">
+                        Transfers are final. Make sure the recipient is correct before sending.
+                    </p>
+
+                    <div className="flex gap-3 mt-6">
+                        <Button
+                            type="button"
+                            variant="outline"
+                            className="flex-1"
+                            onClick={() => setStep('form')}
+                            disabled={isLoading}
+                        >
+                            Back
+                        </Button>
+                        <Button
+                            type="button"
+                            className="flex-1"
+                            isLoading={isLoading}
+                            onClick={handleConfirm}
+                        >
+                            Send {formatCredits(numericAmount)} Credits
+                        </Button>
+                    </div>
+                </div>
+            ) : (
+                <form onSubmit={handleReview}>
+                    <div className="space-y-5">
+                        <Input
+                            label="Recipient"
+                            placeholder="Email address or user ID"
+                            value={recipient}
+                            onChange={(e) => setRecipient(e.target.value)}
+                            icon={<UserIcon className="w-4 h-4" />}
+                            required
+                        />
+
+                        <Input
+                            type="number"
+                            label="Amount"
+                            placeholder="0"
+                            min="0.5"
+                            step="0.5"
+                            max={Number.isFinite(maxSendable) ? maxSendable : undefined}
+                            value={amount}
+                            onChange={(e) => setAmount(e.target.value)}
+                            icon={<Sparkles className="w-4 h-4" />}
+                            error={amountError}
+                            required
+                        />
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">
+                                Memo (Optional)
+                            </label>
+                            <textarea
+                                value={memo}
+                                onChange={(e) => setMemo(e.target.value)}
+                                maxLength={TRANSFER_MEMO_MAX_LENGTH}
+                                placeholder="e.g. Our share for the study group tutor"
+                                className="w-full bg-gray-800/50 border border-gray-700 rounded-xl px-4 py-3 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-violet-500 min-h-[80px] resize-none"
+                            />
+                        </div>
+
+                        {limits && (
+                            <p className="text-xs text-gray-500">
+                                Daily limit: {formatCredits(limits.sentToday)} of {formatCredits(limits.dailyAmountLimit)} credits
+                                and {limits.transfersToday} of {limits.dailyCountLimit} transfers used today.
+                            </p>
+                        )}
+                        {limitReached && (
+                            <p className="text-sm text-amber-400">
+                                You&apos;ve reached today&apos;s transfer limit. Try again tomorrow.
+                            </p>
+                        )}
+                    </div>
+
+                    <div className="flex gap-3 mt-6">
+                        <Button
+                            type="button"
+                            variant="outline"
+                            className="flex-1"
+                            onClick={handleClose}
+                        >
+                            Cancel
+                        </Button>
+                        <Button
+                            type="submit"
+                            className="flex-1"
+                            disabled={!recipient.trim() || !amount || !!amountError || limitReached}
+                        >
+                            Review Transfer
+                        </Button>
+                    </div>
+                </form>
+            )}
+        </Modal>
+    );
+}
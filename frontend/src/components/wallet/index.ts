@@ -0,0 +1,4 @@
+export { SendCreditsModal } from './SendCreditsModal';
+export { ExportStatementModal } from './ExportStatementModal';
+export { RewardsPanel } from './RewardsPanel';
+export { BalanceHistoryCard } from './BalanceHistoryCard';
@@ -2,15 +2,26 @@
 
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { api } from '@/lib/api';
-import { User } from '@/types';
+import { browserTimeZone, resolveTimeZone, setDisplayTimeZone } from '@/lib/utils';
+import { AuthTokens, TwoFactorChallenge, User } from '@/types';
+
+const TOKEN_KEY = 'skillvault_token';
+const REFRESH_TOKEN_KEY = 'skillvault_refresh_token';
+
+// Latest access token, including one refreshed since the last render
+export const getStoredToken = () => localStorage.getItem(TOKEN_KEY);
 
 interface AuthContextType {
     user: User | null;
     token: string | null;
     isLoading: boolean;
     isAuthenticated: boolean;
-    login: (email: string, password: string) => Promise<void>;
-    register: (data: { email: string; password: string; firstName: string; lastName: string }) => Promise<void>;
+    // Resolves to a challenge when the account has 2FA; finish with completeTwoFactorLogin
+    login: (email: string, password: string) => Promise<TwoFactorChallenge | null>;
+    completeTwoFactorLogin: (challengeToken: string, code: string) => Promise<void>;
+    // Sign in with the code a provider redirected back with; like login, may need 2FA
+    loginWithOAuth: (callback: { flowToken: string; state: string; code: string }) => Promise<TwoFactorChallenge | null>;
+    register: (data: { email: string; password: string; firstName: string; lastName: string; referralCode?: string }) => Promise<void>;
     logout: () => void;
     refreshUser: () => Promise<void>;
     updateBalance: (newBalance: number) => void;
@@ -23,59 +34,150 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
     const [token, setToken] = useState<string | null>(null);
     const [isLoading, setIsLoading] = useState(true);
 
-    // Initialize from localStorage
-    useEffect(() => {
-        const storedToken = localStorage.getItem('skillvault_token');
-        if (storedToken) {
-            setToken(storedToken);
-            fetchUser(storedToken);
-        } else {
-            setIsLoading(false);
+    // Dates render in the user's profile timezone; set before children render
+    setDisplayTimeZone(user ? resolveTimeZone(user.availability) : null);
+
+    const saveTokens = useCallback((tokens: AuthTokens) => {
+        localStorage.setItem(TOKEN_KEY, tokens.token);
+        localStorage.setItem(REFRESH_TOKEN_KEY, tokens.refreshToken);
+        setToken(tokens.token);
+    }, []);
+
+    const clearSession = useCallback(() => {
+        localStorage.removeItem(TOKEN_KEY);
+        localStorage.removeItem(REFRESH_TOKEN_KEY);
+        setToken(null);
+        setUser(null);
+    }, []);
+
+    // Access tokens are short-lived; the API client calls this when one is
+    // rejected and retries with the new token
+    const refreshSession = useCallback(async () => {
+        const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+        if (!refreshToken) {
+            clearSession();
+            return null;
         }
+
+        try {
+            const response = await api.refreshTokens(refreshToken);
+            saveTokens(response.data);
+            return response.data.token;
+        } catch (error) {
+            // Offline: keep the session and let the request fail
+            if (error instanceof TypeError) return null;
+
+            // Another tab refreshed first; its tokens are already stored
+            if (localStorage.getItem(REFRESH_TOKEN_KEY) !== refreshToken) {
+                const latest = getStoredToken();
+                setToken(latest);
+                return latest;
+            }
+
+            clearSession();
+            return null;
+        }
+    }, [clearSession, saveTokens]);
+
+    useEffect(() => {
+        api.setTokenRefresher(refreshSession);
+        return () => api.setTokenRefresher(null);
+    }, [refreshSession]);
+
+    // Keep tabs in step: a refresh or sign-out in one applies to all
+    useEffect(() => {
+        const handleStorage = (event: StorageEvent) => {
+            if (event.key !== TOKEN_KEY) return;
+
+            if (event.newValue) {
+                setToken(event.newValue);
+            } else {
+                setToken(null);
+                setUser(null);
+            }
+        };
+
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
     }, []);
 
-    const fetchUser = async (authToken: string) => {
+    const fetchUser = useCallback(async (authToken: string) => {
         try {
             const response = await api.getMe(authToken);
             setUser(response.data.user);
         } catch (error) {
             console.error('Failed to fetch user:', error);
-            localStorage.removeItem('skillvault_token');
-            setToken(null);
+            clearSession();
         } finally {
             setIsLoading(false);
         }
-    };
+    }, [clearSession]);
+
+    // Initialize from localStorage
+    useEffect(() => {
+        const storedToken = getStoredToken();
+        if (storedToken) {
+            setToken(storedToken);
+            fetchUser(storedToken);
+        } else {
+            setIsLoading(false);
+        }
+    }, [fetchUser]);
 
     const login = async (email: string, password: string) => {
         const response = await api.login({ email, password });
-        const { user: userData, token: authToken } = response.data;
+        if ('twoFactorRequired' in response.data) {
+            return response.data;
+        }
+
+        const { user: userData, ...tokens } = response.data;
+        saveTokens(tokens);
+        setUser(userData);
+        return null;
+    };
+
+    const loginWithOAuth = async (callback: { flowToken: string; state: string; code: string }) => {
+        const response = await api.completeOAuth(callback);
+        if ('twoFactorRequired' in response.data) {
+            return response.data;
+        }
 
-        localStorage.setItem('skillvault_token', authToken);
-        setToken(authToken);
+        const { user: userData, ...tokens } = response.data;
+        saveTokens(tokens);
         setUser(userData);
+        return null;
     };
 
-    const register = async (data: { email: string; password: string; firstName: string; lastName: string }) => {
-        const response = await api.register(data);
-        const { user: userData, token: authToken } = response.data;
+    const completeTwoFactorLogin = async (challengeToken: string, code: string) => {
+        const response = await api.loginTwoFactor(challengeToken, code);
+        const { user: userData, ...tokens } = response.data;
 
-        localStorage.setItem('skillvault_token', authToken);
-        setToken(authToken);
+        saveTokens(tokens);
+        setUser(userData);
+    };
+
+    const register = async (data: { email: string; password: string; firstName: string; lastName: string; referralCode?: string }) => {
+        // The browser's zone becomes the profile timezone until the user picks one
+        const response = await api.register({ ...data, timezone: browserTimeZone() });
+        const { user: userData, ...tokens } = response.data;
+
+        saveTokens(tokens);
         setUser(userData);
     };
 
     const logout = useCallback(() => {
-        localStorage.removeItem('skillvault_token');
-        setToken(null);
-        setUser(null);
-    }, []);
+        // Sign this device out on the server too, so its refresh token dies
+        if (token) {
+            api.logout(token).catch((error) => console.error('Failed to sign out:', error));
+        }
+        clearSession();
+    }, [token, clearSession]);
 
     const refreshUser = useCallback(async () => {
         if (token) {
             await fetchUser(token);
         }
-    }, [token]);
+    }, [token, fetchUser]);
 
     const updateBalance = useCallback((newBalance: number) => {
         setUser(prev => prev ? { ...prev, creditBalance: newBalance } : null);
@@ -89,6 +191,8 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
                 isLoading,
                 isAuthenticated: !!user && !!token,
                 login,
+                completeTwoFactorLogin,
+                loginWithOAuth,
                 register,
                 logout,
                 refreshUser,
@@ -2,6 +2,8 @@
 
 import { createContext, useContext, useEffect, useState, useCallback, useRef, ReactNode } from 'react';
 import { io, Socket } from 'socket.io-client';
+import { getStoredToken } from '@/context/AuthContext';
+import { api } from '@/lib/api';
 
 interface SocketContextType {
     socket: Socket | null;
@@ -36,15 +38,21 @@ export function SocketProvider({ children }: { children: ReactNode }) {
         console.log('[Socket] Initiating connection...');
 
         const newSocket = io(SOCKET_URL, {
-            auth: { token },
+            // Read on every (re)connect, so a refreshed access token is used
+            auth: (cb) => cb({ token: getStoredToken() || token }),
             transports: ['websocket', 'polling'],
             reconnection: true,
             reconnectionAttempts: 5,
             reconnectionDelay: 1000,
         });
 
+        // The handshake rejects an expired access token; refresh it and try
+        // again once (a rejected handshake isn't retried automatically)
+        let retriedAuth = false;
+
         newSocket.on('connect', () => {
             console.log('[Socket] Connected:', newSocket.id);
+            retriedAuth = false;
             setIsConnected(true);
             connectingRef.current = false;
         });
@@ -54,10 +62,17 @@ export function SocketProvider({ children }: { children: ReactNode }) {
             setIsConnected(false);
         });
 
-        newSocket.on('connect_error', (error) => {
+        newSocket.on('connect_error', async (error) => {
             console.error('[Socket] Connection error:', error.message);
             setIsConnected(false);
             connectingRef.current = false;
+
+            if (error.message === 'Invalid token' && !retriedAuth) {
+                retriedAuth = true;
+                if (await api.refreshAccessToken()) {
+                    newSocket.connect();
+                }
+            }
         });
 
         socketRef.current = newSocket;
@@ -0,0 +1,170 @@
+'use client';
+
+import React, { createContext, useContext, useState, useCallback, useRef, ReactNode } from 'react';
+import { useRouter } from 'next/navigation';
+import { KeyRound, Lock } from 'lucide-react';
+import { Button, Input, Modal } from '@/components/ui';
+import { useAuth } from '@/context/AuthContext';
+import { api, ApiError } from '@/lib/api';
+import { StepUpMethod } from '@/types';
+
+interface StepUpContextType {
+    // Runs a sensitive action; if the server asks the user to confirm it's
+    // them first, prompts for a 2FA code or password and runs it again
+    withStepUp: <T>(action: () => Promise<T>) => Promise<T>;
+}
+
+const StepUpContext = createContext<StepUpContextType | undefined>(undefined);
+
+interface PendingPrompt {
+    resolve: () => void;
+    reject: (error: Error) => void;
+    error: ApiError;
+}
+
+export function StepUpProvider({ children }: { children: ReactNode }) {
+    const router = useRouter();
+    const { token, logout } = useAuth();
+    const [method, setMethod] = useState<StepUpMethod | null>(null);
+    const [value, setValue] = useState('');
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const pendingRef = useRef<PendingPrompt | null>(null);
+
+    const close = () => {
+        setMethod(null);
+        setValue('');
+        setError('');
+    };
+
+    const prompt = useCallback((stepUpError: ApiError) => new Promise<void>((resolve, reject) => {
+        pendingRef.current = { resolve, reject, error: stepUpError };
+        setMethod(stepUpError.method || 'password');
+    }), []);
+
+    const withStepUp = useCallback(async <T,>(action: () => Promise<T>): Promise<T> => {
+        try {
+            return await action();
+        } catch (err) {
+            if (!(err instanceof ApiError) || err.code !== 'STEP_UP_REQUIRED') throw err;
+
+            await prompt(err);
+            return action();
+        }
+    }, [prompt]);
+
+    const handleCancel = () => {
+        // The action fails with the server's "confirm it's you" message
+        pendingRef.current?.reject(pendingRef.current.error);
+        pendingRef.current = null;
+        close();
+    };
+
+    // Accounts without a password or 2FA confirm by signing in again
+    const handleSignInAgain = () => {
+        handleCancel();
+        logout();
+        router.push('/login');
+    };
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!token || !method) return;
+
+        setIsLoading(true);
+        setError('');
+
+        try {
+            await api.stepUp(token, method === 'code' ? { code: value.trim() } : { password: value });
+            pendingRef.current?.resolve();
+            pendingRef.current = null;
+            close();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to confirm');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <StepUpContext.Provider value={{ withStepUp }}>
+            {children}
+
+            <Modal isOpen={method !== null} onClose={handleCancel} title="Confirm it's you" size="sm">
+                {method === 'sign_in' ? (
+                    <div className="space-y-5">
+                        <p className="text-sm text-gray-400">
+                            For your security, sign in again to continue. To confirm without signing out next time,
+                            set a password or turn on two-factor authentication.
+                        </p>
+
+                        <div className="flex gap-3">
+                            <Button type="button" variant="outline" className="flex-1" onClick={handleCancel}>
+                                Cancel
+                            </Button>
+                            <Button type="button" className="flex-1" onClick={handleSignInAgain}>
+                                Sign in again
+                            </Button>
+                        </div>
+                    </div>
+                ) : (
+                    <form onSubmit={handleSubmit} className="space-y-5">
+                        <p className="text-sm text-gray-400">
+                            {method === 'code'
+                                ? 'Enter a code from your authenticator app, or a recovery code, to continue.'
+                                : 'Enter your password to continue.'}
+                        </p>
+
+                        {error && (
+                            <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                                {error}
+                            </div>
+                        )}
+
+                        {method === 'code' ? (
+                            <Input
+                                label="Authentication code"
+                                placeholder="123456"
+                                value={value}
+                                onChange={(e) => setValue(e.target.value)}
+                                icon={<KeyRound className="w-4 h-4" />}
+                                autoComplete="one-time-code"
+                                autoFocus
+                                required
+                            />
+                        ) : (
+                            <Input
+                                type="password"
+                                label="Password"
+                                placeholder="••••••••"
+                                value={value}
+                                onChange={(e) => setValue(e.target.value)}
+                                icon={<Lock className="w-4 h-4" />}
+                                autoComplete="current-password"
+                                autoFocus
+                                required
+                            />
+                        )}
+
+                        <div className="flex gap-3">
+                            <Button type="button" variant="outline" className="flex-1" onClick={handleCancel} disabled={isLoading}>
+                                Cancel
+                            </Button>
+                            <Button type="submit" className="flex-1" isLoading={isLoading} disabled={!value}>
+                                Continue
+                            </Button>
+                        </div>
+                    </form>
+                )}
+            </Modal>
+        </StepUpContext.Provider>
+    );
+}
+
+export function useStepUp() {
+    const context = useContext(StepUpContext);
+    if (context === undefined) {
+        throw new Error('useStepUp must be used within a StepUpProvider');
+    }
+    return context;
+}
@@ -1,24 +1,67 @@
+import { AuthDevice, AuthTokens, User, OAuthAccounts, OAuthFlow, OAuthProvider, BalanceHistory, StepUpMethod, TwoFactorChallenge, TwoFactorSetup, TwoFactorStatus, CalendarFeed, CancellationPreview, OpenGroupSession, Recurrence, ReferralSummary, SeriesQuote, Session, SessionPackage, SessionQuote, SessionSeries, Transaction, TransferLimits, TransferResult, TutorSlots, WaitlistEntry } from '@/types';
+
+import { getDisplayTimeZone } from '@/lib/utils';
+
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 
 interface FetchOptions extends RequestInit {
     token?: string | null;
 }
 
+// Error responses keep their status, and a code when the server sends one
+export class ApiError extends Error {
+    status: number;
+    code?: string;
+    // With code STEP_UP_REQUIRED: what to ask the user for
+    method?: StepUpMethod;
+
+    constructor(message: string, status: number, body: { code?: string; method?: StepUpMethod } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = body.code;
+        this.method = body.method;
+    }
+}
+
+// Gets a new access token once the current one is rejected; null when signed out
+type TokenRefresher = () => Promise<string | null>;
+
 class ApiClient {
     private baseUrl: string;
+    private tokenRefresher: TokenRefresher | null = null;
+    private pendingRefresh: Promise<string | null> | null = null;
 
     constructor(baseUrl: string) {
         this.baseUrl = baseUrl;
     }
 
-    private async request<T>(
-        endpoint: string,
-        options: FetchOptions = {}
-    ): Promise<T> {
+    setTokenRefresher(refresher: TokenRefresher | null) {
+        this.tokenRefresher = refresher;
+    }
+
+    // Requests rejected at the same time share one refresh, since each
+    // refresh token works only once
+    refreshAccessToken(): Promise<string | null> {
+        if (!this.tokenRefresher) return Promise.resolve(null);
+
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this.tokenRefresher().finally(() => {
+                this.pendingRefresh = null;
+            });
+        }
+        return this.pendingRefresh;
+    }
+
+    // fetch() with the auth header; an expired access token is refreshed and
+    // the request sent once more
+    private async send(endpoint: string, options: FetchOptions = {}): Promise<Response> {
         const { token, ...fetchOptions } = options;
 
         const headers: HeadersInit = {
             'Content-Type': 'application/json',
+            // Server messages show times in this zone when the profile has none
+            'X-Timezone': getDisplayTimeZone(),
             ...fetchOptions.headers,
         };
 
@@ -31,10 +74,26 @@ class ApiClient {
             headers,
         });
 
+        if (response.status === 401 && token) {
+            const freshToken = await this.refreshAccessToken();
+            if (freshToken && freshToken !== token) {
+                return this.send(endpoint, { ...options, token: freshToken });
+            }
+        }
+
+        return response;
+    }
+
+    private async request<T>(
+        endpoint: string,
+        options: FetchOptions = {}
+    ): Promise<T> {
+        const response = await this.send(endpoint, options);
+
         const data = await response.json();
 
         if (!response.ok) {
-            throw new Error(data.error || 'An error occurred');
+            throw new ApiError(data.error || 'An error occurred', response.status, data);
         }
 
         return data;
@@ -46,8 +105,10 @@ class ApiClient {
         password: string;
         firstName: string;
         lastName: string;
+        referralCode?: string;
+        timezone?: string;
     }) {
-        return this.request<{ success: boolean; data: { user: any; token: string } }>(
+        return this.request<{ success: boolean; data: { user: any } & AuthTokens }>(
             '/auth/register',
             {
                 method: 'POST',
@@ -57,7 +118,7 @@ class ApiClient {
     }
 
     async login(credentials: { email: string; password: string }) {
-        return this.request<{ success: boolean; data: { user: any; token: string } }>(
+        return this.request<{ success: boolean; data: ({ user: any } & AuthTokens) | TwoFactorChallenge }>(
             '/auth/login',
             {
                 method: 'POST',
@@ -66,6 +127,159 @@ class ApiClient {
         );
     }
 
+    async loginTwoFactor(challengeToken: string, code: string) {
+        return this.request<{ success: boolean; data: { user: User } & AuthTokens }>('/auth/login/2fa', {
+            method: 'POST',
+            body: JSON.stringify({ challengeToken, code }),
+        });
+    }
+
+    async stepUp(token: string, proof: { password?: string; code?: string }) {
+        return this.request<{ success: boolean; message: string }>('/auth/step-up', {
+            method: 'POST',
+            body: JSON.stringify(proof),
+            token,
+        });
+    }
+
+    async getTwoFactor(token: string) {
+        return this.request<{ success: boolean; data: { twoFactor: TwoFactorStatus } }>('/auth/2fa', { token });
+    }
+
+    async setupTwoFactor(token: string) {
+        return this.request<{ success: boolean; data: TwoFactorSetup }>('/auth/2fa/setup', {
+            method: 'POST',
+            token,
+        });
+    }
+
+    async enableTwoFactor(token: string, code: string) {
+        return this.request<{ success: boolean; message: string; data: { recoveryCodes: string[] } }>('/auth/2fa/enable', {
+            method: 'POST',
+            body: JSON.stringify({ code }),
+            token,
+        });
+    }
+
+    async disableTwoFactor(token: string) {
+        return this.request<{ success: boolean; message: string }>('/auth/2fa/disable', {
+            method: 'POST',
+            token,
+        });
+    }
+
+    async regenerateRecoveryCodes(token: string) {
+        return this.request<{ success: boolean; data: { recoveryCodes: string[] } }>('/auth/2fa/recovery-codes', {
+            method: 'POST',
+            token,
+        });
+    }
+
+    async getOAuthProviders() {
+        return this.request<{ success: boolean; data: { providers: OAuthProvider[] } }>('/auth/oauth/providers');
+    }
+
+    async startOAuth(provider: string) {
+        return this.request<{ success: boolean; data: OAuthFlow }>(`/auth/oauth/${provider}/start`, {
+            method: 'POST',
+        });
+    }
+
+    async startOAuthLink(token: string, provider: string) {
+        return this.request<{ success: boolean; data: OAuthFlow }>(`/auth/oauth/${provider}/link`, {
+            method: 'POST',
+            token,
+        });
+    }
+
+    async completeOAuth(callback: { flowToken: string; state: string; code: string }) {
+        return this.request<{ success: boolean; data: ({ user: User } & AuthTokens) | TwoFactorChallenge }>('/auth/oauth/callback', {
+            method: 'POST',
+            body: JSON.stringify(callback),
+        });
+    }
+
+    async completeOAuthLink(token: string, callback: { flowToken: string; state: string; code: string }) {
+        return this.request<{ success: boolean; message: string; data: OAuthAccounts }>('/auth/oauth/callback', {
+            method: 'POST',
+            body: JSON.stringify(callback),
+            token,
+        });
+    }
+
+    async getOAuthAccounts(token: string) {
+        return this.request<{ success: boolean; data: OAuthAccounts }>('/auth/oauth/accounts', { token });
+    }
+
+    async unlinkOAuth(token: string, provider: string) {
+        return this.request<{ success: boolean; message: string; data: OAuthAccounts }>(`/auth/oauth/${provider}`, {
+            method: 'DELETE',
+            token,
+        });
+    }
+
+    async verifyEmail(verificationToken: string) {
+        return this.request<{ success: boolean; message: string }>('/auth/verify-email', {
+            method: 'POST',
+            body: JSON.stringify({ token: verificationToken }),
+        });
+    }
+
+    async resendVerification(token: string) {
+        return this.request<{ success: boolean; message: string }>('/auth/verify-email/resend', {
+            method: 'POST',
+            token,
+        });
+    }
+
+    async forgotPassword(email: string) {
+        return this.request<{ success: boolean; message: string }>('/auth/forgot-password', {
+            method: 'POST',
+            body: JSON.stringify({ email }),
+        });
+    }
+
+    async resetPassword(resetToken: string, password: string) {
+        return this.request<{ success: boolean; message: string }>('/auth/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({ token: resetToken, password }),
+        });
+    }
+
+    async refreshTokens(refreshToken: string) {
+        return this.request<{ success: boolean; data: AuthTokens }>('/auth/refresh', {
+            method: 'POST',
+            body: JSON.stringify({ refreshToken }),
+        });
+    }
+
+    async logout(token: string) {
+        return this.request<{ success: boolean; message: string }>('/auth/logout', {
+            method: 'POST',
+            token,
+        });
+    }
+
+    async getDevices(token: string) {
+        return this.request<{ success: boolean; data: { devices: AuthDevice[] } }>('/auth/devices', {
+            token,
+        });
+    }
+
+    async signOutDevice(token: string, deviceId: string) {
+        return this.request<{ success: boolean; message: string }>(`/auth/devices/${deviceId}`, {
+            method: 'DELETE',
+            token,
+        });
+    }
+
+    async signOutOtherDevices(token: string) {
+        return this.request<{ success: boolean; message: string; data: { count: number } }>('/auth/devices', {
+            method: 'DELETE',
+            token,
+        });
+    }
+
     async getMe(token: string) {
         return this.request<{ success: boolean; data: { user: any } }>('/auth/me', {
             token,
@@ -111,10 +325,26 @@ class ApiClient {
         );
     }
 
+    async getSlots(tutorId: string, params: { from?: string; to?: string; duration?: number } = {}, token?: string | null) {
+        const searchParams = new URLSearchParams();
+        if (params.from) searchParams.append('from', params.from);
+        if (params.to) searchParams.append('to', params.to);
+        if (params.duration) searchParams.append('duration', params.duration.toString());
+
+        return this.request<{ success: boolean; data: TutorSlots }>(
+            `/users/${tutorId}/slots?${searchParams.toString()}`,
+            { token }
+        );
+    }
+
     async getSkillOptions() {
         return this.request<{
             success: boolean;
-            data: { categories: string[]; proficiencyLevels: string[] };
+            data: {
+                categories: string[];
+                proficiencyLevels: string[];
+                rateRanges: Record<string, { MIN: number; MAX: number }>;
+            };
         }>('/users/skills/options');
     }
 
@@ -159,6 +389,247 @@ class ApiClient {
         );
     }
 
+    async getSessionQuote(token: string, data: {
+        tutorId: string;
+        skillName: string;
+        skillCategory: string;
+        scheduledAt: string;
+        duration: number;
+        packageId?: string;
+    }) {
+        return this.request<{ success: boolean; data: { quote: SessionQuote } }>('/sessions/quote', {
+            method: 'POST',
+            body: JSON.stringify(data),
+            token,
+        });
+    }
+
+    async getSeriesQuote(token: string, data: {
+        tutorId: string;
+        skillName: string;
+        skillCategory: string;
+        scheduledAt: string;
+        duration: number;
+        packageId?: string;
+        recurrence: Recurrence;
+    }) {
+        return this.request<{ success: boolean; data: { quote: SeriesQuote } }>('/sessions/quote', {
+            method: 'POST',
+            body: JSON.stringify(data),
+            token,
+        });
+    }
+
+    async bookSeries(token: string, data: {
+        tutorId: string;
+        skillName: string;
+        skillCategory: string;
+        scheduledAt: string;
+        duration: number;
+        notes?: string;
+        meetingType?: string;
+        packageId?: string;
+        recurrence: Recurrence;
+    }) {
+        return this.request<{ success: boolean; data: { series: SessionSeries; sessions: Session[]; creditCost: number } }>(
+            '/sessions/series',
+            {
+                method: 'POST',
+                body: JSON.stringify(data),
+                token,
+            }
+        );
+    }
+
+    async getSeries(token: string, seriesId: string) {
+        return this.request<{ success: boolean; data: { series: SessionSeries; sessions: Session[] } }>(
+            `/sessions/series/${seriesId}`,
+            { token }
+        );
+    }
+
+    async confirmSeries(token: string, seriesId: string) {
+        return this.request<{ success: boolean; data: { confirmed: Session[]; failed: { sessionId: string; scheduledAt: string; error: string }[] } }>(
+            `/sessions/series/${seriesId}/confirm`,
+            {
+                method: 'PUT',
+                token,
+            }
+        );
+    }
+
+    async cancelSeries(token: string, seriesId: string, reason?: string) {
+        return this.request<{
+            success: boolean;
+            data: {
+                cancelled: Session[];
+                refundAmount: number;
+                penaltyAmount: number;
+                failed: { sessionId: string; scheduledAt: string; error: string }[];
+            };
+        }>(
+            `/sessions/series/${seriesId}/cancel`,
+            {
+                method: 'PUT',
+                body: JSON.stringify({ reason }),
+                token,
+            }
+        );
+    }
+
+    async proposeSeriesReschedule(token: string, seriesId: string, proposal: { scheduledAt: string; note?: string }) {
+        return this.request<{ success: boolean; data: { series: SessionSeries; isCounter: boolean } }>(
+            `/sessions/series/${seriesId}/reschedule`,
+            {
+                method: 'PUT',
+                body: JSON.stringify(proposal),
+                token,
+            }
+        );
+    }
+
+    async respondToSeriesReschedule(token: string, seriesId: string, accept: boolean) {
+        return this.request<{ success: boolean; data: { sessions?: Session[]; series?: SessionSeries } }>(
+            `/sessions/series/${seriesId}/reschedule/${accept ? 'accept' : 'decline'}`,
+            {
+                method: 'PUT',
+                token,
+            }
+        );
+    }
+
+    async proposeReschedule(token: string, sessionId: string, proposal: { scheduledAt: string; note?: string }) {
+        return this.request<{ success: boolean; data: { session: Session; isCounter: boolean } }>(
+            `/sessions/${sessionId}/reschedule`,
+            {
+                method: 'PUT',
+                body: JSON.stringify(proposal),
+                token,
+            }
+        );
+    }
+
+    async respondToReschedule(token: string, sessionId: string, accept: boolean) {
+        return this.request<{ success: boolean; data: { session: Session } }>(
+            `/sessions/${sessionId}/reschedule/${accept ? 'accept' : 'decline'}`,
+            {
+                method: 'PUT',
+                token,
+            }
+        );
+    }
+
+    async getMyPackages(token: string, params: { tutorId?: string; status?: string } = {}) {
+        const searchParams = new URLSearchParams();
+        if (params.tutorId) searchParams.append('tutorId', params.tutorId);
+        if (params.status) searchParams.append('status', params.status);
+
+        return this.request<{ success: boolean; data: { packages: SessionPackage[] } }>(
+            `/sessions/packages?${searchParams.toString()}`,
+            { token }
+        );
+    }
+
+    async purchasePackage(token: string, data: {
+        tutorId: string;
+        skillName: string;
+        skillCategory: string;
+        offerId: string;
+    }) {
+        return this.request<{ success: boolean; data: { package: SessionPackage; newBalance: number } }>(
+            '/sessions/packages',
+            {
+                method: 'POST',
+                body: JSON.stringify(data),
+                token,
+            }
+        );
+    }
+
+    async cancelPackage(token: string, packageId: string) {
+        return this.request<{ success: boolean; data: { refundedSessions: number; refundAmount: number } }>(
+            `/sessions/packages/${packageId}/cancel`,
+            {
+                method: 'POST',
+                token,
+            }
+        );
+    }
+
+    async getMyWaitlist(token: string) {
+        return this.request<{ success: boolean; data: { entries: WaitlistEntry[] } }>('/sessions/waitlist', { token });
+    }
+
+    async joinWaitlist(token: string, data: {
+        tutorId: string;
+        skillName: string;
+        skillCategory: string;
+        duration: number;
+        scheduledAt?: string;
+    }) {
+        return this.request<{ success: boolean; data: { entry: WaitlistEntry } }>('/sessions/waitlist', {
+            method: 'POST',
+            body: JSON.stringify(data),
+            token,
+        });
+    }
+
+    async bookWaitlistHold(token: string, entryId: string, details: { notes?: string; packageId?: string } = {}) {
+        return this.request<{ success: boolean; data: { session: Session; creditCost: number } }>(
+            `/sessions/waitlist/${entryId}/book`,
+            {
+                method: 'POST',
+                body: JSON.stringify(details),
+                token,
+            }
+        );
+    }
+
+    async leaveWaitlist(token: string, entryId: string) {
+        return this.request<{ success: boolean; message: string }>(
+            `/sessions/waitlist/${entryId}`,
+            { method: 'DELETE', token }
+        );
+    }
+
+    async getOpenGroupSessions(token: string, tutorId?: string) {
+        const query = tutorId ? `?tutorId=${tutorId}` : '';
+        return this.request<{ success: boolean; data: { sessions: OpenGroupSession[] } }>(
+            `/sessions/group${query}`,
+            { token }
+        );
+    }
+
+    async createGroupSession(token: string, data: {
+        skillName: string;
+        skillCategory: string;
+        scheduledAt: string;
+        duration: number;
+        capacity: number;
+        seatPrice?: number;
+        notes?: string;
+    }) {
+        return this.request<{ success: boolean; data: { session: Session } }>('/sessions/group', {
+            method: 'POST',
+            body: JSON.stringify(data),
+            token,
+        });
+    }
+
+    async enrollInGroupSession(token: string, sessionId: string) {
+        return this.request<{ success: boolean; data: { session: Session; creditCost: number } }>(
+            `/sessions/${sessionId}/enroll`,
+            { method: 'POST', token }
+        );
+    }
+
+    async withdrawFromGroupSession(token: string, sessionId: string) {
+        return this.request<{ success: boolean; data: { session: Session; refundAmount: number; penaltyAmount: number } }>(
+            `/sessions/${sessionId}/enroll`,
+            { method: 'DELETE', token }
+        );
+    }
+
     async getMySessions(token: string, params: {
         role?: string;
         status?: string;
@@ -189,6 +660,29 @@ class ApiClient {
         );
     }
 
+    async downloadSessionInvite(token: string, sessionId: string): Promise<Blob> {
+        // Invites are .ics files, not JSON, so this bypasses request()
+        const response = await this.send(`/sessions/${sessionId}/ics`, { token });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to download calendar invite');
+        }
+
+        return response.blob();
+    }
+
+    async getCalendarFeed(token: string) {
+        return this.request<{ success: boolean; data: CalendarFeed }>('/calendar/feed', { token });
+    }
+
+    async resetCalendarFeed(token: string) {
+        return this.request<{ success: boolean; message: string; data: CalendarFeed }>(
+            '/calendar/feed/reset',
+            { method: 'POST', token }
+        );
+    }
+
     async confirmSession(token: string, sessionId: string) {
         return this.request<{ success: boolean; data: { session: any } }>(
             `/sessions/${sessionId}/confirm`,
@@ -203,6 +697,13 @@ class ApiClient {
         );
     }
 
+    async previewCancellation(token: string, sessionId: string) {
+        return this.request<{ success: boolean; data: CancellationPreview }>(
+            `/sessions/${sessionId}/cancel-preview`,
+            { token }
+        );
+    }
+
     async cancelSession(token: string, sessionId: string, reason?: string) {
         return this.request<{ success: boolean; data: { session: any } }>(
             `/sessions/${sessionId}/cancel`,
@@ -214,6 +715,17 @@ class ApiClient {
         );
     }
 
+    async openDispute(token: string, sessionId: string, dispute: { reason: string; evidence?: string }) {
+        return this.request<{ success: boolean; data: { session: Session } }>(
+            `/sessions/${sessionId}/dispute`,
+            {
+                method: 'POST',
+                body: JSON.stringify(dispute),
+                token,
+            }
+        );
+    }
+
     async addReview(token: string, sessionId: string, rating: number, comment?: string) {
         return this.request<{ success: boolean; data: { session: any } }>(
             `/sessions/${sessionId}/review`,
@@ -227,11 +739,75 @@ class ApiClient {
 
     // Wallet endpoints
     async getWallet(token: string) {
-        return this.request<{ success: boolean; data: { wallet: any } }>('/wallet', {
+        return this.request<{ success: boolean; data: { wallet: any; transferLimits: TransferLimits } }>('/wallet', {
+            token,
+        });
+    }
+
+    async transferCredits(
+        token: string,
+        data: { recipient: string; amount: number; memo?: string },
+        idempotencyKey: string
+    ) {
+        return this.request<{ success: boolean; data: TransferResult }>('/wallet/transfer', {
+            method: 'POST',
+            body: JSON.stringify(data),
+            headers: { 'Idempotency-Key': idempotencyKey },
+            token,
+        });
+    }
+
+    async getBalanceHistory(token: string, params: { from?: string; to?: string } = {}) {
+        const searchParams = new URLSearchParams();
+        if (params.from) searchParams.append('from', params.from);
+        if (params.to) searchParams.append('to', params.to);
+
+        return this.request<{ success: boolean; data: { history: BalanceHistory } }>(
+            `/wallet/history?${searchParams.toString()}`,
+            { token }
+        );
+    }
+
+    async redeemPromoCode(token: string, code: string) {
+        return this.request<{
+            success: boolean;
+            data: { code: string; amount: number; transaction: Transaction; newBalance: number };
+        }>('/wallet/redeem', {
+            method: 'POST',
+            body: JSON.stringify({ code }),
             token,
         });
     }
 
+    async getReferrals(token: string) {
+        return this.request<{ success: boolean; data: { referrals: ReferralSummary } }>('/wallet/referrals', {
+            token,
+        });
+    }
+
+    async downloadStatement(token: string, params: {
+        from?: string;
+        to?: string;
+        format: 'csv' | 'pdf';
+    }): Promise<Blob> {
+        const searchParams = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value) {
+                searchParams.append(key, value);
+            }
+        });
+
+        // Statements are files, not JSON, so this bypasses request()
+        const response = await this.send(`/wallet/statement?${searchParams.toString()}`, { token });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to download statement');
+        }
+
+        return response.blob();
+    }
+
     async getTransactions(token: string, params: {
         page?: number;
         limit?: number;
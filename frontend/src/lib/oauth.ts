@@ -0,0 +1,30 @@
+import { OAuthFlow } from '@/types';
+
+const FLOW_KEY = 'skillvault_oauth_flow';
+
+export type OAuthMode = 'login' | 'link';
+
+export interface PendingOAuthFlow {
+    flowToken: string;
+    mode: OAuthMode;
+}
+
+// Send the browser to the provider. The flow token waits in this tab's
+// storage until the provider redirects back to /oauth/callback.
+export function redirectToProvider(flow: OAuthFlow, mode: OAuthMode) {
+    const pending: PendingOAuthFlow = { flowToken: flow.flowToken, mode };
+    sessionStorage.setItem(FLOW_KEY, JSON.stringify(pending));
+    window.location.assign(flow.authorizationUrl);
+}
+
+// The flow the callback belongs to; removed, since its code works once
+export function takePendingFlow(): PendingOAuthFlow | null {
+    const stored = sessionStorage.getItem(FLOW_KEY);
+    sessionStorage.removeItem(FLOW_KEY);
+
+    try {
+        return stored ? (JSON.parse(stored) as PendingOAuthFlow) : null;
+    } catch {
+        return null;
+    }
+}
@@ -6,7 +6,28 @@ import { Socket } from 'socket.io-client';
 interface UseWebRTCOptions {
     socket: Socket | null;
     roomId: string | null;
-    isPolite: boolean;
+}
+
+// A remote participant's media, keyed by their socket
+export interface RemoteStream {
+    socketId: string;
+    userId: string;
+    stream: MediaStream;
+}
+
+// One connection per remote participant (the call is a full mesh)
+interface Peer {
+    pc: RTCPeerConnection;
+    userId: string;
+    // The peer that answers yields if both sides offer at once
+    polite: boolean;
+    makingOffer: boolean;
+    pendingCandidates: RTCIceCandidateInit[];
+}
+
+interface SignalPayload {
+    senderSocketId: string;
+    senderId: string;
 }
 
 // ICE servers configuration
@@ -21,18 +42,28 @@ const ICE_SERVERS: RTCConfiguration = {
     iceCandidatePoolSize: 10,
 };
 
-export function useWebRTC({ socket, roomId, isPolite }: UseWebRTCOptions) {
+// The most useful single state across all peers, for the call header
+const combineStates = (states: RTCPeerConnectionState[]): RTCPeerConnectionState => {
+    if (states.length === 0) return 'new';
+    const order: RTCPeerConnectionState[] = ['connected', 'connecting', 'new', 'disconnected', 'failed', 'closed'];
+    return order.find(state => states.includes(state)) || 'new';
+};
+
+export function useWebRTC({ socket }: UseWebRTCOptions) {
     const [localStream, setLocalStream] = useState<MediaStream | null>(null);
-    const [remoteStream, setRemoteStream] = useState<MediaStream | null>(null);
+    const [remoteStreams, setRemoteStreams] = useState<RemoteStream[]>([]);
     const [isVideoEnabled, setIsVideoEnabled] = useState(true);
     const [isAudioEnabled, setIsAudioEnabled] = useState(true);
     const [connectionState, setConnectionState] = useState<RTCPeerConnectionState>('new');
     const [error, setError] = useState<string | null>(null);
 
-    const pcRef = useRef<RTCPeerConnection | null>(null);
+    const peersRef = useRef<Map<string, Peer>>(new Map());
     const localStreamRef = useRef<MediaStream | null>(null);
-    const pendingCandidatesRef = useRef<RTCIceCandidateInit[]>([]);
-    const hasCreatedOfferRef = useRef(false);
+
+    const updateConnectionState = useCallback(() => {
+        const states = Array.from(peersRef.current.values()).map(peer => peer.pc.connectionState);
+        setConnectionState(combineStates(states));
+    }, []);
 
     // Get user media
     const getLocalStream = useCallback(async () => {
@@ -56,246 +87,202 @@ export function useWebRTC({ socket, roomId, isPolite }: UseWebRTCOptions) {
             setError(null);
             console.log('[WebRTC] Got local stream with', stream.getTracks().length, 'tracks');
             return stream;
-        } catch (err: any) {
+        } catch (err) {
             console.error('[WebRTC] Error getting user media:', err);
-            setError(err.message || 'Failed to access camera/microphone');
+            setError(err instanceof Error ? err.message : 'Failed to access camera/microphone');
             throw err;
         }
     }, []);
 
-    // Create and setup peer connection
-    const createPeerConnection = useCallback(() => {
-        if (pcRef.current) {
-            console.log('[WebRTC] Closing existing peer connection');
-            pcRef.current.close();
+    // Close and forget one remote participant's connection
+    const removePeer = useCallback((socketId: string) => {
+        const peer = peersRef.current.get(socketId);
+        if (peer) {
+            console.log('[WebRTC] Closing connection to', socketId);
+            peer.pc.close();
+            peersRef.current.delete(socketId);
+        }
+        setRemoteStreams(prev => prev.filter(remote => remote.socketId !== socketId));
+        updateConnectionState();
+    }, [updateConnectionState]);
+
+    // Create and set up a peer connection to one remote participant
+    const createPeer = useCallback((socketId: string, userId: string, polite: boolean) => {
+        const existing = peersRef.current.get(socketId);
+        if (existing) {
+            existing.pc.close();
         }
 
-        console.log('[WebRTC] Creating new peer connection');
+        console.log('[WebRTC] Creating peer connection to', socketId, 'polite:', polite);
         const pc = new RTCPeerConnection(ICE_SERVERS);
+        const peer: Peer = { pc, userId, polite, makingOffer: false, pendingCandidates: [] };
 
         // Handle ICE candidates
         pc.onicecandidate = ({ candidate }) => {
             if (candidate && socket) {
-                console.log('[WebRTC] Sending ICE candidate');
-                socket.emit('ice-candidate', { candidate: candidate.toJSON() });
+                socket.emit('ice-candidate', { candidate: candidate.toJSON(), targetSocketId: socketId });
             }
         };
 
         // Handle connection state changes
         pc.onconnectionstatechange = () => {
-            console.log('[WebRTC] Connection state:', pc.connectionState);
-            setConnectionState(pc.connectionState);
+            console.log('[WebRTC] Connection state with', socketId, ':', pc.connectionState);
+            updateConnectionState();
         };
 
         // Handle ICE connection state
         pc.oniceconnectionstatechange = () => {
-            console.log('[WebRTC] ICE connection state:', pc.iceConnectionState);
             if (pc.iceConnectionState === 'failed') {
-                console.log('[WebRTC] ICE failed, restarting');
+                console.log('[WebRTC] ICE failed with', socketId, ', restarting');
                 pc.restartIce();
             }
         };
 
-        // Handle ICE gathering state
-        pc.onicegatheringstatechange = () => {
-            console.log('[WebRTC] ICE gathering state:', pc.iceGatheringState);
-        };
-
         // Handle remote track
         pc.ontrack = ({ track, streams }) => {
-            console.log('[WebRTC] Remote track received:', track.kind, 'streams:', streams.length);
-            if (streams[0]) {
-                console.log('[WebRTC] Setting remote stream');
-                setRemoteStream(streams[0]);
-            } else {
-                // Create a new MediaStream if no stream is provided
-                const newStream = new MediaStream([track]);
-                setRemoteStream(prev => {
-                    if (prev) {
-                        prev.addTrack(track);
-                        return prev;
-                    }
-                    return newStream;
-                });
-            }
-        };
+            console.log('[WebRTC] Remote track received from', socketId, ':', track.kind);
+            setRemoteStreams(prev => {
+                const current = prev.find(remote => remote.socketId === socketId);
+                const stream = streams[0] || current?.stream || new MediaStream();
+                if (!streams[0] && !stream.getTracks().includes(track)) {
+                    stream.addTrack(track);
+                }
+                if (current?.stream === stream) return prev;
 
-        pcRef.current = pc;
-        return pc;
-    }, [socket]);
+                return [
+                    ...prev.filter(remote => remote.socketId !== socketId),
+                    { socketId, userId, stream },
+                ];
+            });
+        };
 
-    // Add local tracks to peer connection
-    const addTracksToPC = useCallback((pc: RTCPeerConnection, stream: MediaStream) => {
-        console.log('[WebRTC] Adding', stream.getTracks().length, 'tracks to peer connection');
-        stream.getTracks().forEach((track) => {
-            console.log('[WebRTC] Adding track:', track.kind);
-            pc.addTrack(track, stream);
+        // Add local tracks
+        localStreamRef.current?.getTracks().forEach((track) => {
+            pc.addTrack(track, localStreamRef.current as MediaStream);
         });
-    }, []);
 
-    // Create and send offer
-    const createOffer = useCallback(async () => {
-        const pc = pcRef.current;
-        if (!pc || !socket) {
-            console.log('[WebRTC] Cannot create offer - no PC or socket');
-            return;
+        peersRef.current.set(socketId, peer);
+        return peer;
+    }, [socket, updateConnectionState]);
+
+    const flushCandidates = async (peer: Peer) => {
+        for (const candidate of peer.pendingCandidates) {
+            try {
+                await peer.pc.addIceCandidate(new RTCIceCandidate(candidate));
+            } catch (e) {
+                console.error('[WebRTC] Error adding pending ICE candidate:', e);
+            }
         }
+        peer.pendingCandidates = [];
+    };
 
-        if (hasCreatedOfferRef.current) {
-            console.log('[WebRTC] Already created an offer');
+    // Create and send an offer to one participant
+    const createOffer = useCallback(async (socketId: string) => {
+        const peer = peersRef.current.get(socketId);
+        if (!peer || !socket) {
+            console.log('[WebRTC] Cannot create offer - no peer or socket');
             return;
         }
 
         try {
-            console.log('[WebRTC] Creating offer');
-            hasCreatedOfferRef.current = true;
+            console.log('[WebRTC] Creating offer for', socketId);
+            peer.makingOffer = true;
 
-            const offer = await pc.createOffer({
+            const offer = await peer.pc.createOffer({
                 offerToReceiveAudio: true,
                 offerToReceiveVideo: true,
             });
+            await peer.pc.setLocalDescription(offer);
 
-            console.log('[WebRTC] Setting local description (offer)');
-            await pc.setLocalDescription(offer);
-
-            console.log('[WebRTC] Sending offer via socket');
-            socket.emit('offer', { sdp: pc.localDescription });
+            socket.emit('offer', { sdp: peer.pc.localDescription, targetSocketId: socketId });
         } catch (err) {
             console.error('[WebRTC] Error creating offer:', err);
-            hasCreatedOfferRef.current = false;
+        } finally {
+            peer.makingOffer = false;
         }
     }, [socket]);
 
     // Handle incoming offer
-    const handleOffer = useCallback(async (data: { sdp: RTCSessionDescriptionInit }) => {
-        console.log('[WebRTC] Received offer');
+    const handleOffer = useCallback(async (data: SignalPayload & { sdp: RTCSessionDescriptionInit }) => {
+        console.log('[WebRTC] Received offer from', data.senderSocketId);
 
-        let pc = pcRef.current;
+        // Whoever is already in the call offers to newcomers, so a first
+        // offer means we are the newcomer for this pair and should yield
+        const peer = peersRef.current.get(data.senderSocketId)
+            || createPeer(data.senderSocketId, data.senderId, true);
 
-        // Create PC if it doesn't exist
-        if (!pc) {
-            console.log('[WebRTC] Creating PC for incoming offer');
-            pc = createPeerConnection();
-
-            // Add local tracks if we have them
-            if (localStreamRef.current) {
-                addTracksToPC(pc, localStreamRef.current);
-            }
+        const collision = peer.makingOffer || peer.pc.signalingState !== 'stable';
+        if (collision && !peer.polite) {
+            console.log('[WebRTC] Ignoring colliding offer from', data.senderSocketId);
+            return;
         }
 
         try {
-            // Set remote description
-            console.log('[WebRTC] Setting remote description (offer)');
-            await pc.setRemoteDescription(new RTCSessionDescription(data.sdp));
-
-            // Add any pending ICE candidates
-            for (const candidate of pendingCandidatesRef.current) {
-                try {
-                    await pc.addIceCandidate(new RTCIceCandidate(candidate));
-                } catch (e) {
-                    console.error('[WebRTC] Error adding pending ICE candidate:', e);
-                }
-            }
-            pendingCandidatesRef.current = [];
-
-            // Create answer
-            console.log('[WebRTC] Creating answer');
-            const answer = await pc.createAnswer();
+            await peer.pc.setRemoteDescription(new RTCSessionDescription(data.sdp));
+            await flushCandidates(peer);
 
-            console.log('[WebRTC] Setting local description (answer)');
-            await pc.setLocalDescription(answer);
+            const answer = await peer.pc.createAnswer();
+            await peer.pc.setLocalDescription(answer);
 
-            console.log('[WebRTC] Sending answer via socket');
-            socket?.emit('answer', { sdp: pc.localDescription });
+            socket?.emit('answer', { sdp: peer.pc.localDescription, targetSocketId: data.senderSocketId });
         } catch (err) {
             console.error('[WebRTC] Error handling offer:', err);
         }
-    }, [socket, createPeerConnection, addTracksToPC]);
+    }, [socket, createPeer]);
 
     // Handle incoming answer
-    const handleAnswer = useCallback(async (data: { sdp: RTCSessionDescriptionInit }) => {
-        console.log('[WebRTC] Received answer');
+    const handleAnswer = useCallback(async (data: SignalPayload & { sdp: RTCSessionDescriptionInit }) => {
+        console.log('[WebRTC] Received answer from', data.senderSocketId);
 
-        const pc = pcRef.current;
-        if (!pc) {
+        const peer = peersRef.current.get(data.senderSocketId);
+        if (!peer) {
             console.error('[WebRTC] No peer connection for answer');
             return;
         }
 
         try {
-            console.log('[WebRTC] Setting remote description (answer)');
-            await pc.setRemoteDescription(new RTCSessionDescription(data.sdp));
-
-            // Add any pending ICE candidates
-            for (const candidate of pendingCandidatesRef.current) {
-                try {
-                    await pc.addIceCandidate(new RTCIceCandidate(candidate));
-                } catch (e) {
-                    console.error('[WebRTC] Error adding pending ICE candidate:', e);
-                }
-            }
-            pendingCandidatesRef.current = [];
-
-            console.log('[WebRTC] Answer handled successfully');
+            await peer.pc.setRemoteDescription(new RTCSessionDescription(data.sdp));
+            await flushCandidates(peer);
         } catch (err) {
             console.error('[WebRTC] Error handling answer:', err);
         }
     }, []);
 
     // Handle ICE candidate
-    const handleIceCandidate = useCallback(async (data: { candidate: RTCIceCandidateInit }) => {
-        const pc = pcRef.current;
+    const handleIceCandidate = useCallback(async (data: SignalPayload & { candidate: RTCIceCandidateInit }) => {
+        const peer = peersRef.current.get(data.senderSocketId);
 
-        if (!pc || !pc.remoteDescription) {
-            console.log('[WebRTC] Queuing ICE candidate - no remote description yet');
-            pendingCandidatesRef.current.push(data.candidate);
+        if (!peer) {
+            // Candidates can arrive before the offer that creates the peer
+            createPeer(data.senderSocketId, data.senderId, true).pendingCandidates.push(data.candidate);
+            return;
+        }
+
+        if (!peer.pc.remoteDescription) {
+            peer.pendingCandidates.push(data.candidate);
             return;
         }
 
         try {
-            await pc.addIceCandidate(new RTCIceCandidate(data.candidate));
-            console.log('[WebRTC] Added ICE candidate');
+            await peer.pc.addIceCandidate(new RTCIceCandidate(data.candidate));
         } catch (err) {
             console.error('[WebRTC] Error adding ICE candidate:', err);
         }
-    }, []);
+    }, [createPeer]);
 
-    // Initialize connection (called by VideoCall component)
+    // Initialize connection (called by VideoCall component once it has joined the room)
     const initializeConnection = useCallback(async () => {
-        console.log('[WebRTC] Initializing connection, isPolite:', isPolite);
+        console.log('[WebRTC] Initializing connection');
 
         try {
-            // Get local stream if we don't have it
-            const stream = localStreamRef.current || await getLocalStream();
-
-            // Create peer connection
-            const pc = createPeerConnection();
-
-            // Add local tracks
-            addTracksToPC(pc, stream);
-
-            // If we're the initiator (impolite/first to join), create an offer
-            // after a short delay to let the other peer join
-            if (!isPolite) {
-                console.log('[WebRTC] We are initiator, will create offer');
-                // Don't create offer immediately - wait for user-joined event
-            } else {
-                console.log('[WebRTC] We are responder, waiting for offer');
-            }
-
-            return pc;
-        } catch (err: any) {
+            // Peers are created as other participants join or offer to us
+            return localStreamRef.current || await getLocalStream();
+        } catch (err) {
             console.error('[WebRTC] Error initializing connection:', err);
-            setError(err.message);
+            setError(err instanceof Error ? err.message : 'Failed to start the call');
             throw err;
         }
-    }, [getLocalStream, createPeerConnection, addTracksToPC, isPolite]);
-
-    // Start call (create offer) - called when we know another user is in the room
-    const startCall = useCallback(() => {
-        console.log('[WebRTC] Starting call - creating offer');
-        createOffer();
-    }, [createOffer]);
+    }, [getLocalStream]);
 
     // Toggle video
     const toggleVideo = useCallback(() => {
@@ -340,21 +327,17 @@ export function useWebRTC({ socket, roomId, isPolite }: UseWebRTCOptions) {
             track.stop();
         });
 
-        // Close peer connection
-        if (pcRef.current) {
-            pcRef.current.close();
-            pcRef.current = null;
-        }
+        // Close every peer connection
+        peersRef.current.forEach(peer => peer.pc.close());
+        peersRef.current.clear();
 
         // Leave socket room
         socket?.emit('leave-room');
 
         localStreamRef.current = null;
         setLocalStream(null);
-        setRemoteStream(null);
+        setRemoteStreams([]);
         setConnectionState('closed');
-        hasCreatedOfferRef.current = false;
-        pendingCandidatesRef.current = [];
     }, [socket]);
 
     // Set up socket listeners
@@ -363,53 +346,55 @@ export function useWebRTC({ socket, roomId, isPolite }: UseWebRTCOptions) {
 
         console.log('[WebRTC] Setting up socket listeners');
 
+        // Existing participants offer to each newcomer
+        const handleUserJoined = (data: { userId: string; socketId: string }) => {
+            console.log('[WebRTC] User joined:', data);
+            if (!localStreamRef.current) return;
+
+            createPeer(data.socketId, data.userId, false);
+            setTimeout(() => createOffer(data.socketId), 500); // Small delay to ensure other peer is ready
+        };
+
+        const handleUserLeft = (data: { socketId: string }) => {
+            console.log('[WebRTC] Remote user left:', data.socketId);
+            removePeer(data.socketId);
+        };
+
         socket.on('offer', handleOffer);
         socket.on('answer', handleAnswer);
         socket.on('ice-candidate', handleIceCandidate);
-
-        socket.on('user-joined', (data: any) => {
-            console.log('[WebRTC] User joined event received:', data);
-            // If we're the initiator (not polite), create an offer when another user joins
-            if (!isPolite && pcRef.current) {
-                console.log('[WebRTC] Creating offer for newly joined user');
-                setTimeout(() => createOffer(), 500); // Small delay to ensure other peer is ready
-            }
-        });
-
-        socket.on('user-left', () => {
-            console.log('[WebRTC] Remote user left');
-            setRemoteStream(null);
-        });
+        socket.on('user-joined', handleUserJoined);
+        socket.on('user-left', handleUserLeft);
 
         return () => {
             console.log('[WebRTC] Cleaning up socket listeners');
             socket.off('offer', handleOffer);
             socket.off('answer', handleAnswer);
             socket.off('ice-candidate', handleIceCandidate);
-            socket.off('user-joined');
-            socket.off('user-left');
+            socket.off('user-joined', handleUserJoined);
+            socket.off('user-left', handleUserLeft);
         };
-    }, [socket, handleOffer, handleAnswer, handleIceCandidate, isPolite, createOffer]);
+    }, [socket, handleOffer, handleAnswer, handleIceCandidate, createPeer, createOffer, removePeer]);
 
     // Cleanup on unmount
     useEffect(() => {
+        const peers = peersRef.current;
         return () => {
             console.log('[WebRTC] Component unmounting, cleaning up');
             localStreamRef.current?.getTracks().forEach(track => track.stop());
-            pcRef.current?.close();
+            peers.forEach(peer => peer.pc.close());
         };
     }, []);
 
     return {
         localStream,
-        remoteStream,
+        remoteStreams,
         isVideoEnabled,
         isAudioEnabled,
         connectionState,
         error,
         getLocalStream,
         initializeConnection,
-        startCall,
         toggleVideo,
         toggleAudio,
         endCall,
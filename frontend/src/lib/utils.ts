@@ -5,24 +5,97 @@ export function cn(...inputs: ClassValue[]) {
     return twMerge(clsx(inputs));
 }
 
-export function formatDate(date: string | Date): string {
+// Zone dates and times are shown in. AuthProvider sets it from the signed-in
+// user's profile; until then (or for a profile still on the UTC default
+// with no hours set) the browser's zone is used.
+let displayTimeZone: string | null = null;
+
+export function browserTimeZone(): string {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Same rule as the server's AvailabilityService.getTimeZone
+export function resolveTimeZone(availability?: { timezone?: string; weeklySchedule?: Record<string, unknown> } | null): string {
+    const hasSchedule = Object.keys(availability?.weeklySchedule || {}).length > 0;
+    if (availability?.timezone && (availability.timezone !== 'UTC' || hasSchedule)) {
+        return availability.timezone;
+    }
+    return browserTimeZone();
+}
+
+export function setDisplayTimeZone(timeZone: string | null): void {
+    displayTimeZone = timeZone;
+}
+
+export function getDisplayTimeZone(): string {
+    return displayTimeZone || browserTimeZone();
+}
+
+export function formatDate(date: string | Date, timeZone: string = getDisplayTimeZone()): string {
     return new Date(date).toLocaleDateString('en-US', {
         weekday: 'short',
         year: 'numeric',
         month: 'short',
         day: 'numeric',
+        timeZone,
     });
 }
 
-export function formatTime(date: string | Date): string {
+export function formatTime(date: string | Date, timeZone: string = getDisplayTimeZone()): string {
     return new Date(date).toLocaleTimeString('en-US', {
         hour: '2-digit',
         minute: '2-digit',
+        timeZone,
     });
 }
 
-export function formatDateTime(date: string | Date): string {
-    return `${formatDate(date)} at ${formatTime(date)}`;
+export function formatDateTime(date: string | Date, timeZone: string = getDisplayTimeZone()): string {
+    return `${formatDate(date, timeZone)} at ${formatTime(date, timeZone)}`;
+}
+
+// Short zone label for a date, e.g. "GMT+2" or "EST"
+export function formatTimeZoneName(date: string | Date, timeZone: string = getDisplayTimeZone()): string {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date(date))
+        .find((p) => p.type === 'timeZoneName');
+    return part ? part.value : timeZone;
+}
+
+// Milliseconds a zone is ahead of UTC at a given instant
+function zoneOffset(date: Date, timeZone: string): number {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        }).formatToParts(date).map((p) => [p.type, p.value])
+    );
+    const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant of a date ("2026-10-20") and time ("14:30") input read in a zone
+export function zonedInputToDate(date: string, time: string, timeZone: string = getDisplayTimeZone()): Date {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+    const guess = wallClock - zoneOffset(new Date(wallClock), timeZone);
+    return new Date(wallClock - zoneOffset(new Date(guess), timeZone));
+}
+
+// Date ("2026-10-20") and time ("14:30") input values for an instant in a zone
+export function toDateInput(date: string | Date, timeZone: string = getDisplayTimeZone()): string {
+    // 'en-CA' formats dates as YYYY-MM-DD
+    return new Date(date).toLocaleDateString('en-CA', { timeZone });
+}
+
+export function toTimeInput(date: string | Date, timeZone: string = getDisplayTimeZone()): string {
+    return new Date(date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone });
 }
 
 export function formatCredits(amount: number | undefined | null): string {
@@ -53,6 +126,7 @@ export function getStatusColor(status: string): string {
         completed: 'bg-green-500/20 text-green-400 border-green-500/30',
         cancelled: 'bg-red-500/20 text-red-400 border-red-500/30',
         disputed: 'bg-orange-500/20 text-orange-400 border-orange-500/30',
+        no_show: 'bg-rose-500/20 text-rose-400 border-rose-500/30',
     };
     return colors[status] || 'bg-gray-500/20 text-gray-400 border-gray-500/30';
 }
@@ -64,10 +138,16 @@ export function getTransactionTypeColor(type: string): string {
         initial: 'text-blue-400',
         bonus: 'text-purple-400',
         refund: 'text-yellow-400',
+        hold: 'text-amber-400',
+        release: 'text-cyan-400',
     };
     return colors[type] || 'text-gray-400';
 }
 
 export function getTransactionSign(type: string): string {
-    return ['credit', 'initial', 'bonus', 'refund'].includes(type) ? '+' : '-';
+    return isIncomingTransaction(type) ? '+' : '-';
+}
+
+export function isIncomingTransaction(type: string): boolean {
+    return ['credit', 'initial', 'bonus', 'refund', 'release'].includes(type);
 }
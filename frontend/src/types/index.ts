@@ -1,4 +1,6 @@
 // User types
+export type UserRole = 'user' | 'moderator' | 'admin';
+
 export interface User {
     id: string;
     email: string;
@@ -7,7 +9,11 @@ export interface User {
     fullName: string;
     avatar: string | null;
     bio: string;
+    isVerified?: boolean;
+    role?: UserRole;
     creditBalance: number;
+    heldBalance?: number;
+    referralCode?: string;
     teachingSkills: TeachingSkill[];
     learningInterests: LearningInterest[];
     stats: UserStats;
@@ -22,6 +28,24 @@ export interface TeachingSkill {
     proficiency: string;
     description?: string;
     hourlyRate: number;
+    pricing?: SkillPricing;
+}
+
+export interface PackageOffer {
+    _id?: string;
+    sessions: number;
+    paidSessions: number;
+    duration: number;
+}
+
+export interface SkillPricing {
+    firstSessionDiscount?: number;
+    offPeak?: {
+        discount: number;
+        startHour: number; // UTC
+        endHour: number;   // UTC
+    };
+    packages?: PackageOffer[];
 }
 
 export interface LearningInterest {
@@ -39,24 +63,161 @@ export interface UserStats {
     totalRatings: number;
 }
 
+export interface TimeWindow {
+    start: string;
+    end: string;
+}
+
+export type AvailabilityExceptionKind = 'extra' | 'blocked';
+
+export interface AvailabilityException {
+    // YYYY-MM-DD in the tutor's timezone
+    date: string;
+    kind: AvailabilityExceptionKind;
+    // Empty on a blocked exception blocks the whole day
+    windows: TimeWindow[];
+}
+
+export interface Vacation {
+    start: string;
+    end: string;
+    note: string;
+}
+
 export interface Availability {
     timezone: string;
-    weeklySchedule: Record<string, { start: string; end: string }[]>;
+    weeklySchedule: Record<string, TimeWindow[]>;
+    exceptions: AvailabilityException[];
+    vacations: Vacation[];
+    minNoticeHours: number;
+    bufferMinutes: number;
+}
+
+export const MAX_NOTICE_HOURS = 14 * 24;
+export const MAX_BUFFER_MINUTES = 120;
+
+// Keys of Availability.weeklySchedule, in Date#getDay() order
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'] as const;
+
+export interface TimeSlot {
+    start: string;
+    end: string;
+}
+
+export interface TutorSlots {
+    timezone: string;
+    // false when the tutor hasn't set any windows and can be booked any time
+    hasSchedule: boolean;
+    minNoticeHours: number;
+    bufferMinutes: number;
+    duration: number;
+    stepMinutes: number;
+    slots: TimeSlot[];
+}
+
+// A signed-in device (GET /api/auth/devices)
+export interface AuthDevice {
+    id: string;
+    device: string; // e.g. "Chrome on macOS"
+    userAgent: string;
+    ip: string;
+    signedInAt: string;
+    lastUsedAt: string;
+    current: boolean;
+}
+
+export interface AuthTokens {
+    token: string;
+    refreshToken: string;
+}
+
+// Second login step for accounts with two-factor authentication
+export interface TwoFactorChallenge {
+    twoFactorRequired: true;
+    challengeToken: string;
+}
+
+export interface TwoFactorStatus {
+    enabled: boolean;
+    enabledAt: string | null;
+    recoveryCodesLeft: number;
+}
+
+export interface TwoFactorSetup {
+    secret: string;
+    otpauthUrl: string;
+    qrCode: string; // PNG data URL
+}
+
+// What a sensitive action asks for before it goes ahead; 'sign_in' when the
+// account has neither 2FA nor a password (made through a sign-in provider)
+export type StepUpMethod = 'code' | 'password' | 'sign_in';
+
+// Google, GitHub or another OpenID Connect provider
+export interface OAuthProvider {
+    id: string;
+    name: string;
+}
+
+// Where to send the browser, and the token to send back with the code
+export interface OAuthFlow {
+    authorizationUrl: string;
+    flowToken: string;
+}
+
+export interface LinkedOAuthAccount {
+    provider: string;
+    name: string;
+    email: string | null;
+    linkedAt: string;
+}
+
+export interface OAuthAccounts {
+    accounts: LinkedOAuthAccount[];
+    hasPassword: boolean;
+    providers: OAuthProvider[];
+}
+
+// Private iCalendar feed; the URL itself is the secret
+export interface CalendarFeed {
+    url: string;
+    webcalUrl: string;
 }
 
 // Session types
 export interface Session {
     _id: string;
     tutor: User | string;
-    student: User | string;
+    // Absent on group sessions, whose students are in enrollments
+    student?: User | string;
+    // Seats: 1 for a private session, more for a group session
+    capacity?: number;
+    enrollments?: SessionEnrollment[];
     skill: {
         name: string;
         category: string;
     };
     scheduledAt: string;
     duration: number;
+    // Per seat for a group session
     creditCost: number;
+    pricing?: {
+        hourlyRate: number;
+        baseCost: number;
+        lineItems: PricingLineItem[];
+        package?: string;
+    };
     status: SessionStatus;
+    series?: Pick<SessionSeries, '_id' | 'frequency' | 'occurrences' | 'rescheduleProposal'> | string;
+    seriesIndex?: number;
+    rescheduleProposal?: RescheduleProposal;
+    reschedules?: {
+        from: string;
+        to: string;
+        by: string;
+        acceptedBy: string;
+        at: string;
+    }[];
     notes?: string;
     meetingDetails?: {
         type: 'video' | 'in-person' | 'chat';
@@ -68,23 +229,119 @@ export interface Session {
         comment?: string;
         createdAt: string;
     };
+    statusHistory?: StatusHistoryEntry[];
+    dispute?: SessionDispute;
+    escrow?: {
+        status: EscrowStatus;
+        amount: number;
+        heldAt?: string;
+        settledAt?: string;
+    };
+    noShow?: {
+        party: 'tutor' | 'student';
+        detectedAt: string;
+        refundAmount: number;
+        bonusAmount: number;
+        paidToTutor: number;
+    };
     cancellation?: {
-        cancelledBy: string;
+        cancelledBy: string | null;
         reason?: string;
         cancelledAt: string;
         refunded: boolean;
+        policyOutcome?: CancellationOutcome;
+        refundAmount?: number;
+        penaltyAmount?: number;
+        bonusAmount?: number;
     };
     createdAt: string;
     updatedAt: string;
 }
 
+// A student's seat in a group session
+export type EnrollmentStatus = 'enrolled' | 'withdrawn';
+export type SeatOutcome = 'attended' | 'absent' | 'refunded' | 'withdrawn';
+
+export interface SessionEnrollment {
+    _id: string;
+    student: User | string;
+    status: EnrollmentStatus;
+    enrolledAt: string;
+    withdrawnAt?: string;
+    escrow?: {
+        status: EscrowStatus;
+        amount: number;
+    };
+    attendance?: {
+        firstJoinedAt?: string;
+        lastLeftAt?: string;
+    };
+    settlement?: {
+        outcome: SeatOutcome;
+        paidToTutor?: number;
+        refundAmount?: number;
+        bonusAmount?: number;
+    };
+}
+
+// An upcoming group session with free seats (other students' seats are left out)
+export interface OpenGroupSession extends Omit<Session, 'enrollments'> {
+    seatsLeft: number;
+}
+
 export type SessionStatus =
     | 'pending'
     | 'confirmed'
     | 'in_progress'
     | 'completed'
     | 'cancelled'
-    | 'disputed';
+    | 'disputed'
+    | 'no_show';
+
+export type EscrowStatus = 'none' | 'held' | 'released' | 'captured';
+
+export interface StatusHistoryEntry {
+    _id?: string;
+    status: SessionStatus;
+    changedAt: string;
+    changedBy?: string;
+    actor?: 'user' | 'system';
+    reason?: string;
+}
+
+export type DisputeResolution = 'uphold' | 'refund' | 'split';
+
+export interface SessionDispute {
+    openedBy: string;
+    // Status the session returns to unless the dispute is refunded
+    previousStatus?: 'completed' | 'no_show' | 'cancelled';
+    reason: string;
+    evidence?: string;
+    openedAt: string;
+    resolution?: {
+        outcome: DisputeResolution;
+        tutorAmount: number;
+        studentAmount: number;
+        note?: string;
+        resolvedBy: string;
+        resolvedAt: string;
+    };
+}
+
+export type CancellationOutcome = 'full_refund' | 'partial_refund' | 'tutor_no_show';
+
+export interface CancellationPreview {
+    outcome: CancellationOutcome;
+    refundAmount: number;
+    penaltyAmount: number;
+    bonusAmount: number;
+    policy: {
+        FULL_REFUND_WINDOW_HOURS: number;
+        LATE_CANCEL_REFUND_PERCENT: number;
+        NO_SHOW_GRACE_MINUTES: number;
+        TUTOR_NO_SHOW_BONUS: number;
+    };
+}
 
 // Transaction types
 export interface Transaction {
@@ -99,20 +356,233 @@ export interface Transaction {
     balanceAfter: number;
     status: TransactionStatus;
     description: string;
+    metadata?: {
+        kind?: string;
+        memo?: string;
+        reason?: string;
+    };
+    reversalOf?: string | null;
+    reversal?: {
+        transaction: string;
+        reason: string;
+        reversedBy: string;
+        reversedAt: string;
+    };
     createdAt: string;
 }
 
-export type TransactionType = 'credit' | 'debit' | 'initial' | 'refund' | 'bonus';
+export type TransactionType = 'credit' | 'debit' | 'initial' | 'refund' | 'bonus' | 'hold' | 'release';
 export type TransactionStatus = 'pending' | 'completed' | 'failed' | 'reversed';
 
 // Wallet types
 export interface WalletSummary {
     currentBalance: number;
+    availableBalance: number;
+    heldBalance: number;
     totalEarned: number;
     totalSpent: number;
+    // Promotional credits that expired unspent (not part of totalSpent)
+    totalExpired: number;
+    expiringCredits: ExpiringCredits[];
     transactionCounts: Record<string, { total: number; count: number }>;
 }
 
+export interface ExpiringCredits {
+    type: 'initial' | 'bonus';
+    amount: number;
+    expiresAt: string;
+}
+
+export interface TransferLimits {
+    dailyAmountLimit: number;
+    dailyCountLimit: number;
+    sentToday: number;
+    transfersToday: number;
+    remainingAmount: number;
+    remainingTransfers: number;
+    resetsAt: string;
+}
+
+export interface TransferResult {
+    duplicate?: boolean;
+    debitTransaction: Transaction;
+    fromBalance?: number;
+    recipient?: {
+        _id: string;
+        firstName: string;
+        lastName: string;
+        avatar?: string | null;
+    };
+}
+
+export const TRANSFER_MEMO_MAX_LENGTH = 140;
+
+export interface BalancePoint {
+    date: string; // YYYY-MM-DD (UTC)
+    balance: number;
+    credited: number;
+    debited: number;
+}
+
+export interface BalanceHistory {
+    from: string;
+    to: string;
+    openingBalance: number;
+    closingBalance: number;
+    points: BalancePoint[];
+    earnedBySkill: {
+        skill: string;
+        category: string | null;
+        amount: number;
+        sessions: number;
+    }[];
+    spentByTutor: {
+        tutor: {
+            id: string;
+            firstName: string;
+            lastName: string;
+            avatar: string | null;
+        };
+        amount: number;
+        sessions: number;
+    }[];
+}
+
+export interface PricingLineItem {
+    kind: 'base' | 'first_session' | 'off_peak' | 'minimum' | 'package' | 'group_seat';
+    label: string;
+    amount: number;
+}
+
+export interface PricedPackageOffer {
+    offerId: string;
+    sessions: number;
+    paidSessions: number;
+    duration: number;
+    price: number;
+    unitPrice: number;
+    savings: number;
+}
+
+export interface SessionQuote {
+    skill: { name: string; category: string };
+    duration: number;
+    hourlyRate: number;
+    baseCost: number;
+    lineItems: PricingLineItem[];
+    total: number;
+    chargedNow: number;
+    packageOffers: PricedPackageOffer[];
+    package: {
+        id: string;
+        sessionsTotal: number;
+        sessionsRemaining: number;
+        duration: number;
+        unitPrice: number;
+        heldAmount: number;
+    } | null;
+}
+
+export interface RescheduleProposal {
+    proposedBy: string;
+    scheduledAt: string;
+    note?: string;
+    proposedAt: string;
+}
+
+export type RecurrenceFrequency = 'weekly' | 'biweekly';
+
+export interface Recurrence {
+    frequency: RecurrenceFrequency;
+    occurrences?: number;
+    until?: string;
+}
+
+export interface SessionSeries {
+    _id: string;
+    tutor: string;
+    student: string;
+    skill: { name: string; category: string };
+    frequency: RecurrenceFrequency;
+    occurrences: number;
+    until?: string;
+    duration: number;
+    package?: string;
+    // The next occurrence (session) moves to scheduledAt and the rest shift with it
+    rescheduleProposal?: RescheduleProposal & { session: string };
+    createdAt: string;
+}
+
+export interface SeriesQuote {
+    skill: { name: string; category: string };
+    duration: number;
+    hourlyRate: number;
+    frequency: RecurrenceFrequency;
+    occurrences: {
+        scheduledAt: string;
+        baseCost: number;
+        lineItems: PricingLineItem[];
+        total: number;
+    }[];
+    total: number;
+    chargedNow: number;
+    packageOffers: PricedPackageOffer[];
+    package: SessionQuote['package'];
+    conflicts: {
+        scheduledAt: string;
+        party: 'student' | 'tutor';
+        // 'unavailable' falls outside the tutor's weekly availability;
+        // 'held' is freed time held for a student on the tutor's waitlist
+        reason: 'booked' | 'unavailable' | 'held';
+        conflictingAt?: string;
+        conflictingDuration?: number;
+    }[];
+}
+
+// Waitlist for a fully-booked tutor
+export type WaitlistStatus = 'waiting' | 'offered' | 'booked' | 'expired' | 'cancelled';
+
+export interface WaitlistEntry {
+    _id: string;
+    tutor: { _id: string; firstName: string; lastName: string; avatar: string | null };
+    skill: { name: string; category: string };
+    duration: number;
+    // The slot wanted; absent when waiting for any opening
+    scheduledAt?: string;
+    status: WaitlistStatus;
+    // Freed time held for the student while status is 'offered'
+    hold?: {
+        scheduledAt: string;
+        expiresAt: string;
+        offeredAt: string;
+    };
+    // Place in line while waiting
+    position: number | null;
+    createdAt: string;
+}
+
+export interface SessionPackage {
+    _id: string;
+    tutor: { _id: string; firstName: string; lastName: string; avatar: string | null };
+    skill: { name: string; category: string };
+    duration: number;
+    sessionsTotal: number;
+    sessionsRemaining: number;
+    pricePaid: number;
+    unitPrice: number;
+    heldAmount: number;
+    status: 'active' | 'exhausted' | 'cancelled';
+    createdAt: string;
+}
+
+export interface ReferralSummary {
+    referralCode: string;
+    referredCount: number;
+    rewardedCount: number;
+    referrerBonus: number;
+    refereeBonus: number;
+}
+
 // API Response types
 export interface ApiResponse<T> {
     success: boolean;
@@ -160,6 +630,7 @@ export interface AddSkillForm {
     proficiency: string;
     description?: string;
     hourlyRate?: number;
+    pricing?: SkillPricing;
 }
 
 // Constants
@@ -183,6 +654,29 @@ export const PROFICIENCY_LEVELS = [
     'Expert'
 ] as const;
 
+// Hourly rate a tutor may charge per proficiency level (mirrors the backend)
+export const RATE_RANGES: Record<(typeof PROFICIENCY_LEVELS)[number], { min: number; max: number }> = {
+    Beginner: { min: 0.5, max: 2 },
+    Intermediate: { min: 1, max: 3 },
+    Advanced: { min: 1, max: 5 },
+    Expert: { min: 2, max: 8 },
+};
+
+export const MAX_DISCOUNT_PERCENT = 50;
+
+// Sessions a recurring series can have (mirrors the backend)
+export const SERIES_MIN_OCCURRENCES = 2;
+export const SERIES_MAX_OCCURRENCES = 26;
+
+// Hours after completion during which a dispute can be opened
+export const DISPUTE_WINDOW_HOURS = 72;
+
+// Students a group session can seat (mirrors the backend; the call is a full mesh)
+export const GROUP_MIN_CAPACITY = 2;
+export const GROUP_MAX_CAPACITY = 5;
+// Default seat price as a percent of the private-session price
+export const GROUP_DEFAULT_SEAT_PERCENT = 60;
+
 export const SESSION_DURATIONS = [
     { value: 30, label: '30 minutes' },
     { value: 45, label: '45 minutes' },